@@ -42,7 +42,8 @@ class ConfigService {
           },
           jwt: {
             secret: process.env.JWT_SECRET || 'change-me-to-a-secure-secret'
-          }
+          },
+          businessTimeZone: process.env.BUSINESS_TIMEZONE || 'Europe/London'
         }
       };
     }
@@ -71,6 +72,11 @@ class ConfigService {
   static get jwtSecret() {
     return this.config?.[this.environment]?.jwt?.secret || 'fce832cd907fc4f134f1cd1b8d34d54096cd27fb4978ccb0c6f2e73fcf90dd2466fdf727f9270d5ee4dadaab4b032e683ec2297d127e0e16bde5757ae4963f3a';
   }
+
+  // IANA zone whose calendar days, weeks and months the business works to
+  static get businessTimeZone() {
+    return this.config?.[this.environment]?.businessTimeZone || process.env.BUSINESS_TIMEZONE || 'Europe/London';
+  }
 }
 
 // Initialize config on module load
@@ -82,5 +88,6 @@ module.exports = {
   PORT: ConfigService.backendPort,
   BACKEND_IP: ConfigService.backendIp,
   BASE_URL: ConfigService.baseUrl,
+  BUSINESS_TIMEZONE: ConfigService.businessTimeZone,
   ConfigService
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Named sequences handed out with an atomic $inc (see utils/jobIds.js). seq is the last number
+// reserved, so the next block starts at seq + 1.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter name is required'],
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
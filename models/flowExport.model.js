@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// A flow file of meter readings sent to a supplier (utils/flowExport.js)
+const flowExportSchema = new mongoose.Schema({
+  fileRef: {
+    type: String,
+    required: [true, 'File reference is required'],
+    unique: true,
+    trim: true,
+  },
+  flow: {
+    type: String,
+    default: 'D0010',
+  },
+  supplier: {
+    type: String,
+    required: [true, 'Supplier is required'],
+    trim: true,
+  },
+  supplierMpid: String,
+  from: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+  to: {
+    type: Date,
+    required: [true, 'End date is required'],
+  },
+  // 'building' while readings are claimed, 'issued' once the file is complete, 'reissued' when a
+  // later file replaced it, 'failed' when nothing was written
+  status: {
+    type: String,
+    enum: ['building', 'issued', 'reissued', 'failed'],
+    default: 'building',
+  },
+  fileName: String,
+  content: String,
+  readings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MeterReading',
+  }],
+  counts: {
+    readings: { type: Number, default: 0 },
+    supplyPoints: { type: Number, default: 0 },
+    meters: { type: Number, default: 0 },
+    groups: { type: Number, default: 0 },
+    lines: { type: Number, default: 0 },
+  },
+  // Readings in the date range that could not be written ({ reading, reason })
+  skipped: [{
+    reading: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MeterReading',
+    },
+    reason: String,
+    _id: false,
+  }],
+  reissueOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlowExport',
+    default: null,
+  },
+  reissuedAs: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlowExport',
+    default: null,
+  },
+  reissueReason: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+flowExportSchema.index({ supplier: 1, createdAt: -1 });
+
+const FlowExport = mongoose.model('FlowExport', flowExportSchema);
+
+module.exports = FlowExport;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Remembered geocoding results, keyed on the normalised address (see utils/geocoding.js).
+// Entries are removed by Mongo once they expire.
+const geocodeCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  address: {
+    type: String, // The address as first looked up
+    default: '',
+  },
+  found: {
+    type: Boolean, // false = no provider could place the address
+    default: true,
+  },
+  result: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number,
+    displayName: String,
+    type: { type: String },
+  },
+  provider: {
+    type: String,
+    default: null,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const GeocodeCache = mongoose.model('GeocodeCache', geocodeCacheSchema);
+
+module.exports = GeocodeCache;
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const { houseKey } = require('../utils/addressMatching');
+
+// Latest reading of one meter type at the house, kept by utils/houseHistory.js
+const lastMeterReadingSchema = new mongoose.Schema({
+  value: Number,
+  registerIds: [String],
+  registerValues: [Number],
+  serialNumber: String,
+  readingDate: Date,
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+}, { _id: false });
 
 const houseSchema = new mongoose.Schema({
   address: {
@@ -35,10 +49,23 @@ const houseSchema = new mongoose.Schema({
     enum: ['electric', 'gas', 'water', 'all'],
     default: 'all',
   },
+  // Date of the latest reading of any meter; set when a job with a reading is completed
   lastReading: {
     type: Date,
     default: null,
   },
+  lastReadings: {
+    electric: lastMeterReadingSchema,
+    gas: lastMeterReadingSchema,
+    water: lastMeterReadingSchema,
+  },
+  // Valid no-access visits: failed counts those since the last reading (utils/noAccessRevisits.js)
+  accessAttempts: {
+    failed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    lastReason: String,
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -47,10 +74,37 @@ const houseSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Normalised postcode + street used to link jobs to the house (see utils/addressMatching.js)
+  addressKey: {
+    type: String,
+    default: '',
+  },
+  // Set when the house was merged into another record; jobs and readings point at that one
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'House',
+    default: null,
+  },
+  mergedAt: Date,
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 }, {
   timestamps: true,
 });
 
+houseSchema.index({ addressKey: 1, mergedInto: 1 });
+houseSchema.index({ postcode: 1 });
+
+// Keep the matching key in step with the address
+houseSchema.pre('validate', function (next) {
+  if (this.isModified('address') || this.isModified('postcode') || !this.addressKey) {
+    this.addressKey = houseKey({ address: this.address, postcode: this.postcode });
+  }
+  next();
+});
+
 const House = mongoose.model('House', houseSchema);
 
 module.exports = House;
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+
+// One row of an uploaded spreadsheet: what was read, what it will become and what is wrong with it
+const importRowSchema = new mongoose.Schema({
+  rowNumber: {
+    type: Number,
+    required: true,
+  },
+  raw: {
+    type: mongoose.Schema.Types.Mixed, // The row as read from the sheet
+    default: {},
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed, // Job fields built from the row (editable before commit)
+    default: {},
+  },
+  // 'valid', 'warning' (can be imported), 'error' (must be fixed or dropped), 'dropped'
+  status: {
+    type: String,
+    enum: ['valid', 'warning', 'error', 'dropped'],
+    default: 'valid',
+  },
+  issues: [{
+    level: {
+      type: String,
+      enum: ['error', 'warning'],
+    },
+    field: String,
+    message: String,
+  }],
+  geocode: {
+    status: {
+      type: String,
+      enum: ['pending', 'ok', 'low_confidence', 'failed', 'skipped'], // pending = not geocoded yet
+      default: 'skipped',
+    },
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number,
+    displayName: String,
+    provider: String, // Geocoding provider that placed the address
+  },
+  duplicates: [{
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+    },
+    jobId: String,
+    rowNumber: Number, // Another row of the same upload
+    reason: String,
+  }],
+  job: {
+    type: mongoose.Schema.Types.ObjectId, // Set once the row has been imported
+    ref: 'Job',
+  },
+}, {
+  _id: false,
+});
+
+// A spreadsheet upload, kept so it can be reviewed before jobs are created and rolled back afterwards
+const importBatchSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // queued -> processing -> pending_review -> committing -> committed -> rolled_back;
+  // pending_review -> cancelled; processing -> failed (retried by re-queueing);
+  // committing -> pending_review when creating the jobs fails
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'failed', 'pending_review', 'committing', 'committed', 'rolled_back', 'cancelled'],
+    default: 'queued',
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Choices made at upload; the commit may change the assignees
+  options: {
+    assignees: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    }],
+    scheduledDate: Date,
+    priority: {
+      type: String,
+      default: 'medium',
+    },
+    autoCommit: {
+      type: Boolean, // Create the jobs as soon as processing finishes
+      default: false,
+    },
+  },
+  // Column mapping the rows were read with
+  template: {
+    name: {
+      type: String,
+      default: 'default',
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ImportTemplate',
+      default: null,
+    },
+    detected: {
+      type: Boolean, // true when chosen from the header row rather than by name
+      default: false,
+    },
+  },
+  rows: [importRowSchema],
+  summary: {
+    total: { type: Number, default: 0 },
+    valid: { type: Number, default: 0 },
+    warning: { type: Number, default: 0 },
+    error: { type: Number, default: 0 },
+    dropped: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    rolledBack: { type: Number, default: 0 },
+  },
+  // Background processing (geocoding and duplicate checks)
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    attempts: { type: Number, default: 0 },
+    startedAt: Date,
+    finishedAt: Date,
+    error: String, // Why processing failed
+  },
+  committedAt: Date,
+  committedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  rolledBackAt: Date,
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  rollbackReason: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+importBatchSchema.index({ uploadedBy: 1, createdAt: -1 });
+importBatchSchema.index({ status: 1, createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
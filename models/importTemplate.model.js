@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { TARGET_FIELDS, TRANSFORMS, DATE_FORMATS } = require('../utils/importMapping');
+
+// One spreadsheet column and the job field it fills. Several columns may fill the same
+// field; the first one with a value in the row wins.
+const templateColumnSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: [true, 'Source column name is required'],
+    trim: true,
+  },
+  field: {
+    type: String,
+    enum: TARGET_FIELDS,
+    required: [true, 'Job field is required'],
+  },
+  transform: {
+    type: String,
+    enum: TRANSFORMS,
+    default: 'none',
+  },
+  // Only used by the 'date' transform; Excel date cells are read whatever the format
+  dateFormat: {
+    type: String,
+    enum: [...DATE_FORMATS, null],
+    default: null,
+  },
+}, {
+  _id: false,
+});
+
+// Named column mapping for a supplier's spreadsheet layout, chosen at upload by name
+// or detected from the header row
+const importTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  columns: [templateColumnSchema],
+  // Used when a row leaves the field blank
+  defaults: {
+    jobType: {
+      type: String,
+      enum: ['electricity', 'gas', 'water'],
+      default: 'electricity',
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'medium',
+    },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+const ImportTemplate = mongoose.model('ImportTemplate', importTemplateSchema);
+
+module.exports = ImportTemplate;
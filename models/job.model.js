@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { JOB_STATUSES } = require('../utils/jobLifecycle');
 
 const jobSchema = new mongoose.Schema({
   jobType: {
@@ -43,6 +44,13 @@ const jobSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'House',
   },
+  // Meter read on the job (models/meter.model.js); meterMake/meterModel/meterSerialNumber are
+  // kept as copies for exports and older app builds
+  meter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meter',
+    default: null,
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -50,9 +58,28 @@ const jobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed', 'cancelled'],
+    enum: JOB_STATUSES,
     default: 'pending',
   },
+  // Every status change, appended by utils/jobLifecycle.js
+  statusHistory: [{
+    event: String, // 'create', 'start', 'complete', 'no_access', 'cancel', 'reopen', 'revisit'
+    from: String,
+    to: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorRole: String,
+    reason: {
+      type: String,
+      trim: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
@@ -72,6 +99,43 @@ const jobSchema = new mongoose.Schema({
     type: Number,
     default: null, // null means not sequenced, numbers indicate order
   },
+  // Time window agreed with the customer; the route planner tries to arrive inside it.
+  // Booked through PUT /api/jobs/:id/appointment (utils/appointments.js).
+  appointment: {
+    start: Date,
+    end: {
+      type: Date,
+      validate: {
+        validator: function (value) {
+          return !value || !this.appointment || !this.appointment.start || value > this.appointment.start;
+        },
+        message: 'Appointment end must be after its start',
+      },
+    },
+    bookedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    bookedAt: Date,
+    // How the customer agreed the window
+    contactMethod: {
+      type: String,
+      enum: ['phone', 'sms', 'email', 'letter', 'in_person', 'other', null],
+    },
+    // Set once when admins are alerted that the operative is running late for the window
+    atRisk: {
+      flaggedAt: Date,
+      eta: Date, // null when the operative's position was not known
+      lateMinutes: Number,
+    },
+  },
+  // Estimates from the last route plan (utils/routePlanner.js)
+  route: {
+    eta: Date,
+    legMiles: Number, // Estimated road miles from the previous stop
+    windowStatus: String, // 'none', 'on_time', 'wait', 'late'
+    plannedAt: Date,
+  },
   completedDate: {
     type: Date,
   },
@@ -124,6 +188,26 @@ const jobSchema = new mongoose.Schema({
     gas: Number,
     water: Number,
   },
+  // Plausibility check of the register values against earlier reads (utils/readingChecks.js)
+  readingCheck: {
+    status: String, // 'passed', 'flagged', 'no_history'
+    flags: [{
+      registerId: String,
+      value: Number,
+      previousValue: Number,
+      previousDate: Date,
+      advance: Number,
+      maxAdvance: Number,
+      code: String, // 'backwards', 'high', 'rollover'
+      message: String,
+    }],
+    acceptedWith: String, // 'photo' or 'confirmation' for flagged reads
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    checkedAt: Date,
+  },
   photos: [String],
   location: {
     latitude: Number,
@@ -134,21 +218,87 @@ const jobSchema = new mongoose.Schema({
     latitude: Number,
     longitude: Number,
     timestamp: Date,
+    accuracy: Number, // GPS accuracy radius in meters, when the device reports it
   },
   endLocation: {
     latitude: Number,
     longitude: Number,
     timestamp: Date,
+    accuracy: Number,
   },
   distanceTraveled: {
     type: Number,
-    default: 0, // in miles
+    default: 0, // in miles; the payable figure from utils/mileage.js (see mileage)
+  },
+  // How distanceTraveled was worked out, and how it compares with the phone's own figure
+  mileage: {
+    source: {
+      type: String,
+      enum: ['trace', 'straight_line', 'client', 'none'],
+    },
+    traceMiles: Number,
+    clientMiles: Number,
+    discrepancyMiles: Number,
+    discrepancyPercent: Number,
+    flagged: Boolean,
+    flagReason: String,
+    pointsUsed: Number,
+    pointsRejected: {
+      invalid: Number,
+      inaccurate: Number,
+      jitter: Number,
+      speed: Number,
+    },
+    computedAt: Date,
   },
   locationHistory: [{
     latitude: Number,
     longitude: Number,
     timestamp: Date,
+    accuracy: Number,
   }],
+  // Location checks against the property on start and completion (utils/geofence.js)
+  geofence: {
+    startDistanceMeters: Number,
+    completeDistanceMeters: Number,
+    flagged: Boolean, // An out-of-fence start/completion was accepted (flag policy or override)
+    override: {
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      grantedAt: Date,
+      reason: {
+        type: String,
+        trim: true,
+      },
+      stage: {
+        type: String,
+        enum: ['start', 'complete', 'any'],
+      },
+      usedAt: Date,
+    },
+    checks: [{
+      stage: String, // 'start', 'complete'
+      status: String, // 'inside', 'outside', 'unknown'
+      outcome: String, // 'accepted', 'flagged', 'blocked', 'overridden'
+      distanceMeters: Number,
+      radiusMeters: Number,
+      policy: String,
+      latitude: Number,
+      longitude: Number,
+      actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      overrideReason: String,
+      at: Date,
+    }],
+  },
   meterPhotos: [{
     meterType: String, // 'electric', 'gas', 'water'
     photoUrl: String,
@@ -156,48 +306,92 @@ const jobSchema = new mongoose.Schema({
     reading: Number,
     timestamp: Date,
   }],
+  // Spreadsheet import that created the job (models/importBatch.model.js)
+  importBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportBatch',
+    default: null,
+    index: true,
+  },
   // Employee ID tracking
   employeeId: {
     type: String,
     trim: true,
   },
-  // Points and No Access tracking
+  // Points and No Access tracking (amounts come from the rule set recorded in pointsRule)
   points: {
     type: Number,
-    default: 0, // 1 for valid job completion, 0.5 for valid no access
+    default: 0, // e.g. 1 for valid job completion, 0.5 for valid no access
   },
-  // Award tracking (£1 for successful reading, £0.15 for No Access)
+  // Award tracking (e.g. £0.50 for successful reading, £0.15 for No Access)
   award: {
     type: Number,
-    default: 0, // £1 for successful reading, £0.15 for No Access
+    default: 0,
   },
   validNoAccess: {
     type: Boolean,
     default: false,
   },
+  // Rates that applied when the job was completed, copied by utils/pointsRules.js
+  pointsRule: {
+    ruleSet: { type: mongoose.Schema.Types.ObjectId, ref: 'PointsRuleSet' }, // null = built-in default rates
+    name: String,
+    readingPoints: Number,
+    readingAward: Number,
+    noAccessPoints: Number,
+    noAccessAward: Number,
+    mileageRate: Number,
+    wageRatePerMile: Number,
+    fuelAllowancePerJob: Number,
+    appliedAt: Date,
+  },
   noAccessReason: {
     type: String,
     trim: true,
     default: '',
   },
-  // Valid no access reasons
-  validNoAccessReasons: {
-    type: [String],
-    default: [
-      'Property locked - no key access',
-      'Dog on property - safety concern',
-      'Occupant not home - appointment required',
-      'Meter location inaccessible',
-      'Property under construction',
-      'Hazardous conditions present',
-      'Permission denied by occupant',
-      'Meter damaged - requires repair first',
-    ],
+  // Catalogue code of noAccessReason (models/noAccessReason.model.js); '' for free text
+  noAccessReasonCode: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Follow-up visits after a valid no access (utils/noAccessRevisits.js)
+  revisitOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null,
+  },
+  visitAttempt: {
+    type: Number,
+    default: 1,
+  },
+  noAccessOutcome: {
+    action: String, // 'revisit', 'none', 'defect', 'escalated'
+    rule: String, // Reason of the revisit rule that matched ('' = default)
+    failedAttempts: Number, // Failed visits in a row to the property, this one included
+    followUpJob: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+    },
+    note: String,
+    decidedAt: Date,
+  },
+  // Recurring read that generated the job (utils/readingCycles.js)
+  readingCycle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReadingCycle',
+    default: null,
   },
 }, {
   timestamps: true,
 });
 
+jobSchema.index({ revisitOf: 1 });
+jobSchema.index({ 'noAccessOutcome.action': 1 });
+jobSchema.index({ 'appointment.end': 1, status: 1 });
+jobSchema.index({ readingCycle: 1 });
+
 const Job = mongoose.model('Job', jobSchema);
 
 module.exports = Job;
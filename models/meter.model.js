@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// One register of a meter; readings give one value per register (utils/meterRegistry.js)
+const registerSchema = new mongoose.Schema({
+  registerId: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '', // Not known yet (meters created from job data without register IDs)
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  digits: {
+    type: Number,
+    min: [1, 'A register must have at least 1 digit'],
+    max: [12, 'A register can have at most 12 digits'],
+  },
+}, { _id: false });
+
+const meterReadingValuesSchema = new mongoose.Schema({
+  registerValues: [Number],
+  readingDate: Date,
+}, { _id: false });
+
+const meterSchema = new mongoose.Schema({
+  house: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'House',
+    required: [true, 'House is required'],
+  },
+  meterType: {
+    type: String,
+    enum: ['electric', 'gas', 'water'],
+    required: [true, 'Meter type is required'],
+  },
+  serialNumber: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    trim: true,
+    uppercase: true,
+  },
+  make: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  model: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  registers: {
+    type: [registerSchema],
+    validate: {
+      validator: (registers) => registers.length > 0,
+      message: 'A meter must have at least one register',
+    },
+  },
+  installedAt: {
+    type: Date,
+    default: null, // Unknown for meters found already in place
+  },
+  removedAt: {
+    type: Date,
+    default: null,
+  },
+  removalReason: {
+    type: String,
+    trim: true,
+  },
+  // Installed meters; removed meters are kept for history
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Meter exchange: the meter this one replaced / was replaced by, and the job it happened on
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meter',
+    default: null,
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meter',
+    default: null,
+  },
+  exchangeJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null,
+  },
+  initialReading: meterReadingValuesSchema,
+  finalReading: meterReadingValuesSchema,
+  notes: {
+    type: String,
+    trim: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// A serial can only be installed once per house and meter type at a time
+meterSchema.index(
+  { house: 1, meterType: 1, serialNumber: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+meterSchema.index({ serialNumber: 1 });
+
+const Meter = mongoose.model('Meter', meterSchema);
+
+module.exports = Meter;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const noAccessReasons = require('../utils/noAccessReasons');
 
 const meterReadingSchema = new mongoose.Schema({
   jobId: {
@@ -6,6 +7,18 @@ const meterReadingSchema = new mongoose.Schema({
     ref: 'Job',
     required: [true, 'Job ID is required'],
   },
+  // Property the reading was taken at (copied from the job)
+  house: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'House',
+    default: null,
+  },
+  // Meter the reading was taken from (copied from the job)
+  meter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meter',
+    default: null,
+  },
   sup: {
     type: String,
     required: [true, 'Sup is required'],
@@ -34,23 +47,15 @@ const meterReadingSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // 'Yes', 'No' or a reason from the no-access reason catalogue (utils/noAccessReasons.js)
   customerRead: {
     type: String,
-    enum: [
-      'Yes',
-      'No',
-      'No access',
-      'Refuse access',
-      'Failed first visit',
-      'Meter blocked',
-      'Unable to locate the meter',
-      'Unmanned',
-      'Demolished',
-      'Unsafe premises',
-      'Meter inspected',
-      'Risk assessment'
-    ],
+    trim: true,
     required: [true, 'Customer Read status is required'],
+    validate: {
+      validator: (value) => noAccessReasons.isKnownCustomerRead(value),
+      message: (props) => `"${props.value}" is not a customer read status or no-access reason`,
+    },
   },
   noR: {
     type: String,
@@ -94,14 +99,32 @@ const meterReadingSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Flow file the reading was last sent to its supplier in (models/flowExport.model.js), and
+  // every file it has been in
+  exportedIn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlowExport',
+    default: null,
+  },
+  exports: [{
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FlowExport',
+    },
+    fileRef: String,
+    at: Date,
+    _id: false,
+  }],
 }, {
   timestamps: true,
 });
 
 // Index for efficient querying
 meterReadingSchema.index({ jobId: 1 });
+meterReadingSchema.index({ house: 1, readingDate: -1 });
 meterReadingSchema.index({ meterReader: 1 });
 meterReadingSchema.index({ readingDate: -1 });
+meterReadingSchema.index({ sup: 1, exportedIn: 1, readingDate: 1 });
 
 const MeterReading = mongoose.model('MeterReading', meterReadingSchema);
 
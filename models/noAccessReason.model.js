@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// The one list of no-access reasons: offered by the mobile app, checked at completion and
+// used for scoring. Reasons are retired (isActive: false) rather than deleted because
+// completed jobs and meter readings keep the label they were given.
+const outcome = (label) => ({
+  type: Number,
+  min: [0, `${label} cannot be negative`],
+  default: null, // null = the points rule set's no-access rate
+});
+
+const noAccessReasonSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Reason code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_]+$/, 'Reason code may only contain letters, digits and underscores'],
+  },
+  label: {
+    type: String,
+    required: [true, 'Reason label is required'],
+    trim: true,
+  },
+  // false = recorded, but the visit is not paid or counted as a valid no access
+  validNoAccess: {
+    type: Boolean,
+    default: true,
+  },
+  points: outcome('Points'),
+  award: outcome('Award'),
+  photoRequired: {
+    type: Boolean,
+    default: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+noAccessReasonSchema.index({ isActive: 1, sortOrder: 1 });
+
+const NoAccessReason = mongoose.model('NoAccessReason', noAccessReasonSchema);
+
+module.exports = NoAccessReason;
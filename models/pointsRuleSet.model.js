@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Rates are copied onto each job when it is completed (job.pointsRule), so editing
+// or retiring a rule set never changes the pay of jobs that were already completed.
+const rate = (label, defaultValue) => ({
+  type: Number,
+  required: [true, `${label} is required`],
+  min: [0, `${label} cannot be negative`],
+  default: defaultValue,
+});
+
+const pointsRuleSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule set name is required'],
+    trim: true,
+  },
+  // null = applies to every job type
+  jobType: {
+    type: String,
+    enum: ['electricity', 'gas', 'water', null],
+    default: null,
+  },
+  // Supplier code (job.sup); '' = applies to every supplier
+  sup: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required'],
+  },
+  effectiveTo: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function (value) {
+        return !value || !this.effectiveFrom || value > this.effectiveFrom;
+      },
+      message: 'Effective to date must be after the effective from date',
+    },
+  },
+  readingPoints: rate('Reading points', 1),
+  readingAward: rate('Reading award', 0.50),
+  noAccessPoints: rate('No access points', 0.5),
+  noAccessAward: rate('No access award', 0.15),
+  mileageRate: rate('Mileage rate', 0.35),
+  wageRatePerMile: rate('Wage rate per mile', 0.50),
+  fuelAllowancePerJob: rate('Fuel allowance per job', 1.00),
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+pointsRuleSetSchema.index({ isActive: 1, effectiveFrom: -1 });
+
+const PointsRuleSet = mongoose.model('PointsRuleSet', pointsRuleSetSchema);
+
+module.exports = PointsRuleSet;
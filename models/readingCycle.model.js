@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// A recurring read of a property (or one of its meters) on a contract, e.g. quarterly gas.
+// utils/readingCycles.js creates each cycle's job ahead of its due date and moves nextDueDate
+// on; a due date that passes without a job means the cycle has fallen behind.
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const timeOfDay = (label) => ({
+  type: String,
+  trim: true,
+  match: [TIME_OF_DAY, `${label} must be a time of day (HH:MM)`],
+});
+
+const readingCycleSchema = new mongoose.Schema({
+  house: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'House',
+    required: [true, 'House is required'],
+  },
+  // Set when the cycle reads one meter at the house (its type then decides the job type)
+  meter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meter',
+    default: null,
+  },
+  jobType: {
+    type: String,
+    enum: ['electricity', 'gas', 'water'],
+    required: [true, 'Job type is required'],
+  },
+  frequency: {
+    type: String,
+    enum: ['monthly', 'bimonthly', 'quarterly', 'half_yearly', 'yearly'],
+    required: [true, 'Frequency is required'],
+  },
+  // Due date of the first cycle; later due dates are counted from it so month ends don't drift
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required'],
+  },
+  // Cycles generated (or written off) so far; the next due date is cycle number cyclesDone
+  cyclesDone: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Set from startDate and cyclesDone by utils/readingCycles.js
+  nextDueDate: {
+    type: Date,
+    default: null,
+  },
+  // Preferred visit time, copied to each job as its appointment window
+  preferredWindow: {
+    start: timeOfDay('Window start'),
+    end: timeOfDay('Window end'),
+  },
+  // Who gets the jobs: the operative, or else the active operatives working the patch
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  patch: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium',
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  lastGeneratedJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null,
+  },
+  lastGeneratedAt: {
+    type: Date,
+    default: null,
+  },
+  // Why the last run did not create the due job (cleared once it is created)
+  lastSkip: {
+    at: Date,
+    dueDate: Date,
+    reason: String,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+readingCycleSchema.pre('validate', function (next) {
+  if (!this.assignedTo && !this.patch) {
+    this.invalidate('assignedTo', 'A reading cycle needs an operative or a patch');
+  }
+  const window = this.preferredWindow || {};
+  if (!window.start !== !window.end) {
+    this.invalidate('preferredWindow', 'Preferred window needs both a start and an end');
+  } else if (window.start && window.end <= window.start) {
+    this.invalidate('preferredWindow.end', 'Preferred window end must be after its start');
+  }
+  next();
+});
+
+readingCycleSchema.index({ isActive: 1, nextDueDate: 1 });
+readingCycleSchema.index({ house: 1 });
+
+const ReadingCycle = mongoose.model('ReadingCycle', readingCycleSchema);
+
+module.exports = ReadingCycle;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Admin-managed settings, one document per key (see utils/settings.js for keys and defaults)
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
@@ -49,6 +49,12 @@ const userSchema = new mongoose.Schema({
     trim: true,
     default: '',
   },
+  // Area the operative covers; reading cycles for a patch are shared among its operatives
+  patch: {
+    type: String,
+    trim: true,
+    default: '',
+  },
   department: {
     type: String,
     trim: true,
@@ -96,6 +102,22 @@ const userSchema = new mongoose.Schema({
       default: null,
     },
   },
+  // Home or depot the operative's day starts from (used by the route planner)
+  homeLocation: {
+    latitude: {
+      type: Number,
+      default: null,
+    },
+    longitude: {
+      type: Number,
+      default: null,
+    },
+    label: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+  },
 }, {
   timestamps: true,
 });
@@ -0,0 +1,185 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const FlowExport = require('../models/flowExport.model');
+const { protect } = require('../middleware/auth');
+const flowExport = require('../utils/flowExport');
+
+// @route   GET /api/flow-exports
+// @desc    List flow files, newest first (?supplier=, ?status=)
+// @access  Private (Admin only)
+router.get('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { page = 1, limit = 20, supplier, status } = req.query;
+    const query = {};
+    if (supplier) query.supplier = supplier;
+    if (status) query.status = status;
+
+    const files = await FlowExport.find(query)
+      .select('-content -readings -skipped')
+      .populate('createdBy', 'firstName lastName username')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await FlowExport.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: files,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get flow exports error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/flow-exports/preview
+// @desc    Show which unsent readings an export would include (?supplier=, ?from=, ?to=)
+// @access  Private (Admin only)
+router.get('/preview', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const preview = await flowExport.previewExport(req.query);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    if (error instanceof flowExport.FlowExportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Preview flow export error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/flow-exports
+// @desc    Export a supplier's unsent successful readings to a new flow file ({ supplier, from, to })
+// @access  Private (Admin only)
+router.post('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const file = await flowExport.createExport(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Flow file ${file.fileRef} created with ${file.counts.readings} reading(s)`,
+      data: file
+    });
+  } catch (error) {
+    if (error instanceof flowExport.FlowExportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Create flow export error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/flow-exports/:id
+// @desc    Get a flow file with its readings
+// @access  Private (Admin only)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid flow file ID format' });
+    }
+
+    const file = await FlowExport.findById(req.params.id)
+      .populate('readings', 'cust sup regID1 reg1 readingDate jobId')
+      .populate('createdBy', 'firstName lastName username')
+      .populate('reissueOf', 'fileRef')
+      .populate('reissuedAs', 'fileRef');
+
+    if (!file) {
+      return res.status(404).json({ message: 'Flow file not found' });
+    }
+
+    res.json({
+      success: true,
+      data: file
+    });
+  } catch (error) {
+    console.error('Get flow export error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/flow-exports/:id/download
+// @desc    Download a flow file
+// @access  Private (Admin only)
+router.get('/:id/download', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid flow file ID format' });
+    }
+
+    const file = await FlowExport.findById(req.params.id).select('fileName content status');
+    if (!file) {
+      return res.status(404).json({ message: 'Flow file not found' });
+    }
+    if (!file.content) {
+      return res.status(409).json({ message: `This flow file has no content (${file.status})` });
+    }
+
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.send(file.content);
+  } catch (error) {
+    console.error('Download flow export error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/flow-exports/:id/reissue
+// @desc    Send a file's readings again in a new file ({ reason })
+// @access  Private (Admin only)
+router.post('/:id/reissue', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid flow file ID format' });
+    }
+    if (!req.body.reason || !String(req.body.reason).trim()) {
+      return res.status(400).json({ message: 'A reason for re-issuing is required' });
+    }
+
+    const file = await flowExport.reissueExport(req.params.id, { reason: req.body.reason }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: `Flow file re-issued as ${file.fileRef}`,
+      data: file
+    });
+  } catch (error) {
+    if (error instanceof flowExport.FlowExportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Reissue flow export error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+module.exports = router;
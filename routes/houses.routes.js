@@ -1,14 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const House = require('../models/house.model');
 const { protect } = require('../middleware/auth');
+const houseLinking = require('../utils/houseLinking');
+const houseHistory = require('../utils/houseHistory');
+const { houseKey } = require('../utils/addressMatching');
 
 // @route   GET /api/houses
-// @desc    Get all houses
+// @desc    Get all houses (merged duplicates are left out unless includeMerged=true)
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search } = req.query;
+    const { page = 1, limit = 10, search, includeMerged } = req.query;
     
     let query = {};
     
@@ -21,6 +25,9 @@ router.get('/', protect, async (req, res) => {
         ],
       };
     }
+    if (includeMerged !== 'true') {
+      query.mergedInto = null;
+    }
 
     const houses = await House.find(query)
       .sort({ createdAt: -1 })
@@ -51,6 +58,12 @@ router.post('/', protect, async (req, res) => {
     }
 
     const houseData = req.body;
+
+    const key = houseKey({ address: houseData.address, postcode: houseData.postcode });
+    const existing = key ? await House.findOne({ addressKey: key, mergedInto: null }) : null;
+    if (existing) {
+      return res.status(409).json({ message: 'A house with this address already exists', house: existing });
+    }
     
     const house = await House.create(houseData);
 
@@ -61,6 +74,112 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/houses/duplicates
+// @desc    Houses that look like the same property, grouped, with a suggested house to keep
+//          (?postcode= to limit the report to postcodes starting with it)
+// @access  Private (Admin only)
+router.get('/duplicates', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const groups = await houseLinking.duplicateReport({ postcode: req.query.postcode });
+    res.json({ success: true, count: groups.length, data: groups });
+  } catch (error) {
+    console.error('Get duplicate houses error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/houses/merge
+// @desc    Merge duplicate houses into one ({ survivorId, duplicateIds }); jobs and readings move
+//          to the survivor and the duplicates are kept, inactive, pointing at it
+// @access  Private (Admin only)
+router.post('/merge', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { survivorId, duplicateIds } = req.body;
+    if (!survivorId || !Array.isArray(duplicateIds)) {
+      return res.status(400).json({ message: 'survivorId and a duplicateIds array are required' });
+    }
+
+    const result = await houseLinking.mergeHouses(survivorId, duplicateIds, req.user);
+    res.json({
+      success: true,
+      message: `Merged ${result.merged} house(s); moved ${result.jobsMoved} job(s), ${result.readingsMoved} reading(s), ${result.metersMoved} meter(s) and ${result.cyclesMoved} reading cycle(s)${result.metersRetired ? `; retired ${result.metersRetired} duplicate meter(s)` : ''}`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof houseLinking.HouseError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Merge houses error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/houses/link-jobs
+// @desc    Link existing jobs without a house (and their readings) to houses, creating houses as
+//          needed. Works through up to `limit` jobs per call (default 500).
+// @access  Private (Admin only)
+router.post('/link-jobs', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 500, 1), 5000);
+    const result = await houseLinking.linkUnlinkedJobs({ limit });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Link jobs to houses error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/houses/:id/history
+// @desc    Everything that happened at a house, oldest first: job status changes, readings,
+//          no access outcomes, photos and notes, with the latest reading per meter type
+//          (?types=reading,no_access to pick entry types)
+// @access  Private (Admin only)
+router.get('/:id/history', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid house ID format' });
+    }
+
+    let types = houseHistory.TIMELINE_TYPES;
+    if (req.query.types) {
+      types = req.query.types.split(',').map((type) => type.trim()).filter(Boolean);
+      const unknown = types.filter((type) => !houseHistory.TIMELINE_TYPES.includes(type));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          message: `Unknown history type(s): ${unknown.join(', ')}`,
+          types: houseHistory.TIMELINE_TYPES
+        });
+      }
+    }
+
+    const history = await houseHistory.getHouseHistory(req.params.id, { types });
+    if (!history) {
+      return res.status(404).json({ message: 'House not found' });
+    }
+
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Get house history error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
 // @route   PUT /api/houses/:id
 // @desc    Update a house
 // @access  Private (Admin only)
@@ -70,16 +189,17 @@ router.put('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Admin only.' });
     }
 
-    const house = await House.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
+    // Loaded and saved (rather than updated in place) so the matching key follows the address
+    const house = await House.findById(req.params.id);
 
     if (!house) {
       return res.status(404).json({ message: 'House not found' });
     }
 
+    const { addressKey, mergedInto, mergedAt, mergedBy, lastReadings, accessAttempts, ...changes } = req.body;
+    house.set(changes);
+    await house.save();
+
     res.json(house);
   } catch (error) {
     console.error('Update house error:', error);
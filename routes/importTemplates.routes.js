@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const ImportTemplate = require('../models/importTemplate.model');
+const { protect } = require('../middleware/auth');
+const importMapping = require('../utils/importMapping');
+
+const EDITABLE_FIELDS = ['name', 'description', 'columns', 'defaults', 'isActive'];
+
+// Only copy fields admins are allowed to set
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Check a template before saving; returns the problem or null
+ */
+const templateProblem = (template) => {
+  if (template.name === importMapping.DEFAULT_TEMPLATE.name) {
+    return `"${importMapping.DEFAULT_TEMPLATE.name}" is the name of the built-in template`;
+  }
+  try {
+    importMapping.validateTemplate(template.toObject());
+    return null;
+  } catch (error) {
+    if (error instanceof importMapping.MappingError) return error.message;
+    throw error;
+  }
+};
+
+// @route   GET /api/import-templates
+// @desc    List column mapping templates (?active=true for those offered at upload)
+// @access  Private (Admin only)
+router.get('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const query = {};
+    if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+    const templates = await ImportTemplate.find(query)
+      .populate('createdBy', 'firstName lastName username')
+      .populate('updatedBy', 'firstName lastName username')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: templates,
+      builtIn: importMapping.DEFAULT_TEMPLATE,
+      fields: importMapping.TARGET_FIELDS,
+      transforms: importMapping.TRANSFORMS,
+      dateFormats: importMapping.DATE_FORMATS
+    });
+  } catch (error) {
+    console.error('Get import templates error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/import-templates/detect
+// @desc    Show which template an upload with these column headers would use ({ headers: [...] })
+// @access  Private (Admin only)
+router.post('/detect', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { headers } = req.body;
+    if (!Array.isArray(headers) || headers.length === 0) {
+      return res.status(400).json({ message: 'Headers must be a non-empty array of column names' });
+    }
+
+    const templates = await ImportTemplate.find({ isActive: true }).lean();
+    const result = importMapping.detectTemplate(headers, templates);
+
+    res.json({
+      success: true,
+      data: {
+        name: result.template.name,
+        templateId: result.template._id || null,
+        detected: result.detected,
+        score: result.score,
+        candidates: result.candidates.map(candidate => ({
+          name: candidate.template.name,
+          templateId: candidate.template._id,
+          score: candidate.score,
+          missingRequired: candidate.missingRequired
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Detect import template error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/import-templates/:id
+// @desc    Get a column mapping template
+// @access  Private (Admin only)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const template = await ImportTemplate.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName username')
+      .populate('updatedBy', 'firstName lastName username');
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    console.error('Get import template error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/import-templates
+// @desc    Create a column mapping template
+// @access  Private (Admin only)
+router.post('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const template = new ImportTemplate({
+      ...pickEditable(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await template.validate();
+
+    const problem = templateProblem(template);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    await template.save();
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A template with this name already exists' });
+    }
+    console.error('Create import template error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   PUT /api/import-templates/:id
+// @desc    Update a column mapping template (imports already read keep their rows)
+// @access  Private (Admin only)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const template = await ImportTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    template.set({ ...pickEditable(req.body), updatedBy: req.user._id });
+    await template.validate();
+
+    const problem = templateProblem(template);
+    if (problem) {
+      return res.status(400).json({ message: problem });
+    }
+
+    await template.save();
+    res.json({ success: true, data: template });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A template with this name already exists' });
+    }
+    console.error('Update import template error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/import-templates/:id
+// @desc    Retire a column mapping template. It is deactivated rather than removed because
+//          imports record the template they were read with.
+// @access  Private (Admin only)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const template = await ImportTemplate.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user._id },
+      { new: true }
+    );
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    res.json({ success: true, message: 'Template deactivated', data: template });
+  } catch (error) {
+    console.error('Delete import template error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+module.exports = router;
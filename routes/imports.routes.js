@@ -0,0 +1,321 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/job.model');
+const ImportBatch = require('../models/importBatch.model');
+const { protect } = require('../middleware/auth');
+const jobImport = require('../utils/jobImport');
+const importQueue = require('../utils/importQueue');
+
+// Imports are created by POST /api/jobs/upload-excel and processed in the background (utils/importQueue.js);
+// these endpoints follow, review, commit and roll them back.
+
+const loadBatch = async (id) => (mongoose.Types.ObjectId.isValid(id) ? ImportBatch.findById(id) : null);
+
+// @route   GET /api/imports
+// @desc    List spreadsheet imports (without their rows)
+// @access  Private (Admin only)
+router.get('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+
+    const imports = await ImportBatch.find(query)
+      .select('-rows')
+      .populate('uploadedBy', 'firstName lastName username')
+      .populate('committedBy', 'firstName lastName username')
+      .populate('rolledBackBy', 'firstName lastName username')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    const total = await ImportBatch.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: imports,
+      totalPages: Math.ceil(total / limit),
+      currentPage: Number(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/imports/:id
+// @desc    Get an import with its row-level report (?status=error to filter rows)
+// @access  Private (Admin only)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const batch = await loadBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    await batch.populate([
+      { path: 'uploadedBy', select: 'firstName lastName username' },
+      { path: 'options.assignees', select: 'firstName lastName username employeeId' },
+      { path: 'rows.job', select: 'jobId status assignedTo sequenceNumber' }
+    ]);
+
+    const data = batch.toObject();
+    if (req.query.status) {
+      data.rows = data.rows.filter(row => row.status === req.query.status);
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/imports/:id/status
+// @desc    Processing progress of an import, with the rows found to have problems so far
+// @access  Private (Admin only)
+router.get('/:id/status', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    const batch = await ImportBatch.findById(req.params.id)
+      .select('status progress summary template options.autoCommit rows.rowNumber rows.status rows.issues rows.geocode.status rows.job')
+      .lean();
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const { processed = 0, total = 0 } = batch.progress || {};
+    res.json({
+      success: true,
+      data: {
+        status: batch.status,
+        queuePosition: importQueue.queuePosition(batch._id),
+        progress: { ...batch.progress, percent: total > 0 ? Math.round((processed / total) * 100) : 100 },
+        summary: batch.summary,
+        template: batch.template,
+        autoCommit: batch.options.autoCommit,
+        created: batch.rows.filter(row => row.job).length,
+        problems: batch.rows
+          .filter(row => row.status === 'error' || row.geocode.status === 'failed')
+          .map(row => ({ rowNumber: row.rowNumber, status: row.status, geocode: row.geocode.status, issues: row.issues }))
+      }
+    });
+  } catch (error) {
+    console.error('Get import status error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/imports/:id/retry
+// @desc    Queue a failed import again; rows already geocoded are not looked up again
+// @access  Private (Admin only)
+router.post('/:id/retry', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const batch = await loadBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+    if (batch.status !== 'failed') {
+      return res.status(409).json({ message: 'Only failed imports can be retried' });
+    }
+
+    batch.status = 'queued';
+    await batch.save();
+    importQueue.enqueue(batch._id);
+
+    res.status(202).json({ success: true, message: 'Import queued again', importId: batch._id, status: batch.status });
+  } catch (error) {
+    console.error('Retry import error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   PUT /api/imports/:id/rows/:rowNumber
+// @desc    Edit a row before committing ({ drop: true } to leave it out, { restore: true } to bring it back)
+// @access  Private (Admin only)
+router.put('/:id/rows/:rowNumber', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const batch = await loadBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const row = await jobImport.updateRow(batch, req.params.rowNumber, req.body);
+
+    res.json({
+      success: true,
+      data: row,
+      summary: batch.summary
+    });
+  } catch (error) {
+    if (error instanceof jobImport.ImportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Update import row error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/imports/:id/commit
+// @desc    Create the jobs of a reviewed import. Optional body: assignees (user IDs, defaults to those
+//          chosen at upload), allocation ({ rowNumber: userId } to pin rows), preview (true to see who
+//          gets what without creating anything)
+// @access  Private (Admin only)
+router.post('/:id/commit', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const batch = await loadBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const { assignees, allocation = {}, preview } = req.body;
+    if (!allocation || typeof allocation !== 'object' || Array.isArray(allocation)) {
+      return res.status(400).json({ message: 'Allocation must be an object of row number to user ID' });
+    }
+
+    const result = await jobImport.commitBatch(batch, req.user, {
+      assignees: jobImport.parseIdList(assignees),
+      allocation,
+      preview: preview === true || preview === 'true'
+    });
+
+    if (result.preview) {
+      return res.json({
+        success: true,
+        preview: true,
+        message: `Preview of ${batch.summary.valid + batch.summary.warning} job(s) across ${result.operatives.length} operative(s); nothing has been created`,
+        allocation: result.allocation
+      });
+    }
+
+    const populatedJobs = await Job.find({ _id: { $in: result.jobs.map(job => job._id) } })
+      .populate('assignedTo', 'firstName lastName username employeeId department');
+    jobImport.notifyJobsCreated(populatedJobs);
+
+    res.status(201).json({
+      success: true,
+      message: `Successfully created ${populatedJobs.length} jobs ordered by location`,
+      importId: batch._id,
+      count: populatedJobs.length,
+      allocation: result.allocation,
+      summary: batch.summary,
+      jobs: populatedJobs
+    });
+  } catch (error) {
+    if (error instanceof jobImport.ImportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: `Duplicate JobID detected. Please try committing again. Error: ${error.message}`,
+        error: 'DUPLICATE_JOBID'
+      });
+    }
+    console.error('Commit import error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/imports/:id/rollback
+// @desc    Remove the jobs an import created; jobs already started or finished are kept and listed
+// @access  Private (Admin only)
+router.post('/:id/rollback', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const batch = await loadBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    const result = await jobImport.rollbackBatch(batch, req.user, req.body.reason);
+
+    if (global.io) {
+      global.io.to('admin_room').emit('jobUpdate', {
+        type: 'importRolledBack',
+        importId: batch._id,
+        count: result.removed,
+        timestamp: new Date()
+      });
+      result.assignees.forEach(userId => {
+        global.io.to(`user_${userId}`).emit('jobUpdate', {
+          type: 'jobsRemoved',
+          importId: batch._id,
+          timestamp: new Date()
+        });
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.kept.length > 0
+        ? `Removed ${result.removed} job(s); ${result.kept.length} already started or finished were kept`
+        : `Removed ${result.removed} job(s)`,
+      removed: result.removed,
+      kept: result.kept
+    });
+  } catch (error) {
+    if (error instanceof jobImport.ImportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Rollback import error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/imports/:id
+// @desc    Cancel an import under review (the report is kept; no jobs are created)
+// @access  Private (Admin only)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const batch = await loadBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ message: 'Import not found' });
+    }
+
+    await jobImport.cancelBatch(batch);
+    res.json({ success: true, message: 'Import cancelled' });
+  } catch (error) {
+    if (error instanceof jobImport.ImportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    console.error('Cancel import error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,171 +1,78 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const XLSX = require('xlsx');
-const axios = require('axios');
 const mongoose = require('mongoose');
 const Job = require('../models/job.model');
 const House = require('../models/house.model');
 const User = require('../models/user.model');
 const { protect } = require('../middleware/auth');
-
-// Helper function to generate next JobID (000001, 000002, etc.)
-async function generateNextJobId() {
-  try {
-    // Find the highest jobId number by converting to number for proper sorting
-    const lastJob = await Job.findOne({ 
-      jobId: { $exists: true, $ne: null, $regex: /^\d+$/ } 
-    })
-      .select('jobId')
-      .lean();
-    
-    if (!lastJob || !lastJob.jobId) {
-      return '000001';
-    }
-    
-    // Extract number from jobId (e.g., "000001" -> 1)
-    const lastNumber = parseInt(lastJob.jobId, 10);
-    
-    // Check if it's a valid number
-    if (isNaN(lastNumber)) {
-      return '000001';
-    }
-    
-    const nextNumber = lastNumber + 1;
-    
-    // Format as 6-digit string with leading zeros
-    return nextNumber.toString().padStart(6, '0');
-  } catch (error) {
-    console.error('Error generating JobID:', error);
-    // Fallback: use timestamp-based ID if there's an error
-    const timestamp = Date.now().toString().slice(-6);
-    return timestamp.padStart(6, '0');
-  }
-}
-
-// Helper function to generate multiple JobIDs in sequence (for bulk operations)
-async function generateJobIds(count) {
-  try {
-    if (!count || count <= 0) {
-      throw new Error('Count must be greater than 0');
-    }
-    
-    // Get the last JobID - find all jobs with numeric jobIds and get the max
-    const jobsWithIds = await Job.find({ 
-      jobId: { $exists: true, $ne: null, $regex: /^\d+$/ } 
-    })
-      .select('jobId')
-      .lean();
-    
-    let startNumber = 1;
-    if (jobsWithIds && jobsWithIds.length > 0) {
-      // Find the maximum numeric jobId
-      const numbers = jobsWithIds
-        .map(job => parseInt(job.jobId, 10))
-        .filter(num => !isNaN(num));
-      
-      if (numbers.length > 0) {
-        startNumber = Math.max(...numbers) + 1;
-      }
-    }
-    
-    // Generate sequential JobIDs
-    const jobIds = [];
-    for (let i = 0; i < count; i++) {
-      const jobId = (startNumber + i).toString().padStart(6, '0');
-      jobIds.push(jobId);
+const jobLifecycle = require('../utils/jobLifecycle');
+const jobCompletionService = require('../utils/jobCompletionService');
+const geofence = require('../utils/geofence');
+const pointsRules = require('../utils/pointsRules');
+const routePlanner = require('../utils/routePlanner');
+const jobImport = require('../utils/jobImport');
+const importQueue = require('../utils/importQueue');
+const houseLinking = require('../utils/houseLinking');
+const meterRegistry = require('../utils/meterRegistry');
+const tableExport = require('../utils/tableExport');
+const jobSheets = require('../utils/jobSheets');
+const appointments = require('../utils/appointments');
+const schedulingPolicy = require('../utils/schedulingPolicy');
+const businessTime = require('../utils/businessTime');
+const { generateNextJobId, repairJobIds } = require('../utils/jobIds');
+const { isValidCoordinate } = require('../utils/businessLogic');
+const { JobTransitionError } = jobLifecycle;
+
+// Status changes allowed through the generic PUT /api/jobs/:id endpoint.
+// Starting and completing have dedicated endpoints that record location, readings and points.
+const MANUAL_STATUS_EVENTS = ['cancel', 'reopen', 'revisit'];
+
+// Fields that only change through their own endpoints: the lifecycle (status, statusHistory), the
+// geofence audit trail and overrides, appointment booking (checked for clashes) and no access outcomes
+const MANAGED_JOB_FIELDS = ['status', 'statusHistory', 'geofence', 'appointment', 'noAccessOutcome'];
+
+// Fields the server works out when a job is completed (distance, mileage, points, reading check)
+const COMPUTED_JOB_FIELDS = ['distanceTraveled', 'mileage', 'points', 'award', 'pointsRule', 'validNoAccess', 'readingCheck'];
+
+// Split a PUT /api/jobs/:id body into the fields it may set and the paths it may not, for every
+// role. $set is read like plain fields; dotted paths are judged by their first segment and any
+// other update operator is refused.
+const jobEdits = (body) => {
+  const { $set: setFields = {}, ...fields } = body;
+  const updates = {};
+  const refused = [];
+  const isObject = setFields !== null && typeof setFields === 'object' && !Array.isArray(setFields);
+  if (!isObject) refused.push('$set');
+
+  Object.entries({ ...fields, ...(isObject ? setFields : {}) }).forEach(([path, value]) => {
+    const root = path.split('.')[0];
+    if (path.startsWith('$') || MANAGED_JOB_FIELDS.includes(root) || COMPUTED_JOB_FIELDS.includes(root)) {
+      refused.push(path);
+    } else {
+      updates[path] = value;
     }
-    
-    console.log(`Generated ${count} JobIDs starting from ${jobIds[0]}`);
-    return jobIds;
-  } catch (error) {
-    console.error('Error generating JobIDs:', error);
-    // Fallback: generate based on timestamp
-    const timestamp = Date.now();
-    const jobIds = [];
-    for (let i = 0; i < count; i++) {
-      const jobId = ((timestamp % 1000000) + i).toString().padStart(6, '0');
-      jobIds.push(jobId);
-    }
-    console.log(`Using fallback JobIDs starting from ${jobIds[0]}`);
-    return jobIds;
-  }
-}
+  });
+  return { updates, refused };
+};
 
-// Helper function to sort jobs by postcode/location proximity
-function sortJobsByProximity(jobs) {
+// Helper function to order jobs into a route from an optional start point (see utils/routePlanner.js).
+// Jobs without coordinates go last, sorted by postcode.
+async function sortJobsByProximity(jobs, start = null) {
   if (jobs.length === 0) return jobs;
-  
-  // Separate jobs with and without coordinates
-  const jobsWithCoords = jobs.filter(job => {
-    const lat = job.house?.latitude || job.address?.latitude || job.location?.latitude;
-    const lng = job.house?.longitude || job.address?.longitude || job.location?.longitude;
-    return lat != null && lng != null;
-  });
-  
-  const jobsWithoutCoords = jobs.filter(job => {
-    const lat = job.house?.latitude || job.address?.latitude || job.location?.latitude;
-    const lng = job.house?.longitude || job.address?.longitude || job.location?.longitude;
-    return lat == null || lng == null;
-  });
-  
-  // If no jobs have coordinates, sort by postcode
-  if (jobsWithCoords.length === 0) {
-    return jobs.sort((a, b) => {
-      const postcodeA = (a.house?.postcode || a.address?.postcode || '').toString();
-      const postcodeB = (b.house?.postcode || b.address?.postcode || '').toString();
-      return postcodeA.localeCompare(postcodeB);
-    });
-  }
-  
-  // Use nearest neighbor algorithm for jobs with coordinates
-  const ordered = [];
-  const remaining = [...jobsWithCoords];
-  
-  // Start with first job
-  let current = remaining.shift();
-  ordered.push(current);
-  
-  while (remaining.length > 0) {
-    let nearestIndex = 0;
-    let minDistance = Infinity;
-    
-    const currentLat = current.house?.latitude || current.address?.latitude || current.location?.latitude;
-    const currentLng = current.house?.longitude || current.address?.longitude || current.location?.longitude;
-    
-    for (let i = 0; i < remaining.length; i++) {
-      const jobLat = remaining[i].house?.latitude || remaining[i].address?.latitude || remaining[i].location?.latitude;
-      const jobLng = remaining[i].house?.longitude || remaining[i].address?.longitude || remaining[i].location?.longitude;
-      
-      if (jobLat != null && jobLng != null) {
-        const distance = calculateDistance(currentLat, currentLng, jobLat, jobLng);
-        if (distance < minDistance) {
-          minDistance = distance;
-          nearestIndex = i;
-        }
-      }
-    }
-    
-    current = remaining.splice(nearestIndex, 1)[0];
-    ordered.push(current);
-  }
-  
-  // Add jobs without coordinates at the end, sorted by postcode
-  jobsWithoutCoords.sort((a, b) => {
-    const postcodeA = (a.house?.postcode || a.address?.zipCode || '').toString();
-    const postcodeB = (b.house?.postcode || b.address?.zipCode || '').toString();
-    return postcodeA.localeCompare(postcodeB);
-  });
-  
-  return [...ordered, ...jobsWithoutCoords];
+  const plan = await routePlanner.planJobs(jobs, { start });
+  return routePlanner.orderedJobs(plan);
 }
 
 // @route   GET /api/jobs
-// @desc    Get all jobs
+// @desc    Get all jobs (?readingCheck=flagged for reads accepted on a photo or confirmation,
+//          ?noAccessOutcome=escalated|defect|revisit|none, ?revisitOf=<job _id> for a job's follow-ups,
+//          ?format=csv|xlsx for every matching job as a download)
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
-    const { status, assignedTo, jobType, priority, page = 1, limit = 10 } = req.query;
+    const format = tableExport.exportFormat(req.query);
+    const { status, assignedTo, jobType, priority, readingCheck, noAccessOutcome, revisitOf, page = 1, limit = 10 } = req.query;
     
     let query = {};
     
@@ -185,11 +92,35 @@ router.get('/', protect, async (req, res) => {
       query.priority = priority;
     }
 
+    if (readingCheck) {
+      query['readingCheck.status'] = readingCheck;
+    }
+
+    if (noAccessOutcome) {
+      query['noAccessOutcome.action'] = noAccessOutcome;
+    }
+
+    if (revisitOf) {
+      if (!mongoose.Types.ObjectId.isValid(revisitOf)) {
+        return res.status(400).json({ message: 'Invalid revisitOf job ID' });
+      }
+      query.revisitOf = revisitOf;
+    }
+
     // If user is meter_reader, only show their jobs
     if (req.user.role === 'meter_reader') {
       query.assignedTo = req.user._id;
     }
 
+    if (format) {
+      const cursor = Job.find(query)
+        .populate('assignedTo', 'firstName lastName employeeId')
+        .sort({ sequenceNumber: 1, scheduledDate: 1 })
+        .lean()
+        .cursor();
+      return await tableExport.sendTable(res, { format, name: 'jobs', columns: tableExport.COLUMNS.jobs, rows: cursor });
+    }
+
     let jobs = await Job.find(query)
       .populate('house', 'address postcode city county latitude longitude meterType')
       .populate('assignedTo', 'firstName lastName username employeeId department')
@@ -227,7 +158,7 @@ router.get('/', protect, async (req, res) => {
     });
 
     // Sort by postcode/location proximity for better route planning
-    jobs = sortJobsByProximity(jobs);
+    jobs = await sortJobsByProximity(jobs);
 
     const total = await Job.countDocuments(query);
 
@@ -238,6 +169,9 @@ router.get('/', protect, async (req, res) => {
       total,
     });
   } catch (error) {
+    if (error instanceof tableExport.TableExportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Get jobs error:', error);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
@@ -252,7 +186,7 @@ router.post('/', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Admin only.' });
     }
 
-    const jobData = req.body;
+    const { status: _status, statusHistory: _statusHistory, ...jobData } = req.body;
     
     // Validate that assigned user is from meter department
     if (!jobData.assignedTo) {
@@ -318,7 +252,7 @@ router.post('/', protect, async (req, res) => {
       jobData.address.country = 'UK';
     }
     
-    // Validate scheduled date - must be today or up to 2 days in the future
+    // Validate scheduled date against the scheduling policy (utils/schedulingPolicy.js)
     if (!jobData.scheduledDate) {
       return res.status(400).json({ 
         message: 'Scheduled date is required' 
@@ -351,38 +285,22 @@ router.post('/', protect, async (req, res) => {
     
     jobData.scheduledDate = scheduledDate;
     
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Start of today
-    const maxFutureDate = new Date(today);
-    maxFutureDate.setDate(maxFutureDate.getDate() + 2); // 2 days from today
-    maxFutureDate.setHours(23, 59, 59, 999); // End of the 2nd day
-    
-    const scheduledDateOnly = new Date(scheduledDate);
-    scheduledDateOnly.setHours(0, 0, 0, 0);
-    
-    if (scheduledDateOnly < today) {
-      return res.status(400).json({ 
-        message: 'Scheduled date cannot be in the past. Please select today or a future date (max 2 days).' 
-      });
-    }
-    
-    if (scheduledDateOnly > maxFutureDate) {
-      return res.status(400).json({ 
-        message: 'Scheduled date cannot be more than 2 days in the future.' 
-      });
+    const policy = await schedulingPolicy.loadPolicy();
+    const dateProblem = schedulingPolicy.dateProblem(scheduledDate, policy, { isAdmin: req.user.role === 'admin' });
+    if (dateProblem) {
+      return res.status(400).json({ message: dateProblem });
     }
     
     // Generate meaningful JobID
     if (!jobData.jobId) {
-      jobData.jobId = await generateNextJobId();
+      jobData.jobId = await generateNextJobId(jobData);
     }
     
     // Assign sequence number if not provided
     // Sequence number should be the next number for this user on the scheduled date
     if (jobData.sequenceNumber === undefined || jobData.sequenceNumber === null) {
       const scheduledDate = jobData.scheduledDate ? new Date(jobData.scheduledDate) : new Date();
-      const startOfDay = new Date(scheduledDate.getFullYear(), scheduledDate.getMonth(), scheduledDate.getDate());
-      const endOfDay = new Date(scheduledDate.getFullYear(), scheduledDate.getMonth(), scheduledDate.getDate() + 1);
+      const { start: startOfDay, end: endOfDay } = businessTime.dayRange(scheduledDate);
       
       // Find the highest sequence number for this user on this date
       const lastJob = await Job.findOne({
@@ -399,6 +317,27 @@ router.post('/', protect, async (req, res) => {
       jobData.sequenceNumber = lastJob && lastJob.sequenceNumber !== null ? lastJob.sequenceNumber + 1 : 1;
     }
     
+    // New jobs always start as pending; later changes go through the job lifecycle
+    jobData.status = 'pending';
+    jobData.statusHistory = [jobLifecycle.createdEntry(jobLifecycle.actorFromUser(req.user, 'Job created'))];
+
+    // Link the job to the house record of its property (created the first time it is seen)
+    // and to the meter it reads there
+    await houseLinking.linkJobsToHouses([jobData]);
+    await meterRegistry.linkJobsToMeters([jobData]);
+
+    // An appointment booked with the job must be on its scheduled date and fit the operative's day
+    delete jobData.appointment;
+    if (req.body.appointment) {
+      const { appointment } = await appointments.prepareBooking(jobData, req.body.appointment, req.user, {
+        confirmConflicts: req.body.appointment.confirmConflicts === true
+      });
+      if (!businessTime.isSameDay(appointment.start, scheduledDate)) {
+        return res.status(400).json({ message: 'The appointment must be on the scheduled date' });
+      }
+      jobData.appointment = appointment;
+    }
+
     const job = await Job.create(jobData);
 
     // Populate the job with house and user data
@@ -429,6 +368,10 @@ router.post('/', protect, async (req, res) => {
     }
   } catch (error) {
     console.error('Create job error:', error);
+
+    if (error instanceof appointments.AppointmentError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     
     // Handle Mongoose validation errors
     if (error.name === 'ValidationError') {
@@ -479,117 +422,15 @@ const excelUpload = multer({
   }
 });
 
-// Helper function to geocode address
-async function geocodeAddress(addressString) {
-  try {
-    // Using Nominatim (OpenStreetMap) geocoding API - free, no API key required
-    // Add more specific parameters for better accuracy
-    const encodedAddress = encodeURIComponent(addressString);
-    
-    // Try with more specific parameters first - use UK-specific search for better accuracy
-    // Add country code and postal code priority for UK addresses
-    let searchUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodedAddress}&limit=1&addressdetails=1&extratags=1&namedetails=1&countrycodes=gb`;
-    
-    // If address contains postcode, prioritize it
-    const postcodeMatch = addressString.match(/\b[A-Z]{1,2}\d{1,2}[A-Z]?\s?\d[A-Z]{2}\b/i);
-    if (postcodeMatch) {
-      const postcode = postcodeMatch[0].replace(/\s+/g, '').toUpperCase();
-      searchUrl += `&postalcode=${encodeURIComponent(postcode)}`;
-    }
-    
-    const response = await axios.get(searchUrl, {
-      headers: {
-        'User-Agent': 'MeterMate-App/1.0',
-        'Accept-Language': 'en-GB,en'
-      },
-      timeout: 10000 // Increased timeout for better reliability
-    });
-
-    if (response.data && response.data.length > 0) {
-      const result = response.data[0];
-      const lat = parseFloat(result.lat);
-      const lon = parseFloat(result.lon);
-      const importance = parseFloat(result.importance) || 0.5;
-      
-      // Log geocoding result for debugging
-      console.log(`Geocoded "${addressString}" to: ${lat}, ${lon} (importance: ${importance}, type: ${result.type || 'unknown'})`);
-      
-      // Validate coordinates are reasonable
-      if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
-        console.error('Invalid coordinates from geocoding:', lat, lon);
-        return null;
-      }
-      
-      // Check if geocoding result has good accuracy (importance > 0.3 is usually good)
-      // Lower importance means less accurate (e.g., city-level instead of street-level)
-      if (importance < 0.3) {
-        console.warn(`⚠️ Low geocoding accuracy (importance: ${importance}) for: ${addressString}`);
-        console.warn(`   Result type: ${result.type}, Display: ${result.display_name}`);
-        // Still return it, but log the warning
-      }
-      
-      return {
-        latitude: lat,
-        longitude: lon,
-        accuracy: importance, // Store importance/accuracy score
-        displayName: result.display_name || addressString,
-        type: result.type || 'unknown'
-      };
-    }
-    
-    console.warn(`No geocoding results for: ${addressString}`);
-    return null;
-  } catch (error) {
-    console.error('Geocoding error:', error.message);
-    // Try fallback geocoding service if Nominatim fails
-    try {
-      // Fallback: Try Google Geocoding API (if API key is available) or use a different service
-      // For now, just log the error and return null
-      console.error('Geocoding failed, address may need manual coordinates:', addressString);
-    } catch (fallbackError) {
-      console.error('Fallback geocoding also failed:', fallbackError.message);
-    }
-    return null;
-  }
-}
-
-// Helper function to order jobs by nearest neighbor (location-based ordering)
-function orderJobsByLocation(jobsWithCoords) {
-  if (jobsWithCoords.length === 0) return [];
-
-  // Use nearest neighbor algorithm
-  const ordered = [];
-  const remaining = [...jobsWithCoords];
-  
-  // Start with first job
-  let current = remaining.shift();
-  ordered.push(current);
-
-  while (remaining.length > 0) {
-    // Find nearest job to current
-    let nearestIndex = 0;
-    let minDistance = Infinity;
-
-    for (let i = 0; i < remaining.length; i++) {
-      const distance = calculateDistance(
-        current.latitude, current.longitude,
-        remaining[i].latitude, remaining[i].longitude
-      );
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestIndex = i;
-      }
-    }
-
-    current = remaining.splice(nearestIndex, 1)[0];
-    ordered.push(current);
-  }
-
-  return ordered;
-}
-
 // @route   POST /api/jobs/upload-excel
-// @desc    Upload Excel file with job details and create jobs ordered by location
+// @desc    Upload an Excel file of jobs for review. Rows are validated straight away and the upload is
+//          stored as an import (see /api/imports); geocoding and duplicate checks then run in the
+//          background, reporting progress as importUpdate socket events. No jobs are created until
+//          the import is committed. Send assignedTo for one operative, or assignees (list of
+//          user IDs) to share the rows between several. template names the column mapping to read
+//          the sheet with (see /api/import-templates); without it the mapping is detected from the
+//          header row. autoCommit=true leaves out rows with errors and creates the rest as soon as
+//          processing finishes.
 // @access  Private (Admin only)
 router.post('/upload-excel', protect, excelUpload.single('excelFile'), async (req, res) => {
   try {
@@ -601,301 +442,61 @@ router.post('/upload-excel', protect, excelUpload.single('excelFile'), async (re
       return res.status(400).json({ message: 'No Excel file uploaded' });
     }
 
-    const { assignedTo, scheduledDate, priority = 'medium' } = req.body;
+    const { assignedTo, assignees, scheduledDate, priority = 'medium', template } = req.body;
+    const autoCommit = req.body.autoCommit === true || req.body.autoCommit === 'true';
 
-    if (!assignedTo) {
+    const operativeIds = [...new Set(jobImport.parseIdList(assignees || assignedTo))];
+    if (operativeIds.length === 0) {
       return res.status(400).json({ message: 'Assigned user is required' });
     }
-
-    // Validate assigned user
-    const assignedUser = await User.findById(assignedTo);
-    if (!assignedUser || assignedUser.department !== 'meter') {
-      return res.status(400).json({ message: 'Assigned user must be from meter department' });
-    }
-    
-    // Get employeeId from assigned user
-    const employeeId = assignedUser.employeeId || '';
-    
-    // Validate scheduled date - must be today or up to 2 days in the future
-    if (scheduledDate) {
-      const scheduledDateObj = scheduledDate.includes('T') ? new Date(scheduledDate) : new Date(scheduledDate + 'T00:00:00');
-      const today = new Date();
-      today.setHours(0, 0, 0, 0); // Start of today
-      const maxFutureDate = new Date(today);
-      maxFutureDate.setDate(maxFutureDate.getDate() + 2); // 2 days from today
-      maxFutureDate.setHours(23, 59, 59, 999); // End of the 2nd day
-      
-      const scheduledDateOnly = new Date(scheduledDateObj);
-      scheduledDateOnly.setHours(0, 0, 0, 0);
-      
-      if (scheduledDateOnly < today) {
-        return res.status(400).json({ 
-          message: 'Scheduled date cannot be in the past. Please select today or a future date (max 2 days).' 
-        });
-      }
-      
-      if (scheduledDateOnly > maxFutureDate) {
-        return res.status(400).json({ 
-          message: 'Scheduled date cannot be more than 2 days in the future.' 
-        });
-      }
-    }
-
-    // Parse Excel file
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const jsonData = XLSX.utils.sheet_to_json(worksheet);
-
-    console.log(`Excel file parsed: ${jsonData.length} rows found`);
-
-    if (jsonData.length === 0) {
-      return res.status(400).json({ message: 'Excel file is empty' });
-    }
-
-    // Log first row to help debug column mapping
-    if (jsonData.length > 0) {
-      console.log('Sample row data:', JSON.stringify(jsonData[0], null, 2));
+    if (operativeIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid assigned user ID' });
     }
 
-    // Expected columns: street, city, state, postcode, jobType, sup, jt, cust, meterMake, meterModel, meterSerialNumber, notes
-    const jobsData = [];
-    const jobsWithCoords = [];
-
-    // Process each row and geocode addresses
-    for (let i = 0; i < jsonData.length; i++) {
-      const row = jsonData[i];
-      
-      // Build address string
-      const street = (row.street || row.Street || row.address || row.Address || '').toString().trim();
-      const city = (row.city || row.City || '').toString().trim();
-      const state = (row.state || row.State || '').toString().trim();
-      const postcode = (row.postcode || row.Postcode || row.zipCode || row['zipCode'] || row['Zip Code'] || row['Postcode'] || '').toString().trim();
-      
-      if (!street || !city || !state) {
-        console.warn(`Skipping row ${i + 1}: Missing required address fields (street: "${street}", city: "${city}", state: "${state}")`);
-        console.warn(`Row ${i + 1} data:`, JSON.stringify(row, null, 2));
-        continue;
-      }
-
-      // Build address string with all available components for better geocoding accuracy
-      const addressParts = [];
-      if (street) addressParts.push(street);
-      if (city) addressParts.push(city);
-      if (state) addressParts.push(state);
-      if (postcode) addressParts.push(postcode);
-      const addressString = addressParts.join(', ');
-
-      // Geocode address with retry logic for better accuracy
-      let coords = null;
-      let retryCount = 0;
-      while (coords === null && retryCount < 3) {
-        coords = await geocodeAddress(addressString);
-        if (coords === null && retryCount < 2) {
-          // Wait a bit longer between retries
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          retryCount++;
-        } else {
-          break;
-        }
-      }
-      
-      const jobData = {
-        jobType: (row.jobType || row['Job Type'] || row.type || 'electricity').toString().toLowerCase(),
-        address: {
-          street,
-          city,
-          state,
-          postcode,
-          country: 'USA'
-        },
-        assignedTo: new mongoose.Types.ObjectId(assignedTo),
-        employeeId: employeeId, // Add employeeId from assigned user
-        priority: (row.priority || priority).toString().toLowerCase(),
-        status: 'pending',
-        scheduledDate: (() => {
-          // Validate and set scheduled date
-          let jobScheduledDate = scheduledDate ? (scheduledDate.includes('T') ? new Date(scheduledDate) : new Date(scheduledDate + 'T00:00:00')) : new Date();
-          
-          // Validate scheduled date - must be today or up to 2 days in the future
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-          const maxFutureDate = new Date(today);
-          maxFutureDate.setDate(maxFutureDate.getDate() + 2);
-          maxFutureDate.setHours(23, 59, 59, 999);
-          
-          const scheduledDateOnly = new Date(jobScheduledDate);
-          scheduledDateOnly.setHours(0, 0, 0, 0);
-          
-          if (scheduledDateOnly < today) {
-            console.warn(`Row ${i + 1}: Scheduled date is in the past, using today's date instead`);
-            return new Date();
-          } else if (scheduledDateOnly > maxFutureDate) {
-            console.warn(`Row ${i + 1}: Scheduled date is more than 2 days in the future, using max future date instead`);
-            return maxFutureDate;
-          }
-          
-          return jobScheduledDate;
-        })(),
-        sup: (row.sup || row.Sup || row.supplier || '').toString().trim(),
-        jt: (row.jt || row.JT || row['Job Title'] || '').toString().trim(),
-        cust: (row.cust || row.Cust || row.customer || '').toString().trim(),
-        meterMake: (row.meterMake || row['Meter Make'] || row.make || '').toString().trim(),
-        meterModel: (row.meterModel || row['Meter Model'] || row.model || '').toString().trim(),
-        meterSerialNumber: (row.meterSerialNumber || row['Meter Serial Number'] || row.serialNumber || '').toString().trim(),
-        notes: (row.notes || row.Notes || '').toString().trim(),
-      };
-
-      // Add location if geocoded - ensure coordinates are properly stored
-      if (coords) {
-        // Store coordinates in multiple places for reliability
-        jobData.address.latitude = coords.latitude;
-        jobData.address.longitude = coords.longitude;
-        jobData.location = { 
-          latitude: coords.latitude, 
-          longitude: coords.longitude 
-        };
-        // Also add top-level for sorting (will be removed before saving)
-        jobsWithCoords.push({ 
-          ...jobData, 
-          latitude: coords.latitude, 
-          longitude: coords.longitude 
-        });
-        console.log(`✅ Geocoded job ${i + 1}: ${addressString} -> ${coords.latitude}, ${coords.longitude}`);
-      } else {
-        console.warn(`⚠️ Failed to geocode job ${i + 1}: ${addressString}`);
-        jobsWithCoords.push({ ...jobData, latitude: null, longitude: null });
-      }
-
-      jobsData.push(jobData);
-
-      // Rate limiting for geocoding (avoid too many requests)
-      if (i < jsonData.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
-      }
+    // Validate assigned users
+    const operativeUsers = await User.find({ _id: { $in: operativeIds } });
+    if (operativeUsers.length !== operativeIds.length || operativeUsers.some(user => user.department !== 'meter')) {
+      return res.status(400).json({ message: 'Assigned user must be from meter department' });
     }
 
-    // Order jobs by nearest neighbor algorithm
-    const orderedJobs = orderJobsByLocation(jobsWithCoords.filter(j => j.latitude !== null));
-    const jobsWithoutCoords = jobsWithCoords.filter(j => j.latitude === null);
-
-    console.log(`Total jobs to create: ${orderedJobs.length + jobsWithoutCoords.length}`);
-    console.log(`Jobs with coordinates: ${orderedJobs.length}, Jobs without coordinates: ${jobsWithoutCoords.length}`);
-
-    // Assign sequence numbers and generate JobIDs
-    let sequenceNumber = 1;
-    const jobsToCreate = [];
-    const totalJobsToCreate = orderedJobs.length + jobsWithoutCoords.length;
-    
-    // Generate all JobIDs at once to avoid race conditions
-    const jobIds = await generateJobIds(totalJobsToCreate);
-    let jobIdIndex = 0;
-
-    // Add ordered jobs first
-    for (const job of orderedJobs) {
-      // Remove top-level latitude/longitude (used only for sorting)
-      // But keep address.latitude/longitude and location object
-      const { latitude, longitude, ...jobData } = job;
-      jobData.sequenceNumber = sequenceNumber++;
-      // Assign JobID from pre-generated list
-      jobData.jobId = jobIds[jobIdIndex++];
-      
-      // Ensure coordinates are properly set in address and location
-      // (They should already be set, but double-check)
-      if (jobData.address && jobData.address.latitude && jobData.address.longitude) {
-        // Ensure location object is properly structured
-        if (!jobData.location || !jobData.location.latitude) {
-          jobData.location = {
-            latitude: jobData.address.latitude,
-            longitude: jobData.address.longitude
-          };
-        }
-        console.log(`✅ Job ${jobData.sequenceNumber} coordinates: ${jobData.address.latitude}, ${jobData.address.longitude}`);
+    // Validate the default scheduled date against the scheduling policy; dates in the sheet
+    // are checked row by row
+    if (scheduledDate) {
+      const policy = await schedulingPolicy.loadPolicy();
+      const dateProblem = schedulingPolicy.dateProblem(jobImport.parseDate(scheduledDate), policy, { isAdmin: true });
+      if (dateProblem) {
+        return res.status(400).json({ message: dateProblem });
       }
-      
-      jobsToCreate.push(jobData);
-    }
-
-    // Add jobs without coordinates at the end
-    for (const job of jobsWithoutCoords) {
-      const { latitude, longitude, ...jobData } = job;
-      jobData.sequenceNumber = sequenceNumber++;
-      // Assign JobID from pre-generated list
-      jobData.jobId = jobIds[jobIdIndex++];
-      jobsToCreate.push(jobData);
-    }
-
-    if (jobsToCreate.length === 0) {
-      console.error('No jobs to create after processing Excel file');
-      return res.status(400).json({ 
-        message: 'No valid jobs found in Excel file. Please check the file format and required columns (street, city, state).' 
-      });
     }
 
-    console.log(`Creating ${jobsToCreate.length} jobs...`);
-
-    // Create jobs in bulk
-    let createdJobs;
-    try {
-      createdJobs = await Job.insertMany(jobsToCreate);
-      console.log(`Successfully created ${createdJobs.length} jobs in database`);
-    } catch (insertError) {
-      console.error('Error inserting jobs:', insertError);
-      
-      // Check if it's a duplicate key error (jobId conflict)
-      if (insertError.code === 11000) {
-        // Try to find which jobId caused the conflict
-        const duplicateKey = insertError.keyPattern || insertError.keyValue;
-        return res.status(400).json({ 
-          message: `Duplicate JobID detected. Please try uploading again. Error: ${insertError.message}`,
-          error: 'DUPLICATE_JOBID'
-        });
-      }
-      
-      // Check for validation errors
-      if (insertError.name === 'ValidationError') {
-        const validationErrors = Object.values(insertError.errors || {}).map(err => err.message);
-        return res.status(400).json({ 
-          message: `Validation error: ${validationErrors.join(', ')}`,
-          errors: validationErrors
-        });
+    const batch = await jobImport.createBatch({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      user: req.user,
+      options: {
+        assignees: operativeIds,
+        scheduledDate: scheduledDate ? jobImport.parseDate(scheduledDate) : undefined,
+        priority,
+        template,
+        autoCommit
       }
-      
-      throw insertError; // Re-throw if it's not a handled error
-    }
-
-    // Populate created jobs
-    const populatedJobs = await Job.find({ _id: { $in: createdJobs.map(j => j._id) } })
-      .populate('assignedTo', 'firstName lastName username employeeId department');
-
-    // Emit WebSocket event to admin room
-    if (global.io) {
-      global.io.to('admin_room').emit('jobUpdate', {
-        type: 'jobsBulkCreated',
-        count: createdJobs.length,
-        jobs: populatedJobs,
-        timestamp: new Date()
-      });
-
-      // Also notify the assigned user about new jobs
-      global.io.to(`user_${assignedTo}`).emit('jobUpdate', {
-        type: 'newJobsAssigned',
-        count: createdJobs.length,
-        jobs: populatedJobs,
-        timestamp: new Date(),
-        message: `You have been assigned ${createdJobs.length} new job(s)`
-      });
+    });
 
-      console.log(`WebSocket notifications sent to admin_room and user_${assignedTo}`);
-    }
+    importQueue.enqueue(batch._id);
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: `Successfully created ${createdJobs.length} jobs ordered by location`,
-      count: createdJobs.length,
-      jobs: populatedJobs
+      message: `Import queued: ${batch.progress.total} rows. Progress is sent as importUpdate events and at /api/imports/${batch._id}/status.`,
+      importId: batch._id,
+      status: batch.status,
+      autoCommit,
+      template: batch.template,
+      progress: { processed: batch.progress.processed, total: batch.progress.total }
     });
   } catch (error) {
+    if (error instanceof jobImport.ImportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Excel upload error:', error);
     console.error('Error stack:', error.stack);
     
@@ -959,8 +560,13 @@ router.get('/assigned', protect, async (req, res) => {
       .populate('assignedTo', 'firstName lastName username employeeId department')
       .sort({ sequenceNumber: 1, scheduledDate: 1 }); // Sort by sequence number first, then scheduled date
 
-    // Sort by postcode/location proximity for better route planning
-    jobs = sortJobsByProximity(jobs);
+    // Only the open jobs the operative's today list covers are put in route order, starting from where
+    // the operative is; planning the whole job history would hold up the server. The rest follow as stored.
+    const { start: windowStart, end: windowEnd } = schedulingPolicy.viewWindow(await schedulingPolicy.loadPolicy());
+    const inRoute = (job) => !jobLifecycle.CLOSED_STATUSES.includes(job.status)
+      && job.scheduledDate >= windowStart && job.scheduledDate < windowEnd;
+    const routed = await sortJobsByProximity(jobs.filter(inRoute), req.user.currentLocation);
+    jobs = [...routed, ...jobs.filter((job) => !inRoute(job))];
 
     res.json({
       jobs,
@@ -979,7 +585,8 @@ router.get('/assigned', protect, async (req, res) => {
 });
 
 // @route   GET /api/jobs/today
-// @desc    Get today's jobs and jobs scheduled up to 2 days in the future (for mobile app)
+// @desc    Get today's jobs and jobs scheduled in the days ahead the scheduling policy shows
+//          operatives (viewDaysAhead) (for mobile app)
 // @access  Private (Meter readers only)
 router.get('/today', protect, async (req, res) => {
   try {
@@ -988,9 +595,7 @@ router.get('/today', protect, async (req, res) => {
     }
 
     const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    // Allow jobs scheduled for today and up to 2 days in the future
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 3); // +3 to include the full 2 days
+    const { start: startOfDay, end: endOfDay } = schedulingPolicy.viewWindow(await schedulingPolicy.loadPolicy(), today);
 
     const { status, jobType, priority } = req.query;
     
@@ -1020,8 +625,8 @@ router.get('/today', protect, async (req, res) => {
       .sort({ sequenceNumber: 1, scheduledDate: 1 }); // Sort by sequence number first, then scheduled date
     // createdAt is automatically included via timestamps: true in the model
 
-    // Sort by postcode/location proximity for better route planning
-    jobs = sortJobsByProximity(jobs);
+    // Sort by postcode/location proximity for better route planning, starting from where the operative is
+    jobs = await sortJobsByProximity(jobs, req.user.currentLocation);
 
     // Get job counts by status
     const pendingCount = await Job.countDocuments({
@@ -1036,7 +641,7 @@ router.get('/today', protect, async (req, res) => {
     
     const completedCount = await Job.countDocuments({
       ...query,
-      status: 'completed'
+      status: { $in: jobLifecycle.COMPLETED_STATUSES }
     });
 
     res.json({
@@ -1048,7 +653,7 @@ router.get('/today', protect, async (req, res) => {
         completed: completedCount,
         total: jobs.length
       },
-      date: today.toISOString().split('T')[0],
+      date: businessTime.dayKey(today),
       user: {
         _id: req.user.id,
         firstName: req.user.firstName,
@@ -1062,8 +667,51 @@ router.get('/today', protect, async (req, res) => {
   }
 });
 
+// Jobs for today and the days ahead operatives are shown (scheduling policy) for an operative, in
+// route order day by day from the location the app sent (?userLatitude=&userLongitude=), otherwise
+// their last known location. Shared by /today-geo and the printed run sheet.
+async function loadRouteJobs(user, { status, jobType, priority, userLatitude, userLongitude } = {}) {
+  const { start: startOfDay, end: endOfDay } = schedulingPolicy.viewWindow(await schedulingPolicy.loadPolicy());
+
+  const query = {
+    assignedTo: user._id,
+    scheduledDate: {
+      $gte: startOfDay,
+      $lt: endOfDay
+    }
+  };
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (jobType) {
+    query.jobType = jobType;
+  }
+
+  if (priority) {
+    query.priority = priority;
+  }
+
+  const jobs = await Job.find(query)
+    .populate('house', 'address postcode city county latitude longitude meterType')
+    .populate('assignedTo', 'firstName lastName username employeeId department')
+    .sort({ sequenceNumber: 1, scheduledDate: 1 }); // Sort by sequence number first, then scheduled date
+
+  const routeStart = userLatitude && userLongitude
+    ? { latitude: parseFloat(userLatitude), longitude: parseFloat(userLongitude) }
+    : user.currentLocation;
+  // Each day is planned on its own so booked appointment windows are kept; later days
+  // start from home
+  const ordered = await routePlanner.planDays(jobs, {
+    start: routeStart,
+    laterStart: routePlanner.pointOf(user.homeLocation) || routeStart,
+  });
+  return { jobs: ordered, query };
+}
+
 // @route   GET /api/jobs/today-geo
-// @desc    Get today's jobs and jobs scheduled up to 2 days in the future, sorted by geographical distance
+// @desc    Get today's jobs and jobs scheduled in the days ahead operatives are shown, sorted by geographical distance
 // @access  Private (Meter readers only)
 router.get('/today-geo', protect, async (req, res) => {
   try {
@@ -1071,40 +719,9 @@ router.get('/today-geo', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Meter readers only.' });
     }
 
+    const { userLatitude, userLongitude } = req.query;
     const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    // Allow jobs scheduled for today and up to 2 days in the future
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 3); // +3 to include the full 2 days
-
-    const { status, jobType, priority, userLatitude, userLongitude } = req.query;
-    
-    let query = { 
-      assignedTo: req.user._id,
-      scheduledDate: {
-        $gte: startOfDay,
-        $lt: endOfDay
-      }
-    };
-    
-    if (status) {
-      query.status = status;
-    }
-    
-    if (jobType) {
-      query.jobType = jobType;
-    }
-
-    if (priority) {
-      query.priority = priority;
-    }
-
-    let jobs = await Job.find(query)
-      .populate('house', 'address postcode city county latitude longitude meterType')
-      .populate('assignedTo', 'firstName lastName username employeeId department')
-      .sort({ sequenceNumber: 1, scheduledDate: 1 }); // Sort by sequence number first, then scheduled date
-
-    // Sort by postcode/location proximity for better route planning
-    jobs = sortJobsByProximity(jobs);
+    const { jobs, query } = await loadRouteJobs(req.user, req.query);
 
     // If user location is provided, add distance from user for display
     if (userLatitude && userLongitude) {
@@ -1137,7 +754,7 @@ router.get('/today-geo', protect, async (req, res) => {
     
     const completedCount = await Job.countDocuments({
       ...query,
-      status: 'completed'
+      status: { $in: jobLifecycle.COMPLETED_STATUSES }
     });
 
     res.json({
@@ -1149,7 +766,7 @@ router.get('/today-geo', protect, async (req, res) => {
         completed: completedCount,
         total: jobs.length
       },
-      date: today.toISOString().split('T')[0],
+      date: businessTime.dayKey(today),
       user: {
         _id: req.user.id,
         firstName: req.user.firstName,
@@ -1163,38 +780,197 @@ router.get('/today-geo', protect, async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two coordinates (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Radius of the Earth in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c; // Distance in miles
-  return distance;
-}
-
-// @route   GET /api/jobs/my-count
-// @desc    Get job counts for current user (meter readers only)
-// @access  Private (Meter readers only)
-router.get('/my-count', protect, async (req, res) => {
+// @route   GET /api/jobs/run-sheet
+// @desc    Printable PDF run sheet of the jobs /today-geo returns, in the same order
+//          (same query parameters; admins pass ?userId=)
+// @access  Private (Meter readers for themselves, admins for any operative)
+router.get('/run-sheet', protect, async (req, res) => {
   try {
-    // Only meter readers can access this endpoint
-    if (req.user.role !== 'meter_reader') {
-      return res.status(403).json({ message: 'Access denied. Meter readers only.' });
+    let user = req.user;
+    if (req.user.role === 'admin') {
+      if (!req.query.userId || !mongoose.Types.ObjectId.isValid(req.query.userId)) {
+        return res.status(400).json({ message: 'A valid userId is required' });
+      }
+      user = await User.findById(req.query.userId).select('-password');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+    } else if (req.user.role !== 'meter_reader') {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
-    const { status, jobType, priority, dateRange } = req.query;
+    const { jobs } = await loadRouteJobs(user, req.query);
+    const date = new Date();
+    const doc = jobSheets.buildRunSheet({ user, jobs, date });
+    jobSheets.sendPdf(res, doc, `run-sheet-${user.employeeId || user.username || user._id}-${businessTime.dayKey(date)}.pdf`);
+  } catch (error) {
+    console.error('Run sheet error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
 
-    let query = { assignedTo: req.user._id };
+// @route   POST /api/jobs/reoptimise
+// @desc    Re-plan the order of an operative's remaining jobs for a day ("re-optimise my day")
+// @access  Private (Meter readers for their own day; admins pass userId)
+router.post('/reoptimise', protect, async (req, res) => {
+  try {
+    const { date, latitude, longitude } = req.body;
+    let user = req.user;
 
-    // Add filters
-    if (status) {
-      query.status = status;
-    }
+    if (req.user.role === 'admin') {
+      if (!req.body.userId || !mongoose.Types.ObjectId.isValid(req.body.userId)) {
+        return res.status(400).json({ message: 'A valid userId is required' });
+      }
+      user = await User.findById(req.body.userId).select('-password');
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+    } else if (req.user.role !== 'meter_reader') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const day = date ? businessTime.parseDay(date) : new Date();
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+    const { start: startOfDay, end: endOfDay } = businessTime.dayRange(day);
+
+    const jobs = await Job.find({
+      assignedTo: user._id,
+      scheduledDate: { $gte: startOfDay, $lt: endOfDay }
+    }).populate('house', 'address postcode city county latitude longitude meterType');
+
+    const pendingJobs = jobs.filter(job => job.status === 'pending');
+    if (pendingJobs.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No pending jobs to re-optimise',
+        data: { date: startOfDay, stops: [], unlocated: [], totalMiles: 0, totalMinutes: 0, lateStops: 0 }
+      });
+    }
+
+    // Leave from the job in progress, else where the operative says they are, else their
+    // last known location, else home/depot
+    const inProgress = jobs.find(job => job.status === 'in_progress');
+    const origin = [
+      { source: 'in_progress_job', location: inProgress ? routePlanner.jobPoint(inProgress) : null },
+      { source: 'request', location: routePlanner.pointOf({ latitude, longitude }) },
+      { source: 'current_location', location: routePlanner.pointOf(user.currentLocation) },
+      { source: 'home', location: routePlanner.pointOf(user.homeLocation) }
+    ].find(candidate => candidate.location);
+
+    const plan = await routePlanner.planJobs(pendingJobs, {
+      start: origin ? origin.location : null,
+      date: startOfDay,
+      departAt: new Date()
+    });
+
+    // Pending jobs follow the ones already started or finished
+    const firstSequence = jobs
+      .filter(job => job.status !== 'pending')
+      .reduce((max, job) => Math.max(max, job.sequenceNumber || 0), 0) + 1;
+    const plannedAt = new Date();
+    const ordered = routePlanner.orderedJobs(plan);
+    const stopsByJob = new Map(plan.stops.map(stop => [stop.job._id.toString(), stop]));
+
+    const updates = ordered.map((job, index) => {
+      const stop = stopsByJob.get(job._id.toString());
+      return {
+        updateOne: {
+          filter: { _id: job._id, status: 'pending' },
+          update: {
+            $set: {
+              sequenceNumber: firstSequence + index,
+              route: stop
+                ? { eta: stop.eta, legMiles: stop.legMiles, windowStatus: stop.windowStatus, plannedAt }
+                : { plannedAt }
+            }
+          }
+        }
+      };
+    });
+    await Job.bulkWrite(updates);
+
+    const summary = {
+      date: startOfDay,
+      start: origin ? { source: origin.source, ...origin.location } : null,
+      departAt: plan.departAt,
+      totalMiles: plan.totalMiles,
+      totalMinutes: plan.totalMinutes,
+      lateStops: plan.lateStops,
+      nearestNeighbourMiles: plan.nearestNeighbourMiles,
+      stops: plan.stops.map((stop, index) => ({
+        _id: stop.job._id,
+        jobId: stop.job.jobId,
+        sequenceNumber: firstSequence + index,
+        eta: stop.eta,
+        legMiles: stop.legMiles,
+        waitMinutes: stop.waitMinutes,
+        lateMinutes: stop.lateMinutes,
+        windowStatus: stop.windowStatus
+      })),
+      unlocated: plan.unlocated.map((job, index) => ({
+        _id: job._id,
+        jobId: job.jobId,
+        sequenceNumber: firstSequence + plan.stops.length + index
+      }))
+    };
+
+    if (global.io) {
+      const event = {
+        type: 'route_reoptimised',
+        userId: user._id,
+        date: startOfDay,
+        totalMiles: plan.totalMiles,
+        timestamp: new Date()
+      };
+      global.io.to(`user_${user._id}`).emit('jobUpdate', event);
+      global.io.to('admin_room').emit('jobUpdate', event);
+    }
+
+    res.json({
+      success: true,
+      message: `Re-optimised ${ordered.length} pending job(s)`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Re-optimise route error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// Helper function to calculate distance between two coordinates (Haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 3959; // Radius of the Earth in miles
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  const distance = R * c; // Distance in miles
+  return distance;
+}
+
+// @route   GET /api/jobs/my-count
+// @desc    Get job counts for current user (meter readers only)
+// @access  Private (Meter readers only)
+router.get('/my-count', protect, async (req, res) => {
+  try {
+    // Only meter readers can access this endpoint
+    if (req.user.role !== 'meter_reader') {
+      return res.status(403).json({ message: 'Access denied. Meter readers only.' });
+    }
+
+    const { status, jobType, priority, dateRange } = req.query;
+
+    let query = { assignedTo: req.user._id };
+
+    // Add filters
+    if (status) {
+      query.status = status;
+    }
     
     if (jobType) {
       query.jobType = jobType;
@@ -1206,9 +982,7 @@ router.get('/my-count', protect, async (req, res) => {
 
     // Add date range filter if provided
     if (dateRange === 'today') {
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+      const { start: startOfDay, end: endOfDay } = businessTime.dayRange();
       query.scheduledDate = {
         $gte: startOfDay,
         $lt: endOfDay
@@ -1221,7 +995,7 @@ router.get('/my-count', protect, async (req, res) => {
     // Get counts by status
     const pendingCount = await Job.countDocuments({ ...query, status: 'pending' });
     const inProgressCount = await Job.countDocuments({ ...query, status: 'in_progress' });
-    const completedCount = await Job.countDocuments({ ...query, status: 'completed' });
+    const completedCount = await Job.countDocuments({ ...query, status: { $in: jobLifecycle.COMPLETED_STATUSES } });
     const cancelledCount = await Job.countDocuments({ ...query, status: 'cancelled' });
 
     // Get counts by job type
@@ -1318,9 +1092,7 @@ router.get('/user/:userId/count', protect, async (req, res) => {
 
     // Add date range filter if provided
     if (dateRange === 'today') {
-      const today = new Date();
-      const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-      const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+      const { start: startOfDay, end: endOfDay } = businessTime.dayRange();
       query.scheduledDate = {
         $gte: startOfDay,
         $lt: endOfDay
@@ -1333,7 +1105,7 @@ router.get('/user/:userId/count', protect, async (req, res) => {
     // Get counts by status
     const pendingCount = await Job.countDocuments({ ...query, status: 'pending' });
     const inProgressCount = await Job.countDocuments({ ...query, status: 'in_progress' });
-    const completedCount = await Job.countDocuments({ ...query, status: 'completed' });
+    const completedCount = await Job.countDocuments({ ...query, status: { $in: jobLifecycle.COMPLETED_STATUSES } });
     const cancelledCount = await Job.countDocuments({ ...query, status: 'cancelled' });
 
     // Get counts by job type
@@ -1423,7 +1195,7 @@ router.get('/debug-data', protect, async (req, res) => {
 
     // Get completed jobs count
     const completedJobsCount = await Job.find({
-      status: 'completed'
+      status: { $in: jobLifecycle.COMPLETED_STATUSES }
     }).countDocuments();
 
     // Get jobs by status for each user
@@ -1490,11 +1262,17 @@ router.put('/:id/test-complete', protect, async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
 
+    const events = jobLifecycle.findPath(job.status, 'completed', { allowedEvents: ['start', 'complete'] });
+    if (!events) {
+      return res.status(400).json({ message: `Cannot test-complete a job that is ${job.status}` });
+    }
+
     // Mark job as completed with some test data
-    const updatedJob = await Job.findByIdAndUpdate(
-      req.params.id,
+    const updatedJob = await jobLifecycle.transitionJob(
+      job,
+      events,
+      jobLifecycle.actorFromUser(req.user, 'Test completion'),
       {
-        status: 'completed',
         completedDate: new Date(),
         distanceTraveled: 5.2, // Test distance in miles
         endLocation: {
@@ -1502,11 +1280,12 @@ router.put('/:id/test-complete', protect, async (req, res) => {
           longitude: -0.1278,
           timestamp: new Date()
         }
-      },
-      { new: true, runValidators: true }
-    )
-      .populate('assignedTo', 'firstName lastName username employeeId department')
-      .populate('house', 'address postcode city county latitude longitude meterType');
+      }
+    );
+    await updatedJob.populate([
+      { path: 'assignedTo', select: 'firstName lastName username employeeId department' },
+      { path: 'house', select: 'address postcode city county latitude longitude meterType' }
+    ]);
 
     res.json({
       success: true,
@@ -1515,12 +1294,15 @@ router.put('/:id/test-complete', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Test complete job error:', error);
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
 
 // @route   GET /api/jobs/wage-report
-// @desc    Get wage calculation report for all users (Admin only)
+// @desc    Get wage calculation report for all users (Admin only; ?format=csv|xlsx for one row per operative)
 // @access  Private (Admin only)
 router.get('/wage-report', protect, async (req, res) => {
   try {
@@ -1528,30 +1310,27 @@ router.get('/wage-report', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Admin only.' });
     }
 
-    const { userId, startDate, endDate, ratePerMile = 0.50, fuelAllowancePerJob = 1.00 } = req.query;
+    const format = tableExport.exportFormat(req.query);
 
-    // Build date filter
-    let dateFilter = {};
-    if (startDate && endDate) {
-      dateFilter = {
-        scheduledDate: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate)
-        }
-      };
-    } else if (startDate) {
-      dateFilter = {
-        scheduledDate: {
-          $gte: new Date(startDate)
-        }
-      };
-    } else if (endDate) {
-      dateFilter = {
-        scheduledDate: {
-          $lte: new Date(endDate)
-        }
-      };
+    const { userId, startDate, endDate, ratePerMile, fuelAllowancePerJob } = req.query;
+
+    // Rates given in the query override every job; otherwise each job is paid at the
+    // rates recorded when it was completed (see utils/pointsRules.js)
+    const rateOverride = ratePerMile !== undefined && ratePerMile !== '' ? parseFloat(ratePerMile) : null;
+    const fuelOverride = fuelAllowancePerJob !== undefined && fuelAllowancePerJob !== '' ? parseFloat(fuelAllowancePerJob) : null;
+    if (Number.isNaN(rateOverride) || Number.isNaN(fuelOverride)) {
+      return res.status(400).json({ message: 'ratePerMile and fuelAllowancePerJob must be numbers' });
     }
+    const currentRules = await pointsRules.resolveRules();
+    const reportRatePerMile = rateOverride !== null ? rateOverride : currentRules.wageRatePerMile;
+    const reportFuelAllowancePerJob = fuelOverride !== null ? fuelOverride : currentRules.fuelAllowancePerJob;
+
+    // Build date filter (whole business days, the end date included)
+    const scheduledRange = businessTime.daysFilter(startDate, endDate);
+    if (!scheduledRange) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    const dateFilter = startDate || endDate ? { scheduledDate: scheduledRange } : {};
 
     // Build user filter
     let userFilter = {};
@@ -1583,6 +1362,7 @@ router.get('/wage-report', protect, async (req, res) => {
           baseWage: 0,
           fuelAllowance: 0,
           totalWage: 0,
+          flaggedMileageJobs: 0, // Jobs whose mileage needs checking (see job.mileage)
           jobs: []
         });
       }
@@ -1593,11 +1373,17 @@ router.get('/wage-report', protect, async (req, res) => {
       userData.totalJobs += 1;
       
       // Count completed jobs and add distance
-      if (job.status === 'completed') {
+      if (jobLifecycle.COMPLETED_STATUSES.includes(job.status)) {
+        const rules = pointsRules.rulesForJob(job);
         userData.completedJobs += 1;
+        userData.fuelAllowance += fuelOverride !== null ? fuelOverride : rules.fuelAllowancePerJob;
         
         if (job.distanceTraveled && job.distanceTraveled > 0) {
           userData.totalDistance += job.distanceTraveled;
+          userData.baseWage += job.distanceTraveled * (rateOverride !== null ? rateOverride : rules.wageRatePerMile);
+        }
+        if (job.mileage && job.mileage.flagged) {
+          userData.flaggedMileageJobs += 1;
         }
       }
       
@@ -1609,6 +1395,9 @@ router.get('/wage-report', protect, async (req, res) => {
         scheduledDate: job.scheduledDate,
         completedDate: job.completedDate,
         distanceTraveled: job.distanceTraveled || 0,
+        clientDistance: job.mileage ? job.mileage.clientMiles : null,
+        mileageSource: job.mileage ? job.mileage.source : null,
+        mileageFlagged: !!(job.mileage && job.mileage.flagged),
         address: job.house ? {
           street: job.house.address,
           city: job.house.city,
@@ -1620,14 +1409,10 @@ router.get('/wage-report', protect, async (req, res) => {
 
     // Calculate wages for each user
     const wageData = Array.from(userWageMap.values()).map(data => {
-      const baseWage = data.totalDistance * parseFloat(ratePerMile);
-      const fuelAllowance = data.completedJobs * parseFloat(fuelAllowancePerJob);
-      const totalWage = baseWage + fuelAllowance;
+      const totalWage = data.baseWage + data.fuelAllowance;
 
       return {
         ...data,
-        baseWage,
-        fuelAllowance,
         totalWage,
         averageDistancePerJob: data.completedJobs > 0 ? data.totalDistance / data.completedJobs : 0
       };
@@ -1642,10 +1427,15 @@ router.get('/wage-report', protect, async (req, res) => {
       totalBaseWage: wageData.reduce((sum, data) => sum + data.baseWage, 0),
       totalFuelAllowance: wageData.reduce((sum, data) => sum + data.fuelAllowance, 0),
       totalWage: wageData.reduce((sum, data) => sum + data.totalWage, 0),
-      ratePerMile: parseFloat(ratePerMile),
-      fuelAllowancePerJob: parseFloat(fuelAllowancePerJob)
+      totalFlaggedMileageJobs: wageData.reduce((sum, data) => sum + data.flaggedMileageJobs, 0),
+      ratePerMile: reportRatePerMile,
+      fuelAllowancePerJob: reportFuelAllowancePerJob
     };
 
+    if (format) {
+      return await tableExport.sendTable(res, { format, name: 'wage-report', columns: tableExport.COLUMNS.wageReport, rows: wageData });
+    }
+
     res.json({
       success: true,
       data: wageData,
@@ -1654,18 +1444,21 @@ router.get('/wage-report', protect, async (req, res) => {
         userId,
         startDate,
         endDate,
-        ratePerMile: parseFloat(ratePerMile),
-        fuelAllowancePerJob: parseFloat(fuelAllowancePerJob)
+        ratePerMile: rateOverride,
+        fuelAllowancePerJob: fuelOverride
       }
     });
   } catch (error) {
+    if (error instanceof tableExport.TableExportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Get wage report error:', error);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
 
 // @route   GET /api/jobs/mileage-report
-// @desc    Get mileage report for all users (Admin only)
+// @desc    Get mileage report for all users (Admin only; ?format=csv|xlsx for one row per operative)
 // @access  Private (Admin only)
 router.get('/mileage-report', protect, async (req, res) => {
   try {
@@ -1673,6 +1466,8 @@ router.get('/mileage-report', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Admin only.' });
     }
 
+    const format = tableExport.exportFormat(req.query);
+
     const { dateRange = 'week' } = req.query;
     
     // Build date filter
@@ -1681,20 +1476,19 @@ router.get('/mileage-report', protect, async (req, res) => {
     
     switch (dateRange) {
       case 'today':
-        const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const endOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        const { start: startOfToday, end: endOfToday } = businessTime.dayRange(now);
         dateFilter = {
           scheduledDate: { $gte: startOfToday, $lt: endOfToday }
         };
         break;
       case 'week':
-        const startOfWeek = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
+        const startOfWeek = businessTime.startOfWeek(now);
         dateFilter = {
           scheduledDate: { $gte: startOfWeek }
         };
         break;
       case 'month':
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+        const startOfMonth = businessTime.startOfMonth(now);
         dateFilter = {
           scheduledDate: { $gte: startOfMonth }
         };
@@ -1722,6 +1516,8 @@ router.get('/mileage-report', protect, async (req, res) => {
           totalJobs: 0,
           completedJobs: 0,
           totalBonus: 0, // Total bonus earned (from job.award field)
+          mileagePayment: 0, // At each job's recorded mileage rate
+          flaggedMileageJobs: 0, // Jobs whose mileage needs checking (see job.mileage)
           jobsWithReading: 0, // Jobs with successful reading
           validNoAccessJobs: 0, // Jobs with valid no access
           jobs: []
@@ -1731,12 +1527,16 @@ router.get('/mileage-report', protect, async (req, res) => {
       const userData = userMileageMap.get(userId);
       
       // Count completed jobs regardless of distance data
-      if (job.status === 'completed') {
+      if (jobLifecycle.COMPLETED_STATUSES.includes(job.status)) {
         userData.completedJobs += 1;
         
         // Add distance if job has distance data
         if (job.distanceTraveled && job.distanceTraveled > 0) {
           userData.totalDistance += job.distanceTraveled;
+          userData.mileagePayment += job.distanceTraveled * pointsRules.rulesForJob(job).mileageRate;
+        }
+        if (job.mileage && job.mileage.flagged) {
+          userData.flaggedMileageJobs += 1;
         }
         
         // Add bonus amount from job.award field (stored when job is completed)
@@ -1785,18 +1585,16 @@ router.get('/mileage-report', protect, async (req, res) => {
       userData.jobs.push(job);
     });
 
-    // Convert to array and calculate averages, total miles, and mileage payment
-    const mileageRate = 0.35; // £0.35 per mile
+    // Convert to array and calculate averages and total miles
+    // Current rate for reference; payments use the rate recorded on each job
+    const { mileageRate } = await pointsRules.resolveRules();
     const mileageData = Array.from(userMileageMap.values()).map(data => {
       // Distance is already in miles (base unit)
       const totalMiles = data.totalDistance;
-      // Calculate mileage payment
-      const mileagePayment = totalMiles * mileageRate;
       
       return {
         ...data,
         totalDistanceMiles: totalMiles, // Distance in miles
-        mileagePayment: mileagePayment, // Add payment
         totalBonus: data.totalBonus || 0, // Total bonus earned (from job.award field)
         jobsWithReading: data.jobsWithReading || 0, // Jobs with successful reading
         validNoAccessJobs: data.validNoAccessJobs || 0, // Valid no access jobs
@@ -1823,6 +1621,10 @@ router.get('/mileage-report', protect, async (req, res) => {
     console.log('- Total mileage payment:', totalMileagePayment);
     console.log('- Total bonus earned:', totalBonus);
 
+    if (format) {
+      return await tableExport.sendTable(res, { format, name: 'mileage-report', columns: tableExport.COLUMNS.mileageReport, rows: mileageData });
+    }
+
     res.json({
       success: true,
       data: mileageData,
@@ -1834,17 +1636,90 @@ router.get('/mileage-report', protect, async (req, res) => {
         totalBonus: totalBonus, // Total bonus earned
         totalJobsWithReading: totalJobsWithReading, // Total successful readings
         totalValidNoAccessJobs: totalValidNoAccessJobs, // Total valid no access jobs
+        totalFlaggedMileageJobs: mileageData.reduce((sum, data) => sum + data.flaggedMileageJobs, 0),
         totalJobs: mileageData.reduce((sum, data) => sum + data.totalJobs, 0),
         totalCompletedJobs: mileageData.reduce((sum, data) => sum + data.completedJobs, 0),
         mileageRate: mileageRate // Include rate for reference
       }
     });
   } catch (error) {
+    if (error instanceof tableExport.TableExportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Get mileage report error:', error);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
 
+// @route   GET /api/jobs/appointment-check
+// @desc    Booked appointment windows of an operative's day (?userId=&date=YYYY-MM-DD) and any that
+//          overlap or cannot be reached from the one before
+// @access  Private (Admin only)
+router.get('/appointment-check', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { userId, date } = req.query;
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: 'A valid userId is required' });
+    }
+    const day = date ? businessTime.parseDay(date) : new Date();
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const result = await appointments.checkOperativeDay(userId, day);
+    res.json({ success: true, data: { date: businessTime.dayKey(day), ...result } });
+  } catch (error) {
+    console.error('Appointment check error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/jobs/id-repair
+// @desc    Check the job IDs already issued: duplicates, jobs without an ID, gaps and ID counters
+//          behind the highest ID (nothing is changed)
+// @access  Private (Admin only)
+router.get('/id-repair', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const report = await repairJobIds();
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Job ID check error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/jobs/id-repair
+// @desc    Fix the job IDs already issued: renumber duplicates (the oldest job keeps the ID),
+//          number jobs without one and move the ID counters past the highest ID. Gaps are only
+//          reported, as issued IDs are already on paperwork.
+// @access  Private (Admin only)
+router.post('/id-repair', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const report = await repairJobIds({ apply: true });
+    const renumbered = report.duplicates.reduce((sum, duplicate) => sum + duplicate.reassigned.length, 0);
+    res.json({
+      success: true,
+      message: `${renumbered} duplicate job ID(s) renumbered, ${report.missing.length} job(s) given an ID`,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Job ID repair error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
 // @route   GET /api/jobs/:id
 // @desc    Get a single job
 // @access  Private
@@ -1891,6 +1766,131 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/jobs/:id/sheet
+// @desc    Printable PDF visit report for a job (address, meter, readings, outcome, photos)
+// @access  Private (Admin, or the operative assigned to the job)
+router.get('/:id/sheet', protect, async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+
+    const job = await Job.findById(req.params.id)
+      .populate('assignedTo', 'firstName lastName username employeeId')
+      .lean();
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const assignedId = job.assignedTo ? job.assignedTo._id.toString() : null;
+    if (req.user.role !== 'admin' && assignedId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const photos = await jobSheets.loadPhotos(jobSheets.jobPhotoUrls(job));
+    const doc = jobSheets.buildJobSheet(job, photos);
+    jobSheets.sendPdf(res, doc, `visit-report-${job.jobId || job._id}.pdf`);
+  } catch (error) {
+    console.error('Job sheet error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/jobs/:id/status-history
+// @desc    Get the status transitions of a job, oldest first
+// @access  Private (Admin only)
+router.get('/:id/status-history', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+
+    const job = await Job.findById(req.params.id)
+      .select('jobId status statusHistory')
+      .populate('statusHistory.actor', 'firstName lastName username employeeId role');
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        jobId: job.jobId,
+        status: job.status,
+        availableEvents: jobLifecycle.getAvailableEvents(job.status, req.user.role),
+        history: job.statusHistory || []
+      }
+    });
+  } catch (error) {
+    console.error('Get job status history error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/jobs/:id/geofence-override
+// @desc    Let the assigned operative start or complete a job outside the geofence (once)
+// @access  Private (Admin only)
+router.post('/:id/geofence-override', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid job ID format' });
+    }
+
+    const { reason, stage = 'any' } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required for a geofence override' });
+    }
+    if (!['start', 'complete', 'any'].includes(stage)) {
+      return res.status(400).json({ message: 'Stage must be start, complete or any' });
+    }
+
+    const job = await Job.findByIdAndUpdate(
+      req.params.id,
+      {
+        'geofence.override': {
+          grantedBy: req.user._id,
+          grantedAt: new Date(),
+          reason: String(reason).trim(),
+          stage
+        }
+      },
+      { new: true, runValidators: true }
+    ).populate('geofence.override.grantedBy', 'firstName lastName username');
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (global.io) {
+      global.io.to(`user_${job.assignedTo}`).emit('jobUpdate', {
+        type: 'geofence_override',
+        jobId: job._id,
+        stage,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Geofence override granted',
+      data: job.geofence
+    });
+  } catch (error) {
+    console.error('Geofence override error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
 // @route   PUT /api/jobs/:id
 // @desc    Update a job
 // @access  Private
@@ -1907,13 +1907,50 @@ router.put('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const updatedJob = await Job.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    )
-      .populate('house', 'address postcode city county latitude longitude meterType')
-      .populate('assignedTo', 'firstName lastName username employeeId department');
+    // Status can only change through a lifecycle event, never by overwriting the field
+    const { status, statusReason, ...body } = req.body;
+    const { updates, refused } = jobEdits(body);
+    if (refused.length > 0) {
+      return res.status(400).json({
+        message: `These fields cannot be changed here: ${refused.join(', ')}`,
+        error: 'PROTECTED_FIELDS',
+        fields: refused
+      });
+    }
+
+    let updatedJob;
+    if (status && status !== job.status) {
+      const event = jobLifecycle.findEventForStatus(job.status, status);
+      if (!event || !MANUAL_STATUS_EVENTS.includes(event)) {
+        const allowedStatuses = jobLifecycle.getAvailableEvents(job.status, req.user.role)
+          .filter((name) => MANUAL_STATUS_EVENTS.includes(name))
+          .map((name) => jobLifecycle.TRANSITIONS[name].to);
+        return res.status(400).json({
+          message: `Cannot change job status from ${job.status} to ${status} here`,
+          error: 'INVALID_TRANSITION',
+          allowedStatuses: [...new Set(allowedStatuses)]
+        });
+      }
+
+      updatedJob = await jobLifecycle.transitionJob(
+        job,
+        event,
+        jobLifecycle.actorFromUser(req.user, statusReason),
+        updates
+      );
+      await updatedJob.populate([
+        { path: 'house', select: 'address postcode city county latitude longitude meterType' },
+        { path: 'assignedTo', select: 'firstName lastName username employeeId department' }
+      ]);
+    } else {
+      updatedJob = await Job.findByIdAndUpdate(
+        req.params.id,
+        updates,
+        { new: true }
+      )
+        .populate('house', 'address postcode city county latitude longitude meterType')
+        .populate('assignedTo', 'firstName lastName username employeeId department');
+    }
 
     res.json(updatedJob);
     
@@ -1934,763 +1971,122 @@ router.put('/:id', protect, async (req, res) => {
     }
   } catch (error) {
     console.error('Update job error:', error);
+    if (error instanceof JobTransitionError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
 
-// @route   PUT /api/jobs/:id/complete
-// @desc    Complete a job with location and distance data
-// @access  Private
-router.put('/:id/complete', protect, async (req, res) => {
+// @route   PUT /api/jobs/:id/appointment
+// @desc    Book (or rebook) an appointment window: { start, end, contactMethod, confirmConflicts }.
+//          The job moves to the appointment's day. Clashes with the operative's other appointments
+//          are refused with 409 unless confirmConflicts is true.
+// @access  Private (Admin only)
+router.put('/:id/appointment', protect, async (req, res) => {
   try {
-    // Log incoming request data for debugging
-    console.log('📥 Job completion request received:', {
-      jobId: req.params.id,
-      bodyKeys: Object.keys(req.body),
-      hasPhotos: !!req.body.photos,
-      photosValue: req.body.photos,
-      hasPhotoUrls: !!req.body.photoUrls,
-      photoUrlsValue: req.body.photoUrls,
-      photosType: typeof req.body.photos,
-      photosIsArray: Array.isArray(req.body.photos)
-    });
-
-    const { 
-      status = 'completed', 
-      meterReadings, 
-      photos, 
-      photoUrls, // Also accept photoUrls for compatibility
-      location, 
-      distanceTraveled,
-      startLocation,
-      endLocation,
-      locationHistory,
-      notes,
-      risk,
-      mInspec,
-      numRegisters,
-      registerIds,
-      registerValues,
-      validNoAccess,
-      noAccessReason,
-      customerRead
-    } = req.body;
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
 
     const job = await Job.findById(req.params.id);
-    
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
-
-    // Check if user is assigned to this job or is admin
-    if (job.assignedTo.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized to complete this job' });
+    if (jobLifecycle.CLOSED_STATUSES.includes(job.status)) {
+      return res.status(400).json({ message: `Cannot book an appointment for a job that is ${job.status.replace('_', ' ')}` });
     }
 
-    // Enforce sequential job completion - can only complete jobs in order
-    // This applies to all meter readers
-    if (req.user.role === 'meter_reader' && job.sequenceNumber !== null) {
-      const scheduledDate = job.scheduledDate ? new Date(job.scheduledDate) : new Date();
-      const startOfDay = new Date(scheduledDate.getFullYear(), scheduledDate.getMonth(), scheduledDate.getDate());
-      const endOfDay = new Date(scheduledDate.getFullYear(), scheduledDate.getMonth(), scheduledDate.getDate() + 1);
-      
-      // Find any pending or in_progress job with a lower sequence number for the same scheduled date
-      const earlierPendingJob = await Job.findOne({
-        assignedTo: req.user._id,
-        status: { $in: ['pending', 'in_progress'] },
-        scheduledDate: {
-          $gte: startOfDay,
-          $lt: endOfDay
-        },
-        sequenceNumber: { $lt: job.sequenceNumber, $ne: null }
-      }).sort({ sequenceNumber: 1 });
+    const { appointment, conflicts } = await appointments.prepareBooking(job, req.body, req.user, {
+      confirmConflicts: req.body.confirmConflicts === true
+    });
 
-      if (earlierPendingJob) {
-        return res.status(400).json({ 
-          message: `You cannot skip jobs in the sequence. Please complete job ${earlierPendingJob.jobId || `#${earlierPendingJob.sequenceNumber}`} first before completing job ${job.jobId || `#${job.sequenceNumber}`}.`,
-          nextJobId: earlierPendingJob._id,
-          nextJobDisplayId: earlierPendingJob.jobId || `#${earlierPendingJob.sequenceNumber}`,
-          nextSequenceNumber: earlierPendingJob.sequenceNumber,
-          currentJobDisplayId: job.jobId || `#${job.sequenceNumber}`
-        });
-      }
+    // The job moves to the appointment's day, so that day must be open for scheduling
+    const policy = await schedulingPolicy.loadPolicy();
+    const dateProblem = schedulingPolicy.dateProblem(appointment.start, policy, { isAdmin: true });
+    if (dateProblem) {
+      return res.status(400).json({ message: dateProblem });
     }
 
-    // Get user's employeeId
-    const user = await require('../models/user.model').findById(req.user.id);
-    const employeeId = user?.employeeId || '';
+    job.set('appointment', appointment);
+    job.scheduledDate = businessTime.startOfDay(appointment.start);
+    await job.save();
 
-    // Calculate distance if start and end locations are provided
-    let calculatedDistance = distanceTraveled || 0;
-    if (startLocation && endLocation && !distanceTraveled) {
-      calculatedDistance = calculateDistance(
-        startLocation.latitude, startLocation.longitude,
-        endLocation.latitude, endLocation.longitude
-      );
-    }
-
-    // Calculate points based on completion type
-    // Formula: 
-    // - If Reg1 (registerValues[0] or registerIds[0]) is filled = 1 point
-    // - If Reg1 is NOT filled AND validNoAccess reason is selected = 0.5 points
-    let points = 0;
-    let isValidNoAccess = false;
-    
-    // Valid no access reasons list
-    const validNoAccessReasons = [
-      'Property locked - no key access',
-      'Dog on property - safety concern',
-      'Occupant not home - appointment required',
-      'Meter location inaccessible',
-      'Property under construction',
-      'Hazardous conditions present',
-      'Permission denied by occupant',
-      'Meter damaged - requires repair first',
-    ];
+    const updatedJob = await Job.findById(job._id)
+      .populate('house', 'address postcode city county latitude longitude meterType')
+      .populate('assignedTo', 'firstName lastName username employeeId department')
+      .populate('appointment.bookedBy', 'firstName lastName username');
 
-    // Check if Reg1 is filled (first register value or first register ID)
-    const hasReg1 = (() => {
-      // Check if registerValues array has at least one non-empty value
-      if (registerValues && Array.isArray(registerValues) && registerValues.length > 0) {
-        const firstRegValue = registerValues[0];
-        if (firstRegValue != null && firstRegValue !== '' && firstRegValue !== undefined && firstRegValue !== 0) {
-          return true;
-        }
-      }
-      // Check if registerIds array has at least one non-empty ID
-      if (registerIds && Array.isArray(registerIds) && registerIds.length > 0) {
-        const firstRegId = registerIds[0];
-        if (firstRegId != null && firstRegId !== '' && firstRegId !== undefined) {
-          return true;
-        }
-      }
-      // Also check traditional meter readings format
-      if (meterReadings) {
-        const electric = meterReadings.electric;
-        const gas = meterReadings.gas;
-        const water = meterReadings.water;
-        if ((electric != null && electric !== '' && electric !== undefined) ||
-            (gas != null && gas !== '' && gas !== undefined) ||
-            (water != null && water !== '' && water !== undefined)) {
-          return true;
-        }
-      }
-      return false;
-    })();
-
-    // Check if ANY "No Access Status" option is selected (customerRead field)
-    // The mobile app sends customerRead when any no access option is selected
-    const hasNoAccessStatus = req.body.customerRead && 
-                              req.body.customerRead !== '' && 
-                              req.body.customerRead !== null &&
-                              req.body.customerRead !== undefined;
-
-    // Calculate points and awards based on formula
-    let award = 0; // Award in pounds (£)
-    if (hasReg1) {
-      // Reg1 is filled = 1 point and £0.5 award
-      points = 1;
-      award = 0.50; // £0.5 for successful reading
-      isValidNoAccess = false;
-    } else if (hasNoAccessStatus) {
-      // Reg1 is NOT filled AND any No Access Status option selected = 0.5 points and £0.15 award
-      points = 0.5;
-      award = 0.15; // £0.15 for No Access
-      isValidNoAccess = true;
-      // Set noAccessReason if provided, otherwise use customerRead as reason
-      if (!noAccessReason && req.body.customerRead) {
-        noAccessReason = req.body.customerRead;
-      }
-    } else {
-      // No Reg1 and no no access status = 0 points and £0 award
-      points = 0;
-      award = 0;
-      isValidNoAccess = false;
-    }
-    
-    // Log for debugging
-    console.log('Points and Award calculation:', {
-      points,
-      award,
-      hasMeterReadings: !!meterReadings,
-      electric: meterReadings?.electric,
-      gas: meterReadings?.gas,
-      water: meterReadings?.water,
-      registerValues: registerValues,
-      hasRegisterValues: registerValues && Array.isArray(registerValues) && registerValues.length > 0,
-      hasReg1,
-      customerRead,
-      validNoAccess: isValidNoAccess,
-      noAccessReason
-    });
+    res.json({ success: true, data: updatedJob, conflicts });
 
-    // Process photos - ensure they're stored in both photos array and meterPhotos array
-    // Accept both 'photos' and 'photoUrls' for compatibility
-    // Also check if photos are nested inside meterReadings object
-    let photosFromMeterReadings = [];
-    if (meterReadings && typeof meterReadings === 'object' && !Array.isArray(meterReadings)) {
-      // Check for photos in meterReadings
-      if (meterReadings.photos) {
-        if (Array.isArray(meterReadings.photos)) {
-          photosFromMeterReadings = meterReadings.photos.filter(p => p && String(p).trim() !== '');
-          console.log('📸 Found photos in meterReadings.photos:', {
-            count: photosFromMeterReadings.length,
-            photos: photosFromMeterReadings
-          });
-        } else if (typeof meterReadings.photos === 'string' && meterReadings.photos.trim() !== '') {
-          // Handle single photo string
-          photosFromMeterReadings = [meterReadings.photos];
-          console.log('📸 Found single photo in meterReadings.photos:', meterReadings.photos);
-        }
-      }
-    } else if (Array.isArray(meterReadings)) {
-      // Also check if meterReadings itself is an array (unlikely but possible)
-      const photosInArray = meterReadings.find(mr => mr && mr.photos);
-      if (photosInArray && Array.isArray(photosInArray.photos)) {
-        photosFromMeterReadings = photosInArray.photos.filter(p => p && String(p).trim() !== '');
-        console.log('📸 Found photos in meterReadings array:', {
-          count: photosFromMeterReadings.length,
-          photos: photosFromMeterReadings
-        });
-      }
-    }
-    
-    // Combine all possible photo sources
-    const incomingPhotos = [
-      ...(Array.isArray(photos) ? photos : photos ? [photos] : []),
-      ...(Array.isArray(photoUrls) ? photoUrls : photoUrls ? [photoUrls] : []),
-      ...photosFromMeterReadings
-    ].filter(p => p !== null && p !== undefined && String(p).trim() !== '');
-    
-    console.log('🔍 All photo sources combined:', {
-      photos: photos,
-      photosType: typeof photos,
-      photosIsArray: Array.isArray(photos),
-      photoUrls: photoUrls,
-      photoUrlsType: typeof photoUrls,
-      photoUrlsIsArray: Array.isArray(photoUrls),
-      photosFromMeterReadings: photosFromMeterReadings,
-      incomingPhotos: incomingPhotos,
-      incomingPhotosCount: incomingPhotos.length,
-      incomingPhotosDetails: incomingPhotos.map((p, i) => ({
-        index: i,
-        value: p,
-        type: typeof p,
-        length: String(p).length,
-        preview: String(p).substring(0, 50)
-      }))
-    });
-    let processedPhotos = [];
-    let processedMeterPhotos = [];
-    
-    if (incomingPhotos && Array.isArray(incomingPhotos) && incomingPhotos.length > 0) {
-      console.log('🔍 Processing incoming photos:', {
-        count: incomingPhotos.length,
-        photos: incomingPhotos,
-        types: incomingPhotos.map(p => typeof p)
-      });
-      
-      // Filter out empty strings and ensure all URLs are valid
-      // Accept Cloudinary URLs, HTTP URLs, local paths, or any non-empty string that looks like a URL
-      processedPhotos = incomingPhotos.filter((p, index) => {
-        if (!p) {
-          console.log(`  ❌ Photo ${index + 1}: null/undefined`);
-          return false;
-        }
-        if (typeof p !== 'string') {
-          console.log(`  ⚠️ Photo ${index + 1}: not a string, converting. Type: ${typeof p}, value:`, p);
-          // Try to convert to string
-          const stringValue = String(p);
-          if (stringValue && stringValue.trim() !== '') {
-            p = stringValue;
-          } else {
-            return false;
-          }
-        }
-        const trimmed = p.trim();
-        if (trimmed === '') {
-          console.log(`  ❌ Photo ${index + 1}: empty string`);
-          return false;
-        }
-        // More lenient validation - accept any non-empty string that looks like it could be a URL
-        // Cloudinary URLs, HTTP/HTTPS URLs, local paths, or any string with / in it
-        const isValid = trimmed.startsWith('https://') || 
-                        trimmed.startsWith('http://') || 
-                        trimmed.startsWith('/uploads/') ||
-                        trimmed.startsWith('/') ||
-                        trimmed.includes('/') ||
-                        trimmed.includes('.jpg') ||
-                        trimmed.includes('.jpeg') ||
-                        trimmed.includes('.png') ||
-                        trimmed.includes('cloudinary') ||
-                        trimmed.length > 10; // Accept any string longer than 10 chars as potential URL
-        
-        if (!isValid) {
-          console.log(`  ❌ Photo ${index + 1}: invalid URL format:`, trimmed);
-        } else {
-          console.log(`  ✅ Photo ${index + 1}: accepted URL:`, trimmed.substring(0, 80) + (trimmed.length > 80 ? '...' : ''));
-        }
-        return isValid;
-      });
-      
-      console.log('📊 Photo processing result:', {
-        received: incomingPhotos.length,
-        valid: processedPhotos.length,
-        invalid: incomingPhotos.length - processedPhotos.length
-      });
-      
-      // Also create meterPhotos entries for better organization
-      // If we have registerIds and registerValues, match them with photos
-      // Also check if meterSerialNumber is available from meterReadings or job data
-      processedMeterPhotos = processedPhotos.map((photoUrl, index) => {
-        // Try to get serial number from registerIds, meterReadings, or job data
-        let serialNumber = '';
-        if (registerIds && registerIds[index]) {
-          serialNumber = registerIds[index];
-        } else if (meterReadings?.meterSerialNumber) {
-          serialNumber = meterReadings.meterSerialNumber;
-        } else if (job.meterSerialNumber) {
-          serialNumber = job.meterSerialNumber;
-        }
-        
-        // Try to get reading from registerValues or meterReadings
-        let reading = null;
-        if (registerValues && registerValues[index] != null) {
-          reading = registerValues[index];
-        } else if (meterReadings) {
-          // Try electric, gas, or water reading (standard format)
-          reading = meterReadings.electric || meterReadings.gas || meterReadings.water || null;
-          // Also check if meterReadings is in the mobile app format (with register values)
-          if (!reading && meterReadings.registerValues && meterReadings.registerValues[index]) {
-            reading = meterReadings.registerValues[index];
-          }
-        }
-        
-        const meterPhoto = {
-          meterType: job.jobType || 'meter', // Use job type if available
-          photoUrl: photoUrl,
-          serialNumber: serialNumber,
-          reading: reading,
-          timestamp: new Date()
-        };
-        return meterPhoto;
-      });
-      
-      // If job already has meterPhotos, merge them (don't overwrite)
-      if (job.meterPhotos && Array.isArray(job.meterPhotos) && job.meterPhotos.length > 0) {
-        // Only add new photos that don't already exist
-        const existingUrls = job.meterPhotos.map(mp => mp.photoUrl);
-        processedMeterPhotos = [
-          ...job.meterPhotos,
-          ...processedMeterPhotos.filter(mp => !existingUrls.includes(mp.photoUrl))
-        ];
-      }
-    } else if (job.meterPhotos && Array.isArray(job.meterPhotos) && job.meterPhotos.length > 0) {
-      // If no new photos but existing meterPhotos, keep them and extract URLs for photos array
-      processedMeterPhotos = job.meterPhotos;
-      processedPhotos = job.meterPhotos.map(mp => mp.photoUrl).filter(url => url);
-    } else if (job.photos && Array.isArray(job.photos) && job.photos.length > 0) {
-      // If no new photos but existing photos, keep them
-      processedPhotos = job.photos;
-    }
-
-    // Build updateData - photos will be added after processing
-    const updateData = {
-      status,
-      completedDate: new Date(),
-      employeeId,
-      points,
-      award, // Save award amount
-      validNoAccess: isValidNoAccess,
-      ...(noAccessReason && { noAccessReason }),
-      ...(meterReadings && { meterReadings }),
-      ...(location && { location }),
-      ...(distanceTraveled && { distanceTraveled: calculatedDistance }),
-      ...(startLocation && { startLocation }),
-      ...(endLocation && { endLocation }),
-      ...(locationHistory && { locationHistory }),
-      ...(notes && { notes }),
-      ...(typeof risk === 'boolean' && { risk }),
-      ...(typeof mInspec === 'boolean' && { mInspec }),
-      ...(typeof numRegisters === 'number' && { numRegisters }),
-      ...(Array.isArray(registerIds) && registerIds.length > 0 && { registerIds }),
-      ...(Array.isArray(registerValues) && registerValues.length > 0 && { registerValues }),
-      ...(customerRead && { customerRead })
-    };
-    
-    // IMPORTANT: Photos and meterPhotos will be added to updateData after processing
-    
-    // Debug logging for photos
-    console.log('Job completion - Photo data:', {
-      receivedPhotos: photos,
-      receivedPhotoUrls: photoUrls,
-      incomingPhotos: incomingPhotos,
-      processedPhotos: processedPhotos,
-      processedMeterPhotos: processedMeterPhotos,
-      processedPhotosCount: processedPhotos.length,
-      processedMeterPhotosCount: processedMeterPhotos.length,
-      jobId: req.params.id,
-      registerIds: registerIds,
-      registerValues: registerValues,
-      meterReadings: meterReadings,
-      willSavePhotos: processedPhotos.length > 0,
-      willSaveMeterPhotos: processedMeterPhotos.length > 0
-    });
-    
-    // CRITICAL: Always save photos if we have any - don't lose them!
-    // Priority: processedPhotos > incomingPhotos > existing photos
-    if (processedPhotos.length > 0) {
-      // We have valid processed photos - save them
-      updateData.photos = processedPhotos;
-      console.log('✅ Saving processed photos to database:', {
-        count: processedPhotos.length,
-        urls: processedPhotos
-      });
-    } else if (incomingPhotos.length > 0) {
-      // We have incoming photos but they were filtered out - save them anyway as fallback
-      // This ensures we don't lose photos due to validation issues
-      const cleanedPhotos = incomingPhotos
-        .map(p => String(p).trim())
-        .filter(p => p !== '' && p !== 'null' && p !== 'undefined');
-      
-      if (cleanedPhotos.length > 0) {
-        updateData.photos = cleanedPhotos;
-        console.log('⚠️ Saving incoming photos (bypassed validation as fallback):', {
-          count: cleanedPhotos.length,
-          urls: cleanedPhotos
-        });
-      } else {
-        console.log('⚠️ All incoming photos were empty/null after cleaning');
-      }
+    if (global.io) {
+      const event = { type: 'jobUpdated', job: updatedJob, timestamp: new Date() };
+      global.io.to('admin_room').emit('jobUpdate', event);
+      global.io.to(`user_${job.assignedTo}`).emit('jobUpdate', event);
     }
-    
-    // IMPORTANT: Only set photos if we actually have photos to save
-    // Don't save empty arrays - this would clear existing photos
-    // If updateData.photos is still undefined, it means no photos were provided
-    // In that case, don't set it - MongoDB will keep existing photos (if any)
-    if (updateData.photos === undefined) {
-      console.log('ℹ️ No photos to save - will keep existing photos in database (if any)');
-      // Don't set updateData.photos - this preserves existing photos
-      // Only set it if we explicitly want to clear photos (which we don't do here)
+  } catch (error) {
+    console.error('Book appointment error:', error);
+    if (error instanceof appointments.AppointmentError) {
+      return res.status(error.statusCode).json(error.toJSON());
     }
-    
-    // Always save meterPhotos if we have processed meterPhotos
-    if (processedMeterPhotos.length > 0) {
-      updateData.meterPhotos = processedMeterPhotos;
-      console.log('✅ Saving meterPhotos to database:', {
-        count: processedMeterPhotos.length,
-        photos: processedMeterPhotos.map(mp => ({
-          url: mp.photoUrl,
-          type: mp.meterType,
-          serial: mp.serialNumber
-        }))
-      });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
     }
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
 
-    // Log what we're about to save
-    console.log('📝 Updating job with data:', {
-      hasPhotos: !!updateData.photos,
-      photosCount: updateData.photos?.length || 0,
-      hasMeterPhotos: !!updateData.meterPhotos,
-      meterPhotosCount: updateData.meterPhotos?.length || 0,
-      updateDataKeys: Object.keys(updateData)
-    });
-
-    // Ensure photos are always included in updateData if they were provided
-    // This is critical - we must save photos even if validation is strict
-    console.log('💾 Final update data before save:', {
-      hasPhotos: !!updateData.photos,
-      photosCount: updateData.photos?.length || 0,
-      photosValue: updateData.photos,
-      hasMeterPhotos: !!updateData.meterPhotos,
-      meterPhotosCount: updateData.meterPhotos?.length || 0,
-      allKeys: Object.keys(updateData)
-    });
+// @route   DELETE /api/jobs/:id/appointment
+// @desc    Cancel a job's appointment window (the job stays on its scheduled date)
+// @access  Private (Admin only)
+router.delete('/:id/appointment', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
 
     const updatedJob = await Job.findByIdAndUpdate(
       req.params.id,
-      updateData,
-      { new: true, runValidators: true }
+      { $unset: { appointment: 1 } },
+      { new: true }
     )
-      .populate('assignedTo', 'firstName lastName username employeeId department')
-      .populate('house', 'address postcode city county latitude longitude meterType');
-
-    // Verify photos were saved
-    if (updatedJob) {
-      console.log('✅ Job updated. Photos in database:', {
-        photosCount: updatedJob.photos?.length || 0,
-        meterPhotosCount: updatedJob.meterPhotos?.length || 0,
-        photos: updatedJob.photos,
-        meterPhotos: updatedJob.meterPhotos?.map(mp => ({ url: mp.photoUrl, type: mp.meterType }))
-      });
+      .populate('house', 'address postcode city county latitude longitude meterType')
+      .populate('assignedTo', 'firstName lastName username employeeId department');
+    if (!updatedJob) {
+      return res.status(404).json({ message: 'Job not found' });
     }
 
-    // Update user's jobsCompleted count and weekly performance
-    if (status === 'completed' && job.status !== 'completed') {
-      const User = require('../models/user.model');
-      const assignedUser = await User.findById(job.assignedTo);
-      if (assignedUser) {
-        // Increment jobs completed
-        assignedUser.jobsCompleted = (assignedUser.jobsCompleted || 0) + 1;
-        
-        // Calculate weekly performance (completion rate for last 7 days)
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        const weekJobs = await Job.find({
-          assignedTo: assignedUser._id,
-          scheduledDate: { $gte: weekAgo }
-        });
-        const weekCompleted = weekJobs.filter(j => j.status === 'completed').length;
-        const weekTotal = weekJobs.length;
-        assignedUser.weeklyPerformance = weekTotal > 0 ? Math.round((weekCompleted / weekTotal) * 100) : 0;
-        
-        await assignedUser.save();
-      }
-    }
+    res.json({ success: true, data: updatedJob, message: 'Appointment cancelled' });
 
-    // Emit WebSocket events for real-time updates
     if (global.io) {
-      global.io.to('admin_room').emit('jobUpdate', {
-        type: 'job_completed',
-        job: updatedJob,
-        userId: req.user.id
-      });
-      
-      global.io.to('admin_room').emit('mileageUpdate', {
-        type: 'mileage_updated',
-        job: updatedJob,
-        userId: req.user.id
-      });
-      
-      // If this was the user's last job for today, send an automatic mileage message
-      try {
-        const today = new Date();
-        const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-        const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
-        // Check for remaining jobs assigned to this user (not completed yet)
-        // Count ALL jobs assigned to the user, regardless of scheduledDate
-        // This ensures we count jobs that were uploaded/assigned today
-        const remaining = await Job.countDocuments({
-          assignedTo: req.user._id,
-          status: { $ne: 'completed' },
-          _id: { $ne: req.params.id } // Explicitly exclude the current job
-        });
-        
-        console.log('📊 Job completion check:', {
-          userId: req.user._id,
-          jobId: req.params.id,
-          remainingJobs: remaining,
-          dateRange: { startOfDay, endOfDay }
-        });
-        
-        // Only send report if this is truly the last job (remaining === 0)
-        if (remaining === 0) {
-          console.log('✅ Last job completed - preparing mileage report');
-          
-          // Count total jobs assigned to this user (all jobs, not just scheduled today)
-          // This ensures we count all jobs that were uploaded/assigned, regardless of date
-          const totalAssignedJobs = await Job.countDocuments({
-            assignedTo: req.user._id
-          });
-          
-          // Count jobs completed today
-          const totalCompletedToday = await Job.countDocuments({
-            assignedTo: req.user._id,
-            completedDate: { $gte: startOfDay, $lt: endOfDay },
-            status: 'completed'
-          });
-          
-          console.log('📊 Job completion verification:', {
-            totalAssigned: totalAssignedJobs,
-            totalCompletedToday: totalCompletedToday,
-            allJobsCompleted: remaining === 0
-          });
-          
-          // Only proceed if there are no remaining incomplete jobs
-          // This means all assigned jobs have been completed
-          if (remaining === 0 && totalCompletedToday > 0) {
-            // Use completedDate instead of scheduledDate to find jobs completed today
-            const completedToday = await Job.find({
-              assignedTo: req.user._id,
-              completedDate: { $gte: startOfDay, $lt: endOfDay },
-              status: 'completed'
-            });
-          
-          // Calculate statistics
-          // Distance is already in miles (base unit)
-          const totalMiles = completedToday.reduce((sum, j) => sum + (j.distanceTraveled || 0), 0);
-          // Convert miles to kilometers (1 mile = 1.60934 km)
-          const totalKm = totalMiles * 1.60934;
-          
-          // Jobs completed successfully (with Reg1 filled - registerValues[0] or registerIds[0])
-          const jobsWithReading = completedToday.filter(j => {
-            // Check if Reg1 is filled (first register value or first register ID)
-            if (j.registerValues && Array.isArray(j.registerValues) && j.registerValues.length > 0) {
-              const firstRegValue = j.registerValues[0];
-              if (firstRegValue != null && firstRegValue !== '' && firstRegValue !== undefined && firstRegValue !== 0) {
-                return true;
-              }
-            }
-            if (j.registerIds && Array.isArray(j.registerIds) && j.registerIds.length > 0) {
-              const firstRegId = j.registerIds[0];
-              if (firstRegId != null && firstRegId !== '' && firstRegId !== undefined) {
-                return true;
-              }
-            }
-            // Also check for meter readings in standard format (electric, gas, water)
-            if (j.meterReadings) {
-              const electric = j.meterReadings.electric;
-              const gas = j.meterReadings.gas;
-              const water = j.meterReadings.water;
-              if ((electric != null && electric !== '' && electric !== undefined) ||
-                  (gas != null && gas !== '' && gas !== undefined) ||
-                  (water != null && water !== '' && water !== undefined)) {
-                return true;
-              }
-            }
-            return false;
-          }).length;
-          
-          // Valid No Access jobs completed
-          const validNoAccessJobs = completedToday.filter(j => j.validNoAccess === true).length;
-          
-          // Calculate points - use saved points from jobs (already calculated correctly when job completed)
-          // Points formula:
-          // - Reg1 filled = 1 point
-          // - Reg1 NOT filled AND validNoAccess = 0.5 points
-          const pointsFromJobs = completedToday
-            .filter(j => j.validNoAccess !== true) // Jobs with Reg1 filled
-            .reduce((sum, j) => {
-              // Use saved points (should be 1 if Reg1 was filled)
-              return sum + (j.points || 0);
-            }, 0);
-          
-          const pointsFromNoAccess = completedToday
-            .filter(j => j.validNoAccess === true) // Jobs with valid no access (Reg1 not filled)
-            .reduce((sum, j) => {
-              // Use saved points (should be 0.5 if validNoAccess was true)
-              return sum + (j.points || 0);
-            }, 0);
-          
-          const totalPoints = pointsFromJobs + pointsFromNoAccess;
-          
-          // Calculate mileage payment (£0.35 per mile)
-          const mileageRate = 0.35; // £0.35 per mile
-          const mileagePayment = totalMiles * mileageRate;
-          
-          // Re-fetch completed jobs to ensure we have the latest points data
-          // Use completedDate instead of scheduledDate to find jobs completed today
-          const completedJobsWithPoints = await Job.find({
-            assignedTo: req.user._id,
-            completedDate: { $gte: startOfDay, $lt: endOfDay },
-            status: 'completed'
-          }).select('points validNoAccess meterReadings registerValues registerIds customerRead distanceTraveled');
-          
-          // Recalculate points based on saved points in database
-          // Points are already calculated correctly when job is completed:
-          // - Reg1 filled = 1 point
-          // - Reg1 NOT filled AND any No Access Status selected = 0.5 points
-          const freshPointsFromJobs = completedJobsWithPoints
-            .filter(j => j.validNoAccess !== true) // Jobs with Reg1 filled (successful readings)
-            .reduce((sum, j) => {
-              // Use saved points (should be 1 if Reg1 was filled)
-              return sum + (j.points || 0);
-            }, 0);
-          
-          const freshPointsFromNoAccess = completedJobsWithPoints
-            .filter(j => j.validNoAccess === true) // Jobs with any No Access Status (Reg1 not filled)
-            .reduce((sum, j) => {
-              // Use saved points (should be 0.5 if any No Access Status was selected)
-              return sum + (j.points || 0);
-            }, 0);
-          
-          const freshTotalPoints = freshPointsFromJobs + freshPointsFromNoAccess;
-          
-          // Calculate bonuses: £0.5 for successful reading, £0.15 for No Access
-          const bonusPerSuccessfulReading = 0.50; // £0.5 per successful reading
-          const bonusPerNoAccess = 0.15; // £0.15 per No Access
-          const totalBonusFromJobs = jobsWithReading * bonusPerSuccessfulReading;
-          const totalBonusFromNoAccess = validNoAccessJobs * bonusPerNoAccess;
-          const totalBonusEarned = totalBonusFromJobs + totalBonusFromNoAccess;
-          
-          const dateStr = `${today.getDate().toString().padStart(2, '0')}/${(today.getMonth()+1).toString().padStart(2, '0')}/${today.getFullYear()}`;
-          const operativeName = `${req.user.firstName || ''} ${req.user.lastName || ''}`.trim() || req.user.username;
-          const operativeId = req.user.employeeId || 'N/A';
-          
-          const title = 'Daily Mileage & Performance Report';
-          const body = `Daily Report for ${dateStr}:\n\n` +
-            `📊 Total Mileage: ${totalMiles.toFixed(2)} miles\n` +
-            `✅ Jobs Completed: ${jobsWithReading} (with meter reading)\n` +
-            `🚫 Valid No Access: ${validNoAccessJobs}\n` +
-            `⭐ Points from Completed Jobs: ${freshPointsFromJobs}\n` +
-            `⭐ Points from Valid No Access: ${freshPointsFromNoAccess}\n` +
-            `🎯 Total Points Earned: ${freshTotalPoints}\n\n` +
-            `💰 Bonus from Successful Readings: £${totalBonusFromJobs.toFixed(2)} (${jobsWithReading} × £${bonusPerSuccessfulReading.toFixed(2)})\n` +
-            `💰 Bonus from No Access: £${totalBonusFromNoAccess.toFixed(2)} (${validNoAccessJobs} × £${bonusPerNoAccess.toFixed(2)})\n` +
-            `💵 Total Bonus Earned: £${totalBonusEarned.toFixed(2)}\n\n` +
-            `💰 Mileage Payment: £${mileagePayment.toFixed(2)} (${totalMiles.toFixed(2)} miles × £0.35)`;
-          
-          const Message = require('../models/message.model');
-          
-          // Check if a daily report message already exists for today to prevent duplicates
-          const existingMessage = await Message.findOne({
-            recipient: req.user.id,
-            'meta.reportType': 'daily_mileage_performance',
-            'meta.date': dateStr,
-            createdAt: { $gte: startOfDay, $lt: endOfDay }
-          });
-          
-          console.log('📧 Mileage report check:', {
-            userId: req.user.id,
-            dateStr,
-            existingMessage: existingMessage ? existingMessage._id : null,
-            willCreate: !existingMessage
-          });
-          
-          // Only create message if one doesn't already exist for today
-          if (!existingMessage) {
-            console.log('📧 Creating new mileage report message');
-            // Create message and send ONLY to operative (NOT to admin)
-            const msg = await Message.create({ 
-              recipient: req.user.id, // Only sent to operative
-              title, 
-              body, 
-              meta: { 
-                date: dateStr, 
-                totalKm, 
-                totalMiles, 
-                jobCount: completedToday.length,
-                jobsWithReading,
-                validNoAccessJobs,
-                pointsFromJobs: freshPointsFromJobs,
-                pointsFromNoAccess: freshPointsFromNoAccess,
-                totalPoints: freshTotalPoints,
-                bonusFromJobs: totalBonusFromJobs,
-                bonusFromNoAccess: totalBonusFromNoAccess,
-                totalBonusEarned: totalBonusEarned,
-                mileagePayment,
-                mileageRate: 0.35, // Store rate for reference
-                reportType: 'daily_mileage_performance', // Identify report type
-                operativeName: operativeName,
-                operativeId: operativeId
-              } 
-            });
-            // Send notification ONLY to operative (admin does NOT receive copies)
-            global.io.to(`user_${req.user.id}`).emit('message', { type: 'new_message', message: msg });
-            console.log('✅ Daily mileage report message sent to operative');
-          } else {
-            console.log('ℹ️ Daily mileage report message already exists for today, skipping duplicate');
-          }
-          } else {
-            console.log('⚠️ Not all jobs completed yet - skipping mileage report');
-            console.log(`   Total Assigned: ${totalAssignedJobs}, Completed Today: ${totalCompletedToday}, Remaining: ${remaining}`);
-          }
-        }
-      } catch (e) {
-        console.error('Auto mileage message error:', e.message);
-      }
+      const event = { type: 'jobUpdated', job: updatedJob, timestamp: new Date() };
+      global.io.to('admin_room').emit('jobUpdate', event);
+      global.io.to(`user_${updatedJob.assignedTo._id}`).emit('jobUpdate', event);
+    }
+  } catch (error) {
+    console.error('Cancel appointment error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   PUT /api/jobs/:id/complete
+// @desc    Complete a job with location and distance data
+// @access  Private
+router.put('/:id/complete', protect, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
     }
 
+    const updatedJob = await jobCompletionService.completeJob({
+      job,
+      user: req.user,
+      payload: req.body,
+      source: 'PUT /api/jobs/:id/complete'
+    });
+
     res.json({
       success: true,
       job: updatedJob,
@@ -2698,6 +2094,9 @@ router.put('/:id/complete', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Complete job error:', error);
+    if (jobCompletionService.isCompletionError(error)) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
@@ -2722,16 +2121,13 @@ router.post('/:id/start', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Job not assigned to you.' });
     }
 
-    // Check if job is in pending status
-    if (job.status !== 'pending') {
-      return res.status(400).json({ message: 'Job is not in pending status' });
-    }
+    // Reject early if the job cannot be started from its current status
+    jobLifecycle.buildTransition(job.status, 'start', { role: req.user.role });
 
     // STRICT ENFORCEMENT: Enforce sequential job starting - can only start jobs in order
     // Check if there are any jobs with sequence numbers
     const scheduledDate = job.scheduledDate ? new Date(job.scheduledDate) : new Date();
-    const startOfDay = new Date(scheduledDate.getFullYear(), scheduledDate.getMonth(), scheduledDate.getDate());
-    const endOfDay = new Date(scheduledDate.getFullYear(), scheduledDate.getMonth(), scheduledDate.getDate() + 1);
+    const { start: startOfDay, end: endOfDay } = businessTime.dayRange(scheduledDate);
     
     // Find the lowest sequence number job that is still pending for this date
     const firstPendingJob = await Job.findOne({
@@ -2781,19 +2177,31 @@ router.post('/:id/start', protect, async (req, res) => {
 
     const { startLocation } = req.body;
 
+    // Operative must be at the property (policy and radius from the geofence setting)
+    const { set: geofenceFields, push: geofencePush } = await geofence.checkJobLocation({
+      job,
+      user: req.user,
+      location: startLocation,
+      stage: 'start'
+    });
+
     // Update job with start location and status
-    const updatedJob = await Job.findByIdAndUpdate(
-      req.params.id,
+    const updatedJob = await jobLifecycle.transitionJob(
+      job,
+      'start',
+      jobLifecycle.actorFromUser(req.user),
       {
-        status: 'in_progress',
         startLocation: {
           latitude: startLocation.latitude,
           longitude: startLocation.longitude,
-          timestamp: new Date(startLocation.timestamp)
-        }
+          timestamp: new Date(startLocation.timestamp),
+          ...(startLocation.accuracy != null && { accuracy: startLocation.accuracy })
+        },
+        ...geofenceFields
       },
-      { new: true }
-    ).populate('assignedTo', 'firstName lastName username employeeId department');
+      geofencePush
+    );
+    await updatedJob.populate('assignedTo', 'firstName lastName username employeeId department');
 
     res.json({
       success: true,
@@ -2802,6 +2210,9 @@ router.post('/:id/start', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Start job error:', error);
+    if (error instanceof JobTransitionError || geofence.isGeofenceError(error)) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
@@ -2826,86 +2237,15 @@ router.post('/:id/complete', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Job not assigned to you.' });
     }
 
-    // Check if job is in progress
-    if (job.status !== 'in_progress') {
-      return res.status(400).json({ message: 'Job is not in progress' });
-    }
-
-    // Log incoming request
-    console.log('📥 POST Job completion request received:', {
-      jobId: req.params.id,
-      hasPhotoUrls: !!req.body.photoUrls,
-      photoUrls: req.body.photoUrls,
-      hasPhotos: !!req.body.photos,
-      photos: req.body.photos
+    // This endpoint has always required the job to be started first
+    const updatedJob = await jobCompletionService.completeJob({
+      job,
+      user: req.user,
+      payload: req.body,
+      allowedEvents: ['complete', 'no_access'],
+      source: 'POST /api/jobs/:id/complete'
     });
 
-    const { endLocation, distanceTraveled, locationHistory, meterReadings, photoUrls, photos } = req.body;
-
-    // Process photoUrls or photos - filter and validate
-    const incomingPhotos = photoUrls || photos || [];
-    let processedPhotos = [];
-    let processedMeterPhotos = [];
-    
-    if (incomingPhotos && Array.isArray(incomingPhotos) && incomingPhotos.length > 0) {
-      processedPhotos = incomingPhotos.filter(p => {
-        if (!p || typeof p !== 'string') return false;
-        const trimmed = p.trim();
-        return trimmed !== '' && (trimmed.startsWith('https://') || trimmed.startsWith('http://') || trimmed.startsWith('/uploads/'));
-      });
-      
-      console.log('📸 Processing photos:', {
-        received: incomingPhotos.length,
-        valid: processedPhotos.length,
-        urls: processedPhotos
-      });
-      
-      // Create meterPhotos entries
-      processedMeterPhotos = processedPhotos.map((photoUrl) => ({
-        meterType: job.jobType || 'meter',
-        photoUrl: photoUrl,
-        timestamp: new Date()
-      }));
-    }
-
-    // Prepare update data
-    const updateData = {
-      status: 'completed',
-      completedDate: new Date(),
-      endLocation: {
-        latitude: endLocation.latitude,
-        longitude: endLocation.longitude,
-        timestamp: new Date(endLocation.timestamp)
-      },
-      distanceTraveled: distanceTraveled || 0,
-      locationHistory: locationHistory || [],
-      meterReadings: meterReadings || {}
-    };
-
-    // Always save photos if we have processed photos
-    if (processedPhotos.length > 0) {
-      updateData.photos = processedPhotos;
-      console.log('✅ Saving photos to database:', processedPhotos);
-    }
-    if (processedMeterPhotos.length > 0) {
-      updateData.meterPhotos = processedMeterPhotos;
-      console.log('✅ Saving meterPhotos to database:', processedMeterPhotos.length, 'photos');
-    }
-
-    console.log('📝 Updating job with data:', {
-      hasPhotos: !!updateData.photos,
-      photosCount: updateData.photos?.length || 0,
-      hasMeterPhotos: !!updateData.meterPhotos,
-      meterPhotosCount: updateData.meterPhotos?.length || 0
-    });
-
-    // Update job with completion data
-    const updatedJob = await Job.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    ).populate('assignedTo', 'firstName lastName username employeeId department');
-
     res.json({
       success: true,
       message: 'Job completed successfully',
@@ -2913,6 +2253,9 @@ router.post('/:id/complete', protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Complete job error:', error);
+    if (jobCompletionService.isCompletionError(error)) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
@@ -2937,13 +2280,18 @@ router.post('/:id/location', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Job not assigned to you.' });
     }
 
-    const { latitude, longitude, timestamp } = req.body;
+    const { latitude, longitude, timestamp, accuracy } = req.body;
+
+    if (!isValidCoordinate(latitude, longitude)) {
+      return res.status(400).json({ message: 'Valid latitude and longitude are required' });
+    }
 
-    // Add location to history
+    // Add location to history; accuracy lets the mileage calculation drop poor fixes
     const locationUpdate = {
       latitude,
       longitude,
-      timestamp: new Date(timestamp)
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      ...(accuracy != null && Number.isFinite(Number(accuracy)) && { accuracy: Number(accuracy) })
     };
 
     await Job.findByIdAndUpdate(
@@ -2986,6 +2334,7 @@ router.get('/:id/location', protect, async (req, res) => {
         startLocation: job.startLocation,
         endLocation: job.endLocation,
         distanceTraveled: job.distanceTraveled,
+        mileage: job.mileage,
         locationHistory: job.locationHistory,
         status: job.status
       }
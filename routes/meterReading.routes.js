@@ -3,6 +3,9 @@ const router = express.Router();
 const MeterReading = require('../models/meterReading.model');
 const Job = require('../models/job.model');
 const { protect } = require('../middleware/auth');
+const jobCompletionService = require('../utils/jobCompletionService');
+const tableExport = require('../utils/tableExport');
+const businessTime = require('../utils/businessTime');
 
 // @route   POST /api/meter-readings
 // @desc    Create a new meter reading
@@ -18,16 +21,39 @@ router.post('/', protect, async (req, res) => {
       meterReader: req.user.id,
     };
 
-    const meterReading = await MeterReading.create(meterReadingData);
+    // Validate the reading before touching the job so a bad payload doesn't leave a completed job behind
+    const meterReading = new MeterReading(meterReadingData);
+    await meterReading.validate();
 
-    // Update the job status to completed
-    await Job.findByIdAndUpdate(
-      meterReadingData.jobId,
-      { 
-        status: 'completed',
-        completedDate: new Date(),
-      }
-    );
+    const job = await Job.findById(meterReadingData.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // Complete the job through the same service as the job completion endpoints
+    const reg1 = meterReadingData.reg1 !== undefined && meterReadingData.reg1 !== '' ? Number(meterReadingData.reg1) : null;
+    const completedJob = await jobCompletionService.completeJob({
+      job,
+      user: req.user,
+      payload: {
+        registerIds: meterReadingData.regID1 ? [meterReadingData.regID1] : undefined,
+        registerValues: reg1 !== null && !isNaN(reg1) ? [reg1] : undefined,
+        // 'Yes' means the customer read was obtained; anything else is a no access outcome
+        customerRead: meterReadingData.customerRead !== 'Yes' ? meterReadingData.customerRead : undefined,
+        photos: meterReadingData.photos,
+        location: meterReadingData.location,
+        notes: meterReadingData.notes,
+        confirmReading: meterReadingData.confirmReading,
+      },
+      source: 'POST /api/meter-readings'
+    });
+
+    meterReading.house = job.house || null;
+    // Meter details come from the meter registry (via the job) when the reader left them blank
+    meterReading.meter = job.meter || null;
+    if (!meterReading.makeOfMeter) meterReading.makeOfMeter = completedJob.meterMake || undefined;
+    if (!meterReading.model) meterReading.model = completedJob.meterModel || undefined;
+    await meterReading.save();
 
     // Populate the meter reading with job and user data
     const populatedReading = await MeterReading.findById(meterReading._id)
@@ -56,12 +82,19 @@ router.post('/', protect, async (req, res) => {
     }
   } catch (error) {
     console.error('Create meter reading error:', error);
+    if (jobCompletionService.isCompletionError(error)) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({ message: 'Validation Error', errors, error: errors.join(', ') });
+    }
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
 });
 
 // @route   GET /api/meter-readings
-// @desc    Get meter readings for current user
+// @desc    Get meter readings for current user (?format=csv|xlsx for every matching reading as a download)
 // @access  Private (Meter readers only)
 router.get('/', protect, async (req, res) => {
   try {
@@ -69,14 +102,18 @@ router.get('/', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Meter readers only.' });
     }
 
+    const format = tableExport.exportFormat(req.query);
+
     const { page = 1, limit = 10, date } = req.query;
     
     let query = { meterReader: req.user.id };
     
     if (date) {
-      const startOfDay = new Date(date);
-      const endOfDay = new Date(date);
-      endOfDay.setDate(endOfDay.getDate() + 1);
+      const day = businessTime.parseDay(date);
+      if (isNaN(day.getTime())) {
+        return res.status(400).json({ message: 'Invalid date' });
+      }
+      const { start: startOfDay, end: endOfDay } = businessTime.dayRange(day);
       
       query.readingDate = {
         $gte: startOfDay,
@@ -84,6 +121,16 @@ router.get('/', protect, async (req, res) => {
       };
     }
 
+    if (format) {
+      const cursor = MeterReading.find(query)
+        .populate('jobId', 'jobId meterSerialNumber')
+        .populate('meterReader', 'firstName lastName employeeId')
+        .sort({ readingDate: -1 })
+        .lean()
+        .cursor();
+      return await tableExport.sendTable(res, { format, name: 'meter-readings', columns: tableExport.COLUMNS.meterReadings, rows: cursor });
+    }
+
     const meterReadings = await MeterReading.find(query)
       .populate('jobId', 'jobType address house assignedTo')
       .populate('meterReader', 'firstName lastName username employeeId')
@@ -103,6 +150,9 @@ router.get('/', protect, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error instanceof tableExport.TableExportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Get meter readings error:', error);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
@@ -118,8 +168,7 @@ router.get('/today', protect, async (req, res) => {
     }
 
     const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    const { start: startOfDay, end: endOfDay } = businessTime.dayRange(today);
 
     const meterReadings = await MeterReading.find({
       meterReader: req.user.id,
@@ -136,7 +185,7 @@ router.get('/today', protect, async (req, res) => {
       success: true,
       data: meterReadings,
       count: meterReadings.length,
-      date: today.toISOString().split('T')[0]
+      date: businessTime.dayKey(today)
     });
   } catch (error) {
     console.error('Get today\'s meter readings error:', error);
@@ -188,9 +237,12 @@ router.put('/:id', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Which flow file a reading was sent in is only changed by exporting or re-issuing
+    const { exportedIn, exports, ...updates } = req.body;
+
     const updatedReading = await MeterReading.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true }
     )
       .populate('jobId', 'jobType address house assignedTo')
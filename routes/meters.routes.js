@@ -0,0 +1,225 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Meter = require('../models/meter.model');
+const House = require('../models/house.model');
+const { protect } = require('../middleware/auth');
+const meterRegistry = require('../utils/meterRegistry');
+
+const EDITABLE_FIELDS = ['make', 'model', 'registers', 'installedAt', 'notes'];
+
+// Only copy fields admins are allowed to change after a meter is registered
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+// @route   GET /api/meters
+// @desc    List meters (?house=, ?meterType=, ?serialNumber=, ?active=true|false)
+// @access  Private (Admin only)
+router.get('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { page = 1, limit = 20, house, meterType, serialNumber, active } = req.query;
+    const query = {};
+    if (house) {
+      if (!mongoose.Types.ObjectId.isValid(house)) {
+        return res.status(400).json({ message: 'Invalid house ID format' });
+      }
+      query.house = house;
+    }
+    if (meterType) query.meterType = meterType;
+    if (serialNumber) query.serialNumber = meterRegistry.normaliseId(serialNumber);
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const meters = await Meter.find(query)
+      .populate('house', 'address postcode city')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Meter.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: meters,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get meters error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/meters
+// @desc    Register a meter at a house
+//          ({ house, meterType, serialNumber, make, model, registers: [{ registerId, description, digits }], installedAt })
+// @access  Private (Admin only)
+router.post('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { house: houseId } = req.body;
+    if (!houseId || !mongoose.Types.ObjectId.isValid(houseId)) {
+      return res.status(400).json({ message: 'A valid house ID is required' });
+    }
+    const house = await House.findById(houseId).select('mergedInto');
+    if (!house) {
+      return res.status(404).json({ message: 'House not found' });
+    }
+    if (house.mergedInto) {
+      return res.status(400).json({ message: 'This house was merged into another; add the meter there', mergedInto: house.mergedInto });
+    }
+
+    const meter = await meterRegistry.createMeter(req.body, req.user);
+
+    res.status(201).json({ success: true, data: meter });
+  } catch (error) {
+    if (error instanceof meterRegistry.MeterError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create meter error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/meters/link-jobs
+// @desc    Link existing jobs that have a house but no meter (and their readings) to meters,
+//          registering meters from the jobs' serial numbers. Up to `limit` jobs per call (default 500).
+// @access  Private (Admin only)
+router.post('/link-jobs', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 500, 1), 5000);
+    const result = await meterRegistry.linkUnlinkedJobs({ limit });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Link jobs to meters error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/meters/:id
+// @desc    Get a meter with the meters it replaced and was replaced by
+// @access  Private (Admin only)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid meter ID format' });
+    }
+
+    const meter = await Meter.findById(req.params.id)
+      .populate('house', 'address postcode city county')
+      .populate('replaces', 'serialNumber make model installedAt removedAt finalReading')
+      .populate('replacedBy', 'serialNumber make model installedAt initialReading')
+      .populate('exchangeJob', 'jobId status completedDate assignedTo')
+      .populate('createdBy', 'firstName lastName username');
+
+    if (!meter) {
+      return res.status(404).json({ message: 'Meter not found' });
+    }
+
+    res.json({ success: true, data: meter });
+  } catch (error) {
+    console.error('Get meter error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   PUT /api/meters/:id
+// @desc    Update a meter's make, model, register layout, install date or notes
+// @access  Private (Admin only)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid meter ID format' });
+    }
+
+    const meter = await Meter.findById(req.params.id);
+    if (!meter) {
+      return res.status(404).json({ message: 'Meter not found' });
+    }
+
+    const changes = pickEditable(req.body);
+    if (changes.registers !== undefined) {
+      changes.registers = meterRegistry.normaliseRegisters(changes.registers);
+    }
+    meter.set(changes);
+    await meter.save();
+
+    res.json({ success: true, data: meter });
+  } catch (error) {
+    if (error instanceof meterRegistry.MeterError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update meter error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/meters/:id/exchange
+// @desc    Record a meter exchange: this meter is removed and a new one installed at the house
+//          ({ serialNumber, make, model, registers, removalReason, exchangedAt, jobId,
+//          finalReading: { registerIds, registerValues }, initialReading: { registerIds, registerValues } })
+// @access  Private (Admin, or the operative assigned to jobId)
+router.post('/:id/exchange', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid meter ID format' });
+    }
+
+    const result = await meterRegistry.exchangeMeter(req.params.id, req.body, req.user);
+
+    if (global.io) {
+      global.io.to('admin_room').emit('meterUpdate', {
+        type: 'meter_exchanged',
+        removed: result.removed,
+        installed: result.installed,
+        userId: req.user._id.toString()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Meter ${result.removed.serialNumber} exchanged for ${result.installed.serialNumber}`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof meterRegistry.MeterError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Exchange meter error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+module.exports = router;
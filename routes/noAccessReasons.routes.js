@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const NoAccessReason = require('../models/noAccessReason.model');
+const { protect } = require('../middleware/auth');
+const noAccessReasons = require('../utils/noAccessReasons');
+
+// The code identifies a reason in completions and on jobs, so it is only set on create
+const EDITABLE_FIELDS = ['label', 'validNoAccess', 'points', 'award', 'photoRequired', 'isActive', 'sortOrder'];
+
+// Only copy fields admins are allowed to set
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = ['points', 'award'].includes(field) && body[field] === '' ? null : body[field];
+  }
+  return fields;
+}, {});
+
+// @route   GET /api/no-access-reasons
+// @desc    List no-access reasons. Operatives get the active ones the app offers;
+//          admins get every reason (?active=true|false to filter).
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    let reasons = await noAccessReasons.loadCatalogue({ activeOnly: !isAdmin });
+    if (isAdmin && req.query.active !== undefined) {
+      reasons = reasons.filter((reason) => reason.isActive === (req.query.active === 'true'));
+    }
+
+    res.json({ success: true, data: reasons.map(noAccessReasons.toPublic) });
+  } catch (error) {
+    console.error('Get no-access reasons error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/no-access-reasons
+// @desc    Add a no-access reason
+// @access  Private (Admin only)
+router.post('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    await noAccessReasons.ensureSeeded(req.user);
+
+    const reason = new NoAccessReason({
+      ...pickEditable(req.body),
+      code: req.body.code,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await reason.save();
+
+    res.status(201).json({ success: true, data: noAccessReasons.toPublic(reason) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A no-access reason with this code already exists' });
+    }
+    console.error('Create no-access reason error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   PUT /api/no-access-reasons/:code
+// @desc    Update a no-access reason. Jobs already completed keep their points and label.
+// @access  Private (Admin only)
+router.put('/:code', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    await noAccessReasons.ensureSeeded(req.user);
+
+    const reason = await NoAccessReason.findOne({ code: req.params.code.toUpperCase() });
+    if (!reason) {
+      return res.status(404).json({ message: 'No-access reason not found' });
+    }
+
+    reason.set({ ...pickEditable(req.body), updatedBy: req.user._id });
+    await reason.save();
+
+    res.json({ success: true, data: noAccessReasons.toPublic(reason) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update no-access reason error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/no-access-reasons/:code
+// @desc    Retire a no-access reason. It is deactivated rather than removed because
+//          completed jobs and meter readings carry its label.
+// @access  Private (Admin only)
+router.delete('/:code', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    await noAccessReasons.ensureSeeded(req.user);
+
+    const reason = await NoAccessReason.findOneAndUpdate(
+      { code: req.params.code.toUpperCase() },
+      { isActive: false, updatedBy: req.user._id },
+      { new: true }
+    );
+    if (!reason) {
+      return res.status(404).json({ message: 'No-access reason not found' });
+    }
+    res.json({ success: true, message: 'No-access reason retired', data: noAccessReasons.toPublic(reason) });
+  } catch (error) {
+    console.error('Delete no-access reason error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+module.exports = router;
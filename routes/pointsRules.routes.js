@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const PointsRuleSet = require('../models/pointsRuleSet.model');
+const { protect } = require('../middleware/auth');
+const pointsRules = require('../utils/pointsRules');
+
+const EDITABLE_FIELDS = ['name', 'jobType', 'sup', 'effectiveFrom', 'effectiveTo', 'isActive', 'notes', ...pointsRules.RATE_FIELDS];
+
+// Only copy fields admins are allowed to set
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = field === 'jobType' && body[field] === '' ? null : body[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Find another active rule set with exactly the same scope and start date,
+ * which would make the choice between them arbitrary
+ */
+const findClash = (ruleSet) => PointsRuleSet.findOne({
+  _id: { $ne: ruleSet._id },
+  isActive: true,
+  jobType: ruleSet.jobType || null,
+  sup: ruleSet.sup || '',
+  effectiveFrom: ruleSet.effectiveFrom,
+});
+
+// @route   GET /api/points-rules
+// @desc    List points rule sets
+// @access  Private (Admin only)
+router.get('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { jobType, sup, active } = req.query;
+    const query = {};
+    if (jobType) query.jobType = jobType === 'all' ? null : jobType;
+    if (sup !== undefined) query.sup = sup;
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const ruleSets = await PointsRuleSet.find(query)
+      .populate('createdBy', 'firstName lastName username')
+      .populate('updatedBy', 'firstName lastName username')
+      .sort({ effectiveFrom: -1, createdAt: -1 });
+
+    res.json({ success: true, data: ruleSets, defaults: pointsRules.toSnapshot(null) });
+  } catch (error) {
+    console.error('Get points rules error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/points-rules/resolve
+// @desc    Preview the rates that apply to a job type / supplier at a date
+// @access  Private (Admin only)
+router.get('/resolve', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const { jobType, sup, at } = req.query;
+    const when = at ? new Date(at) : new Date();
+    if (Number.isNaN(when.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const rules = await pointsRules.resolveRules({ jobType, sup, at: when });
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Resolve points rules error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/points-rules/:id
+// @desc    Get a points rule set
+// @access  Private (Admin only)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const ruleSet = await PointsRuleSet.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName username')
+      .populate('updatedBy', 'firstName lastName username');
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Rule set not found' });
+    }
+    res.json({ success: true, data: ruleSet });
+  } catch (error) {
+    console.error('Get points rule error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/points-rules
+// @desc    Create a points rule set
+// @access  Private (Admin only)
+router.post('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const ruleSet = new PointsRuleSet({
+      ...pickEditable(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await ruleSet.validate();
+
+    if (ruleSet.isActive && await findClash(ruleSet)) {
+      return res.status(409).json({
+        message: 'An active rule set with the same job type, supplier and effective date already exists',
+      });
+    }
+
+    await ruleSet.save();
+    res.status(201).json({ success: true, data: ruleSet });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create points rule error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   PUT /api/points-rules/:id
+// @desc    Update a points rule set (jobs already completed keep the rates they were paid at)
+// @access  Private (Admin only)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const ruleSet = await PointsRuleSet.findById(req.params.id);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Rule set not found' });
+    }
+
+    ruleSet.set({ ...pickEditable(req.body), updatedBy: req.user._id });
+    await ruleSet.validate();
+
+    if (ruleSet.isActive && await findClash(ruleSet)) {
+      return res.status(409).json({
+        message: 'An active rule set with the same job type, supplier and effective date already exists',
+      });
+    }
+
+    await ruleSet.save();
+    res.json({ success: true, data: ruleSet });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update points rule error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/points-rules/:id
+// @desc    Retire a points rule set. It is deactivated rather than removed because
+//          completed jobs reference it in their pointsRule snapshot.
+// @access  Private (Admin only)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const ruleSet = await PointsRuleSet.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user._id },
+      { new: true }
+    );
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Rule set not found' });
+    }
+    res.json({ success: true, message: 'Rule set deactivated', data: ruleSet });
+  } catch (error) {
+    console.error('Delete points rule error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+module.exports = router;
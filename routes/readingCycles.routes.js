@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ReadingCycle = require('../models/readingCycle.model');
+const { protect } = require('../middleware/auth');
+const readingCycles = require('../utils/readingCycles');
+
+// The house is only set on create; a property that changes contract gets a new cycle
+const EDITABLE_FIELDS = [
+  'meter', 'jobType', 'frequency', 'startDate', 'preferredWindow', 'assignedTo', 'patch', 'priority', 'notes', 'isActive',
+];
+
+// Only copy fields admins are allowed to set ('' clears the meter, operative and window)
+const pickEditable = (body = {}) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = ['meter', 'assignedTo', 'preferredWindow'].includes(field) && body[field] === '' ? null : body[field];
+  }
+  return fields;
+}, {});
+
+const populateCycle = (query) => query
+  .populate('house', 'address postcode city county isActive')
+  .populate('meter', 'meterType serialNumber isActive')
+  .populate('assignedTo', 'firstName lastName username employeeId patch')
+  .populate('lastGeneratedJob', 'jobId status scheduledDate');
+
+// Check and save a new or edited cycle, then send it back populated
+const saveCycle = async (cycle, res, status) => {
+  await cycle.validate();
+  await readingCycles.prepareCycle(cycle);
+  await cycle.save();
+  const saved = await populateCycle(ReadingCycle.findById(cycle._id));
+  return res.status(status).json({ success: true, data: saved });
+};
+
+// Validation problems are the admin's to fix (400); anything else is ours
+const handleSaveError = (error, res, label) => {
+  if (error instanceof readingCycles.ReadingCycleError) {
+    return res.status(error.statusCode).json(error.toJSON());
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ message: 'Server Error', error: error.message });
+};
+
+// @route   GET /api/reading-cycles
+// @desc    List reading cycles (?house=, ?patch=, ?assignedTo=, ?active=true|false)
+// @access  Private (Admin only)
+router.get('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const query = {};
+    for (const field of ['house', 'assignedTo']) {
+      if (!req.query[field]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+        return res.status(400).json({ message: `Invalid ${field} ID` });
+      }
+      query[field] = req.query[field];
+    }
+    if (req.query.patch) query.patch = req.query.patch;
+    if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+    const cycles = await populateCycle(ReadingCycle.find(query)).sort({ nextDueDate: 1 });
+    res.json({ success: true, count: cycles.length, data: cycles });
+  } catch (error) {
+    console.error('Get reading cycles error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/reading-cycles/behind
+// @desc    Cycles that have fallen behind: due dates passed without a job (with the reason the
+//          scheduler gave) and generated jobs still open after the grace period
+// @access  Private (Admin only)
+router.get('/behind', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const behind = await readingCycles.behindSchedule();
+    res.json({ success: true, count: behind.length, data: behind });
+  } catch (error) {
+    console.error('Get reading cycles behind error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/reading-cycles/run
+// @desc    Create the jobs of cycles due within the lead time now, rather than waiting for the
+//          scheduler (runs even when the scheduler is switched off)
+// @access  Private (Admin only)
+router.post('/run', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const result = await readingCycles.runCycles();
+    res.json({
+      success: true,
+      message: `${result.created.length} job(s) created, ${result.skipped.length} cycle(s) skipped`,
+      created: result.created.map(({ cycle, job, missedCycles }) => ({
+        cycle: cycle._id,
+        jobId: job.jobId,
+        job: job._id,
+        scheduledDate: job.scheduledDate,
+        assignedTo: job.assignedTo,
+        missedCycles,
+      })),
+      skipped: result.skipped.map(({ cycle, reason }) => ({ cycle: cycle._id, dueDate: cycle.nextDueDate, reason })),
+    });
+  } catch (error) {
+    console.error('Run reading cycles error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/reading-cycles/:id
+// @desc    Get a reading cycle
+// @access  Private (Admin only)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Reading cycle not found' });
+    }
+
+    const cycle = await populateCycle(ReadingCycle.findById(req.params.id));
+    if (!cycle) {
+      return res.status(404).json({ message: 'Reading cycle not found' });
+    }
+    res.json({ success: true, data: cycle });
+  } catch (error) {
+    console.error('Get reading cycle error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   POST /api/reading-cycles
+// @desc    Set up a reading cycle on a house, or one of its meters
+// @access  Private (Admin only)
+router.post('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const cycle = new ReadingCycle({
+      ...pickEditable(req.body),
+      house: req.body.house,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await saveCycle(cycle, res, 201);
+  } catch (error) {
+    handleSaveError(error, res, 'Create reading cycle');
+  }
+});
+
+// @route   PUT /api/reading-cycles/:id
+// @desc    Update a reading cycle. A new start date or frequency restarts the schedule from it
+//          (or from the next due date); jobs already created are kept.
+// @access  Private (Admin only)
+router.put('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Reading cycle not found' });
+    }
+
+    const cycle = await ReadingCycle.findById(req.params.id);
+    if (!cycle) {
+      return res.status(404).json({ message: 'Reading cycle not found' });
+    }
+
+    cycle.set({ ...pickEditable(req.body), updatedBy: req.user._id });
+    await saveCycle(cycle, res, 200);
+  } catch (error) {
+    handleSaveError(error, res, 'Update reading cycle');
+  }
+});
+
+// @route   DELETE /api/reading-cycles/:id
+// @desc    Stop a reading cycle. It is deactivated rather than removed because its jobs refer to it.
+// @access  Private (Admin only)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Reading cycle not found' });
+    }
+
+    const cycle = await ReadingCycle.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, updatedBy: req.user._id },
+      { new: true }
+    );
+    if (!cycle) {
+      return res.status(404).json({ message: 'Reading cycle not found' });
+    }
+    res.json({ success: true, message: 'Reading cycle stopped', data: cycle });
+  } catch (error) {
+    console.error('Delete reading cycle error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+module.exports = router;
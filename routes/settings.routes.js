@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const settings = require('../utils/settings');
+const geocoding = require('../utils/geocoding');
+
+// @route   GET /api/settings
+// @desc    Get all admin settings (merged with defaults)
+// @access  Private (Admin only)
+router.get('/', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const data = await settings.getAllSettings();
+    res.json({ success: true, data, defaults: settings.DEFAULT_SETTINGS });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   DELETE /api/settings/geocoding/cache
+// @desc    Forget cached geocoding results (all, or one address with ?address=), e.g. after
+//          changing providers
+// @access  Private (Admin only)
+router.delete('/geocoding/cache', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const removed = await geocoding.clearCache(req.query.address);
+    res.json({ success: true, message: `Removed ${removed} cached geocoding result(s)`, removed });
+  } catch (error) {
+    console.error('Clear geocoding cache error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   GET /api/settings/:key
+// @desc    Get one setting (merged with defaults)
+// @access  Private (Admin only)
+router.get('/:key', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const data = await settings.getSetting(req.params.key);
+    res.json({ success: true, key: req.params.key, data });
+  } catch (error) {
+    if (error instanceof settings.SettingsError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get setting error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+// @route   PUT /api/settings/:key
+// @desc    Update one setting; only the fields sent are changed
+// @access  Private (Admin only)
+router.put('/:key', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admin only.' });
+    }
+
+    const data = await settings.updateSetting(req.params.key, req.body, req.user);
+    res.json({ success: true, key: req.params.key, data });
+  } catch (error) {
+    if (error instanceof settings.SettingsError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update setting error:', error);
+    res.status(500).json({ message: 'Server Error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user.model');
 const { protect } = require('../middleware/auth');
+const businessTime = require('../utils/businessTime');
+const { COMPLETED_STATUSES } = require('../utils/jobLifecycle');
 
 // @route   GET /api/users
 // @desc    Get all users
@@ -68,6 +70,7 @@ router.post('/', protect, async (req, res) => {
       email: user.email,
       phone: user.phone,
       employeeId: user.employeeId,
+      patch: user.patch,
       department: user.department,
       role: user.role,
       isActive: user.isActive,
@@ -150,19 +153,9 @@ router.get('/:id/progress', protect, async (req, res) => {
     const { startDate, endDate } = req.query;
     
     // Build date filter - if dates provided, use them; otherwise get all jobs
-    let dateFilter = {};
-    if (startDate || endDate) {
-      dateFilter = {};
-      if (startDate) {
-        const start = new Date(startDate);
-        start.setHours(0, 0, 0, 0); // Start of day
-        dateFilter.$gte = start;
-      }
-      if (endDate) {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999); // End of day
-        dateFilter.$lte = end;
-      }
+    const dateFilter = businessTime.daysFilter(startDate, endDate);
+    if (!dateFilter) {
+      return res.status(400).json({ message: 'Invalid date range' });
     }
     // If no dates provided, don't filter by date (get all jobs)
 
@@ -180,13 +173,13 @@ router.get('/:id/progress', protect, async (req, res) => {
     console.log('User ID:', userId);
 
     const allJobs = await Job.find(query)
-    .select('status startLocation endLocation location address house scheduledDate completedDate jobId sequenceNumber')
+    .select('status startLocation endLocation location address house scheduledDate completedDate jobId sequenceNumber meterReadings registerValues validNoAccess points distanceTraveled')
     .populate('house', 'latitude longitude address postcode city');
 
     console.log(`Found ${allJobs.length} jobs for user ${userId}`);
     console.log('Jobs by status:', {
       total: allJobs.length,
-      completed: allJobs.filter(j => j.status === 'completed').length,
+      completed: allJobs.filter(j => COMPLETED_STATUSES.includes(j.status)).length,
       pending: allJobs.filter(j => j.status === 'pending').length,
       in_progress: allJobs.filter(j => j.status === 'in_progress').length,
       cancelled: allJobs.filter(j => j.status === 'cancelled').length,
@@ -194,7 +187,7 @@ router.get('/:id/progress', protect, async (req, res) => {
 
     // Calculate statistics
     const totalJobs = allJobs.length;
-    const completedJobs = allJobs.filter(j => j.status === 'completed').length;
+    const completedJobs = allJobs.filter(j => COMPLETED_STATUSES.includes(j.status)).length;
     const pendingJobs = allJobs.filter(j => j.status === 'pending').length;
     const inProgressJobs = allJobs.filter(j => j.status === 'in_progress').length;
     const cancelledJobs = allJobs.filter(j => j.status === 'cancelled').length;
@@ -204,7 +197,7 @@ router.get('/:id/progress', protect, async (req, res) => {
 
     // Calculate jobs with meter readings
     const jobsWithReading = allJobs.filter(j => {
-      if (j.status !== 'completed') return false;
+      if (!COMPLETED_STATUSES.includes(j.status)) return false;
       if (j.meterReadings) {
         const electric = j.meterReadings.electric;
         const gas = j.meterReadings.gas;
@@ -222,24 +215,21 @@ router.get('/:id/progress', protect, async (req, res) => {
     }).length;
 
     // Calculate valid no access jobs
-    const validNoAccessJobs = allJobs.filter(j => j.status === 'completed' && j.validNoAccess === true).length;
+    const validNoAccessJobs = allJobs.filter(j => COMPLETED_STATUSES.includes(j.status) && j.validNoAccess === true).length;
 
     // Calculate total points
     const totalPoints = allJobs
-      .filter(j => j.status === 'completed')
+      .filter(j => COMPLETED_STATUSES.includes(j.status))
       .reduce((sum, j) => sum + (j.points || 0), 0);
 
     // Calculate total distance (already in miles)
     const totalDistanceMiles = allJobs
-      .filter(j => j.status === 'completed')
+      .filter(j => COMPLETED_STATUSES.includes(j.status))
       .reduce((sum, j) => sum + (j.distanceTraveled || 0), 0);
 
     // Calculate work hours for today
     const VehicleCheck = require('../models/vehicleCheck.model');
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const { start: today, end: tomorrow } = businessTime.dayRange();
 
     // Get today's vehicle check (start time and end time)
     const todayVehicleCheck = await VehicleCheck.findOne({
@@ -253,7 +243,7 @@ router.get('/:id/progress', protect, async (req, res) => {
     // Get last completed job for today (end time)
     const lastCompletedJob = await Job.findOne({
       assignedTo: userId,
-      status: 'completed',
+      status: { $in: COMPLETED_STATUSES },
       completedDate: {
         $gte: today,
         $lt: tomorrow
@@ -323,8 +313,8 @@ router.get('/:id/progress', protect, async (req, res) => {
         totalDistanceMiles: Math.round(totalDistanceMiles * 100) / 100,
       },
       dateRange: {
-        start: startDate ? new Date(startDate).toISOString().split('T')[0] : null,
-        end: endDate ? new Date(endDate).toISOString().split('T')[0] : null,
+        start: startDate ? businessTime.dayKey(businessTime.parseDay(startDate)) : null,
+        end: endDate ? businessTime.dayKey(businessTime.parseDay(endDate)) : null,
       },
       workHours: workHours, // Today's work hours (start time, end time, total hours)
       // Include job locations for map visualization
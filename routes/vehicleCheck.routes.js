@@ -3,6 +3,8 @@ const router = express.Router();
 const VehicleCheck = require('../models/vehicleCheck.model');
 const User = require('../models/user.model');
 const { protect } = require('../middleware/auth');
+const tableExport = require('../utils/tableExport');
+const businessTime = require('../utils/businessTime');
 
 // @route   POST /api/vehicle-checks
 // @desc    Create a new vehicle check
@@ -58,10 +60,12 @@ router.post('/', protect, async (req, res) => {
 });
 
 // @route   GET /api/vehicle-checks
-// @desc    Get all vehicle checks (admin) or own checks (operative)
+// @desc    Get all vehicle checks (admin) or own checks (operative); ?format=csv|xlsx for every
+//          matching check as a download
 // @access  Private
 router.get('/', protect, async (req, res) => {
   try {
+    const format = tableExport.exportFormat(req.query);
     let query = {};
     
     // If not admin, only show own checks
@@ -74,17 +78,23 @@ router.get('/', protect, async (req, res) => {
       query.operative = req.query.operativeId;
     }
 
-    // Optional date range filter
+    // Optional date range filter (whole business days, the end date included)
     if (req.query.startDate || req.query.endDate) {
-      query.checkDate = {};
-      if (req.query.startDate) {
-        query.checkDate.$gte = new Date(req.query.startDate);
-      }
-      if (req.query.endDate) {
-        query.checkDate.$lte = new Date(req.query.endDate);
+      query.checkDate = businessTime.daysFilter(req.query.startDate, req.query.endDate);
+      if (!query.checkDate) {
+        return res.status(400).json({ message: 'Invalid date range' });
       }
     }
 
+    if (format) {
+      const cursor = VehicleCheck.find(query)
+        .populate('operative', 'firstName lastName employeeId')
+        .sort({ checkDate: -1 })
+        .lean()
+        .cursor();
+      return await tableExport.sendTable(res, { format, name: 'vehicle-checks', columns: tableExport.COLUMNS.vehicleChecks, rows: cursor });
+    }
+
     const vehicleChecks = await VehicleCheck.find(query)
       .populate('operative', 'firstName lastName employeeId username')
       .sort({ checkDate: -1 })
@@ -96,6 +106,9 @@ router.get('/', protect, async (req, res) => {
       data: vehicleChecks,
     });
   } catch (error) {
+    if (error instanceof tableExport.TableExportError) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Get vehicle checks error:', error);
     res.status(500).json({ message: 'Server Error', error: error.message });
   }
@@ -165,10 +178,7 @@ router.get('/today', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Operatives only.' });
     }
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const { start: today, end: tomorrow } = businessTime.dayRange();
 
     const vehicleCheck = await VehicleCheck.findOne({
       operative: req.user.id,
@@ -16,7 +16,18 @@ const uploadRoutes = require('./routes/upload.routes');
 const meterReadingRoutes = require('./routes/meterReading.routes');
 const messageRoutes = require('./routes/messages.routes');
 const vehicleCheckRoutes = require('./routes/vehicleCheck.routes');
+const pointsRulesRoutes = require('./routes/pointsRules.routes');
+const settingsRoutes = require('./routes/settings.routes');
+const importsRoutes = require('./routes/imports.routes');
+const importTemplatesRoutes = require('./routes/importTemplates.routes');
+const metersRoutes = require('./routes/meters.routes');
+const flowExportsRoutes = require('./routes/flowExports.routes');
+const noAccessReasonsRoutes = require('./routes/noAccessReasons.routes');
+const readingCyclesRoutes = require('./routes/readingCycles.routes');
 const authRoutes = require('./routes/auth.routes'); 
+const importQueue = require('./utils/importQueue');
+const appointments = require('./utils/appointments');
+const readingCycles = require('./utils/readingCycles');
 
 // Set JWT_SECRET in environment variables for jwt.sign
 process.env.JWT_SECRET = JWT_SECRET;
@@ -49,6 +60,14 @@ app.use('/api/upload', uploadRoutes);   // File upload routes
 app.use('/api/meter-readings', meterReadingRoutes); // Meter reading routes
 app.use('/api/messages', messageRoutes);
 app.use('/api/vehicle-checks', vehicleCheckRoutes); // Vehicle check routes
+app.use('/api/points-rules', pointsRulesRoutes); // Points & pay rule sets (admin)
+app.use('/api/settings', settingsRoutes); // Admin settings (geofence policy, ...)
+app.use('/api/imports', importsRoutes); // Spreadsheet import review, commit and rollback (admin)
+app.use('/api/import-templates', importTemplatesRoutes); // Spreadsheet column mappings (admin)
+app.use('/api/meters', metersRoutes); // Meter registry and meter exchanges
+app.use('/api/flow-exports', flowExportsRoutes); // Supplier flow files of meter readings (admin)
+app.use('/api/no-access-reasons', noAccessReasonsRoutes); // No-access reason catalogue (read by the app, edited by admins)
+app.use('/api/reading-cycles', readingCyclesRoutes); // Recurring reads per house/meter and their job scheduler (admin)
 
 app.get('/', (req, res) => {
     res.send('MeterMate Backend is running!');
@@ -150,6 +169,15 @@ io.on('connection', (socket) => {
 // Make io available globally for emitting events
 global.io = io;
 
+// Carry on with spreadsheet imports interrupted by a restart
+importQueue.start();
+
+// Alert admins when operatives are running late for booked appointment windows
+appointments.startMonitor();
+
+// Create the jobs of recurring reading cycles ahead of their due dates
+readingCycles.startScheduler();
+
 // Listen on 0.0.0.0 to accept connections from any network interface
 server.listen(servicePort, '0.0.0.0', () => {
   console.log(`Server running on 0.0.0.0:${servicePort}`);
@@ -359,6 +359,46 @@ describe('Security Testing - Authentication, Authorization & Access Control', ()
         expect(response.body.success).toBe(true);
       });
 
+      it('should refuse edits to managed and computed job fields, however they are addressed', async () => {
+        const attempts = [
+          [meterReaderToken, { 'geofence.override': { granted: true, stage: 'any' } }],
+          [meterReaderToken, { 'geofence.checks': [] }],
+          [meterReaderToken, { 'statusHistory.0.to': 'completed' }],
+          [meterReaderToken, { 'appointment.start': new Date() }],
+          [meterReaderToken, { 'mileage.flagged': false }],
+          [meterReaderToken, { $set: { points: 100 } }],
+          [meterReaderToken, { $unset: { notes: '' } }],
+          [adminToken, { $set: { status: 'completed' } }],
+          [adminToken, { 'noAccessOutcome.action': 'none' }],
+        ];
+
+        for (const [token, body] of attempts) {
+          const response = await request(app)
+            .put(`/api/jobs/${testJob._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ notes: 'Side gate', ...body })
+            .expect(400);
+
+          expect(response.body.error).toBe('PROTECTED_FIELDS');
+        }
+
+        const job = await Job.findById(testJob._id);
+        expect(job.status).toBe('pending');
+        expect(job.notes).not.toBe('Side gate');
+        expect(job.statusHistory.every((entry) => entry.to !== 'completed')).toBe(true);
+      });
+
+      it('should still let the operative edit ordinary fields of their job', async () => {
+        const response = await request(app)
+          .put(`/api/jobs/${testJob._id}`)
+          .set('Authorization', `Bearer ${meterReaderToken}`)
+          .send({ notes: 'Side gate', $set: { 'address.city': 'Westminster' } })
+          .expect(200);
+
+        expect(response.body.notes).toBe('Side gate');
+        expect(response.body.address.city).toBe('Westminster');
+      });
+
       it('should allow user to view their own messages', async () => {
         const message = await Message.create({
           recipient: meterReader._id,
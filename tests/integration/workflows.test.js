@@ -136,7 +136,11 @@ describe('End-to-End Workflow Integration Tests', () => {
       expect(response.body.job.status).toBe('completed');
       expect(response.body.job.points).toBe(1);
       expect(response.body.job.award).toBe(0.50);
-      expect(response.body.job.distanceTraveled).toBe(5.5);
+      // Mileage is paid on the GPS trace (start → end); the client's 5.5 miles is kept for comparison
+      expect(response.body.job.distanceTraveled).toBeCloseTo(0.08, 2);
+      expect(response.body.job.mileage.source).toBe('straight_line');
+      expect(response.body.job.mileage.clientMiles).toBe(5.5);
+      expect(response.body.job.mileage.flagged).toBe(true);
       expect(response.body.job.validNoAccess).toBe(false);
 
       // Verify job was updated in database
@@ -144,7 +148,7 @@ describe('End-to-End Workflow Integration Tests', () => {
       expect(updatedJob.status).toBe('completed');
       expect(updatedJob.points).toBe(1);
       expect(updatedJob.award).toBe(0.50);
-      expect(updatedJob.distanceTraveled).toBe(5.5);
+      expect(updatedJob.distanceTraveled).toBeCloseTo(0.08, 2);
       expect(updatedJob.completedDate).toBeDefined();
     });
 
@@ -245,7 +245,7 @@ describe('Job Model', () => {
     });
 
     it('should accept valid status values', async () => {
-      const validStatuses = ['pending', 'in_progress', 'completed', 'cancelled'];
+      const validStatuses = ['pending', 'in_progress', 'completed', 'no_access', 'cancelled'];
 
       for (const status of validStatuses) {
         const job = new Job({
@@ -522,7 +522,7 @@ describe('Job Model', () => {
       expect(savedJob.noAccessReason).toBe('Property locked - no key access');
     });
 
-    it('should have default validNoAccessReasons', async () => {
+    it('should not copy the no-access reason catalogue onto the job', async () => {
       const job = new Job({
         jobType: 'electricity',
         address: {
@@ -537,9 +537,8 @@ describe('Job Model', () => {
 
       const savedJob = await job.save();
 
-      expect(savedJob.validNoAccessReasons).toBeInstanceOf(Array);
-      expect(savedJob.validNoAccessReasons.length).toBeGreaterThan(0);
-      expect(savedJob.validNoAccessReasons).toContain('Property locked - no key access');
+      expect(savedJob.toObject()).not.toHaveProperty('validNoAccessReasons');
+      expect(savedJob.noAccessReasonCode).toBe('');
     });
   });
 
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for address normalisation and duplicate house detection
+ */
+
+const addressMatching = require('../../../utils/addressMatching');
+
+describe('Address Matching', () => {
+  describe('houseKey', () => {
+    it('should give the same key to the same address written differently', () => {
+      const key = addressMatching.houseKey({ street: '12 High St.', postcode: 'sw1a1aa' });
+
+      expect(key).toBe('SW1A1AA|12 high street');
+      expect(addressMatching.houseKey({ street: '12  HIGH STREET', postcode: 'SW1A 1AA' })).toBe(key);
+      expect(addressMatching.houseKey({ address: '12 High Street', postcode: 'SW1A 1AA' })).toBe(key);
+    });
+
+    it('should keep flats apart and need both a street and a postcode', () => {
+      expect(addressMatching.houseKey({ street: 'Apt 2, 12 High St', postcode: 'SW1A 1AA' })).toBe('SW1A1AA|flat 2 12 high street');
+      expect(addressMatching.houseKey({ street: '12 High St', postcode: '' })).toBe('');
+      expect(addressMatching.houseKey({ street: '', postcode: 'SW1A 1AA' })).toBe('');
+    });
+  });
+
+  describe('formatPostcode', () => {
+    it('should space the inward code', () => {
+      expect(addressMatching.formatPostcode('ls11ur')).toBe('LS1 1UR');
+      expect(addressMatching.formatPostcode(' SW1A  1AA ')).toBe('SW1A 1AA');
+    });
+  });
+
+  describe('duplicateReason', () => {
+    const house = (address, postcode, latitude, longitude) => ({ address, postcode, latitude, longitude });
+
+    it('should match the same address, similar spellings in a postcode and the same number at the same spot', () => {
+      expect(addressMatching.duplicateReason(house('12 High St', 'SW1A 1AA'), house('12 high street', 'SW1A1AA'))).toBe('Same address');
+      expect(addressMatching.duplicateReason(house('12 High Street, Westminster', 'SW1A 1AA'), house('12 High Street', 'SW1A 1AA')))
+        .toBe('Similar address in the same postcode');
+      expect(addressMatching.duplicateReason(house('12 High Street', 'SW1A 1AA', 51.501, -0.1416), house('12 Main Road', 'SW1A 1AB', 51.50101, -0.14161)))
+        .toBe('Same house number at the same location');
+    });
+
+    it('should not match different house numbers or distant houses', () => {
+      expect(addressMatching.duplicateReason(house('12 High Street', 'SW1A 1AA'), house('14 High Street', 'SW1A 1AA'))).toBeNull();
+      expect(addressMatching.duplicateReason(house('12 High Street', 'SW1A 1AA', 51.501, -0.1416), house('12 Main Road', 'SW1A 1AB', 51.51, -0.1416)))
+        .toBeNull();
+    });
+  });
+
+  describe('findDuplicateHouses', () => {
+    it('should group matching houses transitively and leave unique houses out', () => {
+      const houses = [
+        { _id: 'a', address: '12 High St', postcode: 'SW1A 1AA' },
+        { _id: 'b', address: '12 High Street', postcode: 'sw1a1aa' },
+        { _id: 'c', address: '12 High Street, Westminster', postcode: 'SW1A 1AA' },
+        { _id: 'd', address: '14 High Street', postcode: 'SW1A 1AA' },
+        { _id: 'e', address: '1 Park Row', postcode: 'LS1 1UR' },
+        { _id: 'f', address: '1 Park Row', postcode: 'LS1 1UR' },
+      ];
+
+      const groups = addressMatching.findDuplicateHouses(houses);
+
+      expect(groups.map((group) => group.houses.map((house) => house._id))).toEqual([['a', 'b', 'c'], ['e', 'f']]);
+      expect(groups[0].reasons).toEqual(expect.arrayContaining(['Same address', 'Similar address in the same postcode']));
+      expect(groups[1].reasons).toEqual(['Same address']);
+    });
+  });
+});
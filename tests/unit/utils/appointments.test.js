@@ -0,0 +1,147 @@
+/**
+ * Unit tests for appointment windows, day checks and late alerts
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../../../models/job.model');
+const User = require('../../../models/user.model');
+const Setting = require('../../../models/setting.model');
+const appointments = require('../../../utils/appointments');
+const settings = require('../../../utils/settings');
+
+describe('Appointments', () => {
+  const routing = { ...settings.DEFAULT_SETTINGS.routing, averageSpeedMph: 30, roadFactor: 1, serviceMinutes: 10 };
+  const config = settings.DEFAULT_SETTINGS.appointments;
+  const at = (time) => new Date(`2030-03-04T${time}:00`);
+  // Jobs heading east from the same point; 0.1 degrees of longitude is about 4.3 miles
+  const booked = (jobId, from, to, steps = 0, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    jobId,
+    assignedTo: new mongoose.Types.ObjectId(),
+    address: { latitude: 51.5, longitude: -0.1 + steps * 0.1 },
+    appointment: { start: at(from), end: at(to) },
+    ...fields,
+  });
+  const found = (jobs) => ({ populate: () => ({ lean: async () => jobs, sort: () => ({ lean: async () => jobs }) }) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.io;
+  });
+
+  describe('parseWindow', () => {
+    it('should require a same-day window that ends after it starts', () => {
+      expect(appointments.parseWindow({ start: '2030-03-04T14:00:00', end: '2030-03-04T16:00:00' }))
+        .toEqual({ start: at('14:00'), end: at('16:00') });
+      expect(() => appointments.parseWindow({ start: '2030-03-04T14:00:00' })).toThrow('valid appointment end');
+      expect(() => appointments.parseWindow({ start: at('14:00'), end: at('14:00') })).toThrow('after its start');
+      expect(() => appointments.parseWindow({ start: at('22:00'), end: new Date('2030-03-05T01:00:00') })).toThrow('same day');
+    });
+  });
+
+  describe('checkDay', () => {
+    it('should report overlapping windows unless the setting allows them', () => {
+      const jobs = [booked('A', '09:00', '11:00'), booked('B', '10:30', '12:00'), booked('C', '13:00', '14:00')];
+
+      const conflicts = appointments.checkDay(jobs, { routing });
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({ type: 'overlap', message: 'job A (09:00-11:00) overlaps job B (10:30-12:00)' });
+      expect(appointments.checkDay(jobs, { routing, allowOverlap: true })).toEqual([]);
+    });
+
+    it('should report a window that cannot be reached from the one before', () => {
+      // About 13 miles apart: 26 minutes' drive after leaving A at 09:10 at the earliest
+      const jobs = [booked('B', '09:15', '09:30', 3), booked('A', '09:00', '10:00', 0), booked('C', '12:00', '13:00', 0)];
+
+      const conflicts = appointments.checkDay(jobs, { routing });
+
+      const unreachable = conflicts.filter((conflict) => conflict.type === 'unreachable');
+      expect(unreachable).toHaveLength(1);
+      expect(unreachable[0].jobs.map((job) => job.jobId)).toEqual(['A', 'B']);
+      expect(unreachable[0].travelMinutes).toBe(26);
+      expect(unreachable[0].lateMinutes).toBe(6);
+    });
+  });
+
+  describe('prepareBooking', () => {
+    beforeEach(() => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+    });
+
+    const future = (time) => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10) + `T${time}:00`;
+
+    it('should refuse a clashing window unless the clash is confirmed', async () => {
+      const other = booked('A', '09:00', '11:00');
+      other.appointment = { start: new Date(future('09:00')), end: new Date(future('11:00')) };
+      jest.spyOn(Job, 'find').mockReturnValue(found([other]));
+      const job = booked('B', '10:00', '12:00', 0, { assignedTo: other.assignedTo });
+      const request = { start: future('10:00'), end: future('12:00'), contactMethod: 'phone' };
+
+      await expect(appointments.prepareBooking(job, request, { _id: 'admin1' }))
+        .rejects.toMatchObject({ statusCode: 409, body: { error: 'APPOINTMENT_CONFLICT', conflicts: [expect.objectContaining({ type: 'overlap' })] } });
+
+      const booking = await appointments.prepareBooking(job, request, { _id: 'admin1' }, { confirmConflicts: true });
+      expect(booking.appointment).toMatchObject({ contactMethod: 'phone', bookedBy: 'admin1', start: new Date(request.start) });
+      expect(booking.conflicts).toHaveLength(1);
+    });
+
+    it('should reject past windows and unknown contact methods', async () => {
+      await expect(appointments.prepareBooking(booked('A', '09:00', '10:00'), { start: '2020-01-01T09:00:00', end: '2020-01-01T10:00:00' }))
+        .rejects.toThrow('already passed');
+      await expect(appointments.prepareBooking(booked('A', '09:00', '10:00'), { start: future('09:00'), end: future('10:00'), contactMethod: 'pigeon' }))
+        .rejects.toThrow('Contact method must be one of');
+    });
+  });
+
+  describe('late alerts', () => {
+    const now = at('13:40');
+    const operative = (minutesAgo) => ({
+      _id: new mongoose.Types.ObjectId(),
+      firstName: 'Sam',
+      currentLocation: { latitude: 51.5, longitude: -0.1, timestamp: new Date(now - minutesAgo * 60000) },
+    });
+
+    it('should estimate arrival from a fresh position or the job in progress', () => {
+      const job = booked('B', '13:00', '14:00', 0.1);
+
+      // ~0.43 miles at 30mph: under a minute
+      expect(appointments.estimateArrival({ job, operative: operative(5), inProgressJob: null, now, routing, config }) - now)
+        .toBeLessThan(60000);
+      expect(appointments.estimateArrival({ job, operative: operative(60), inProgressJob: null, now, routing, config })).toBeNull();
+
+      const working = booked('A', '13:00', '14:00', 0, { statusHistory: [{ event: 'start', at: at('13:35') }] });
+      const eta = appointments.estimateArrival({ job, operative: null, inProgressJob: working, now, routing, config });
+      expect(eta.getTime()).toBeGreaterThan(at('13:45').getTime());
+    });
+
+    it('should be at risk inside the margin before the window closes', () => {
+      const job = booked('B', '13:00', '14:00');
+
+      expect(appointments.assessRisk({ job, eta: at('13:30'), now, config })).toMatchObject({ atRisk: false });
+      expect(appointments.assessRisk({ job, eta: at('13:50'), now, config })).toMatchObject({ atRisk: true, lateMinutes: 0 });
+      expect(appointments.assessRisk({ job, eta: at('14:20'), now, config })).toMatchObject({ atRisk: true, lateMinutes: 20 });
+      expect(appointments.assessRisk({ job, eta: null, now: at('14:05'), config })).toMatchObject({ atRisk: true, eta: null, lateMinutes: 5 });
+    });
+
+    it('should flag each late booking once and tell the admin room', async () => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+      const sam = operative(5);
+      const late = booked('B', '13:00', '14:00', 1, { assignedTo: sam._id, status: 'pending' });
+      jest.spyOn(Job, 'find')
+        .mockReturnValueOnce(found([late]))
+        .mockReturnValueOnce(found([]));
+      jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: async () => [sam] }) });
+      const update = jest.spyOn(Job, 'updateOne').mockResolvedValueOnce({ modifiedCount: 1 });
+      const emit = jest.fn();
+      global.io = { to: jest.fn(() => ({ emit })) };
+
+      const flagged = await appointments.checkAtRisk({ now });
+
+      expect(flagged).toEqual([expect.objectContaining({ jobId: 'B', lateMinutes: 0 })]);
+      expect(update.mock.calls[0][0]).toMatchObject({ _id: late._id, 'appointment.atRisk.flaggedAt': null });
+      expect(global.io.to).toHaveBeenCalledWith('admin_room');
+      expect(emit).toHaveBeenCalledWith('jobUpdate', expect.objectContaining({ type: 'appointment_at_risk', jobId: late._id }));
+    });
+  });
+});
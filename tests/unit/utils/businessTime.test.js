@@ -0,0 +1,116 @@
+/**
+ * Unit tests for business timezone days, weeks and months (Europe/London)
+ */
+
+const businessTime = require('../../../utils/businessTime');
+
+describe('Business Time', () => {
+  const HOUR = 60 * 60 * 1000;
+  // Clocks go forward at 01:00 UTC on 31 March 2030 and back at 01:00 UTC on 27 October 2030
+  const springForward = new Date('2030-03-31T12:00:00Z');
+  const fallBack = new Date('2030-10-27T12:00:00Z');
+
+  it('should default to Europe/London', () => {
+    expect(businessTime.TIME_ZONE).toBe('Europe/London');
+  });
+
+  describe('dayRange', () => {
+    it('should put a 00:30 BST completion on its own day, not the UTC one', () => {
+      const completedAt = new Date('2030-06-30T23:30:00Z');
+
+      expect(businessTime.dayKey(completedAt)).toBe('2030-07-01');
+      expect(businessTime.dayRange(completedAt)).toEqual({
+        start: new Date('2030-06-30T23:00:00Z'),
+        end: new Date('2030-07-01T23:00:00Z'),
+      });
+    });
+
+    it('should give the day the clocks go forward 23 hours', () => {
+      const { start, end } = businessTime.dayRange(springForward);
+
+      expect(start).toEqual(new Date('2030-03-31T00:00:00Z'));
+      expect(end).toEqual(new Date('2030-03-31T23:00:00Z'));
+      expect(end - start).toBe(23 * HOUR);
+    });
+
+    it('should give the day the clocks go back 25 hours', () => {
+      const { start, end } = businessTime.dayRange(fallBack);
+
+      expect(start).toEqual(new Date('2030-10-26T23:00:00Z'));
+      expect(end).toEqual(new Date('2030-10-28T00:00:00Z'));
+      expect(end - start).toBe(25 * HOUR);
+    });
+
+    it('should keep the hour repeated when the clocks go back on that day', () => {
+      // 01:30 BST and 01:30 GMT
+      expect(businessTime.dayKey(new Date('2030-10-27T00:30:00Z'))).toBe('2030-10-27');
+      expect(businessTime.dayKey(new Date('2030-10-27T01:30:00Z'))).toBe('2030-10-27');
+      expect(businessTime.dayKey(new Date('2030-10-27T23:30:00Z'))).toBe('2030-10-27');
+    });
+  });
+
+  describe('addDays', () => {
+    it('should move by calendar days across the clock changes', () => {
+      expect(businessTime.addDays(new Date('2030-03-30T12:00:00Z'), 1)).toEqual(new Date('2030-03-31T00:00:00Z'));
+      expect(businessTime.addDays(new Date('2030-03-30T12:00:00Z'), 2)).toEqual(new Date('2030-03-31T23:00:00Z'));
+      expect(businessTime.addDays(new Date('2030-10-28T12:00:00Z'), -1)).toEqual(new Date('2030-10-26T23:00:00Z'));
+    });
+  });
+
+  describe('weeks and months', () => {
+    it('should start the week on the Sunday midnight in force on that day', () => {
+      // Tuesday after the clocks go back; the week started at midnight BST
+      expect(businessTime.startOfWeek(new Date('2030-10-29T10:00:00Z'))).toEqual(new Date('2030-10-26T23:00:00Z'));
+      // Saturday before they go forward
+      expect(businessTime.startOfWeek(new Date('2030-03-30T23:30:00Z'))).toEqual(new Date('2030-03-24T00:00:00Z'));
+    });
+
+    it('should start the month at midnight on the 1st in the business timezone', () => {
+      expect(businessTime.startOfMonth(new Date('2030-06-30T23:30:00Z'))).toEqual(new Date('2030-06-30T23:00:00Z'));
+      expect(businessTime.startOfMonth(new Date('2030-11-15T12:00:00Z'))).toEqual(new Date('2030-11-01T00:00:00Z'));
+    });
+  });
+
+  describe('zonedDate', () => {
+    it('should read wall clock times either side of the clock changes', () => {
+      expect(businessTime.zonedDate(2030, 3, 31, 0, 30)).toEqual(new Date('2030-03-31T00:30:00Z'));
+      expect(businessTime.zonedDate(2030, 3, 31, 9, 0)).toEqual(new Date('2030-03-31T08:00:00Z'));
+      // 01:30 does not happen when the clocks go forward
+      expect(businessTime.zonedDate(2030, 3, 31, 1, 30)).toEqual(new Date('2030-03-31T01:30:00Z'));
+      expect(businessTime.zonedDate(2030, 10, 27, 9, 0)).toEqual(new Date('2030-10-27T09:00:00Z'));
+      expect(businessTime.atTime(fallBack, '08:30')).toEqual(new Date('2030-10-27T08:30:00Z'));
+    });
+
+    it('should roll days over into the next month', () => {
+      expect(businessTime.zonedDate(2030, 2, 29)).toEqual(new Date('2030-03-01T00:00:00Z'));
+      expect(businessTime.zonedDate(2030, 4, 0)).toEqual(new Date('2030-03-31T00:00:00Z'));
+    });
+  });
+
+  describe('reading and writing days', () => {
+    it('should read YYYY-MM-DD as the business day and reject days that do not exist', () => {
+      expect(businessTime.parseDay('2030-07-01')).toEqual(new Date('2030-06-30T23:00:00Z'));
+      expect(businessTime.parseDay('2030-07-01T10:00:00Z')).toEqual(new Date('2030-07-01T10:00:00Z'));
+      expect(isNaN(businessTime.fromDayKey('2030-02-30').getTime())).toBe(true);
+    });
+
+    it('should build query filters covering whole business days', () => {
+      expect(businessTime.daysFilter('2030-03-30', '2030-03-31')).toEqual({
+        $gte: new Date('2030-03-30T00:00:00Z'),
+        $lt: new Date('2030-03-31T23:00:00Z'),
+      });
+      expect(businessTime.daysFilter(null, '2030-10-27')).toEqual({ $lt: new Date('2030-10-28T00:00:00Z') });
+      expect(businessTime.daysFilter()).toEqual({});
+      expect(businessTime.daysFilter('soon', null)).toBeNull();
+    });
+
+    it('should format the business day and clock', () => {
+      const lateEvening = new Date('2030-07-31T23:15:00Z');
+
+      expect(businessTime.formatDate(lateEvening)).toBe('01/08/2030');
+      expect(businessTime.clock(lateEvening)).toBe('00:15');
+      expect(businessTime.weekday(lateEvening)).toBe(4);
+      expect(businessTime.isSameDay(lateEvening, new Date('2030-08-01T12:00:00Z'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for D0010-style flow file export
+ */
+
+const mongoose = require('mongoose');
+const MeterReading = require('../../../models/meterReading.model');
+const FlowExport = require('../../../models/flowExport.model');
+const Setting = require('../../../models/setting.model');
+const flowExport = require('../../../utils/flowExport');
+const settings = require('../../../utils/settings');
+
+describe('Flow Export', () => {
+  const createdAt = new Date('2026-05-02T08:30:00Z');
+  const reading = (fields) => ({
+    _id: new mongoose.Types.ObjectId(),
+    cust: '1200012345678',
+    regID1: 'DAY',
+    reg1: 1500,
+    readingDate: new Date('2026-05-01T10:15:00Z'),
+    jobId: { meterSerialNumber: 'E10K12345', registerIds: [] },
+    meter: null,
+    ...fields,
+  });
+  const build = (readings) => flowExport.buildFlowFile({
+    fileRef: 'MMTR260502001',
+    senderMpid: 'MMTR',
+    senderRole: 'D',
+    supplierMpid: 'SUPP',
+    createdAt,
+    readings,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('formatTimestamp', () => {
+    it('should write UTC date and time without separators', () => {
+      expect(flowExport.formatTimestamp(createdAt)).toBe('20260502083000');
+    });
+  });
+
+  describe('buildFlowFile', () => {
+    it('should write a header, supply point, meter and reading records and a footer', () => {
+      const result = build([reading({})]);
+
+      expect(result.content.split('\r\n')).toEqual([
+        'ZHV|MMTR260502001|D0010002|D|MMTR|X|SUPP|20260502083000||||OPER|',
+        '026|1200012345678|V|',
+        '028|E10K12345|R|',
+        '030|DAY|20260501101500|1500|||T|P|',
+        'ZPT|MMTR260502001|3||1|20260502083000|',
+        '',
+      ]);
+      expect(result.counts).toEqual({ readings: 1, supplyPoints: 1, meters: 1, groups: 3, lines: 5 });
+    });
+
+    it('should group readings by supply point and meter in order', () => {
+      const result = build([
+        reading({ cust: '2000', readingDate: new Date('2026-05-01T12:00:00Z'), reg1: 20 }),
+        reading({ cust: '1000', reg1: 10.25 }),
+        reading({ cust: '2000', readingDate: new Date('2026-05-01T09:00:00Z'), reg1: 19 }),
+        reading({ cust: '2000', jobId: { meterSerialNumber: 'A1' }, meter: { serialNumber: 'G4' } }),
+      ]);
+
+      expect(result.content.split('\r\n').slice(1, -2)).toEqual([
+        '026|1000|V|',
+        '028|E10K12345|R|',
+        '030|DAY|20260501101500|10.3|||T|P|',
+        '026|2000|V|',
+        '028|E10K12345|R|',
+        '030|DAY|20260501090000|19|||T|P|',
+        '030|DAY|20260501120000|20|||T|P|',
+        '028|G4|R|',
+        '030|DAY|20260501101500|1500|||T|P|',
+      ]);
+      expect(result.counts).toMatchObject({ readings: 4, supplyPoints: 2, meters: 3, groups: 9 });
+    });
+
+    it('should skip readings that cannot be written and say why', () => {
+      const noMpan = reading({ cust: ' ' });
+      const noSerial = reading({ jobId: {} });
+      const noRegister = reading({ regID1: '' });
+      const noValue = reading({ reg1: null });
+      const meterRegister = reading({ regID1: '', meter: { serialNumber: 'M1', registers: [{ registerId: 'R1' }] } });
+
+      const result = build([noMpan, noSerial, noRegister, noValue, meterRegister]);
+
+      expect(result.skipped).toEqual([
+        { reading: noMpan._id, reason: 'No MPAN/MPRN (cust)' },
+        { reading: noSerial._id, reason: 'No meter serial number' },
+        { reading: noRegister._id, reason: 'No register ID' },
+        { reading: noValue._id, reason: 'No register reading' },
+      ]);
+      expect(result.included).toEqual([meterRegister._id]);
+      expect(result.content).toContain('030|R1|');
+    });
+
+    it('should keep the delimiter out of field values', () => {
+      const result = build([reading({ regID1: 'D|AY' })]);
+
+      expect(result.content).toContain('030|D AY|');
+    });
+  });
+
+  describe('parseRequest', () => {
+    it('should cover whole days and reject bad ranges', () => {
+      // Business days: 1 May is in BST, so it runs from 23:00 UTC the day before
+      expect(flowExport.parseRequest({ supplier: 'BGAS', from: '2026-05-01', to: '2026-05-01' })).toMatchObject({
+        from: new Date('2026-04-30T23:00:00.000Z'),
+        to: new Date('2026-05-01T22:59:59.999Z'),
+      });
+      expect(() => flowExport.parseRequest({ from: '2026-05-01', to: '2026-05-02' })).toThrow('Supplier is required');
+      expect(() => flowExport.parseRequest({ supplier: 'BGAS', from: '2026-05-02', to: '2026-05-01' })).toThrow('on or before');
+      expect(() => flowExport.parseRequest({ supplier: 'BGAS', from: '2026-01-01', to: '2026-06-01' })).toThrow('at most 92 days');
+    });
+  });
+
+  describe('createExport', () => {
+    const mockReadings = (results) => jest.spyOn(MeterReading, 'find').mockImplementation(() => {
+      const rows = results.shift() || [];
+      return { populate: () => ({ populate: () => ({ sort: () => ({ lean: async () => rows }) }) }) };
+    });
+    const configured = { value: { supplierMpids: { BGAS: 'BGAS' } } };
+    const request = { supplier: 'BGAS', from: '2026-05-01', to: '2026-05-01' };
+
+    it('should refuse suppliers without an MPID', async () => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+
+      await expect(flowExport.createExport(request)).rejects.toThrow('No MPID is configured for supplier "BGAS"');
+    });
+
+    it('should only claim unsent readings and write the file from the readings it claimed', async () => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => configured });
+      const first = reading({});
+      const second = reading({ cust: '9999' });
+      const find = mockReadings([[first, second, reading({ cust: '' })], [first]]);
+      jest.spyOn(FlowExport, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(FlowExport, 'create').mockImplementation(async (fields) => {
+        const file = new FlowExport(fields);
+        jest.spyOn(file, 'save').mockResolvedValue(file);
+        return file;
+      });
+      const claim = jest.spyOn(MeterReading, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      const file = await flowExport.createExport(request, { _id: new mongoose.Types.ObjectId() });
+
+      expect(find.mock.calls[0][0]).toMatchObject({ sup: 'BGAS', customerRead: 'Yes', exportedIn: null });
+      expect(claim.mock.calls[0][0]).toEqual({ exportedIn: null, _id: { $in: [first._id, second._id] } });
+      expect(claim.mock.calls[0][1].$set).toEqual({ exportedIn: file._id });
+      expect(find.mock.calls[1][0]).toEqual({ exportedIn: file._id });
+      expect(file.fileRef).toMatch(/^MMTR\d{6}001$/);
+      expect(file.status).toBe('issued');
+      expect(file.readings).toEqual([first._id]);
+      expect(file.skipped).toHaveLength(1);
+      expect(file.content).not.toContain('026|9999|');
+    });
+
+    it('should not create a file when there is nothing to send', async () => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => configured });
+      mockReadings([[reading({ reg1: null })]]);
+      const create = jest.spyOn(FlowExport, 'create');
+
+      await expect(flowExport.createExport(request)).rejects.toMatchObject({ statusCode: 404 });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('flowExport setting', () => {
+    const validate = (value) => () => settings.validators.flowExport(settings.mergeSetting(settings.DEFAULT_SETTINGS.flowExport, value));
+
+    it('should accept the defaults and reject bad MPIDs and roles', () => {
+      expect(validate({ supplierMpids: { BGAS: 'BGAS' } })).not.toThrow();
+      expect(validate({ senderMpid: 'mm' })).toThrow('4 letters or digits');
+      expect(validate({ senderRole: 'DX' })).toThrow('single capital letter');
+      expect(validate({ supplierMpids: { EDF: 'EDF' } })).toThrow('supplier "EDF"');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for the geocoding service and the offline postcode geocoder
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const geocoding = require('../../../utils/geocoding');
+const postcode = require('../../../utils/geocoders/postcode');
+const nominatim = require('../../../utils/geocoders/nominatim');
+const settings = require('../../../utils/settings');
+
+describe('Geocoding', () => {
+  let dataFile;
+
+  beforeAll(async () => {
+    dataFile = path.join(os.tmpdir(), `postcodes-${process.pid}.csv`);
+    fs.writeFileSync(dataFile, [
+      'pcds,lat,long,ctry',
+      '"SW1A 1AA",51.501009,-0.141588,E92000001',
+      '"SW1A 1AB",51.503000,-0.139000,E92000001',
+      '"SW1A 2AA",51.504000,-0.128000,E92000001',
+      '"LS1 1UR",53.799000,-1.549000,E92000001',
+      '"ZZ9 9ZZ",99.999999,0.000000,', // no location
+    ].join('\n'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await postcode.loadPostcodes(dataFile);
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(dataFile);
+    jest.restoreAllMocks();
+  });
+
+  describe('normaliseAddress', () => {
+    it('should ignore case, punctuation and postcode spacing', () => {
+      expect(geocoding.normaliseAddress('12 High St., London, SW1A 1AA')).toBe('12 high st london|SW1A1AA');
+      expect(geocoding.normaliseAddress(' 12 HIGH ST  London sw1a1aa ')).toBe('12 high st london|SW1A1AA');
+      expect(geocoding.normaliseAddress('')).toBe('');
+    });
+
+    it('should find UK postcodes in an address', () => {
+      expect(geocoding.extractPostcode('1 Mill Lane, Leeds, ls1 1ur')).toBe('LS11UR');
+      expect(geocoding.extractPostcode('1 Main Street, Springfield')).toBeNull();
+    });
+  });
+
+  describe('postcode geocoder', () => {
+    it('should place a known postcode at its centroid', async () => {
+      const result = await postcode.geocode({ postcode: 'SW1A1AA' });
+
+      expect(result).toMatchObject({ latitude: 51.501009, longitude: -0.141588, type: 'postcode', displayName: 'SW1A 1AA (postcode centroid)' });
+      expect(result.accuracy).toBeGreaterThanOrEqual(0.3);
+    });
+
+    it('should fall back to the sector and then the district with lower accuracy', async () => {
+      const sector = await postcode.geocode({ postcode: 'SW1A 1ZZ' });
+      expect(sector.type).toBe('postcode_sector');
+      expect(sector.latitude).toBeCloseTo((51.501009 + 51.503) / 2, 6);
+      expect(sector.accuracy).toBeLessThan(0.3);
+
+      const district = await postcode.geocode({ postcode: 'SW1A 9ZZ' });
+      expect(district.type).toBe('postcode_district');
+      expect(district.latitude).toBeCloseTo((51.501009 + 51.503 + 51.504) / 3, 6);
+    });
+
+    it('should return null for unknown areas, invalid postcodes and rows without a location', async () => {
+      expect(await postcode.geocode({ postcode: 'EH1 1AA' })).toBeNull();
+      expect(await postcode.geocode({ postcode: 'not a postcode' })).toBeNull();
+      expect(await postcode.geocode({ postcode: 'ZZ99ZZ' })).toBeNull();
+      expect(await postcode.geocode({ postcode: null })).toBeNull();
+    });
+  });
+
+  describe('geocodeAddress', () => {
+    afterEach(() => {
+      delete process.env.GEOCODING_PROVIDERS;
+      jest.restoreAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    it('should use the first provider that finds the address', async () => {
+      const online = jest.spyOn(nominatim, 'geocode').mockResolvedValue({ latitude: 51.5, longitude: -0.14, accuracy: 0.7, displayName: 'Buckingham Palace' });
+
+      const result = await geocoding.geocodeAddress('Buckingham Palace, London, SW1A 1AA');
+
+      expect(online).toHaveBeenCalledWith({ address: 'Buckingham Palace, London, SW1A 1AA', postcode: 'SW1A1AA' });
+      expect(result).toMatchObject({ latitude: 51.5, provider: 'nominatim', cached: false });
+    });
+
+    it('should fall back to the postcode centroid when the online provider is down or finds nothing', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(nominatim, 'geocode').mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND')).mockResolvedValueOnce(null);
+
+      expect(await geocoding.geocodeAddress('1 Park Row, Leeds, LS1 1UR')).toMatchObject({ latitude: 53.799, provider: 'postcode' });
+      expect(await geocoding.geocodeAddress('1 Park Row, Leeds, LS1 1UR')).toMatchObject({ provider: 'postcode' });
+    });
+
+    it('should only use the providers named in GEOCODING_PROVIDERS', async () => {
+      process.env.GEOCODING_PROVIDERS = 'postcode';
+      const online = jest.spyOn(nominatim, 'geocode');
+
+      const result = await geocoding.geocodeAddress('10 Downing Street, London, SW1A 2AA');
+
+      expect(online).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ latitude: 51.504, provider: 'postcode' });
+    });
+
+    it('should return null when nothing places the address', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.GEOCODING_PROVIDERS = 'postcode';
+
+      expect(await geocoding.geocodeAddress('1 Main Street, Springfield')).toBeNull();
+      expect(await geocoding.geocodeAddress('')).toBeNull();
+    });
+  });
+
+  describe('geocoding setting', () => {
+    const validate = (value) => () => settings.validators.geocoding(settings.mergeSetting(settings.DEFAULT_SETTINGS.geocoding, value));
+
+    it('should accept the defaults and an offline-only provider list', () => {
+      expect(validate({})).not.toThrow();
+      expect(validate({ providers: ['postcode'] })).not.toThrow();
+    });
+
+    it('should reject unknown, repeated or missing providers and bad cache times', () => {
+      expect(validate({ providers: ['google'] })).toThrow('Unknown geocoding provider "google"');
+      expect(validate({ providers: ['postcode', 'postcode'] })).toThrow('only be listed once');
+      expect(validate({ providers: [] })).toThrow('At least one geocoding provider');
+      expect(validate({ cacheDays: 0 })).toThrow(settings.SettingsError);
+      expect(validate({ failedCacheHours: -1 })).toThrow(settings.SettingsError);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for geofence checks and the geofence setting
+ */
+
+const geofence = require('../../../utils/geofence');
+const settings = require('../../../utils/settings');
+
+describe('Geofence', () => {
+  const jobLocation = { latitude: 51.5074, longitude: -0.1278 };
+  const nearby = { latitude: 51.5075, longitude: -0.1278 }; // ~11m
+  const farAway = { latitude: 51.5084, longitude: -0.1288 }; // ~130m
+  const config = (overrides = {}) => settings.mergeSetting(settings.DEFAULT_SETTINGS.geofence, overrides);
+
+  describe('evaluateCheck', () => {
+    it('should accept a location inside the radius and record the distance', () => {
+      const check = geofence.evaluateCheck({
+        stage: 'start', jobLocation, userLocation: nearby, jobType: 'electricity', config: config(),
+      });
+
+      expect(check).toMatchObject({ status: 'inside', outcome: 'accepted', radiusMeters: 50 });
+      expect(check.distanceMeters).toBeGreaterThan(5);
+      expect(check.distanceMeters).toBeLessThan(20);
+    });
+
+    it('should flag an out-of-fence location under the flag policy', () => {
+      const check = geofence.evaluateCheck({
+        stage: 'complete', jobLocation, userLocation: farAway, jobType: 'gas', config: config(),
+      });
+
+      expect(check).toMatchObject({ status: 'outside', outcome: 'flagged', policy: 'flag' });
+    });
+
+    it('should block an out-of-fence location under the block policy', () => {
+      const check = geofence.evaluateCheck({
+        stage: 'complete', jobLocation, userLocation: farAway, jobType: 'gas', config: config({ policy: 'block' }),
+      });
+
+      expect(check.outcome).toBe('blocked');
+    });
+
+    it('should use the radius configured for the job type', () => {
+      const check = geofence.evaluateCheck({
+        stage: 'complete',
+        jobLocation,
+        userLocation: farAway,
+        jobType: 'water',
+        config: config({ policy: 'block', radiusMeters: { water: 200 } }),
+      });
+
+      expect(check).toMatchObject({ status: 'inside', outcome: 'accepted', radiusMeters: 200 });
+    });
+
+    it('should record an override instead of blocking', () => {
+      const check = geofence.evaluateCheck({
+        stage: 'start',
+        jobLocation,
+        userLocation: farAway,
+        jobType: 'gas',
+        config: config({ policy: 'block' }),
+        override: { by: 'admin-1', reason: 'Meter is in a detached garage' },
+      });
+
+      expect(check).toMatchObject({
+        outcome: 'overridden',
+        overriddenBy: 'admin-1',
+        overrideReason: 'Meter is in a detached garage',
+      });
+    });
+
+    it('should flag a missing location and only block it when configured to', () => {
+      const params = { stage: 'complete', jobLocation, userLocation: { latitude: null, longitude: null }, jobType: 'gas' };
+
+      expect(geofence.evaluateCheck({ ...params, config: config() }))
+        .toMatchObject({ status: 'unknown', outcome: 'flagged' });
+      expect(geofence.evaluateCheck({ ...params, config: config({ policy: 'block' }) }))
+        .toMatchObject({ status: 'unknown', outcome: 'flagged' });
+      expect(geofence.evaluateCheck({ ...params, config: config({ policy: 'block', blockWithoutLocation: true }) }).outcome)
+        .toBe('blocked');
+      expect(geofence.evaluateCheck({ ...params, config: config({ policy: 'off' }) }).outcome)
+        .toBe('accepted');
+    });
+
+    it('should accept a location when the property has no coordinates', () => {
+      const check = geofence.evaluateCheck({
+        stage: 'start', jobLocation: null, userLocation: farAway, jobType: 'gas', config: config({ policy: 'block' }),
+      });
+
+      expect(check).toMatchObject({ status: 'unknown', outcome: 'accepted' });
+    });
+  });
+
+  describe('hasUsableOverride', () => {
+    it('should only apply an unused override granted for this stage', () => {
+      const grantedAt = new Date();
+
+      expect(geofence.hasUsableOverride({ grantedAt, stage: 'any' }, 'start')).toBe(true);
+      expect(geofence.hasUsableOverride({ grantedAt, stage: 'complete' }, 'start')).toBe(false);
+      expect(geofence.hasUsableOverride({ grantedAt, stage: 'any', usedAt: grantedAt }, 'complete')).toBe(false);
+    });
+  });
+
+  describe('geofence setting validation', () => {
+    it('should reject an unknown policy or a non-positive radius', () => {
+      expect(() => settings.validators.geofence(config({ policy: 'ignore' }))).toThrow(settings.SettingsError);
+      expect(() => settings.validators.geofence(config({ radiusMeters: { gas: 0 } }))).toThrow('positive');
+      expect(() => settings.validators.geofence(config({ radiusMeters: { steam: 10 } }))).toThrow('Unknown job type');
+    });
+
+    it('should merge partial radius changes over the defaults', () => {
+      expect(config({ radiusMeters: { gas: 80 } }).radiusMeters).toEqual({ electricity: 50, gas: 80, water: 50 });
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the house history timeline and last reading maintenance
+ */
+
+const mongoose = require('mongoose');
+const House = require('../../../models/house.model');
+const houseHistory = require('../../../utils/houseHistory');
+
+describe('House History', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const completedJob = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    jobId: 'JOB-1',
+    jobType: 'electricity',
+    status: 'completed',
+    house: new mongoose.Types.ObjectId(),
+    completedDate: new Date('2026-03-01T10:00:00Z'),
+    registerIds: ['R1'],
+    registerValues: [12345],
+    meterSerialNumber: 'E12345',
+    ...overrides,
+  });
+
+  describe('readingFromJob', () => {
+    it('should take the reading from meterReadings or the first register', () => {
+      expect(houseHistory.readingFromJob(completedJob())).toMatchObject({
+        meterType: 'electric',
+        value: 12345,
+        registerIds: ['R1'],
+        serialNumber: 'E12345',
+        readingDate: new Date('2026-03-01T10:00:00Z'),
+      });
+      expect(houseHistory.readingFromJob(completedJob({ jobType: 'gas', meterReadings: { gas: '877' }, registerValues: [] })))
+        .toMatchObject({ meterType: 'gas', value: 877 });
+    });
+
+    it('should ignore no access outcomes, open jobs and jobs without a value', () => {
+      expect(houseHistory.readingFromJob(completedJob({ status: 'no_access' }))).toBeNull();
+      expect(houseHistory.readingFromJob(completedJob({ status: 'in_progress' }))).toBeNull();
+      expect(houseHistory.readingFromJob(completedJob({ registerValues: [] }))).toBeNull();
+    });
+  });
+
+  describe('recordReading', () => {
+    it('should move lastReading forward and replace the meter type value unless a newer one is held', async () => {
+      const updateOne = jest.spyOn(House, 'updateOne').mockResolvedValue({});
+      const job = completedJob();
+
+      await houseHistory.recordReading(job);
+
+      const date = new Date('2026-03-01T10:00:00Z');
+      expect(updateOne).toHaveBeenNthCalledWith(1, { _id: job.house }, { $max: { lastReading: date } });
+      expect(updateOne).toHaveBeenNthCalledWith(2,
+        {
+          _id: job.house,
+          $or: [{ 'lastReadings.electric.readingDate': null }, { 'lastReadings.electric.readingDate': { $lte: date } }],
+        },
+        { $set: { 'lastReadings.electric': expect.objectContaining({ value: 12345, readingDate: date, job: job._id }) } });
+    });
+
+    it('should do nothing for jobs without a house or a reading', async () => {
+      const updateOne = jest.spyOn(House, 'updateOne');
+
+      expect(await houseHistory.recordReading(completedJob({ house: null }))).toBeNull();
+      expect(await houseHistory.recordReading(completedJob({ registerValues: [], registerIds: [] }))).toBeNull();
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('latestReadings', () => {
+    it('should keep the newest date and the newest value per meter type', () => {
+      const result = houseHistory.latestReadings([
+        { lastReading: new Date('2026-01-01'), lastReadings: { electric: { value: 1, readingDate: new Date('2026-01-01') } } },
+        {
+          lastReading: new Date('2026-02-01'),
+          lastReadings: { electric: { value: 2, readingDate: new Date('2025-12-01') }, gas: { value: 9, readingDate: new Date('2026-02-01') } },
+        },
+        { lastReading: null },
+      ]);
+
+      expect(result.lastReading).toEqual(new Date('2026-02-01'));
+      expect(result.lastReadings).toEqual({
+        electric: { value: 1, readingDate: new Date('2026-01-01') },
+        gas: { value: 9, readingDate: new Date('2026-02-01') },
+      });
+    });
+  });
+
+  describe('buildTimeline', () => {
+    const at = (time) => new Date(`2026-03-0${time}`);
+
+    it('should list status changes, readings, no access, photos and notes oldest first', () => {
+      const reading = completedJob({
+        jobId: 'JOB-2',
+        createdAt: at('1T08:00:00Z'),
+        completedDate: at('2T10:00:00Z'),
+        statusHistory: [
+          { event: 'create', to: 'pending', at: at('1T08:00:00Z') },
+          { event: 'complete', from: 'pending', to: 'completed', at: at('2T10:00:00Z') },
+        ],
+        meterPhotos: [{ meterType: 'electricity', photoUrl: 'a.jpg', reading: 12345, timestamp: at('2T09:59:00Z') }],
+        photos: ['a.jpg'],
+        notes: 'Meter in the cellar',
+      });
+      const noAccess = completedJob({
+        jobId: 'JOB-1',
+        status: 'completed',
+        validNoAccess: true,
+        noAccessReason: 'Dog on property - safety concern',
+        registerValues: [],
+        registerIds: [],
+        createdAt: at('1T07:00:00Z'),
+        completedDate: at('1T12:00:00Z'),
+      });
+
+      const timeline = houseHistory.buildTimeline({ jobs: [reading, noAccess], readings: [] });
+
+      expect(timeline.map((entry) => [entry.type, entry.job.jobId])).toEqual([
+        ['status', 'JOB-1'],
+        ['status', 'JOB-2'],
+        ['no_access', 'JOB-1'],
+        ['photo', 'JOB-2'],
+        ['status', 'JOB-2'],
+        ['reading', 'JOB-2'],
+        ['note', 'JOB-2'],
+      ]);
+      expect(timeline[2]).toMatchObject({ reason: 'Dog on property - safety concern', validNoAccess: true });
+      expect(timeline[3]).toMatchObject({ url: 'a.jpg', reading: 12345 });
+      expect(timeline[5]).toMatchObject({ source: 'job', value: 12345, meterType: 'electric' });
+    });
+
+    it('should prefer the meter reading record and filter by type', () => {
+      const job = completedJob({ createdAt: at('1T08:00:00Z'), completedDate: at('1T10:05:00Z'), notes: 'Left card' });
+      const record = {
+        _id: new mongoose.Types.ObjectId(),
+        jobId: job._id,
+        reg1: '12345',
+        regID1: 'R1',
+        customerRead: 'Yes',
+        readingDate: at('1T10:00:00Z'),
+        photos: ['b.jpg'],
+        notes: 'Left card',
+      };
+
+      const timeline = houseHistory.buildTimeline({ jobs: [job], readings: [record], types: ['reading', 'photo', 'note'] });
+
+      expect(timeline.map((entry) => entry.type)).toEqual(['reading', 'photo', 'note']);
+      expect(timeline[0]).toMatchObject({ source: 'meter_reading', readingId: record._id, value: 12345, registerIds: ['R1'] });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for linking jobs to houses and merging duplicate houses
+ */
+
+const mongoose = require('mongoose');
+const House = require('../../../models/house.model');
+const Job = require('../../../models/job.model');
+const MeterReading = require('../../../models/meterReading.model');
+const Meter = require('../../../models/meter.model');
+const ReadingCycle = require('../../../models/readingCycle.model');
+const houseLinking = require('../../../utils/houseLinking');
+
+describe('House Linking', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('houseFromAddress', () => {
+    it('should build house fields from a job address', () => {
+      expect(houseLinking.houseFromAddress(
+        { street: ' 12 High St ', city: 'London', state: 'Greater London', postcode: 'sw1a1aa', latitude: 51.5, longitude: -0.14 },
+        'electricity'
+      )).toEqual({
+        address: '12 High St',
+        postcode: 'SW1A 1AA',
+        city: 'London',
+        county: 'Greater London',
+        meterType: 'electric',
+        addressKey: 'SW1A1AA|12 high street',
+        latitude: 51.5,
+        longitude: -0.14,
+      });
+    });
+  });
+
+  describe('linkJobsToHouses', () => {
+    const job = (street, postcode, extra = {}) => ({
+      jobType: 'gas',
+      address: { street, city: 'London', state: 'Greater London', postcode, ...extra },
+    });
+
+    it('should reuse existing houses, create one house per new address and leave linked jobs alone', async () => {
+      const existingId = new mongoose.Types.ObjectId();
+      const keptId = new mongoose.Types.ObjectId();
+      jest.spyOn(House, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ lean: async () => [{ _id: existingId, addressKey: 'SW1A1AA|12 high street', latitude: 51.5, longitude: -0.14 }] }) }),
+      });
+      const insertMany = jest.spyOn(House, 'insertMany').mockImplementation(async (docs) => docs.map((doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() })));
+      const bulkWrite = jest.spyOn(House, 'bulkWrite').mockResolvedValue({});
+
+      const jobs = [
+        job('12 High St', 'SW1A 1AA'),
+        job('1 Park Row', 'LS1 1UR', { latitude: 53.799, longitude: -1.549 }),
+        job('1 park row', 'ls11ur'),
+        { ...job('9 Low Road', 'LS1 1AA'), house: keptId },
+        job('No Postcode Lane', ''),
+      ];
+      const result = await houseLinking.linkJobsToHouses(jobs);
+
+      expect(result).toEqual({ linked: 3, created: 1 });
+      expect(jobs[0].house).toBe(existingId);
+      expect(jobs[1].house).toBeDefined();
+      expect(jobs[2].house).toBe(jobs[1].house);
+      expect(jobs[3].house).toBe(keptId);
+      expect(jobs[4].house).toBeUndefined();
+      expect(insertMany).toHaveBeenCalledWith([expect.objectContaining({ address: '1 Park Row', postcode: 'LS1 1UR', latitude: 53.799 })]);
+      expect(bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should not touch the database when no job needs a house', async () => {
+      const find = jest.spyOn(House, 'find');
+
+      expect(await houseLinking.linkJobsToHouses([job('', '')])).toEqual({ linked: 0, created: 0 });
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeHouses', () => {
+    const id = () => new mongoose.Types.ObjectId().toString();
+
+    it('should reject empty, invalid and self merges before loading anything', async () => {
+      const find = jest.spyOn(House, 'find');
+      const survivor = id();
+
+      await expect(houseLinking.mergeHouses(survivor, [])).rejects.toThrow('At least one house to merge is required');
+      await expect(houseLinking.mergeHouses(survivor, ['nope'])).rejects.toThrow('Invalid house ID');
+      await expect(houseLinking.mergeHouses(survivor, [survivor])).rejects.toThrow('cannot be merged into itself');
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('should refuse missing houses and houses already merged', async () => {
+      const survivor = id();
+      const duplicate = id();
+      jest.spyOn(House, 'find')
+        .mockResolvedValueOnce([{ _id: survivor }])
+        .mockResolvedValueOnce([{ _id: survivor }, { _id: duplicate, mergedInto: id() }]);
+
+      await expect(houseLinking.mergeHouses(survivor, [duplicate])).rejects.toMatchObject({ statusCode: 404 });
+      await expect(houseLinking.mergeHouses(survivor, [duplicate])).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should move the retired houses\' meters and reading cycles to the survivor', async () => {
+      const survivor = new House({ address: '12 High St', postcode: 'SW1A 1AA', city: 'London', meterType: 'gas' });
+      const duplicate = new House({ address: '12 High Street', postcode: 'SW1A 1AA', city: 'London', meterType: 'gas' });
+      jest.spyOn(House, 'find').mockResolvedValue([survivor, duplicate]);
+      jest.spyOn(House, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Job, 'find').mockReturnValue({ distinct: async () => [] });
+      jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(MeterReading, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(survivor, 'save').mockResolvedValue(survivor);
+      jest.spyOn(Meter, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+      const moveMeters = jest.spyOn(Meter, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      const moveCycles = jest.spyOn(ReadingCycle, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await houseLinking.mergeHouses(survivor._id.toString(), [duplicate._id.toString()]);
+
+      expect(moveMeters).toHaveBeenCalledWith({ house: { $in: [duplicate._id.toString()] } }, { $set: { house: survivor._id } });
+      expect(moveCycles).toHaveBeenCalledWith({ house: { $in: [duplicate._id.toString()] } }, { $set: { house: survivor._id } });
+      expect(result).toMatchObject({ metersMoved: 2, cyclesMoved: 1 });
+    });
+
+    it('should retire a duplicate\'s copy of a serial the survivor already has installed', async () => {
+      const survivor = new House({ address: '12 High St', postcode: 'SW1A 1AA', city: 'London', meterType: 'gas' });
+      const duplicate = new House({ address: '12 High Street', postcode: 'SW1A 1AA', city: 'London', meterType: 'gas' });
+      const kept = { _id: id(), house: survivor._id, meterType: 'gas', serialNumber: 'G4A12345', createdAt: new Date('2024-03-01') };
+      const copy = { _id: id(), house: duplicate._id, meterType: 'gas', serialNumber: 'G4A12345', createdAt: new Date('2024-01-01') };
+      const other = { _id: id(), house: duplicate._id, meterType: 'electric', serialNumber: 'E10B9876', createdAt: new Date('2024-01-01') };
+      jest.spyOn(House, 'find').mockResolvedValue([survivor, duplicate]);
+      jest.spyOn(House, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Job, 'find').mockReturnValue({ distinct: async () => [] });
+      const moveJobs = jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      const moveReadings = jest.spyOn(MeterReading, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(survivor, 'save').mockResolvedValue(survivor);
+      jest.spyOn(Meter, 'find').mockReturnValue({ select: () => ({ lean: async () => [copy, kept, other] }) });
+      const retire = jest.spyOn(Meter, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const moveMeters = jest.spyOn(Meter, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      const moveCycles = jest.spyOn(ReadingCycle, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await houseLinking.mergeHouses(survivor._id.toString(), [duplicate._id.toString()]);
+
+      expect(retire).toHaveBeenCalledTimes(1);
+      expect(retire).toHaveBeenCalledWith(
+        { _id: copy._id },
+        { $set: expect.objectContaining({ isActive: false, removedAt: expect.any(Date) }) }
+      );
+      expect(moveJobs).toHaveBeenCalledWith({ meter: copy._id }, { $set: { meter: kept._id } });
+      expect(moveReadings).toHaveBeenCalledWith({ meter: copy._id }, { $set: { meter: kept._id } });
+      expect(moveCycles).toHaveBeenCalledWith({ meter: copy._id }, { $set: { meter: kept._id } });
+      // The copy is retired before the remaining meters move to the survivor
+      const move = moveMeters.mock.calls.findIndex(([filter]) => filter.house);
+      expect(retire.mock.invocationCallOrder[0]).toBeLessThan(moveMeters.mock.invocationCallOrder[move]);
+      expect(result.metersRetired).toBe(1);
+    });
+  });
+});
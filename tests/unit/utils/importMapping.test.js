@@ -0,0 +1,108 @@
+/**
+ * Unit tests for spreadsheet column mapping templates
+ */
+
+const importMapping = require('../../../utils/importMapping');
+
+describe('Import Mapping', () => {
+  const supplierTemplate = {
+    name: 'acme',
+    columns: [
+      { source: 'Site Address', field: 'address.street' },
+      { source: 'Town', field: 'address.city' },
+      { source: 'County', field: 'address.state' },
+      { source: 'Post Code', field: 'address.postcode', transform: 'postcode' },
+      { source: 'MPAN', field: 'meterSerialNumber', transform: 'uppercase' },
+      { source: 'Visit Date', field: 'scheduledDate', transform: 'date', dateFormat: 'DD/MM/YYYY' },
+    ],
+    defaults: { jobType: 'gas', priority: 'low' },
+  };
+
+  describe('applyTemplate', () => {
+    it('should map columns with transforms and fill blanks from the template defaults', () => {
+      const data = importMapping.applyTemplate({
+        'Site Address': ' 4 Mill Lane ',
+        Town: 'Leeds',
+        County: 'West Yorkshire',
+        'Post Code': 'ls11aa',
+        MPAN: 'ab123',
+        'Visit Date': '05/03/2025',
+      }, supplierTemplate);
+
+      expect(data).toMatchObject({
+        jobType: 'gas',
+        priority: 'low',
+        address: { street: '4 Mill Lane', city: 'Leeds', state: 'West Yorkshire', postcode: 'LS1 1AA' },
+        meterSerialNumber: 'AB123',
+      });
+      expect(data.scheduledDate).toEqual(new Date(2025, 2, 5));
+    });
+
+    it('should match headers ignoring case and punctuation and use the first column with a value', () => {
+      const data = importMapping.applyTemplate({ ADDRESS: '1 Low Road', Street: '', 'zip code': '12345', CITY: 'Leeds', state: 'WY' });
+
+      expect(data.address).toMatchObject({ street: '1 Low Road', city: 'Leeds', postcode: '12345' });
+      expect(data.jobType).toBe('electricity');
+    });
+
+    it('should let the upload priority beat the template default but not the row', () => {
+      const row = { 'Site Address': '1 A Road', Town: 'Leeds', County: 'WY' };
+
+      expect(importMapping.applyTemplate(row, supplierTemplate, { priority: 'high' }).priority).toBe('high');
+      expect(importMapping.applyTemplate({ ...row, priority: 'medium' }, importMapping.DEFAULT_TEMPLATE, { priority: 'high' }).priority).toBe('medium');
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should read the supported text formats and reject impossible dates', () => {
+      expect(importMapping.parseDate('05/03/2025', 'DD/MM/YYYY')).toEqual(new Date(2025, 2, 5));
+      expect(importMapping.parseDate('03/05/2025', 'MM/DD/YYYY')).toEqual(new Date(2025, 2, 5));
+      expect(importMapping.parseDate('5.3.2025', 'DD.MM.YYYY')).toEqual(new Date(2025, 2, 5));
+      expect(importMapping.parseDate('05/03/25', 'DD/MM/YY')).toEqual(new Date(2025, 2, 5));
+      expect(importMapping.parseDate('20250305', 'YYYYMMDD')).toEqual(new Date(2025, 2, 5));
+      expect(importMapping.parseDate(20250305, 'YYYYMMDD')).toEqual(new Date(2025, 2, 5));
+      expect(isNaN(importMapping.parseDate('31/02/2025', 'DD/MM/YYYY').getTime())).toBe(true);
+      expect(isNaN(importMapping.parseDate('2025-03-05', 'DD/MM/YYYY').getTime())).toBe(true);
+    });
+
+    it('should read Excel date serials whatever the format', () => {
+      expect(importMapping.parseDate(45719, 'DD/MM/YYYY')).toEqual(new Date(2025, 2, 3));
+    });
+  });
+
+  describe('detectTemplate', () => {
+    const stored = [supplierTemplate, { ...supplierTemplate, name: 'partial', columns: supplierTemplate.columns.slice(0, 3) }];
+
+    it('should pick the stored template that covers the most of its fields', () => {
+      const result = importMapping.detectTemplate(['Site Address', 'Town', 'County', 'Post Code', 'MPAN'], stored);
+
+      expect(result.detected).toBe(true);
+      expect(result.template.name).toBe('partial');
+      expect(result.candidates.map((candidate) => candidate.template.name)).toEqual(['partial', 'acme']);
+    });
+
+    it('should fall back to the built-in template when no stored template maps the address', () => {
+      const result = importMapping.detectTemplate(['street', 'city', 'state', 'postcode'], stored);
+
+      expect(result.detected).toBe(false);
+      expect(result.template).toBe(importMapping.DEFAULT_TEMPLATE);
+      expect(result.candidates[0].missingRequired).toEqual(['address.street', 'address.city', 'address.state']);
+    });
+  });
+
+  describe('validateTemplate', () => {
+    it('should accept a complete template', () => {
+      expect(() => importMapping.validateTemplate(supplierTemplate)).not.toThrow();
+    });
+
+    it('should reject unknown fields, transforms and formats and a missing address mapping', () => {
+      const withColumn = (extra) => ({ columns: [...supplierTemplate.columns, extra] });
+
+      expect(() => importMapping.validateTemplate(withColumn({ source: 'X', field: 'colour' }))).toThrow('unknown job field "colour"');
+      expect(() => importMapping.validateTemplate(withColumn({ source: 'X', field: 'notes', transform: 'reverse' }))).toThrow('unknown transform');
+      expect(() => importMapping.validateTemplate(withColumn({ source: 'X', field: 'scheduledDate', dateFormat: 'D/M' }))).toThrow('unsupported date format');
+      expect(() => importMapping.validateTemplate({ columns: supplierTemplate.columns.slice(1) })).toThrow('Template must map address.street');
+      expect(() => importMapping.validateTemplate({ columns: [] })).toThrow(importMapping.MappingError);
+    });
+  });
+});
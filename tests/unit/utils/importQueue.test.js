@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the background import queue
+ */
+
+const ImportBatch = require('../../../models/importBatch.model');
+const Job = require('../../../models/job.model');
+const User = require('../../../models/user.model');
+const jobImport = require('../../../utils/jobImport');
+const importQueue = require('../../../utils/importQueue');
+
+describe('Import Queue', () => {
+  let emitted;
+
+  const fakeBatch = (id, overrides = {}) => ({
+    _id: id,
+    status: 'queued',
+    uploadedBy: 'admin1',
+    options: { autoCommit: false },
+    progress: { processed: 0, total: 2 },
+    summary: { total: 2 },
+    rows: [],
+    toObject() { return { ...this }; },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    emitted = [];
+    global.io = {
+      to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, ...payload }) }),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.io;
+  });
+
+  describe('runImport', () => {
+    it('should send progress and completion to the uploading admin', async () => {
+      const batch = fakeBatch('b1');
+      jest.spyOn(ImportBatch, 'findById').mockResolvedValue(batch);
+      jest.spyOn(jobImport, 'processBatch').mockImplementation(async (target, { onProgress }) => {
+        target.status = 'processing';
+        target.progress.processed = 1;
+        onProgress(target, { rowNumber: 1, status: 'warning', geocode: { status: 'failed' }, issues: [] });
+        target.progress.processed = 2;
+        target.status = 'pending_review';
+        return target;
+      });
+
+      await importQueue.runImport('b1');
+
+      expect(emitted.map(({ room, event, type }) => [room, event, type])).toEqual([
+        ['user_admin1', 'importUpdate', 'progress'],
+        ['user_admin1', 'importUpdate', 'completed'],
+      ]);
+      expect(emitted[0]).toMatchObject({ progress: { processed: 1, total: 2, percent: 50 }, row: { rowNumber: 1, geocode: 'failed' } });
+      expect(emitted[1]).toMatchObject({ status: 'pending_review', progress: { percent: 100 } });
+    });
+
+    it('should record a failure on the import and tell the admin', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(ImportBatch, 'findById').mockResolvedValue(fakeBatch('b2'));
+      jest.spyOn(jobImport, 'processBatch').mockRejectedValue(new Error('connection lost'));
+      const updateOne = jest.spyOn(ImportBatch, 'updateOne').mockResolvedValue({});
+
+      await importQueue.runImport('b2');
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'b2', status: { $in: ['queued', 'processing'] } },
+        expect.objectContaining({ status: 'failed', 'progress.error': 'connection lost' })
+      );
+      expect(emitted).toEqual([expect.objectContaining({ type: 'failed', status: 'failed', error: 'connection lost' })]);
+    });
+
+    it('should skip imports that are no longer waiting', async () => {
+      jest.spyOn(ImportBatch, 'findById').mockResolvedValue(fakeBatch('b3', { status: 'cancelled' }));
+      const processBatch = jest.spyOn(jobImport, 'processBatch');
+
+      await importQueue.runImport('b3');
+
+      expect(processBatch).not.toHaveBeenCalled();
+    });
+
+    it('should create the jobs of an auto-commit import, leaving out rows with errors', async () => {
+      const batch = fakeBatch('b4', {
+        options: { autoCommit: true },
+        rows: [{ rowNumber: 1, status: 'valid' }, { rowNumber: 2, status: 'error', issues: [{ level: 'error', message: 'Missing city' }] }],
+      });
+      jest.spyOn(ImportBatch, 'findById').mockResolvedValue(batch);
+      jest.spyOn(jobImport, 'processBatch').mockImplementation(async (target) => Object.assign(target, { status: 'pending_review' }));
+      jest.spyOn(User, 'findById').mockResolvedValue({ _id: 'admin1', role: 'admin' });
+      const commitBatch = jest.spyOn(jobImport, 'commitBatch').mockResolvedValue({ jobs: [{ _id: 'j1' }], allocation: [] });
+      jest.spyOn(Job, 'find').mockReturnValue({ populate: async () => [{ _id: 'j1', assignedTo: { _id: 'op1' } }] });
+
+      await importQueue.runImport('b4');
+
+      expect(batch.rows.map((row) => row.status)).toEqual(['valid', 'dropped']);
+      expect(commitBatch).toHaveBeenCalledWith(batch, { _id: 'admin1', role: 'admin' });
+      expect(emitted.find((event) => event.room === 'user_admin1' && event.event === 'importUpdate'))
+        .toMatchObject({ type: 'committed', count: 1, skippedRows: [{ rowNumber: 2 }] });
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should process imports one at a time in the order queued', async () => {
+      const order = [];
+      jest.spyOn(ImportBatch, 'findById').mockImplementation(async (id) => fakeBatch(id));
+      jest.spyOn(jobImport, 'processBatch').mockImplementation(async (batch) => {
+        order.push(`start ${batch._id}`);
+        expect(importQueue.queuePosition(batch._id)).toBe(0);
+        await new Promise((resolve) => setImmediate(resolve));
+        order.push(`end ${batch._id}`);
+        return batch;
+      });
+
+      importQueue.enqueue('q1');
+      const done = importQueue.enqueue('q2');
+      expect(importQueue.queuePosition('q2')).toBe(1);
+      await done;
+
+      expect(order).toEqual(['start q1', 'end q1', 'start q2', 'end q2']);
+      expect(importQueue.queuePosition('q1')).toBeNull();
+    });
+
+    it('should carry on with the queue when the database fails under an import', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(ImportBatch, 'findById').mockImplementation(async (id) => {
+        if (id === 'down') throw new Error('connection refused');
+        return fakeBatch(id);
+      });
+      jest.spyOn(jobImport, 'processBatch').mockRejectedValue(new Error('connection lost'));
+      jest.spyOn(ImportBatch, 'updateOne').mockRejectedValue(new Error('connection lost'));
+      const processed = jest.spyOn(jobImport, 'processBatch');
+
+      importQueue.enqueue('down');
+      importQueue.enqueue('also-down');
+      await expect(importQueue.enqueue('next')).resolves.toBeUndefined();
+
+      expect(processed.mock.calls.map(([batch]) => batch._id)).toEqual(['also-down', 'next']);
+      expect(importQueue.queuePosition('next')).toBeNull();
+    });
+  });
+
+  describe('resumePending', () => {
+    it('should queue imports left queued or part-way through, oldest first', async () => {
+      const find = jest.spyOn(ImportBatch, 'find').mockReturnValue({
+        select: () => ({ sort: async () => [{ _id: 'r1' }, { _id: 'r2' }] }),
+      });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const runs = [];
+      jest.spyOn(ImportBatch, 'findById').mockImplementation(async (id) => {
+        runs.push(id);
+        return null;
+      });
+
+      const count = await importQueue.resumePending();
+      await importQueue.enqueue('r2');
+
+      expect(find).toHaveBeenCalledWith({ status: { $in: ['queued', 'processing'] } });
+      expect(count).toBe(2);
+      expect(runs).toEqual(['r1', 'r2']);
+    });
+  });
+});
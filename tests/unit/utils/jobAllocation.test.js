@@ -0,0 +1,68 @@
+/**
+ * Unit tests for multi-operative job allocation
+ */
+
+const jobAllocation = require('../../../utils/jobAllocation');
+const settings = require('../../../utils/settings');
+
+describe('Job Allocation', () => {
+  const routing = settings.DEFAULT_SETTINGS.routing;
+  const departAt = new Date('2025-03-03T08:00:00');
+  const row = (id, latitude, longitude) => ({ id, address: { latitude, longitude } });
+  // Two neighbourhoods about 7 miles apart, six jobs in each
+  const west = [0, 1, 2, 3, 4, 5].map((n) => row(`w${n}`, 51.5 + n * 0.002, -0.25 + n * 0.002));
+  const east = [0, 1, 2, 3, 4, 5].map((n) => row(`e${n}`, 51.5 + n * 0.002, -0.05 + n * 0.002));
+  const idsOf = (group) => group.jobs.map((job) => job.id).sort();
+
+  it('should give each operative the neighbourhood nearest their home', () => {
+    const operatives = [
+      { _id: 'east-op', homeLocation: { latitude: 51.5, longitude: -0.04 } },
+      { _id: 'west-op', homeLocation: { latitude: 51.5, longitude: -0.26 } },
+    ];
+    const [eastOp, westOp] = jobAllocation.allocateJobs([...west, ...east], operatives, { routing, departAt });
+
+    expect(idsOf(eastOp)).toEqual(east.map((job) => job.id).sort());
+    expect(idsOf(westOp)).toEqual(west.map((job) => job.id).sort());
+    expect(eastOp.estimatedMiles).toBeGreaterThan(0);
+    expect(eastOp.estimatedMinutes).toBeGreaterThan(6 * routing.serviceMinutes);
+  });
+
+  it('should cluster geographically when operatives have no home location', () => {
+    const groups = jobAllocation.allocateJobs([...west, ...east], [{ _id: 'a' }, { _id: 'b' }], { routing, departAt });
+
+    const clusters = groups.map((group) => new Set(group.jobs.map((job) => job.id[0])));
+    expect(clusters.every((cluster) => cluster.size === 1)).toBe(true);
+    expect(groups.map((group) => group.jobs.length)).toEqual([6, 6]);
+  });
+
+  it('should keep job counts balanced when everyone lives on the same side', () => {
+    const operatives = ['a', 'b', 'c'].map((id) => ({ _id: id, homeLocation: { latitude: 51.5, longitude: -0.3 } }));
+    const groups = jobAllocation.allocateJobs([...west, ...east], operatives, { routing, departAt });
+    const counts = groups.map((group) => group.jobs.length);
+
+    expect(counts.reduce((sum, count) => sum + count, 0)).toBe(12);
+    expect(Math.max(...counts)).toBeLessThanOrEqual(Math.ceil((12 / 3) * 1.15));
+  });
+
+  it('should share out jobs without coordinates by count', () => {
+    const unlocated = [{ id: 'x1', address: {} }, { id: 'x2', address: {} }];
+    const groups = jobAllocation.allocateJobs(
+      [...west.slice(0, 3), ...unlocated],
+      [{ _id: 'a' }, { _id: 'b' }],
+      { routing, departAt }
+    );
+
+    expect(groups.map((group) => group.jobs.length).sort()).toEqual([2, 3]);
+    const withUnlocated = groups.find((group) => group.jobs.some((job) => job.id === 'x1'));
+    expect(withUnlocated.estimatedMinutes).toBeGreaterThanOrEqual(routing.serviceMinutes);
+  });
+
+  it('should return an empty allocation for every operative when there are no jobs', () => {
+    const groups = jobAllocation.allocateJobs([], [{ _id: 'a' }, { _id: 'b' }], { routing, departAt });
+
+    expect(groups).toEqual([
+      { operative: { _id: 'a' }, jobs: [], estimatedMiles: 0, estimatedMinutes: 0 },
+      { operative: { _id: 'b' }, jobs: [], estimatedMiles: 0, estimatedMinutes: 0 },
+    ]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the job completion service helpers
+ * (photo collection and merging shared by every completion entry point, and the end-of-day report)
+ */
+
+const mongoose = require('mongoose');
+const Message = require('../../../models/message.model');
+const {
+  collectPhotoUrls,
+  mergePhotos,
+  JobCompletionError,
+  isCompletionError,
+  sendDailyReportIfLastJob,
+} = require('../../../utils/jobCompletionService');
+const { JobTransitionError } = require('../../../utils/jobLifecycle');
+
+describe('Job Completion Service', () => {
+  describe('collectPhotoUrls', () => {
+    it('should combine photos, photoUrls and meterReadings.photos', () => {
+      const urls = collectPhotoUrls({
+        photos: ['https://example.com/a.jpg'],
+        photoUrls: 'https://example.com/b.jpg',
+        meterReadings: { electric: 123, photos: ['https://example.com/c.jpg'] },
+      });
+
+      expect(urls).toEqual([
+        'https://example.com/a.jpg',
+        'https://example.com/b.jpg',
+        'https://example.com/c.jpg',
+      ]);
+    });
+
+    it('should drop empty and placeholder values', () => {
+      expect(collectPhotoUrls({ photos: ['', '  ', null, 'null', 'undefined'] })).toEqual([]);
+    });
+
+    it('should return an empty list when no photos are sent', () => {
+      expect(collectPhotoUrls({})).toEqual([]);
+      expect(collectPhotoUrls()).toEqual([]);
+    });
+  });
+
+  describe('mergePhotos', () => {
+    const job = {
+      jobType: 'electricity',
+      meterSerialNumber: 'SER123',
+      meterPhotos: [{ photoUrl: 'https://example.com/old.jpg', meterType: 'electricity' }],
+    };
+
+    it('should append new meter photos without duplicating existing URLs', () => {
+      const { photos, meterPhotos } = mergePhotos(
+        job,
+        ['https://example.com/old.jpg', 'https://example.com/new.jpg'],
+        { registerValues: [111, 222] }
+      );
+
+      expect(photos).toHaveLength(2);
+      expect(meterPhotos.map((mp) => mp.photoUrl)).toEqual([
+        'https://example.com/old.jpg',
+        'https://example.com/new.jpg',
+      ]);
+      expect(meterPhotos[1]).toMatchObject({ meterType: 'electricity', serialNumber: 'SER123', reading: 222 });
+    });
+
+    it('should keep existing meter photos when nothing new is submitted', () => {
+      const { photos, meterPhotos } = mergePhotos(job, []);
+
+      expect(photos).toEqual(['https://example.com/old.jpg']);
+      expect(meterPhotos).toBe(job.meterPhotos);
+    });
+
+    it('should leave photos untouched when the job has none and none are submitted', () => {
+      expect(mergePhotos({ jobType: 'gas' }, [])).toEqual({});
+    });
+  });
+
+  describe('isCompletionError', () => {
+    it('should recognise completion and lifecycle errors', () => {
+      expect(isCompletionError(new JobCompletionError('out of sequence'))).toBe(true);
+      expect(isCompletionError(new JobTransitionError('illegal'))).toBe(true);
+      expect(isCompletionError(new Error('boom'))).toBe(false);
+    });
+
+    it('should serialise extra body fields for the response', () => {
+      const error = new JobCompletionError('skip', 400, { nextJobId: 'abc' });
+      expect(error.toJSON()).toEqual({ message: 'skip', nextJobId: 'abc' });
+    });
+  });
+
+  describe('sendDailyReportIfLastJob', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should report the awards stored on the jobs read back for the day', async () => {
+      const user = { _id: new mongoose.Types.ObjectId(), firstName: 'Sam', username: 'sam', employeeId: 'E1' };
+      const completedToday = [
+        { _id: new mongoose.Types.ObjectId(), status: 'completed', registerValues: [123], points: 1, award: 0.50, distanceTraveled: 4 },
+        { _id: new mongoose.Types.ObjectId(), status: 'no_access', validNoAccess: true, customerRead: 'Dog in garden', points: 0.5, award: 0.30 },
+      ];
+      // Queries run as built, with only the fields they select handed back
+      jest.spyOn(mongoose.Query.prototype, 'exec').mockImplementation(async function exec() {
+        if (this.op === 'countDocuments') return 0;
+        if (this.op !== 'find') return null;
+        const fields = Object.keys(this.projection() || {});
+        return completedToday.map((job) => Object.fromEntries(
+          Object.entries(job).filter(([field]) => field === '_id' || fields.includes(field))
+        ));
+      });
+      const create = jest.spyOn(Message, 'create').mockImplementation(async (doc) => doc);
+
+      await sendDailyReportIfLastJob(user, completedToday[1]);
+
+      const [message] = create.mock.calls[0];
+      expect(message.meta.bonusFromJobs).toBeCloseTo(0.50, 2);
+      expect(message.meta.bonusFromNoAccess).toBeCloseTo(0.30, 2);
+      expect(message.body).toContain('Total Bonus Earned: £0.80');
+    });
+  });
+});
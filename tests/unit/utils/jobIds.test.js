@@ -0,0 +1,185 @@
+/**
+ * Unit tests for job ID counters, formats and the ID repair routine
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../../../models/job.model');
+const Counter = require('../../../models/counter.model');
+const Setting = require('../../../models/setting.model');
+const jobIds = require('../../../utils/jobIds');
+const settings = require('../../../utils/settings');
+
+describe('Job IDs', () => {
+  const config = {
+    ...settings.DEFAULT_SETTINGS.jobIds,
+    rules: [
+      { sup: 'BGAS', jobType: 'gas', prefix: 'BG', digits: 5 },
+      { sup: 'BGAS', prefix: 'B-', digits: 6 },
+      { jobType: 'water', prefix: 'W', digits: 4 },
+    ],
+  };
+  const stored = (value) => jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => (value ? { value } : null) });
+
+  // Counters kept in memory, $inc applied atomically per call like the database would
+  let counters;
+  beforeEach(() => {
+    counters = new Map();
+    jest.spyOn(Counter, 'exists').mockImplementation(async ({ _id }) => (counters.has(_id) ? { _id } : null));
+    jest.spyOn(Counter, 'updateOne').mockImplementation(async ({ _id }, { $max }) => {
+      counters.set(_id, Math.max(counters.get(_id) || 0, $max.seq));
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(({ _id }, { $inc }) => {
+      counters.set(_id, (counters.get(_id) || 0) + $inc.seq);
+      const seq = counters.get(_id);
+      return { lean: async () => ({ _id, seq }) };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('formatFor', () => {
+    it('should use the first rule matching the supplier and job type', () => {
+      expect(jobIds.formatFor({ sup: 'bgas', jobType: 'gas' }, config)).toEqual({ prefix: 'BG', digits: 5 });
+      expect(jobIds.formatFor({ sup: 'BGAS', jobType: 'water' }, config)).toEqual({ prefix: 'B-', digits: 6 });
+      expect(jobIds.formatFor({ sup: 'EDF', jobType: 'water' }, config)).toEqual({ prefix: 'W', digits: 4 });
+      expect(jobIds.formatFor({ sup: 'EDF', jobType: 'gas' }, config)).toEqual({ prefix: '', digits: 6 });
+      expect(jobIds.formatJobId(42, { prefix: 'BG', digits: 5 })).toBe('BG00042');
+    });
+  });
+
+  describe('generateJobIds', () => {
+    it('should carry on from the highest ID issued the first time a prefix is used', async () => {
+      stored(null);
+      const aggregate = jest.spyOn(Job, 'aggregate').mockResolvedValue([{ _id: null, highest: 41 }]);
+
+      expect(await jobIds.generateJobIds(3)).toEqual(['000042', '000043', '000044']);
+      expect(await jobIds.generateNextJobId()).toBe('000045');
+      // Seeded once, then taken from the counter
+      expect(aggregate).toHaveBeenCalledTimes(1);
+      expect(Counter.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { seq: 3 } });
+    });
+
+    it('should never hand out the same ID to uploads running at once', async () => {
+      stored(null);
+      jest.spyOn(Job, 'aggregate').mockResolvedValue([]);
+
+      const blocks = await Promise.all([jobIds.generateJobIds(2), jobIds.generateJobIds(2), jobIds.generateNextJobId()]);
+
+      const issued = blocks.flat();
+      expect(new Set(issued).size).toBe(5);
+      expect(issued.sort()).toEqual(['000001', '000002', '000003', '000004', '000005']);
+    });
+
+    it('should reject an empty request rather than make IDs up', async () => {
+      await expect(jobIds.generateJobIds(0)).rejects.toThrow('Count must be greater than 0');
+    });
+  });
+
+  describe('assignJobIds', () => {
+    it('should number each prefix on its own counter, in the order given', async () => {
+      stored(config);
+      counters.set('jobId:', 100);
+      counters.set('jobId:BG', 7);
+      counters.set('jobId:W', 0);
+      const jobs = [
+        { sup: 'BGAS', jobType: 'gas' },
+        { sup: 'EDF', jobType: 'electricity' },
+        { sup: 'BGAS', jobType: 'gas' },
+        { sup: 'EDF', jobType: 'water', jobId: 'KEEP1' },
+      ];
+
+      await jobIds.assignJobIds(jobs);
+
+      expect(jobs.map((job) => job.jobId)).toEqual(['BG00008', '000101', 'BG00009', 'KEEP1']);
+      expect(Counter.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('repairJobIds', () => {
+    const numbered = (jobId, fields = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      jobId,
+      number: parseInt(jobId.replace(/^\D+/, ''), 10),
+      jobType: 'gas',
+      sup: '',
+      ...fields,
+    });
+    const existing = (byPrefix, missing = []) => {
+      jest.spyOn(Counter, 'find').mockReturnValue({
+        lean: async () => [...counters].map(([_id, seq]) => ({ _id, seq })),
+      });
+      jest.spyOn(Job, 'aggregate').mockImplementation((pipeline) => {
+        const pattern = pipeline[0].$match.jobId.$regex;
+        const rows = Object.values(byPrefix).flat().filter((job) => pattern.test(job.jobId));
+        return { allowDiskUse: () => ({ cursor: () => rows }) };
+      });
+      jest.spyOn(Job, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean: async () => missing }) }) });
+      return jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    };
+
+    it('should report duplicates, gaps, missing IDs and counters behind without changing anything', async () => {
+      stored(null);
+      counters.set('jobId:', 3);
+      const first = numbered('000003');
+      const copy = numbered('000003');
+      const update = existing({ '': [numbered('000001'), numbered('000002'), first, copy, numbered('000007')] }, [
+        { _id: new mongoose.Types.ObjectId(), jobType: 'water', sup: '' },
+      ]);
+
+      const report = await jobIds.repairJobIds();
+
+      expect(report.applied).toBe(false);
+      expect(report.sequences).toEqual([expect.objectContaining({
+        prefix: '',
+        issued: 4,
+        highest: 7,
+        counter: 3,
+        counterBehind: true,
+        missingNumbers: 3,
+        gaps: [{ from: 4, to: 6 }],
+      })]);
+      expect(report.duplicates).toEqual([{ jobId: '000003', kept: first._id, reassigned: [{ job: copy._id, jobId: null }] }]);
+      expect(report.missing).toHaveLength(1);
+      expect(update).not.toHaveBeenCalled();
+      expect(Counter.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should move counters past the highest ID and renumber duplicates and missing IDs after it', async () => {
+      stored(config);
+      counters.set('jobId:', 3);
+      const copy = numbered('000003');
+      const unnumbered = { _id: new mongoose.Types.ObjectId(), jobType: 'water', sup: '' };
+      const update = existing({
+        '': [numbered('000003'), copy, numbered('000007')],
+        BG: [numbered('BG00002', { sup: 'BGAS' })],
+      }, [unnumbered]);
+
+      const report = await jobIds.repairJobIds({ apply: true });
+
+      expect(report.duplicates[0].reassigned).toEqual([{ job: copy._id, jobId: '000008' }]);
+      expect(report.missing).toEqual([{ job: unnumbered._id, jobId: 'W0001' }]);
+      expect(update.mock.calls).toEqual([
+        [{ _id: copy._id }, { $set: { jobId: '000008' } }],
+        [{ _id: unnumbered._id }, { $set: { jobId: 'W0001' } }],
+      ]);
+      expect(counters.get('jobId:BG')).toBe(2);
+      expect(counters.get('jobId:')).toBe(8);
+    });
+  });
+
+  describe('settings', () => {
+    it('should only accept prefixes that keep the number unambiguous', () => {
+      const validate = (value) => () => settings.validators.jobIds({ ...settings.DEFAULT_SETTINGS.jobIds, ...value });
+
+      expect(validate(config)).not.toThrow();
+      expect(validate({ prefix: 'JOB-' })).not.toThrow();
+      expect(validate({ prefix: 'J0' })).toThrow('capital letters');
+      expect(validate({ digits: 0 })).toThrow('digits must be a whole number');
+      expect(validate({ rules: [{ prefix: 'X', digits: 6 }] })).toThrow('needs a supplier (sup) or a job type');
+      expect(validate({ rules: [{ jobType: 'heat', prefix: 'H', digits: 6 }] })).toThrow('unknown job type');
+    });
+  });
+});
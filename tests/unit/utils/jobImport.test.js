@@ -0,0 +1,285 @@
+/**
+ * Unit tests for the spreadsheet import row checks
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../../../models/job.model');
+const User = require('../../../models/user.model');
+const Counter = require('../../../models/counter.model');
+const ImportBatch = require('../../../models/importBatch.model');
+const Setting = require('../../../models/setting.model');
+const jobImport = require('../../../utils/jobImport');
+const houseLinking = require('../../../utils/houseLinking');
+const meterRegistry = require('../../../utils/meterRegistry');
+
+describe('Job Import', () => {
+  const now = new Date('2025-03-03T10:00:00');
+  const sheetRow = (overrides = {}) => ({
+    Street: '12 High Street',
+    City: 'London',
+    State: 'Greater London',
+    Postcode: 'SW1A 1AA',
+    'Job Type': 'Gas',
+    'Meter Serial Number': 'G123',
+    ...overrides,
+  });
+
+  describe('mapRow', () => {
+    it('should read the usual column spellings and apply the upload defaults', () => {
+      const data = jobImport.mapRow(sheetRow(), { priority: 'high', scheduledDate: new Date('2025-03-04T00:00:00') });
+
+      expect(data).toMatchObject({
+        jobType: 'gas',
+        address: { street: '12 High Street', city: 'London', state: 'Greater London', postcode: 'SW1A 1AA' },
+        priority: 'high',
+        meterSerialNumber: 'G123',
+      });
+      expect(data.scheduledDate).toEqual(new Date('2025-03-04T00:00:00'));
+    });
+
+    it('should prefer a scheduled date given on the row', () => {
+      const data = jobImport.mapRow(sheetRow({ 'Scheduled Date': '2025-03-05' }), { scheduledDate: new Date('2025-03-04') });
+
+      expect(data.scheduledDate).toEqual(new Date('2025-03-05T00:00:00'));
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should read Excel serial numbers and text dates', () => {
+      expect(jobImport.parseDate(45719)).toEqual(new Date(2025, 2, 3));
+      expect(jobImport.parseDate('2025-03-03')).toEqual(new Date('2025-03-03T00:00:00'));
+      expect(jobImport.parseDate('')).toBeNull();
+      expect(isNaN(jobImport.parseDate('next tuesday').getTime())).toBe(true);
+    });
+  });
+
+  describe('validateRow', () => {
+    const issuesOf = (overrides, defaults) => jobImport.validateRow(jobImport.mapRow(sheetRow(overrides), defaults), now);
+
+    it('should accept a complete row', () => {
+      expect(issuesOf()).toEqual([]);
+    });
+
+    it('should report missing address fields as errors instead of skipping the row', () => {
+      const issues = issuesOf({ Street: '', City: '' });
+
+      expect(issues).toEqual(expect.arrayContaining([
+        { level: 'error', field: 'address.street', message: 'Missing street' },
+        { level: 'error', field: 'address.city', message: 'Missing city' },
+      ]));
+    });
+
+    it('should warn about a missing postcode', () => {
+      expect(issuesOf({ Postcode: '' })).toEqual([{ level: 'warning', field: 'address.postcode', message: 'Missing postcode' }]);
+    });
+
+    it('should report unknown job types and priorities', () => {
+      const fields = issuesOf({ 'Job Type': 'steam', priority: 'urgent' }).map((issue) => issue.field);
+
+      expect(fields).toEqual(['jobType', 'priority']);
+    });
+
+    it('should report dates in the past or too far ahead rather than changing them', () => {
+      expect(issuesOf({ 'Scheduled Date': '2025-03-02' })[0].message).toBe('Scheduled date is in the past');
+      expect(issuesOf({ 'Scheduled Date': '2025-03-06' })[0].message).toBe('Scheduled date is more than 2 days in the future');
+      expect(issuesOf({ 'Scheduled Date': '2025-03-05' })).toEqual([]);
+      expect(issuesOf({ 'Scheduled Date': 'soon' })[0].message).toBe('Scheduled date could not be read');
+    });
+  });
+
+  describe('findDuplicateRows', () => {
+    const row = (rowNumber, overrides) => ({ rowNumber, status: 'valid', data: jobImport.mapRow(sheetRow(overrides)) });
+
+    it('should flag later rows with the same address and job type, ignoring case and spacing', () => {
+      const duplicates = jobImport.findDuplicateRows([
+        row(1, { 'Meter Serial Number': '' }),
+        row(2, { Street: '12  high street', Postcode: 'sw1a1aa', 'Meter Serial Number': '' }),
+        row(3, { 'Job Type': 'electricity', 'Meter Serial Number': '' }),
+      ]);
+
+      expect(duplicates.get(2)).toEqual([{ rowNumber: 1, reason: 'Same address and job type as another row' }]);
+      expect(duplicates.has(1)).toBe(false);
+      expect(duplicates.has(3)).toBe(false);
+    });
+
+    it('should flag rows sharing a meter serial number and ignore dropped rows', () => {
+      const duplicates = jobImport.findDuplicateRows([
+        { ...row(1, { Street: '1 A Road' }), status: 'dropped' },
+        row(2, { Street: '2 B Road' }),
+        row(3, { Street: '3 C Road', 'Meter Serial Number': 'g123' }),
+      ]);
+
+      expect(duplicates.get(3)).toEqual([{ rowNumber: 2, reason: 'Same meter serial number as another row' }]);
+      expect(duplicates.has(2)).toBe(false);
+    });
+  });
+
+  describe('classifyRow', () => {
+    it('should turn geocode and duplicate findings into warnings and keep dropped rows dropped', () => {
+      const row = { status: 'valid', geocode: { status: 'failed' }, duplicates: [{ jobId: '000042', reason: 'Open job at the same address' }] };
+      jobImport.classifyRow(row, []);
+
+      expect(row.status).toBe('warning');
+      expect(row.issues.map((issue) => issue.message)).toEqual([
+        'Address could not be geocoded; the job will be sequenced last',
+        'Open job at the same address (job 000042)',
+      ]);
+
+      const dropped = { status: 'dropped', geocode: { status: 'ok' }, duplicates: [] };
+      jobImport.classifyRow(dropped, [{ level: 'error', field: 'jobType', message: 'Bad type' }]);
+      expect(dropped.status).toBe('dropped');
+    });
+  });
+
+  describe('parseIdList', () => {
+    it('should read JSON arrays, comma-separated strings and repeated fields', () => {
+      expect(jobImport.parseIdList('["a","b"]')).toEqual(['a', 'b']);
+      expect(jobImport.parseIdList('a, b')).toEqual(['a', 'b']);
+      expect(jobImport.parseIdList(['a', ' b '])).toEqual(['a', 'b']);
+      expect(jobImport.parseIdList(undefined)).toEqual([]);
+    });
+  });
+
+  describe('processBatch', () => {
+    // Enough of an ImportBatch document for processing
+    const fakeBatch = (rows, status = 'queued') => ({
+      _id: 'batch1',
+      status,
+      rows,
+      progress: { total: rows.length, processed: 0 },
+      summary: {},
+      set(path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        keys.reduce((target, key) => target[key], this)[last] = value;
+      },
+      markModified: jest.fn(),
+      save: jest.fn().mockResolvedValue(),
+    });
+    const queuedRow = (rowNumber, overrides, geocodeStatus = 'pending') => ({
+      rowNumber,
+      status: 'valid',
+      duplicates: [],
+      data: jobImport.mapRow(sheetRow(overrides)),
+      geocode: { status: geocodeStatus },
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Job, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should geocode pending rows, report progress and leave the batch ready for review', async () => {
+      const batch = fakeBatch([queuedRow(1), queuedRow(2, { Street: '9 Low Road', 'Meter Serial Number': 'G9' })]);
+      const geocode = jest.fn()
+        .mockResolvedValueOnce({ latitude: 51.5, longitude: -0.1, accuracy: 0.8 })
+        .mockResolvedValue(null);
+      const progress = [];
+
+      await jobImport.processBatch(batch, {
+        geocode,
+        onProgress: (updated, row) => progress.push([row.rowNumber, updated.progress.processed]),
+      });
+
+      expect(progress).toEqual([[1, 1], [2, 2]]);
+      expect(batch.status).toBe('pending_review');
+      expect(batch.rows[0].geocode).toMatchObject({ status: 'ok', latitude: 51.5 });
+      expect(batch.rows[1].geocode.status).toBe('failed');
+      expect(batch.rows[1].status).toBe('warning');
+      expect(batch.summary).toMatchObject({ total: 2, valid: 1, warning: 1 });
+      expect(batch.progress.attempts).toBe(1);
+      expect(batch.progress.finishedAt).toBeInstanceOf(Date);
+    });
+
+    it('should carry on from the first pending row after an interruption', async () => {
+      const batch = fakeBatch([queuedRow(1, {}, 'ok'), queuedRow(2, { Street: '9 Low Road' })], 'processing');
+      const geocode = jest.fn().mockResolvedValue({ latitude: 51.5, longitude: -0.1, accuracy: 0.8 });
+
+      await jobImport.processBatch(batch, { geocode });
+
+      expect(geocode).toHaveBeenCalledTimes(1);
+      expect(geocode.mock.calls[0][0]).toContain('9 Low Road');
+    });
+
+    it('should mark a row failed when the geocoder throws rather than failing the import', async () => {
+      const batch = fakeBatch([queuedRow(1)]);
+
+      await jobImport.processBatch(batch, { geocode: jest.fn().mockRejectedValue(new Error('socket hang up')) });
+
+      expect(batch.rows[0].geocode.status).toBe('failed');
+      expect(batch.status).toBe('pending_review');
+    });
+
+    it('should refuse batches that are not waiting to be processed', async () => {
+      await expect(jobImport.processBatch(fakeBatch([], 'committed'))).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('commitBatch', () => {
+    const operative = { _id: new mongoose.Types.ObjectId(), department: 'meter', username: 'reader1' };
+    const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+    // A reviewed batch, and its status as the database holds it
+    let stored;
+    const reviewedBatch = () => ({
+      _id: new mongoose.Types.ObjectId(),
+      status: 'pending_review',
+      options: { assignees: [operative._id] },
+      rows: [{ rowNumber: 2, status: 'valid', duplicates: [], data: jobImport.mapRow(sheetRow(), { scheduledDate: new Date() }), geocode: { status: 'failed' } }],
+      summary: {},
+      set: jest.fn(),
+      markModified: jest.fn(),
+      save: jest.fn().mockResolvedValue(),
+    });
+
+    beforeEach(() => {
+      stored = 'pending_review';
+      jest.spyOn(Job, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+      jest.spyOn(User, 'find').mockResolvedValue([operative]);
+      jest.spyOn(Counter, 'exists').mockResolvedValue({ _id: 'jobId:' });
+      jest.spyOn(Counter, 'findOneAndUpdate').mockReturnValue({ lean: async () => ({ seq: 1 }) });
+      jest.spyOn(houseLinking, 'linkJobsToHouses').mockResolvedValue();
+      jest.spyOn(meterRegistry, 'linkJobsToMeters').mockResolvedValue();
+      jest.spyOn(ImportBatch, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        if (stored !== filter.status) return null;
+        stored = update.$set.status;
+        return { status: filter.status };
+      });
+      jest.spyOn(ImportBatch, 'updateOne').mockImplementation(async (filter, update) => {
+        if (stored === filter.status) stored = update.$set.status;
+      });
+      jest.spyOn(Job, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should create the jobs once when two commits of the same batch run at once', async () => {
+      const insertMany = jest.spyOn(Job, 'insertMany').mockImplementation(async (jobs) => jobs.map((job) => ({ ...job, _id: new mongoose.Types.ObjectId() })));
+      const batch = reviewedBatch();
+      const copy = { ...reviewedBatch(), _id: batch._id };
+
+      const results = await Promise.allSettled([jobImport.commitBatch(batch, admin), jobImport.commitBatch(copy, admin)]);
+
+      expect(insertMany).toHaveBeenCalledTimes(1);
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find((result) => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+    });
+
+    it('should hand the batch back for review when creating the jobs fails', async () => {
+      jest.spyOn(Job, 'insertMany').mockRejectedValue(new Error('write conflict'));
+      const batch = reviewedBatch();
+
+      await expect(jobImport.commitBatch(batch, admin)).rejects.toThrow('write conflict');
+
+      expect(Job.deleteMany).toHaveBeenCalledWith({ importBatch: batch._id });
+      expect(stored).toBe('pending_review');
+      expect(batch.save).not.toHaveBeenCalled();
+    });
+  });
+});
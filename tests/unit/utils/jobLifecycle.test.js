@@ -0,0 +1,159 @@
+/**
+ * Unit tests for the job lifecycle state machine
+ */
+
+const jobLifecycle = require('../../../utils/jobLifecycle');
+const { JobTransitionError } = jobLifecycle;
+
+describe('Job Lifecycle', () => {
+  describe('getAvailableEvents', () => {
+    it('should allow starting and cancelling a pending job', () => {
+      expect(jobLifecycle.getAvailableEvents('pending')).toEqual(['start', 'cancel']);
+    });
+
+    it('should allow completion outcomes for a job in progress', () => {
+      expect(jobLifecycle.getAvailableEvents('in_progress')).toEqual(['complete', 'no_access', 'cancel']);
+    });
+
+    it('should hide admin-only events from meter readers', () => {
+      expect(jobLifecycle.getAvailableEvents('no_access', 'meter_reader')).toEqual([]);
+      expect(jobLifecycle.getAvailableEvents('no_access', 'admin')).toEqual(['reopen', 'revisit']);
+    });
+  });
+
+  describe('findEventForStatus', () => {
+    it('should find the event for a legal status change', () => {
+      expect(jobLifecycle.findEventForStatus('pending', 'in_progress')).toBe('start');
+      expect(jobLifecycle.findEventForStatus('completed', 'pending')).toBe('reopen');
+    });
+
+    it('should return null for an illegal status change', () => {
+      expect(jobLifecycle.findEventForStatus('pending', 'completed')).toBeNull();
+      expect(jobLifecycle.findEventForStatus('cancelled', 'in_progress')).toBeNull();
+    });
+  });
+
+  describe('findPath', () => {
+    it('should return an empty path when already in the target status', () => {
+      expect(jobLifecycle.findPath('completed', 'completed')).toEqual([]);
+    });
+
+    it('should chain start and complete for a pending job', () => {
+      expect(jobLifecycle.findPath('pending', 'completed', { allowedEvents: ['start', 'complete'] }))
+        .toEqual(['start', 'complete']);
+    });
+
+    it('should return null when the target cannot be reached with the allowed events', () => {
+      expect(jobLifecycle.findPath('cancelled', 'completed', { allowedEvents: ['start', 'complete'] })).toBeNull();
+    });
+  });
+
+  describe('buildTransition', () => {
+    it('should build a history entry for a legal transition', () => {
+      const actor = '507f1f77bcf86cd799439011';
+      const at = new Date('2025-01-01T09:00:00Z');
+      const entry = jobLifecycle.buildTransition('pending', 'start', { actor, role: 'meter_reader', at });
+
+      expect(entry).toEqual({
+        event: 'start',
+        from: 'pending',
+        to: 'in_progress',
+        actor,
+        actorRole: 'meter_reader',
+        reason: '',
+        at,
+      });
+    });
+
+    it('should reject a transition from the wrong status', () => {
+      expect(() => jobLifecycle.buildTransition('completed', 'start')).toThrow(JobTransitionError);
+
+      try {
+        jobLifecycle.buildTransition('completed', 'start');
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+        expect(error.code).toBe('INVALID_TRANSITION');
+        expect(error.toJSON().allowedEvents).toEqual(['reopen']);
+      }
+    });
+
+    it('should reject admin-only transitions for other roles with 403', () => {
+      try {
+        jobLifecycle.buildTransition('completed', 'reopen', { role: 'meter_reader' });
+        throw new Error('Expected transition to be rejected');
+      } catch (error) {
+        expect(error).toBeInstanceOf(JobTransitionError);
+        expect(error.statusCode).toBe(403);
+      }
+    });
+
+    it('should reject unknown events', () => {
+      expect(() => jobLifecycle.buildTransition('pending', 'teleport')).toThrow('Unknown job event');
+    });
+  });
+
+  describe('planTransitions', () => {
+    it('should validate each event against the status produced by the previous one', () => {
+      const entries = jobLifecycle.planTransitions('pending', ['start', 'no_access'], { reason: 'Dog on property' });
+
+      expect(entries.map((e) => `${e.from}->${e.to}`)).toEqual(['pending->in_progress', 'in_progress->no_access']);
+      expect(entries[1].reason).toBe('Dog on property');
+    });
+
+    it('should reject the whole chain if any step is illegal', () => {
+      expect(() => jobLifecycle.planTransitions('pending', ['complete', 'start'])).toThrow(JobTransitionError);
+    });
+  });
+
+  describe('transitionJob', () => {
+    const makeJob = (status, result) => {
+      const findOneAndUpdate = jest.fn().mockResolvedValue(result);
+      function FakeJob() {}
+      FakeJob.findOneAndUpdate = findOneAndUpdate;
+      const job = Object.create(FakeJob.prototype);
+      job._id = 'job-1';
+      job.status = status;
+      return { job, findOneAndUpdate };
+    };
+
+    it('should update status and append history only while the status is unchanged', async () => {
+      const { job, findOneAndUpdate } = makeJob('pending', { _id: 'job-1', status: 'in_progress' });
+
+      await jobLifecycle.transitionJob(job, 'start', { role: 'meter_reader' }, { notes: 'on my way', status: 'completed' });
+
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: 'job-1', status: 'pending' });
+      expect(update.$set).toEqual({ notes: 'on my way', status: 'in_progress' });
+      expect(update.$push.statusHistory.$each).toHaveLength(1);
+    });
+
+    it('should not touch status or history for an empty event list', async () => {
+      const { job, findOneAndUpdate } = makeJob('completed', { _id: 'job-1', status: 'completed' });
+
+      await jobLifecycle.transitionJob(job, [], {}, { notes: 'resubmitted' });
+
+      const [, update] = findOneAndUpdate.mock.calls[0];
+      expect(update).toEqual({ $set: { notes: 'resubmitted' } });
+    });
+
+    it('should push extra entries alongside the status history', async () => {
+      const { job, findOneAndUpdate } = makeJob('pending', { _id: 'job-1', status: 'in_progress' });
+      const check = { stage: 'start', outcome: 'accepted' };
+
+      await jobLifecycle.transitionJob(job, 'start', {}, {}, { 'geofence.checks': check, statusHistory: { to: 'completed' } });
+
+      const [, update] = findOneAndUpdate.mock.calls[0];
+      expect(update.$push['geofence.checks']).toBe(check);
+      expect(update.$push.statusHistory.$each).toEqual([expect.objectContaining({ from: 'pending', to: 'in_progress' })]);
+    });
+
+    it('should raise a 409 conflict when the job changed concurrently', async () => {
+      const { job } = makeJob('pending', null);
+
+      await expect(jobLifecycle.transitionJob(job, 'start')).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'STATUS_CONFLICT',
+      });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit tests for PDF job sheets and run sheets
+ */
+
+const axios = require('axios');
+const jobSheets = require('../../../utils/jobSheets');
+const { cloudinary } = require('../../../utils/cloudinary');
+
+describe('Job Sheets', () => {
+  const operative = { firstName: 'Sam', lastName: 'Lee', employeeId: 'EMP7' };
+  const job = (fields = {}) => ({
+    jobId: 'JOB000123',
+    jobType: 'electricity',
+    status: 'completed',
+    priority: 'high',
+    address: { street: '1 High Street', city: 'Leeds', postcode: 'LS1 1AA' },
+    sup: 'BGAS',
+    cust: '1200012345678',
+    assignedTo: operative,
+    meterSerialNumber: 'E10K12345',
+    registerIds: ['DAY', 'NIGHT'],
+    registerValues: [1500, 800],
+    scheduledDate: new Date('2026-05-01T00:00:00Z'),
+    completedDate: new Date('2026-05-01T10:15:00Z'),
+    statusHistory: [{ event: 'start', at: new Date('2026-05-01T10:02:00Z') }],
+    ...fields,
+  });
+
+  // Render a document and return its bytes
+  const render = (doc) => new Promise((resolve) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.end();
+  });
+  const pageCount = (pdf) => (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('jobSheetSections', () => {
+    it('should list the visit, meter, readings and timestamps', () => {
+      const sections = jobSheets.jobSheetSections(job());
+
+      expect(sections.map((section) => section.title)).toEqual(['Visit', 'Meter', 'Readings', 'Timestamps']);
+      expect(sections[0].rows).toContainEqual(['Operative', 'Sam Lee (EMP7)']);
+      expect(sections[0].rows).toContainEqual(['Address', '1 High Street, Leeds, LS1 1AA']);
+      expect(sections[2].rows).toEqual([['Register DAY', '1500'], ['Register NIGHT', '800']]);
+      expect(sections[3].rows).toEqual([
+        // Business time: BST in May
+        ['Scheduled', '2026-05-01 01:00'],
+        ['Started', '2026-05-01 11:02'],
+        ['Completed', '2026-05-01 11:15'],
+      ]);
+    });
+
+    it('should add the no-access reason and leave out empty rows', () => {
+      const sections = jobSheets.jobSheetSections(job({
+        status: 'no_access',
+        registerValues: [],
+        meterSerialNumber: '',
+        noAccessReason: 'Dog on property - safety concern',
+        validNoAccess: true,
+        notes: 'Call before visiting',
+      }));
+
+      expect(sections.find((section) => section.title === 'Meter')).toBeUndefined();
+      expect(sections.find((section) => section.title === 'Readings').rows).toEqual([['Reading', 'No reading taken']]);
+      expect(sections.find((section) => section.title === 'No access').rows).toEqual([
+        ['Reason', 'Dog on property - safety concern'],
+        ['Valid no access', 'Yes'],
+      ]);
+      expect(sections[sections.length - 1]).toEqual({ title: 'Notes', rows: [['', 'Call before visiting']] });
+    });
+  });
+
+  describe('runSheetRows', () => {
+    it('should number jobs in route order with their appointment windows', () => {
+      const rows = jobSheets.runSheetRows([
+        job({ appointment: { start: new Date('2026-05-01T09:00:00Z'), end: new Date('2026-05-01T11:00:00Z') } }),
+        job({ jobId: 'JOB000124', notes: 'Side door' }),
+      ]);
+
+      expect(rows[0]).toMatchObject({ stop: 1, jobId: 'JOB000123', scheduled: '2026-05-01', appointment: '10:00-12:00', priority: 'high' });
+      expect(rows[1]).toMatchObject({ stop: 2, appointment: '', notes: 'Side door' });
+    });
+  });
+
+  describe('photos', () => {
+    it('should collect photo URLs once and ask Cloudinary for thumbnails', () => {
+      const url = 'https://res.cloudinary.com/demo/image/upload/v1/meter-photos/a.jpg';
+
+      expect(jobSheets.jobPhotoUrls({ photos: [url], meterPhotos: [{ photoUrl: url }, { photoUrl: '/uploads/b.jpg' }] }))
+        .toEqual([url, '/uploads/b.jpg']);
+      expect(jobSheets.thumbnailUrl(url)).toBe('https://res.cloudinary.com/demo/image/upload/c_fill,w_320,h_240,f_jpg,q_70/v1/meter-photos/a.jpg');
+      expect(jobSheets.thumbnailUrl('https://example.com/a.jpg')).toBe('https://example.com/a.jpg');
+    });
+
+    it('should keep going when photos cannot be loaded', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const get = jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce({ data: new Uint8Array([1, 2, 3]) })
+        .mockRejectedValueOnce(new Error('timeout'));
+      const uploaded = `https://res.cloudinary.com/${cloudinary.config().cloud_name}/image/upload/v1/meter-photos`;
+
+      const photos = await jobSheets.loadPhotos([`${uploaded}/a.jpg`, `${uploaded}/b.jpg`, '/uploads/../server.js']);
+
+      expect(get).toHaveBeenCalledTimes(2);
+      expect(photos.map((photo) => photo.data && photo.data.length)).toEqual([3, null, null]);
+    });
+
+    it('should only fetch photos uploaded to the configured Cloudinary account', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const get = jest.spyOn(axios, 'get');
+      const cloudName = cloudinary.config().cloud_name;
+
+      expect(jobSheets.isCloudinaryPhoto(`https://res.cloudinary.com/${cloudName}/image/upload/v1/a.jpg`)).toBe(true);
+      expect(jobSheets.isCloudinaryPhoto('https://res.cloudinary.com/someone-else/image/upload/v1/a.jpg')).toBe(false);
+      expect(jobSheets.isCloudinaryPhoto(`https://res.cloudinary.com.evil.test/${cloudName}/image/upload/a.jpg`)).toBe(false);
+      expect(jobSheets.isCloudinaryPhoto(`https://res.cloudinary.com:8080/${cloudName}/image/upload/a.jpg`)).toBe(false);
+
+      const photos = await jobSheets.loadPhotos(['http://169.254.169.254/latest/meta-data/', 'http://localhost:27017/']);
+
+      expect(get).not.toHaveBeenCalled();
+      expect(photos.map((photo) => photo.data)).toEqual([null, null]);
+    });
+  });
+
+  describe('PDF output', () => {
+    it('should draw a job sheet, showing photos that did not load as unavailable', async () => {
+      const pdf = await render(jobSheets.buildJobSheet(job(), [{ url: 'x', data: null }, { url: 'y', data: Buffer.from('not an image') }]));
+
+      expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+      expect(pageCount(pdf)).toBe(1);
+    });
+
+    it('should run a long run sheet over several pages', async () => {
+      const jobs = Array.from({ length: 60 }, (_, index) => job({ jobId: `JOB${index}`, notes: 'Ring the bell twice and wait at the side gate' }));
+
+      const pdf = await render(jobSheets.buildRunSheet({ user: operative, jobs, date: new Date('2026-05-01T08:00:00Z') }));
+
+      expect(pageCount(pdf)).toBeGreaterThan(1);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for the meter registry: register layouts, reading checks, linking and exchanges
+ */
+
+const mongoose = require('mongoose');
+const Meter = require('../../../models/meter.model');
+const Job = require('../../../models/job.model');
+const meterRegistry = require('../../../utils/meterRegistry');
+
+describe('Meter Registry', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const meter = (registers, overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    house: new mongoose.Types.ObjectId(),
+    meterType: 'electric',
+    serialNumber: 'E10K12345',
+    isActive: true,
+    registers,
+    ...overrides,
+  });
+
+  describe('registersFromJob', () => {
+    it('should take register IDs from the job and pad to the register count', () => {
+      expect(meterRegistry.registersFromJob({ registerIds: ['r1 '], numRegisters: 2 }))
+        .toEqual([{ registerId: 'R1' }, { registerId: '' }]);
+      expect(meterRegistry.registersFromJob({})).toEqual([{ registerId: '' }]);
+    });
+  });
+
+  describe('normaliseRegisters', () => {
+    it('should normalise IDs and reject empty layouts, repeated IDs and bad digit counts', () => {
+      expect(meterRegistry.normaliseRegisters([{ registerId: 'day', digits: '5' }, { registerId: 'Night', description: ' Off peak ' }]))
+        .toEqual([{ registerId: 'DAY', digits: 5 }, { registerId: 'NIGHT', description: 'Off peak' }]);
+      expect(() => meterRegistry.normaliseRegisters([])).toThrow('at least one register');
+      expect(() => meterRegistry.normaliseRegisters([{ registerId: 'DAY' }, { registerId: 'day' }])).toThrow('listed more than once');
+      expect(() => meterRegistry.normaliseRegisters([{ digits: 0 }])).toThrow('between 1 and 12 digits');
+    });
+  });
+
+  describe('checkReading', () => {
+    const twoRate = meter([{ registerId: 'DAY', digits: 5 }, { registerId: 'NIGHT', digits: 5 }]);
+
+    it('should match values by register ID or position and report unread registers', () => {
+      expect(meterRegistry.checkReading(twoRate, { registerIds: ['night', 'day'], registerValues: [200, '1500'] }))
+        .toMatchObject({ registerIds: ['DAY', 'NIGHT'], registerValues: [1500, 200], missingRegisters: [] });
+      expect(meterRegistry.checkReading(twoRate, { registerValues: [1500] }))
+        .toMatchObject({ registerIds: ['DAY'], registerValues: [1500], missingRegisters: ['NIGHT'] });
+    });
+
+    it('should list every value that does not fit the layout', () => {
+      let error;
+      try {
+        meterRegistry.checkReading(twoRate, { registerIds: ['PEAK', '', 'DAY'], registerValues: [1, 123456, 2, 3] });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(meterRegistry.MeterError);
+      expect(error.statusCode).toBe(400);
+      expect(error.toJSON().problems).toEqual([
+        'Register PEAK is not on meter E10K12345',
+        'Register #2 value 123456 has more than 5 digits',
+        'Meter E10K12345 has 2 register(s); value #4 has no register',
+      ]);
+    });
+
+    it('should take register IDs for registers that have none', () => {
+      const unknown = meter([{ registerId: '' }]);
+
+      expect(meterRegistry.checkReading(unknown, { registerIds: ['r9'], registerValues: [42] }))
+        .toMatchObject({ registerIds: ['R9'], registerValues: [42], registerLayout: ['R9'] });
+      expect(() => meterRegistry.checkReading(unknown, { registerValues: [-1] })).toThrow(meterRegistry.MeterError);
+    });
+  });
+
+  describe('linkJobsToMeters', () => {
+    const house = new mongoose.Types.ObjectId();
+    const job = (fields) => ({ house, jobType: 'electricity', meterSerialNumber: '', meterMake: '', meterModel: '', ...fields });
+
+    it('should link jobs to installed meters by serial, register new serials and copy meter details', async () => {
+      const installed = meter([{ registerId: 'DAY' }, { registerId: 'NIGHT' }], { house, make: 'Landis', model: 'E470' });
+      jest.spyOn(Meter, 'find').mockReturnValue({ lean: async () => [installed] });
+      const insertMany = jest.spyOn(Meter, 'insertMany').mockImplementation(async (docs) => docs.map((doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() })));
+
+      const jobs = [
+        job({ meterSerialNumber: 'e10k 12345' }),
+        job({}),
+        job({ meterSerialNumber: 'NEW1', meterMake: 'Elster', registerIds: ['R1'] }),
+        job({ meterSerialNumber: 'new1' }),
+        job({ jobType: 'gas' }),
+        { ...job({}), house: null },
+      ];
+      const result = await meterRegistry.linkJobsToMeters(jobs);
+
+      expect(result).toEqual({ linked: 4, created: 1 });
+      expect(jobs[0]).toMatchObject({ meter: installed._id, meterMake: 'Landis', meterModel: 'E470', numRegisters: 2 });
+      expect(jobs[1]).toMatchObject({ meter: installed._id, meterSerialNumber: 'E10K12345' });
+      expect(insertMany).toHaveBeenCalledWith([
+        { house, meterType: 'electric', serialNumber: 'NEW1', make: 'Elster', model: '', registers: [{ registerId: 'R1' }] },
+      ], expect.objectContaining({ ordered: false }));
+      expect(jobs[3].meter).toBe(jobs[2].meter);
+      expect(jobs[4].meter).toBeUndefined();
+      expect(jobs[5].meter).toBeUndefined();
+    });
+
+    it('should link to a meter another request registered first', async () => {
+      const registered = meter([{ registerId: 'R1' }], { house, serialNumber: 'NEW1' });
+      jest.spyOn(Meter, 'find')
+        .mockReturnValueOnce({ lean: async () => [] })
+        .mockReturnValueOnce({ lean: async () => [registered] });
+      jest.spyOn(Meter, 'insertMany').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000, insertedDocs: [] }));
+
+      const jobs = [job({ meterSerialNumber: 'new1' })];
+      const result = await meterRegistry.linkJobsToMeters(jobs);
+
+      expect(result).toEqual({ linked: 1, created: 0 });
+      expect(jobs[0].meter).toBe(registered._id);
+    });
+
+    it('should still fail on errors other than a duplicate serial', async () => {
+      jest.spyOn(Meter, 'find').mockReturnValue({ lean: async () => [] });
+      jest.spyOn(Meter, 'insertMany').mockRejectedValue(new Error('connection lost'));
+
+      await expect(meterRegistry.linkJobsToMeters([job({ meterSerialNumber: 'NEW1' })])).rejects.toThrow('connection lost');
+    });
+  });
+
+  describe('exchangeMeter', () => {
+    const operative = { _id: new mongoose.Types.ObjectId(), role: 'meter_reader' };
+
+    it('should refuse removed meters, missing or unchanged serials and operatives without a job', async () => {
+      const installed = meter([{ registerId: '' }]);
+      jest.spyOn(Meter, 'findById')
+        .mockResolvedValueOnce({ ...installed, isActive: false })
+        .mockResolvedValue(installed);
+
+      await expect(meterRegistry.exchangeMeter(installed._id, { serialNumber: 'NEW' })).rejects.toMatchObject({ statusCode: 409 });
+      await expect(meterRegistry.exchangeMeter(installed._id, {})).rejects.toThrow('Serial number of the new meter is required');
+      await expect(meterRegistry.exchangeMeter(installed._id, { serialNumber: 'e10k12345' })).rejects.toThrow('different serial number');
+      await expect(meterRegistry.exchangeMeter(installed._id, { serialNumber: 'NEW' }, operative)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should install the new meter, remove the old one and move open jobs', async () => {
+      const installed = meter([{ registerId: 'R1', digits: 5 }]);
+      const jobId = new mongoose.Types.ObjectId();
+      jest.spyOn(Meter, 'findById').mockResolvedValue(installed);
+      jest.spyOn(Job, 'findById').mockReturnValue({ select: async () => ({ _id: jobId, house: installed.house, assignedTo: operative._id }) });
+      jest.spyOn(Meter, 'findOne').mockReturnValue({ select: async () => null });
+      const create = jest.spyOn(Meter, 'create').mockImplementation(async (doc) => ({ ...doc, _id: new mongoose.Types.ObjectId() }));
+      const remove = jest.spyOn(Meter, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...installed, ...update.$set }));
+      const moveJobs = jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+      const result = await meterRegistry.exchangeMeter(installed._id, {
+        serialNumber: 'new 1',
+        exchangedAt: '2026-05-01T09:00:00Z',
+        jobId: jobId.toString(),
+        finalReading: { registerValues: [4321] },
+        initialReading: { registerValues: [0] },
+      }, operative);
+
+      const exchangedAt = new Date('2026-05-01T09:00:00Z');
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        house: installed.house,
+        serialNumber: 'NEW1',
+        registers: [{ registerId: '' }],
+        installedAt: exchangedAt,
+        replaces: installed._id,
+        initialReading: { registerValues: [0], readingDate: exchangedAt },
+      }));
+      expect(remove).toHaveBeenCalledWith(
+        { _id: installed._id, isActive: true },
+        { $set: expect.objectContaining({ isActive: false, removedAt: exchangedAt, replacedBy: result.installed._id, finalReading: { registerValues: [4321], readingDate: exchangedAt } }) },
+        { new: true }
+      );
+      expect(moveJobs.mock.calls[0][0].$or).toEqual([{ meter: installed._id }, { _id: jobId }]);
+      expect(result.jobsMoved).toBe(2);
+    });
+
+    it('should reject a final reading that does not fit the old meter', async () => {
+      const installed = meter([{ registerId: 'R1', digits: 3 }]);
+      jest.spyOn(Meter, 'findById').mockResolvedValue(installed);
+      const create = jest.spyOn(Meter, 'create');
+
+      await expect(meterRegistry.exchangeMeter(installed._id, { serialNumber: 'NEW', finalReading: { registerValues: [12345] } }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for server-side mileage calculation
+ */
+
+const mileage = require('../../../utils/mileage');
+const { calculateDistance } = require('../../../utils/businessLogic');
+
+describe('Mileage', () => {
+  const at = (minutes) => new Date(Date.UTC(2025, 0, 6, 9, minutes));
+
+  // Roughly 0.7 miles apart along a north-south line in London
+  const start = { latitude: 51.5000, longitude: -0.1200, timestamp: at(0) };
+  const middle = { latitude: 51.5100, longitude: -0.1200, timestamp: at(3) };
+  const end = { latitude: 51.5200, longitude: -0.1200, timestamp: at(6) };
+
+  describe('cleanTrace', () => {
+    it('should drop fixes with invalid coordinates or poor accuracy', () => {
+      const { points, rejected } = mileage.cleanTrace([
+        start,
+        { latitude: null, longitude: null, timestamp: at(1) },
+        { latitude: 51.505, longitude: -0.12, timestamp: at(2), accuracy: 500 },
+        end,
+      ]);
+
+      expect(points).toHaveLength(2);
+      expect(rejected).toMatchObject({ invalid: 1, inaccurate: 1 });
+    });
+
+    it('should ignore jitter around a stationary point', () => {
+      const jitter = { latitude: 51.50003, longitude: -0.12002, timestamp: at(1) };
+      const { points, rejected } = mileage.cleanTrace([start, jitter, middle]);
+
+      expect(points).toEqual([expect.objectContaining({ latitude: 51.5 }), expect.objectContaining({ latitude: 51.51 })]);
+      expect(rejected.jitter).toBe(1);
+    });
+
+    it('should reject jumps faster than the speed limit', () => {
+      // ~70 miles in one minute
+      const jump = { latitude: 52.5, longitude: -0.12, timestamp: at(1) };
+      const { points, rejected } = mileage.cleanTrace([start, jump, middle]);
+
+      expect(points).toHaveLength(2);
+      expect(rejected.speed).toBe(1);
+    });
+  });
+
+  describe('mergeLocationHistory', () => {
+    it('should combine stored and submitted fixes without duplicates, ordered by time', () => {
+      const merged = mileage.mergeLocationHistory([middle], [end, middle, start]);
+
+      expect(merged.map((fix) => fix.timestamp)).toEqual([at(0), at(3), at(6)]);
+    });
+  });
+
+  describe('computeJobMileage', () => {
+    it('should pay the GPS trace distance', () => {
+      const result = mileage.computeJobMileage({
+        startLocation: start,
+        locationHistory: [middle],
+        endLocation: end,
+        clientDistance: 1.4,
+      });
+
+      const expected = calculateDistance(51.5, -0.12, 51.51, -0.12) + calculateDistance(51.51, -0.12, 51.52, -0.12);
+      expect(result.source).toBe('trace');
+      expect(result.distanceMiles).toBeCloseTo(expected, 5);
+      expect(result.clientMiles).toBe(1.4);
+      expect(result.flagged).toBe(false);
+    });
+
+    it('should flag a client figure far from the trace', () => {
+      const result = mileage.computeJobMileage({
+        startLocation: start,
+        locationHistory: [middle],
+        endLocation: end,
+        clientDistance: 12,
+      });
+
+      expect(result.distanceMiles).toBeLessThan(2);
+      expect(result.flagged).toBe(true);
+      expect(result.discrepancyMiles).toBeGreaterThan(10);
+    });
+
+    it('should use the straight line when only start and end are known', () => {
+      const result = mileage.computeJobMileage({ startLocation: start, endLocation: end });
+
+      expect(result.source).toBe('straight_line');
+      expect(result.distanceMiles).toBeCloseTo(calculateDistance(51.5, -0.12, 51.52, -0.12), 5);
+    });
+
+    it('should fall back to a flagged client figure when there is no usable trace', () => {
+      const result = mileage.computeJobMileage({ endLocation: end, clientDistance: 5.5 });
+
+      expect(result).toMatchObject({ source: 'client', distanceMiles: 5.5, flagged: true });
+    });
+
+    it('should ignore unusable client figures', () => {
+      expect(mileage.computeJobMileage({ clientDistance: -5.5 })).toMatchObject({ source: 'none', distanceMiles: 0 });
+      expect(mileage.computeJobMileage({ clientDistance: NaN }).clientMiles).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the no-access reason catalogue
+ */
+
+const NoAccessReason = require('../../../models/noAccessReason.model');
+const noAccessReasons = require('../../../utils/noAccessReasons');
+const pointsRules = require('../../../utils/pointsRules');
+const { DEFAULT_NO_ACCESS_REASONS, DEFAULT_POINTS_RULES } = require('../../../utils/businessLogic');
+
+describe('No-Access Reasons', () => {
+  const entry = (fields = {}) => ({
+    code: 'DOG_ON_PROPERTY',
+    label: 'Dog on property - safety concern',
+    validNoAccess: true,
+    points: null,
+    award: null,
+    photoRequired: false,
+    isActive: true,
+    sortOrder: 20,
+    ...fields,
+  });
+  const stored = (reasons) => jest.spyOn(NoAccessReason, 'find').mockReturnValue({
+    sort: () => ({ lean: async () => reasons }),
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('loadCatalogue', () => {
+    it('should use the built-in reasons until some are stored', async () => {
+      stored([]);
+
+      const reasons = await noAccessReasons.loadCatalogue();
+
+      expect(reasons.map((reason) => reason.label)).toEqual(DEFAULT_NO_ACCESS_REASONS.map((reason) => reason.label));
+      expect(reasons).toContainEqual(expect.objectContaining({ code: 'METER_BLOCKED', label: 'Meter blocked' }));
+    });
+
+    it('should leave out retired reasons for the app', async () => {
+      stored([entry(), entry({ code: 'UNMANNED', label: 'Unmanned', isActive: false })]);
+
+      const reasons = await noAccessReasons.loadCatalogue({ activeOnly: true });
+
+      expect(reasons.map((reason) => reason.code)).toEqual(['DOG_ON_PROPERTY']);
+      expect(noAccessReasons.toPublic(reasons[0])).toEqual(entry());
+    });
+  });
+
+  describe('ensureSeeded', () => {
+    it('should store the built-in reasons only when the catalogue is empty', async () => {
+      const insert = jest.spyOn(NoAccessReason, 'insertMany').mockImplementation(async (docs) => docs);
+      jest.spyOn(NoAccessReason, 'countDocuments').mockResolvedValueOnce(0).mockResolvedValueOnce(18);
+
+      expect(await noAccessReasons.ensureSeeded({ _id: 'admin1' })).toBe(DEFAULT_NO_ACCESS_REASONS.length);
+      expect(insert.mock.calls[0][0][0]).toMatchObject({ code: 'PROPERTY_LOCKED', createdBy: 'admin1' });
+      expect(await noAccessReasons.ensureSeeded({ _id: 'admin1' })).toBe(0);
+      expect(insert).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('resolveReason', () => {
+    const catalogue = [entry(), entry({ code: 'METER_BLOCKED', label: 'Meter blocked' })];
+
+    it('should find the reason by code or label, noAccessReason before customerRead', async () => {
+      expect(await noAccessReasons.resolveReason({ noAccessReason: 'dog_on_property' }, catalogue)).toMatchObject({ code: 'DOG_ON_PROPERTY' });
+      expect(await noAccessReasons.resolveReason({ noAccessReason: ' dog on property - SAFETY concern ' }, catalogue)).toMatchObject({ code: 'DOG_ON_PROPERTY' });
+      expect(await noAccessReasons.resolveReason({ noAccessReason: 'Gate locked', customerRead: 'Meter blocked' }, catalogue))
+        .toMatchObject({ code: 'METER_BLOCKED' });
+    });
+
+    it('should return null for read answers and reasons the catalogue does not know', async () => {
+      const find = stored(catalogue);
+
+      expect(await noAccessReasons.resolveReason({ customerRead: 'Yes' })).toBeNull();
+      expect(await noAccessReasons.resolveReason({})).toBeNull();
+      expect(find).not.toHaveBeenCalled();
+      expect(await noAccessReasons.resolveReason({ noAccessReason: 'Dog on property' })).toBeNull();
+    });
+  });
+
+  describe('assertUsable', () => {
+    it('should refuse retired reasons and reasons missing their photo', () => {
+      expect(() => noAccessReasons.assertUsable(entry())).not.toThrow();
+      expect(() => noAccessReasons.assertUsable(entry({ isActive: false })))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'NO_ACCESS_REASON_RETIRED' }));
+      expect(() => noAccessReasons.assertUsable(entry({ photoRequired: true })))
+        .toThrow(expect.objectContaining({ statusCode: 422, code: 'NO_ACCESS_PHOTO_REQUIRED' }));
+      expect(() => noAccessReasons.assertUsable(entry({ photoRequired: true }), { hasPhoto: true })).not.toThrow();
+    });
+  });
+
+  describe('scoring', () => {
+    const payload = { noAccessReason: 'Dog on property - safety concern' };
+
+    it('should score a reason at its own rates, falling back to the rule set', () => {
+      expect(pointsRules.evaluate(payload, DEFAULT_POINTS_RULES, entry({ points: 1, award: 0.25 })))
+        .toMatchObject({ points: 1, award: 0.25, isValidNoAccess: true });
+      expect(pointsRules.evaluate(payload, DEFAULT_POINTS_RULES, entry({ award: 0 })))
+        .toMatchObject({ points: 0.5, award: 0, isValidNoAccess: true });
+    });
+
+    it('should not pay or count a reason that is not a valid no access', () => {
+      expect(pointsRules.evaluate(payload, DEFAULT_POINTS_RULES, entry({ validNoAccess: false })))
+        .toMatchObject({ points: 0, award: 0, isValidNoAccess: false });
+      expect(pointsRules.evaluate({ ...payload, registerValues: [1500] }, DEFAULT_POINTS_RULES, entry({ validNoAccess: false })))
+        .toMatchObject({ points: 1, award: 0.5 });
+    });
+  });
+
+  describe('isKnownCustomerRead', () => {
+    it('should accept read answers and catalogued reasons', async () => {
+      stored([entry({ code: 'UNMANNED', label: 'Unmanned', isActive: false })]);
+
+      expect(await noAccessReasons.isKnownCustomerRead('Yes')).toBe(true);
+      expect(await noAccessReasons.isKnownCustomerRead('Unmanned')).toBe(true);
+      expect(await noAccessReasons.isKnownCustomerRead('Maybe')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for no-access revisit rules, follow-up jobs and escalation
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../../../models/job.model');
+const House = require('../../../models/house.model');
+const User = require('../../../models/user.model');
+const Message = require('../../../models/message.model');
+const Setting = require('../../../models/setting.model');
+const Counter = require('../../../models/counter.model');
+const noAccessRevisits = require('../../../utils/noAccessRevisits');
+const settings = require('../../../utils/settings');
+const businessTime = require('../../../utils/businessTime');
+
+describe('No-Access Revisits', () => {
+  const config = settings.DEFAULT_SETTINGS.noAccessRevisits;
+  const job = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    jobId: '000042',
+    jobType: 'gas',
+    status: 'completed',
+    validNoAccess: true,
+    noAccessReason: 'Occupant not home - appointment required',
+    address: { street: '1 High Street', city: 'Leeds', state: 'West Yorkshire', postcode: 'LS1 1AA' },
+    house: new mongoose.Types.ObjectId(),
+    assignedTo: { _id: new mongoose.Types.ObjectId(), firstName: 'Sam' },
+    priority: 'medium',
+    cust: '1234567',
+    ...fields,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('planOutcome', () => {
+    it('should apply the first rule whose reason appears in the no-access reason', () => {
+      expect(noAccessRevisits.planOutcome({ reason: 'Dog on property - safety concern', failedAttempts: 1, config }))
+        .toMatchObject({ action: 'revisit', rule: 'Dog on property', delayDays: 3, note: expect.stringContaining('secure it') });
+      expect(noAccessRevisits.planOutcome({ reason: 'METER DAMAGED - requires repair first', failedAttempts: 1, config }))
+        .toMatchObject({ action: 'defect', rule: 'Meter damaged' });
+      expect(noAccessRevisits.planOutcome({ reason: 'Gate locked', failedAttempts: 1, config }))
+        .toMatchObject({ action: 'revisit', rule: '', delayDays: 3 });
+    });
+
+    it('should escalate instead of revisiting once the maximum attempts are reached', () => {
+      expect(noAccessRevisits.planOutcome({ reason: 'Occupant not home', failedAttempts: 2, config }).action).toBe('revisit');
+      expect(noAccessRevisits.planOutcome({ reason: 'Occupant not home', failedAttempts: 3, config })).toMatchObject({ action: 'escalated', failedAttempts: 3 });
+      expect(noAccessRevisits.planOutcome({ reason: 'Meter damaged', failedAttempts: 5, config }).action).toBe('defect');
+    });
+  });
+
+  describe('followUpFields', () => {
+    it('should copy the property and meter details and link back to the failed job', () => {
+      const failed = job({ visitAttempt: 2 });
+      const visitedAt = businessTime.zonedDate(2026, 5, 1, 15, 30);
+
+      const fields = noAccessRevisits.followUpFields(failed, { delayDays: 3, note: 'Bring a torch' }, visitedAt);
+
+      expect(fields).toMatchObject({
+        status: 'pending',
+        jobType: 'gas',
+        house: failed.house,
+        assignedTo: failed.assignedTo._id,
+        cust: '1234567',
+        scheduledDate: businessTime.zonedDate(2026, 5, 4),
+        revisitOf: failed._id,
+        visitAttempt: 3,
+        notes: 'Revisit 3 after no access (Occupant not home - appointment required) on job 000042. Bring a torch',
+      });
+      expect(fields.address).toEqual(failed.address);
+      expect(fields.statusHistory[0]).toMatchObject({ event: 'create', to: 'pending' });
+    });
+  });
+
+  describe('handleNoAccess', () => {
+    beforeEach(() => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+      jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter) => ({ _id: filter._id }));
+      jest.spyOn(Counter, 'exists').mockResolvedValue({ _id: 'jobId:' });
+      jest.spyOn(Counter, 'findOneAndUpdate').mockReturnValue({ lean: async () => ({ _id: 'jobId:', seq: 101 }) });
+      jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(User, 'find').mockReturnValue({ select: async () => [{ _id: new mongoose.Types.ObjectId() }] });
+    });
+
+    const failedVisits = (failed) => jest.spyOn(House, 'findByIdAndUpdate').mockReturnValue({ select: async () => ({ accessAttempts: { failed } }) });
+
+    it('should count the failed visit on the house and book a follow-up job', async () => {
+      const countVisit = failedVisits(1);
+      const create = jest.spyOn(Job, 'create').mockImplementation(async (fields) => ({ ...fields, _id: new mongoose.Types.ObjectId() }));
+      const failed = job();
+
+      const outcome = await noAccessRevisits.handleNoAccess(failed);
+
+      expect(countVisit.mock.calls[0][1].$inc).toEqual({ 'accessAttempts.failed': 1, 'accessAttempts.total': 1 });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ revisitOf: failed._id, visitAttempt: 2, jobId: '000101' }));
+      expect(outcome).toMatchObject({ action: 'revisit', failedAttempts: 1 });
+      expect(Job.updateOne.mock.calls[0][1].$set.noAccessOutcome).toMatchObject({ action: 'revisit', followUpJob: outcome.followUpJob._id });
+    });
+
+    it('should escalate to the admins after the maximum failed visits', async () => {
+      failedVisits(3);
+      const create = jest.spyOn(Job, 'create');
+      const notify = jest.spyOn(Message, 'insertMany').mockResolvedValue([]);
+
+      const outcome = await noAccessRevisits.handleNoAccess(job());
+
+      expect(outcome.action).toBe('escalated');
+      expect(create).not.toHaveBeenCalled();
+      expect(notify.mock.calls[0][0][0]).toMatchObject({ title: 'Repeated no access', meta: { type: 'no_access_escalation', failedAttempts: 3 } });
+    });
+
+    it('should raise a defect without a revisit', async () => {
+      failedVisits(1);
+      const create = jest.spyOn(Job, 'create');
+      const notify = jest.spyOn(Message, 'insertMany').mockResolvedValue([]);
+
+      const outcome = await noAccessRevisits.handleNoAccess(job({ noAccessReason: 'Meter damaged - requires repair first' }));
+
+      expect(outcome.action).toBe('defect');
+      expect(create).not.toHaveBeenCalled();
+      expect(notify.mock.calls[0][0][0].title).toBe('Meter defect reported');
+    });
+
+    it('should take the visit back and release the job when the follow-up cannot be booked', async () => {
+      failedVisits(1);
+      jest.spyOn(Job, 'create').mockRejectedValue(new Error('write failed'));
+      const uncount = jest.spyOn(House, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const failed = job();
+
+      await expect(noAccessRevisits.handleNoAccess(failed)).rejects.toThrow('write failed');
+
+      expect(uncount.mock.calls[0][1].$inc).toEqual({ 'accessAttempts.failed': -1, 'accessAttempts.total': -1 });
+      const [filter, update] = Job.updateOne.mock.calls[0];
+      expect(filter).toMatchObject({ _id: failed._id, 'noAccessOutcome.decidedAt': expect.any(Date) });
+      expect(update).toEqual({ $unset: { 'noAccessOutcome.decidedAt': 1 } });
+      expect(Job.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only handle a job once', async () => {
+      Job.findOneAndUpdate.mockResolvedValue(null);
+      const countVisit = failedVisits(1);
+
+      expect(await noAccessRevisits.handleNoAccess(job())).toBeNull();
+      expect(countVisit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('afterCompletion', () => {
+    it('should reset the failed visit count when a reading is taken', async () => {
+      const reset = jest.spyOn(House, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const read = job({ validNoAccess: false, jobType: 'electricity', registerValues: [1500], completedDate: new Date() });
+
+      expect(await noAccessRevisits.afterCompletion(read)).toBeNull();
+      expect(reset).toHaveBeenCalledWith({ _id: read.house, 'accessAttempts.failed': { $gt: 0 } }, { $set: { 'accessAttempts.failed': 0 } });
+    });
+  });
+
+  describe('noAccessRevisits setting', () => {
+    const validate = (value) => () => settings.validators.noAccessRevisits(settings.mergeSetting(config, value));
+
+    it('should accept the defaults and reject bad attempts, actions and rules', () => {
+      expect(validate({})).not.toThrow();
+      expect(validate({ maxAttempts: 0 })).toThrow('at least 1');
+      expect(validate({ defaultAction: 'later' })).toThrow('Default action must be one of');
+      expect(validate({ rules: [{ reason: '', action: 'none' }] })).toThrow('Revisit rule 1 needs a reason');
+      expect(validate({ rules: [{ reason: 'Dog', action: 'revisit', delayDays: -1 }] })).toThrow('"Dog" delay');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the points rules engine
+ */
+
+const pointsRules = require('../../../utils/pointsRules');
+const { DEFAULT_POINTS_RULES } = require('../../../utils/businessLogic');
+
+describe('Points Rules', () => {
+  const ruleSet = (overrides) => ({
+    _id: overrides.name,
+    isActive: true,
+    jobType: null,
+    sup: '',
+    effectiveFrom: new Date('2025-01-01T00:00:00Z'),
+    effectiveTo: null,
+    ...DEFAULT_POINTS_RULES,
+    ...overrides,
+  });
+
+  describe('selectRuleSet', () => {
+    const ruleSets = [
+      ruleSet({ name: 'generic', readingAward: 0.55 }),
+      ruleSet({ name: 'gas', jobType: 'gas', readingAward: 0.60 }),
+      ruleSet({ name: 'supplier', sup: 'EDF', readingAward: 0.65 }),
+      ruleSet({ name: 'gas-supplier', jobType: 'gas', sup: 'EDF', readingAward: 0.70 }),
+      ruleSet({ name: 'generic-q2', effectiveFrom: new Date('2025-04-01T00:00:00Z'), readingAward: 0.58 }),
+    ];
+    const at = new Date('2025-05-01T00:00:00Z');
+
+    it('should prefer the most specific rule set', () => {
+      expect(pointsRules.selectRuleSet(ruleSets, { jobType: 'gas', sup: 'EDF', at }).name).toBe('gas-supplier');
+      expect(pointsRules.selectRuleSet(ruleSets, { jobType: 'water', sup: 'EDF', at }).name).toBe('supplier');
+      expect(pointsRules.selectRuleSet(ruleSets, { jobType: 'gas', sup: 'BGT', at }).name).toBe('gas');
+    });
+
+    it('should pick the latest effective rule set among equally specific ones', () => {
+      expect(pointsRules.selectRuleSet(ruleSets, { jobType: 'water', at }).name).toBe('generic-q2');
+      expect(pointsRules.selectRuleSet(ruleSets, { jobType: 'water', at: new Date('2025-03-01T00:00:00Z') }).name)
+        .toBe('generic');
+    });
+
+    it('should ignore inactive, future and expired rule sets', () => {
+      const candidates = [
+        ruleSet({ name: 'inactive', isActive: false }),
+        ruleSet({ name: 'future', effectiveFrom: new Date('2026-01-01T00:00:00Z') }),
+        ruleSet({ name: 'expired', effectiveTo: new Date('2025-02-01T00:00:00Z') }),
+      ];
+
+      expect(pointsRules.selectRuleSet(candidates, { jobType: 'gas', at })).toBeNull();
+    });
+  });
+
+  describe('toSnapshot', () => {
+    it('should fall back to the default rates when no rule set applies', () => {
+      const snapshot = pointsRules.toSnapshot(null, new Date('2025-05-01T00:00:00Z'));
+
+      expect(snapshot).toMatchObject({ ruleSet: null, name: 'Default', ...DEFAULT_POINTS_RULES });
+      expect(snapshot.appliedAt).toEqual(new Date('2025-05-01T00:00:00Z'));
+    });
+  });
+
+  describe('rulesForJob', () => {
+    it('should use the rates recorded on the job', () => {
+      const job = { pointsRule: { ...DEFAULT_POINTS_RULES, readingAward: 0.75, mileageRate: 0.45 } };
+
+      expect(pointsRules.rulesForJob(job)).toMatchObject({ readingAward: 0.75, mileageRate: 0.45 });
+    });
+
+    it('should use the default rates for jobs completed before rule sets existed', () => {
+      expect(pointsRules.rulesForJob({ points: 1, award: 0.5 })).toEqual(DEFAULT_POINTS_RULES);
+    });
+  });
+
+  describe('evaluate', () => {
+    const rules = { ...DEFAULT_POINTS_RULES, readingPoints: 2, readingAward: 0.80, noAccessPoints: 1, noAccessAward: 0.25 };
+
+    it('should score a reading with the supplied rates', () => {
+      expect(pointsRules.evaluate({ registerValues: [12345] }, rules)).toMatchObject({ points: 2, award: 0.80 });
+    });
+
+    it('should score a no access with the supplied rates', () => {
+      expect(pointsRules.evaluate({ customerRead: 'Dog on property' }, rules))
+        .toMatchObject({ points: 1, award: 0.25, isValidNoAccess: true });
+    });
+  });
+
+  describe('summariseJobs', () => {
+    it('should total each job at the rates it was completed under', () => {
+      const oldRates = { ...DEFAULT_POINTS_RULES };
+      const newRates = { ...DEFAULT_POINTS_RULES, readingAward: 0.60, mileageRate: 0.40 };
+      const jobs = [
+        { registerValues: [111], points: 1, award: 0.50, distanceTraveled: 10, pointsRule: oldRates },
+        { registerValues: [222], points: 1, award: 0.60, distanceTraveled: 10, pointsRule: newRates },
+        { customerRead: 'Property locked', validNoAccess: true, points: 0.5, award: 0.15, distanceTraveled: 5 },
+      ];
+
+      const summary = pointsRules.summariseJobs(jobs);
+
+      expect(summary.jobsWithReading).toBe(2);
+      expect(summary.validNoAccessJobs).toBe(1);
+      expect(summary.totalPoints).toBe(2.5);
+      expect(summary.bonusFromJobs).toBeCloseTo(1.10, 2);
+      expect(summary.bonusFromNoAccess).toBeCloseTo(0.15, 2);
+      expect(summary.mileagePayment).toBeCloseTo(10 * 0.35 + 10 * 0.40 + 5 * 0.35, 2);
+      expect(summary.rates).toEqual({ readingAward: null, noAccessAward: 0.15, mileageRate: null });
+    });
+
+    it('should report the shared rates when every job used the same rule set', () => {
+      const summary = pointsRules.summariseJobs([{ registerValues: [1], points: 1, award: 0.50, distanceTraveled: 2 }]);
+
+      expect(summary.rates).toEqual({ readingAward: 0.50, noAccessAward: 0.15, mileageRate: 0.35 });
+    });
+
+    it('should add up the award stored for each no access reason, not the flat rate', () => {
+      const summary = pointsRules.summariseJobs([
+        { customerRead: 'Dog in garden', validNoAccess: true, points: 0.5, award: 0.30 },
+        { customerRead: 'Refused entry', validNoAccess: true, points: 0.5, award: 0 },
+      ]);
+
+      expect(summary.bonusFromNoAccess).toBeCloseTo(0.30, 2);
+      expect(summary.totalBonus).toBeCloseTo(0.30, 2);
+      expect(summary.rates.noAccessAward).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for reading plausibility checks against previous reads
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../../../models/job.model');
+const Setting = require('../../../models/setting.model');
+const readingChecks = require('../../../utils/readingChecks');
+const settings = require('../../../utils/settings');
+
+describe('Reading Checks', () => {
+  const config = settings.DEFAULT_SETTINGS.readingChecks;
+  const readAt = new Date('2026-04-01T12:00:00Z');
+  const daysBefore = (days) => new Date(readAt.getTime() - days * 24 * 60 * 60 * 1000);
+  // 10 units a day between the two earlier reads
+  const previous = [
+    { registerIds: ['DAY'], registerValues: [1300], completedDate: daysBefore(30) },
+    { registerIds: ['DAY'], registerValues: [1000], completedDate: daysBefore(60) },
+  ];
+  const assess = (registerValues, overrides = {}) => readingChecks.assessReading({
+    registerIds: ['DAY'],
+    registerValues,
+    readAt,
+    previous,
+    meterType: 'electric',
+    config,
+    ...overrides,
+  });
+
+  describe('assessReading', () => {
+    it('should pass reads within the tolerance of the expected consumption', () => {
+      const result = assess([1600]);
+
+      expect(result.status).toBe('passed');
+      expect(result.registers[0]).toMatchObject({ previousValue: 1300, advance: 300, expectedAdvance: 300, maxAdvance: 900 });
+    });
+
+    it('should flag reads that go backwards or advance by more than the tolerance', () => {
+      expect(assess([1299]).flags[0]).toMatchObject({ code: 'backwards', previousValue: 1300 });
+
+      const typo = assess([16000]);
+      expect(typo.status).toBe('flagged');
+      expect(typo.flags[0]).toMatchObject({ code: 'high', advance: 14700, maxAdvance: 900 });
+    });
+
+    it('should recognise a register going round past zero', () => {
+      const nearlyFull = [{ registerIds: ['DAY'], registerValues: [99900], completedDate: daysBefore(10) }];
+
+      expect(assess([50], { previous: nearlyFull }).flags[0]).toMatchObject({ code: 'rollover' });
+      expect(assess([50], { previous: nearlyFull, registers: [{ registerId: 'DAY', digits: 6 }] }).flags[0])
+        .toMatchObject({ code: 'backwards' });
+    });
+
+    it('should use the default daily usage and minimum allowance without enough history', () => {
+      const single = [{ registerValues: [500], completedDate: daysBefore(1) }];
+
+      expect(assess([590], { registerIds: [], previous: single }).status).toBe('passed');
+      expect(assess([650], { registerIds: [], previous: single }).flags[0]).toMatchObject({ code: 'high', maxAdvance: 100 });
+      expect(assess([650], { previous: [] }).status).toBe('no_history');
+    });
+
+    it('should only compare a register with earlier values of the same register', () => {
+      const twoRate = [{ registerIds: ['DAY', 'NIGHT'], registerValues: [1300, 90000], completedDate: daysBefore(30) }];
+
+      const result = assess([1400, 90100], { registerIds: ['DAY', 'NIGHT'], previous: twoRate });
+      expect(result.status).toBe('passed');
+      expect(result.registers.map((register) => register.previousValue)).toEqual([1300, 90000]);
+      expect(assess([1400], { registerIds: ['PEAK'], previous: twoRate }).status).toBe('no_history');
+    });
+  });
+
+  describe('checkJobReading', () => {
+    const job = { _id: new mongoose.Types.ObjectId(), house: new mongoose.Types.ObjectId(), jobType: 'electricity' };
+    const user = { _id: new mongoose.Types.ObjectId() };
+
+    beforeEach(() => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+      jest.spyOn(Job, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ limit: () => ({ lean: async () => [{ registerValues: [1300], completedDate: new Date() }] }) }) }),
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should reject a flagged read without a photo or confirmation', async () => {
+      const check = readingChecks.checkJobReading({ job, user, registerValues: [13000] });
+
+      await expect(check).rejects.toBeInstanceOf(readingChecks.ReadingCheckError);
+      await check.catch((error) => {
+        expect(error.statusCode).toBe(422);
+        expect(error.toJSON()).toMatchObject({ error: 'READING_NEEDS_CONFIRMATION', flags: [expect.objectContaining({ code: 'high' })] });
+      });
+    });
+
+    it('should accept a flagged read with a photo or a confirmation and record how', async () => {
+      expect(await readingChecks.checkJobReading({ job, user, registerValues: [13000], hasPhoto: true }))
+        .toMatchObject({ status: 'flagged', acceptedWith: 'photo', confirmedBy: null });
+      expect(await readingChecks.checkJobReading({ job, user, registerValues: [13000], confirmed: true }))
+        .toMatchObject({ status: 'flagged', acceptedWith: 'confirmation', confirmedBy: user._id });
+      expect(await readingChecks.checkJobReading({ job, user, registerValues: [1310] }))
+        .toMatchObject({ status: 'passed', flags: [], acceptedWith: null });
+    });
+
+    it('should skip the check when it is turned off or there is no read', async () => {
+      Setting.findOne.mockReturnValue({ lean: async () => ({ value: { enabled: false } }) });
+
+      expect(await readingChecks.checkJobReading({ job, user, registerValues: [13000] })).toBeNull();
+      expect(await readingChecks.checkJobReading({ job, user, registerValues: [] })).toBeNull();
+      expect(Job.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('readingChecks setting', () => {
+    const validate = (value) => () => settings.validators.readingChecks(settings.mergeSetting(config, value));
+
+    it('should accept the defaults and reject bad tolerances and usage', () => {
+      expect(validate({})).not.toThrow();
+      expect(validate({ toleranceFactor: 0.5 })).toThrow('at least 1');
+      expect(validate({ minimumAllowance: -1 })).toThrow(settings.SettingsError);
+      expect(validate({ defaultDailyUsage: { oil: 1 } })).toThrow('Unknown meter type "oil"');
+      expect(validate({ enabled: 'yes' })).toThrow('true or false');
+    });
+  });
+});
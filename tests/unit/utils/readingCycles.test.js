@@ -0,0 +1,240 @@
+/**
+ * Unit tests for recurring reading cycles and their job scheduler
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../../../models/job.model');
+const Meter = require('../../../models/meter.model');
+const Setting = require('../../../models/setting.model');
+const ReadingCycle = require('../../../models/readingCycle.model');
+const Counter = require('../../../models/counter.model');
+const readingCycles = require('../../../utils/readingCycles');
+const settings = require('../../../utils/settings');
+const businessTime = require('../../../utils/businessTime');
+
+describe('Reading Cycles', () => {
+  const day = (date) => businessTime.fromDayKey(date);
+  const today = day('2030-03-04');
+  const operative = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Sam',
+    employeeId: 'E1',
+    isActive: true,
+    patch: '',
+    ...fields,
+  });
+  const cycle = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    house: {
+      _id: new mongoose.Types.ObjectId(),
+      address: '1 High Street',
+      city: 'Leeds',
+      county: 'West Yorkshire',
+      postcode: 'LS1 1AA',
+      latitude: 53.8,
+      longitude: -1.55,
+      isActive: true,
+    },
+    meter: null,
+    jobType: 'gas',
+    frequency: 'quarterly',
+    startDate: day('2030-03-10'),
+    cyclesDone: 0,
+    nextDueDate: day('2030-03-10'),
+    assignedTo: operative(),
+    patch: '',
+    priority: 'medium',
+    notes: '',
+    preferredWindow: {},
+    ...fields,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('dueDate', () => {
+    it('should count whole periods from the start date and keep to its day of the month', () => {
+      expect(readingCycles.dueDate(day('2030-01-15'), 'quarterly', 1)).toEqual(day('2030-04-15'));
+      expect(readingCycles.dueDate(day('2030-11-15'), 'bimonthly', 1)).toEqual(day('2031-01-15'));
+      expect(readingCycles.dueDate(day('2030-01-31'), 'monthly', 1)).toEqual(day('2030-02-28'));
+      expect(readingCycles.dueDate(day('2030-01-31'), 'monthly', 2)).toEqual(day('2030-03-31'));
+    });
+  });
+
+  describe('jobFields', () => {
+    it('should address the job from the house and book the preferred window on the day', () => {
+      const gas = cycle({ preferredWindow: { start: '09:00', end: '12:00' } });
+
+      const job = readingCycles.jobFields(gas, day('2030-03-10'));
+
+      expect(job).toMatchObject({
+        jobType: 'gas',
+        address: { street: '1 High Street', state: 'West Yorkshire', postcode: 'LS1 1AA', latitude: 53.8 },
+        house: gas.house._id,
+        status: 'pending',
+        readingCycle: gas._id,
+        appointment: { start: new Date('2030-03-10T09:00:00'), end: new Date('2030-03-10T12:00:00') },
+      });
+      expect(job.appointment.bookedAt).toBeUndefined();
+      expect(job.statusHistory[0]).toMatchObject({ event: 'create', reason: 'Reading cycle (quarterly)' });
+    });
+  });
+
+  describe('planRun', () => {
+    it('should skip properties with an open job of the same type', () => {
+      const gas = cycle();
+      const electric = cycle({ house: gas.house, jobType: 'electricity' });
+      const openJobs = [{ house: gas.house._id, jobType: 'gas', jobId: '000042' }];
+
+      const { planned, skipped } = readingCycles.planRun([gas, electric], { openJobs, operatives: [], today });
+
+      expect(planned.map((item) => item.cycle)).toEqual([electric]);
+      expect(skipped).toEqual([{ cycle: gas, reason: 'Job 000042 is still open at the property' }]);
+    });
+
+    it('should hand patch cycles to the patch and skip cycles nobody can work', () => {
+      const leeds = operative({ patch: 'LEEDS' });
+      const patchCycle = cycle({ assignedTo: null, patch: 'LEEDS' });
+      const emptyPatch = cycle({ assignedTo: null, patch: 'YORK' });
+      const leaver = cycle({ assignedTo: operative({ isActive: false }) });
+
+      const { planned, skipped } = readingCycles.planRun([patchCycle, emptyPatch, leaver], { openJobs: [], operatives: [leeds], today });
+
+      expect(planned).toEqual([expect.objectContaining({ cycle: patchCycle, operative: null, team: [leeds] })]);
+      expect(skipped.map((item) => item.reason)).toEqual([
+        'No active operative works patch YORK',
+        'The cycle\'s operative is no longer active',
+      ]);
+    });
+
+    it('should schedule a cycle that fell behind for today', () => {
+      const late = cycle({ nextDueDate: day('2030-02-01') });
+
+      const { planned } = readingCycles.planRun([late], { openJobs: [], operatives: [], today });
+
+      expect(planned[0].job.scheduledDate).toEqual(today);
+    });
+
+    it('should move a due date off days the scheduling policy closes', () => {
+      const policy = { ...settings.DEFAULT_SETTINGS.scheduling, workingDaysOnly: true };
+      // Due on a Sunday
+      const sunday = cycle({ nextDueDate: day('2030-03-10') });
+
+      const { planned } = readingCycles.planRun([sunday], { openJobs: [], operatives: [], today, policy });
+
+      expect(planned[0].job.scheduledDate).toEqual(day('2030-03-11'));
+    });
+  });
+
+  describe('runCycles', () => {
+    beforeEach(() => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+      jest.spyOn(Counter, 'exists').mockResolvedValue({ _id: 'jobId:' });
+    });
+    // The job ID counter after reserving the run's block
+    const counterAt = (seq) => jest.spyOn(Counter, 'findOneAndUpdate').mockReturnValue({ lean: async () => ({ _id: 'jobId:', seq }) });
+
+    const due = (cycles) => jest.spyOn(ReadingCycle, 'find').mockReturnValue({
+      populate: () => ({ populate: () => ({ populate: () => ({ sort: () => ({ lean: async () => cycles }) }) }) }),
+    });
+    const selected = (jobs) => ({ select: () => ({ lean: async () => jobs }) });
+
+    it('should create the due job, move the cycle on and record skips', async () => {
+      const gas = cycle();
+      const blocked = cycle({ jobType: 'water', house: { ...gas.house, _id: new mongoose.Types.ObjectId() } });
+      due([gas, blocked]);
+      jest.spyOn(Job, 'find')
+        .mockReturnValueOnce(selected([{ house: blocked.house._id, jobType: 'water', jobId: '000007' }]))
+        .mockReturnValueOnce({ populate: async () => [] });
+      counterAt(42);
+      jest.spyOn(Meter, 'find').mockReturnValue({ lean: async () => [] });
+      const skip = jest.spyOn(ReadingCycle, 'bulkWrite').mockResolvedValue({});
+      const claim = jest.spyOn(ReadingCycle, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const insert = jest.spyOn(Job, 'insertMany').mockImplementation(async (docs) => docs);
+
+      const result = await readingCycles.runCycles({ now: new Date('2030-03-04T07:00:00') });
+
+      expect(result.created).toHaveLength(1);
+      expect(insert.mock.calls[0][0][0]).toMatchObject({
+        jobId: '000042',
+        assignedTo: gas.assignedTo._id,
+        employeeId: 'E1',
+        scheduledDate: day('2030-03-10'),
+      });
+      expect(claim.mock.calls[0][0]).toMatchObject({ _id: gas._id, cyclesDone: 0 });
+      expect(claim.mock.calls[0][1].$set).toMatchObject({ cyclesDone: 1, nextDueDate: day('2030-06-10') });
+      expect(skip.mock.calls[0][0][0].updateOne.update.$set.lastSkip).toMatchObject({ reason: 'Job 000007 is still open at the property' });
+    });
+
+    it('should not create a job for a cycle another run has claimed', async () => {
+      due([cycle()]);
+      jest.spyOn(Job, 'find').mockReturnValueOnce(selected([]));
+      jest.spyOn(ReadingCycle, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const insert = jest.spyOn(Job, 'insertMany');
+
+      const result = await readingCycles.runCycles({ now: new Date('2030-03-04T07:00:00') });
+
+      expect(result.created).toEqual([]);
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    it('should write off the due dates a late visit covers', async () => {
+      due([cycle({ startDate: day('2029-10-01'), cyclesDone: 3, nextDueDate: day('2030-01-01'), frequency: 'monthly' })]);
+      jest.spyOn(Job, 'find')
+        .mockReturnValueOnce(selected([]))
+        .mockReturnValueOnce({ populate: async () => [] });
+      counterAt(1);
+      jest.spyOn(Meter, 'find').mockReturnValue({ lean: async () => [] });
+      const claim = jest.spyOn(ReadingCycle, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Job, 'insertMany').mockImplementation(async (docs) => docs);
+
+      const result = await readingCycles.runCycles({ now: new Date('2030-03-04T07:00:00') });
+
+      // Due 1 Jan, 1 Feb and 1 Mar are all covered by today's visit
+      expect(claim.mock.calls[0][1].$set).toMatchObject({ cyclesDone: 6, nextDueDate: day('2030-04-01') });
+      expect(result.created[0].missedCycles).toBe(2);
+    });
+
+    it('should hand the cycle back when its job ID cannot be reserved', async () => {
+      const gas = cycle();
+      due([gas]);
+      jest.spyOn(Job, 'find').mockReturnValueOnce(selected([]));
+      jest.spyOn(ReadingCycle, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Counter, 'findOneAndUpdate').mockReturnValue({ lean: async () => { throw new Error('connection lost'); } });
+      const handBack = jest.spyOn(ReadingCycle, 'bulkWrite').mockResolvedValue({});
+      jest.spyOn(Job, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      const insert = jest.spyOn(Job, 'insertMany');
+
+      await expect(readingCycles.runCycles({ now: new Date('2030-03-04T07:00:00') })).rejects.toThrow('connection lost');
+
+      expect(insert).not.toHaveBeenCalled();
+      expect(handBack.mock.calls[0][0][0].updateOne).toMatchObject({
+        filter: { _id: gas._id },
+        update: { $set: { cyclesDone: 0, nextDueDate: gas.nextDueDate } },
+      });
+    });
+  });
+
+  describe('behindSchedule', () => {
+    it('should list missed due dates and overdue jobs, most behind first', async () => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+      const missed = cycle({ nextDueDate: day('2030-03-01'), lastSkip: { reason: 'Job 000007 is still open at the property' } });
+      const slow = cycle();
+      const populated = (cycles) => ({ populate: () => ({ populate: () => ({ lean: async () => cycles }) }) });
+      jest.spyOn(ReadingCycle, 'find')
+        .mockReturnValueOnce(populated([missed]))
+        .mockReturnValueOnce(populated([slow]));
+      jest.spyOn(Job, 'find').mockReturnValue({
+        select: () => ({ lean: async () => [{ jobId: '000050', status: 'pending', scheduledDate: day('2030-02-10'), readingCycle: slow._id }] }),
+      });
+
+      const behind = await readingCycles.behindSchedule({ now: new Date('2030-03-04T12:00:00') });
+
+      expect(behind).toEqual([
+        expect.objectContaining({ cycle: slow, reason: 'job_overdue', daysBehind: 22 }),
+        expect.objectContaining({ cycle: missed, reason: 'not_generated', daysBehind: 3, skipReason: 'Job 000007 is still open at the property' }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the route planner
+ */
+
+const routePlanner = require('../../../utils/routePlanner');
+const settings = require('../../../utils/settings');
+const Setting = require('../../../models/setting.model');
+
+describe('Route Planner', () => {
+  const depot = { latitude: 51.5, longitude: -0.1 };
+  const departAt = new Date('2025-03-03T08:00:00');
+  // Jobs along a line heading east from the depot, roughly 0.43 miles apart
+  const east = (id, steps, extra = {}) => ({
+    _id: id,
+    priority: 'medium',
+    address: { latitude: 51.5, longitude: -0.1 + steps * 0.01, postcode: `E${steps}` },
+    ...extra,
+  });
+  const ids = (plan) => plan.stops.map((stop) => stop.job._id);
+
+  describe('planRoute', () => {
+    it('should start from the depot rather than the first job in the list', () => {
+      const plan = routePlanner.planRoute(
+        [east('far', 3), east('near', 1), east('middle', 2)],
+        { start: depot, departAt }
+      );
+
+      expect(ids(plan)).toEqual(['near', 'middle', 'far']);
+      expect(plan.stops.map((stop) => stop.sequence)).toEqual([1, 2, 3]);
+      expect(plan.start).toEqual(depot);
+    });
+
+    it('should beat nearest-neighbour when the greedy tour has to double back', () => {
+      // Greedy from the depot takes the closest job to the west, runs through the eastern
+      // cluster, then crosses the whole area again to reach the far western job
+      const jobs = [
+        { _id: 'w1', address: { latitude: 51.5, longitude: -0.11 } },
+        { _id: 'e1', address: { latitude: 51.5, longitude: -0.088 } },
+        { _id: 'e2', address: { latitude: 51.5, longitude: -0.08 } },
+        { _id: 'e3', address: { latitude: 51.5, longitude: -0.07 } },
+        { _id: 'w2', address: { latitude: 51.5, longitude: -0.15 } },
+      ];
+      const plan = routePlanner.planRoute(jobs, { start: depot, departAt });
+
+      expect(plan.totalMiles).toBeLessThan(plan.nearestNeighbourMiles);
+      expect(ids(plan)).toEqual(['e1', 'e2', 'e3', 'w1', 'w2']);
+    });
+
+    it('should estimate leg miles, total miles and ETAs from the routing setting', () => {
+      const plan = routePlanner.planRoute([east('a', 1), east('b', 2)], {
+        start: depot, departAt, roadFactor: 1, averageSpeedMph: 30, serviceMinutes: 10,
+      });
+
+      expect(plan.stops[0].legMiles).toBeCloseTo(0.43, 1);
+      expect(plan.totalMiles).toBeCloseTo(plan.stops[0].legMiles + plan.stops[1].legMiles, 2);
+      // ~0.43 miles at 30mph is under a minute
+      expect(plan.stops[0].eta.getTime() - departAt.getTime()).toBeLessThan(60 * 1000);
+      // Second stop: first leg, ten minutes on site, second leg
+      const gapMinutes = (plan.stops[1].eta - plan.stops[0].eta) / 60000;
+      expect(gapMinutes).toBeGreaterThan(10);
+      expect(gapMinutes).toBeLessThan(11);
+      expect(plan.totalMinutes).toBe(Math.round((plan.stops[1].eta - departAt) / 60000) + 10);
+    });
+
+    it('should visit a booked appointment inside its window even when it is not nearest', () => {
+      const jobs = [
+        east('a', 1),
+        east('b', 2),
+        east('booked', 3, {
+          appointment: { start: new Date('2025-03-03T08:00:00'), end: new Date('2025-03-03T08:10:00') },
+        }),
+        east('c', 4),
+      ];
+      const plan = routePlanner.planRoute(jobs, { start: depot, departAt, serviceMinutes: 15 });
+
+      const booked = plan.stops.find((stop) => stop.job._id === 'booked');
+      expect(booked.windowStatus).toBe('on_time');
+      expect(plan.lateStops).toBe(0);
+      expect(ids(plan)[0]).toBe('booked');
+    });
+
+    it('should wait for a window that has not opened and report it', () => {
+      const plan = routePlanner.planRoute(
+        [east('later', 1, { appointment: { start: new Date('2025-03-03T14:00:00') } })],
+        { start: depot, departAt }
+      );
+
+      expect(plan.stops[0].windowStatus).toBe('wait');
+      expect(plan.stops[0].eta).toEqual(new Date('2025-03-03T14:00:00'));
+      expect(plan.stops[0].waitMinutes).toBeGreaterThan(300);
+    });
+
+    it('should bring high-priority jobs forward when the detour is small', () => {
+      const jobs = [east('a', 1), east('b', 2), east('c', 3), east('urgent', 4, { priority: 'high' })];
+
+      const plan = routePlanner.planRoute(jobs, { start: depot, departAt, serviceMinutes: 30 });
+      const sameWeights = routePlanner.planRoute(jobs, {
+        start: depot, departAt, serviceMinutes: 30, priorityWeights: { high: 0.5 },
+      });
+
+      expect(ids(plan)[0]).toBe('urgent');
+      expect(ids(sameWeights)).toEqual(['a', 'b', 'c', 'urgent']);
+    });
+
+    it('should put jobs without coordinates last, sorted by postcode', () => {
+      const plan = routePlanner.planRoute(
+        [{ _id: 'x', address: { postcode: 'SW1' } }, east('a', 1), { _id: 'y', address: { postcode: 'E1' } }],
+        { start: depot, departAt }
+      );
+
+      expect(ids(plan)).toEqual(['a']);
+      expect(plan.unlocated.map((job) => job._id)).toEqual(['y', 'x']);
+      expect(routePlanner.orderedJobs(plan).map((job) => job._id)).toEqual(['a', 'y', 'x']);
+    });
+
+    it('should handle an empty day', () => {
+      const plan = routePlanner.planRoute([], { start: depot, departAt });
+
+      expect(plan).toMatchObject({ stops: [], unlocated: [], totalMiles: 0, lateStops: 0 });
+    });
+  });
+
+  describe('jobPoint', () => {
+    it('should prefer the house, then the address, then the location', () => {
+      expect(routePlanner.jobPoint({
+        house: { latitude: 1, longitude: 2 }, address: { latitude: 3, longitude: 4 },
+      })).toEqual({ latitude: 1, longitude: 2 });
+      expect(routePlanner.jobPoint({
+        house: 'unpopulated-id', address: {}, location: { latitude: 5, longitude: 6 },
+      })).toEqual({ latitude: 5, longitude: 6 });
+      expect(routePlanner.jobPoint({ address: { latitude: null, longitude: null } })).toBeNull();
+    });
+  });
+
+  describe('dayStart', () => {
+    it('should combine a date with the configured start time', () => {
+      expect(routePlanner.dayStart('2025-03-03', '08:30')).toEqual(new Date('2025-03-03T08:30:00'));
+    });
+  });
+
+  describe('planDays', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should finish one day before starting the next and keep appointments on their own day', async () => {
+      jest.spyOn(Setting, 'findOne').mockReturnValue({ lean: async () => null });
+      const monday = new Date('2025-03-03T00:00:00');
+      const tuesday = new Date('2025-03-04T00:00:00');
+      const jobs = [
+        east('tue-near', 1, { scheduledDate: tuesday }),
+        east('mon-far', 3, { scheduledDate: monday }),
+        // Scheduled Monday but booked for Tuesday afternoon
+        east('tue-booked', 2, { scheduledDate: monday, appointment: { start: new Date('2025-03-04T14:00:00'), end: new Date('2025-03-04T15:00:00') } }),
+        east('mon-near', 1, { scheduledDate: monday }),
+      ];
+
+      const ordered = await routePlanner.planDays(jobs, { start: depot, departAt: new Date('2025-03-03T09:00:00') });
+
+      expect(ordered.map((job) => job._id)).toEqual(['mon-near', 'mon-far', 'tue-near', 'tue-booked']);
+    });
+  });
+
+  describe('routing setting validation', () => {
+    const config = (overrides = {}) => settings.mergeSetting(settings.DEFAULT_SETTINGS.routing, overrides);
+
+    it('should accept the defaults', () => {
+      expect(() => settings.validators.routing(config())).not.toThrow();
+    });
+
+    it('should reject invalid speeds, start times and priorities', () => {
+      expect(() => settings.validators.routing(config({ averageSpeedMph: 0 }))).toThrow(settings.SettingsError);
+      expect(() => settings.validators.routing(config({ roadFactor: 0.5 }))).toThrow('Road factor');
+      expect(() => settings.validators.routing(config({ dayStartTime: '8am' }))).toThrow('HH:MM');
+      expect(() => settings.validators.routing(config({ priorityWeights: { urgent: 1 } }))).toThrow('Unknown priority');
+    });
+  });
+});
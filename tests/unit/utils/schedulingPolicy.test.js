@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the scheduling policy (horizon, back-dating, working days, bank holidays)
+ */
+
+const schedulingPolicy = require('../../../utils/schedulingPolicy');
+const settings = require('../../../utils/settings');
+
+describe('Scheduling Policy', () => {
+  const defaults = settings.DEFAULT_SETTINGS.scheduling;
+  const day = (date) => new Date(`${date}T00:00:00`);
+  // A Friday
+  const now = new Date('2030-03-01T10:00:00');
+  const workingWeek = { ...defaults, workingDaysOnly: true, bankHolidays: ['2030-03-05'] };
+
+  describe('dateProblem', () => {
+    it('should accept today up to the horizon by default', () => {
+      expect(schedulingPolicy.dateProblem(day('2030-03-01'), defaults, { now })).toBeNull();
+      expect(schedulingPolicy.dateProblem(day('2030-03-03'), defaults, { now })).toBeNull();
+      expect(schedulingPolicy.dateProblem(day('2030-03-04'), defaults, { now })).toBe('Scheduled date is more than 2 days in the future');
+      expect(schedulingPolicy.dateProblem(null, defaults, { now })).toBeNull();
+      expect(schedulingPolicy.dateProblem('soon', defaults, { now })).toBe('Scheduled date could not be read');
+    });
+
+    it('should let admins back-date only when the policy allows it', () => {
+      const backdating = { ...defaults, allowBackdating: true };
+
+      expect(schedulingPolicy.dateProblem(day('2030-02-20'), defaults, { now, isAdmin: true })).toBe('Scheduled date is in the past');
+      expect(schedulingPolicy.dateProblem(day('2030-02-20'), backdating, { now })).toBe('Scheduled date is in the past');
+      expect(schedulingPolicy.dateProblem(day('2030-02-20'), backdating, { now, isAdmin: true })).toBeNull();
+    });
+
+    it('should count working days and keep jobs off weekends and bank holidays', () => {
+      expect(schedulingPolicy.dateProblem(day('2030-03-02'), workingWeek, { now })).toBe('Scheduled date is not a working day');
+      expect(schedulingPolicy.dateProblem(day('2030-03-05'), workingWeek, { now })).toBe('Scheduled date is a bank holiday');
+      // Friday + 2 working days, skipping the weekend and Tuesday's bank holiday
+      expect(schedulingPolicy.dateProblem(day('2030-03-06'), workingWeek, { now })).toBeNull();
+      expect(schedulingPolicy.dateProblem(day('2030-03-07'), workingWeek, { now })).toBe('Scheduled date is more than 2 working days in the future');
+    });
+
+    it('should allow a week ahead when the horizon is raised', () => {
+      expect(schedulingPolicy.dateProblem(day('2030-03-08'), { ...defaults, maxDaysAhead: 7 }, { now })).toBeNull();
+    });
+  });
+
+  describe('viewWindow', () => {
+    it('should cover today to the last day operatives are shown', () => {
+      expect(schedulingPolicy.viewWindow(defaults, now)).toEqual({ start: day('2030-03-01'), end: day('2030-03-04') });
+      expect(schedulingPolicy.viewWindow({ ...workingWeek, viewDaysAhead: 1 }, now)).toEqual({ start: day('2030-03-01'), end: day('2030-03-05') });
+    });
+  });
+
+  describe('nextSchedulingDay', () => {
+    it('should move a closed day on to the next day jobs can be scheduled on', () => {
+      expect(schedulingPolicy.nextSchedulingDay(new Date('2030-03-02T15:00:00'), workingWeek)).toEqual(day('2030-03-04'));
+      expect(schedulingPolicy.nextSchedulingDay(day('2030-03-05'), workingWeek)).toEqual(day('2030-03-06'));
+      expect(schedulingPolicy.nextSchedulingDay(day('2030-03-02'), defaults)).toEqual(day('2030-03-02'));
+    });
+  });
+
+  describe('settings', () => {
+    it('should only accept real dates as bank holidays', () => {
+      const validate = (value) => () => settings.validators.scheduling({ ...defaults, ...value });
+
+      expect(validate({ bankHolidays: ['2030-12-25'] })).not.toThrow();
+      expect(validate({ bankHolidays: ['2030-02-30'] })).toThrow('must be a date');
+      expect(validate({ maxDaysAhead: 1.5 })).toThrow('whole number');
+    });
+  });
+});
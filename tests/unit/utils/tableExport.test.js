@@ -0,0 +1,144 @@
+/**
+ * Unit tests for CSV / XLSX table exports
+ */
+
+const { Writable } = require('stream');
+const XLSX = require('xlsx');
+const tableExport = require('../../../utils/tableExport');
+
+describe('Table Export', () => {
+  // Collects what an endpoint sends
+  const fakeResponse = () => {
+    const chunks = [];
+    const res = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk));
+        callback();
+      },
+    });
+    res.headers = {};
+    res.set = (name, value) => {
+      res.headers[name] = value;
+      return res;
+    };
+    res.send = (body) => res.end(body);
+    res.body = () => Buffer.concat(chunks);
+    return res;
+  };
+  const finished = (res) => new Promise((resolve) => res.on('finish', resolve));
+
+  const columns = [
+    { header: 'Job ID', path: 'jobId' },
+    { header: 'Operative', value: (row) => row.assignedTo && row.assignedTo.firstName },
+    { header: 'Scheduled Date', path: 'scheduledDate' },
+    { header: 'Valid No Access', path: 'validNoAccess' },
+    { header: 'Register Values', path: 'registerValues' },
+    { header: 'Notes', path: 'notes' },
+  ];
+  const rows = [
+    { jobId: 'JOB001', assignedTo: { firstName: 'Sam' }, scheduledDate: new Date('2026-05-01T09:30:00Z'), validNoAccess: false, registerValues: [1200, 800], notes: 'Key "under" mat, side gate' },
+    { jobId: 'JOB002', notes: '=HYPERLINK("http://example.com")' },
+  ];
+
+  describe('exportFormat', () => {
+    it('should read csv or xlsx and leave JSON as the default', () => {
+      expect(tableExport.exportFormat({ format: 'CSV' })).toBe('csv');
+      expect(tableExport.exportFormat({ format: 'xlsx' })).toBe('xlsx');
+      expect(tableExport.exportFormat({})).toBeNull();
+      expect(tableExport.exportFormat({ format: 'json' })).toBeNull();
+      expect(() => tableExport.exportFormat({ format: 'pdf' })).toThrow(tableExport.TableExportError);
+    });
+  });
+
+  describe('csvField', () => {
+    it('should quote delimiters and neutralise formulas', () => {
+      expect(tableExport.csvField('plain')).toBe('plain');
+      expect(tableExport.csvField('a, "b"')).toBe('"a, ""b"""');
+      expect(tableExport.csvField('=1+1')).toBe("'=1+1");
+      expect(tableExport.csvField(-5)).toBe('-5');
+      // Written in business time: BST in May, GMT in January
+      expect(tableExport.csvField(new Date('2026-05-01T09:30:00Z'))).toBe('2026-05-01 10:30:00');
+      expect(tableExport.csvField(new Date('2026-05-01T23:30:00Z'))).toBe('2026-05-02 00:30:00');
+      expect(tableExport.csvField(new Date('2026-01-15T09:30:00Z'))).toBe('2026-01-15 09:30:00');
+    });
+  });
+
+  describe('sendTable', () => {
+    it('should stream CSV from an async iterable with headers first', async () => {
+      async function* cursor() {
+        yield* rows;
+      }
+      const res = fakeResponse();
+      const done = finished(res);
+
+      await tableExport.sendTable(res, { format: 'csv', name: 'jobs', columns, rows: cursor() });
+      await done;
+
+      expect(res.headers['Content-Type']).toBe('text/csv; charset=utf-8');
+      expect(res.headers['Content-Disposition']).toMatch(/^attachment; filename="jobs-\d{4}-\d{2}-\d{2}\.csv"$/);
+      expect(res.body().toString('utf8').split('\r\n')).toEqual([
+        '\ufeffJob ID,Operative,Scheduled Date,Valid No Access,Register Values,Notes',
+        'JOB001,Sam,2026-05-01 10:30:00,No,1200; 800,"Key ""under"" mat, side gate"',
+        'JOB002,,,,,"\'=HYPERLINK(""http://example.com"")"',
+        '',
+      ]);
+    });
+
+    it('should stop reading rows when the client goes away', async () => {
+      const res = fakeResponse();
+      let read = 0;
+      async function* cursor() {
+        for (;;) {
+          read += 1;
+          if (read === 3) res.destroy();
+          yield rows[0];
+        }
+      }
+
+      await tableExport.sendTable(res, { format: 'csv', name: 'jobs', columns, rows: cursor() });
+
+      expect(read).toBe(3);
+    });
+
+    it('should build an XLSX workbook with the same headers', async () => {
+      const res = fakeResponse();
+      const done = finished(res);
+
+      await tableExport.sendTable(res, { format: 'xlsx', name: 'jobs', columns, rows });
+      await done;
+
+      const workbook = XLSX.read(res.body(), { type: 'buffer', cellDates: true });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const [header, first] = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+      expect(workbook.SheetNames).toEqual(['jobs']);
+      expect(header).toEqual(columns.map((column) => column.header));
+      expect(first.slice(0, 2)).toEqual(['JOB001', 'Sam']);
+      expect(first[2]).toBeInstanceOf(Date);
+      // The cell reads the business time (10:30 BST) whatever the server's timezone
+      const serial = XLSX.read(res.body(), { type: 'buffer' }).Sheets.jobs.C2.v;
+      expect(serial).toBeCloseTo((Date.UTC(2026, 4, 1, 10, 30) - Date.UTC(1899, 11, 30)) / 86400000, 3);
+    });
+
+    it('should refuse XLSX exports over the row limit before sending anything', async () => {
+      const res = fakeResponse();
+      const many = Array.from({ length: tableExport.MAX_XLSX_ROWS + 1 }, () => rows[1]);
+
+      await expect(tableExport.sendTable(res, { format: 'xlsx', name: 'jobs', columns, rows: many }))
+        .rejects.toMatchObject({ statusCode: 413 });
+      expect(res.headers).toEqual({});
+    });
+  });
+
+  describe('COLUMNS', () => {
+    it('should use the same headers for the same data across tables', () => {
+      const headers = (name) => tableExport.COLUMNS[name].map((column) => column.header);
+
+      ['jobs', 'meterReadings', 'vehicleChecks', 'wageReport', 'mileageReport'].forEach((name) => {
+        expect(headers(name)).toEqual(expect.arrayContaining(['Operative', 'Employee ID']));
+      });
+      expect(headers('meterReadings')).toEqual(expect.arrayContaining(['Job ID', 'MPAN/MPRN', 'Meter Serial', 'Supplier']));
+      expect(tableExport.cellValue({ assignedTo: { firstName: 'Sam', lastName: 'Lee' } }, tableExport.COLUMNS.jobs.find((column) => column.header === 'Operative')))
+        .toBe('Sam Lee');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Address Matching
+ *
+ * Normalises property addresses so the same house written differently ("12 High St." /
+ * "12 HIGH STREET", "sw1a1aa" / "SW1A 1AA") gets the same key, and finds House records
+ * that are probably the same property. Used by utils/houseLinking.js and the House model.
+ */
+
+const { calculateDistance, isValidCoordinate, milesToMeters } = require('./businessLogic');
+
+// Common street abbreviations, expanded so both spellings give the same key
+const ABBREVIATIONS = {
+  st: 'street',
+  str: 'street',
+  rd: 'road',
+  ave: 'avenue',
+  av: 'avenue',
+  ln: 'lane',
+  dr: 'drive',
+  ct: 'court',
+  cl: 'close',
+  cres: 'crescent',
+  cresc: 'crescent',
+  gdns: 'gardens',
+  gr: 'grove',
+  pl: 'place',
+  sq: 'square',
+  ter: 'terrace',
+  terr: 'terrace',
+  tce: 'terrace',
+  pk: 'park',
+  wy: 'way',
+  hse: 'house',
+  apt: 'flat',
+  apartment: 'flat',
+};
+const SAME_LOCATION_METERS = 15;
+const SIMILAR_STREET = 0.6; // Share of street words two addresses must have in common
+
+/**
+ * Compact upper-case postcode ('sw1a 1aa' -> 'SW1A1AA')
+ * @param {string} postcode - Postcode
+ * @returns {string} Compact postcode
+ */
+function normalisePostcode(postcode) {
+  return (postcode || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Postcode with a single space before the inward code ('sw1a1aa' -> 'SW1A 1AA')
+ * @param {string} postcode - Postcode
+ * @returns {string} Formatted postcode
+ */
+function formatPostcode(postcode) {
+  const compact = normalisePostcode(postcode);
+  return compact.length > 4 ? `${compact.slice(0, -3)} ${compact.slice(-3)}` : compact;
+}
+
+/**
+ * Lower-case street line without punctuation and with abbreviations expanded
+ * ('Flat 2, 12 High St.' -> 'flat 2 12 high street')
+ * @param {string} street - Street line
+ * @returns {string} Normalised street
+ */
+function normaliseStreet(street) {
+  return (street || '').toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map((word) => ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Key identifying a property: compact postcode and normalised street
+ * @param {Object} address - { street, postcode } (a House's address line is accepted as street)
+ * @returns {string} Key ('' when the street or postcode is missing)
+ */
+function houseKey({ street, address, postcode } = {}) {
+  const streetKey = normaliseStreet(street !== undefined ? street : address);
+  const postcodeKey = normalisePostcode(postcode);
+  return streetKey && postcodeKey ? `${postcodeKey}|${streetKey}` : '';
+}
+
+/**
+ * House number or name part of a street line ('flat 2 12 high street' -> '2 12')
+ * @param {string} street - Normalised street
+ * @returns {string} Numbers in the line
+ */
+function houseNumbers(street) {
+  return (street.match(/\d+[a-z]?/g) || []).join(' ');
+}
+
+/**
+ * Share of words two normalised street lines have in common (0-1)
+ */
+function streetSimilarity(a, b) {
+  const wordsA = new Set(a.split(' ').filter(Boolean));
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+  return shared / Math.max(wordsA.size, wordsB.size);
+}
+
+/**
+ * Why two houses are probably the same property
+ * @param {Object} a - House
+ * @param {Object} b - House
+ * @returns {string|null} Reason, or null when they look different
+ */
+function duplicateReason(a, b) {
+  const keyA = houseKey(a);
+  const keyB = houseKey(b);
+  if (keyA && keyA === keyB) return 'Same address';
+
+  const streetA = normaliseStreet(a.address);
+  const streetB = normaliseStreet(b.address);
+  const sameNumbers = houseNumbers(streetA) === houseNumbers(streetB);
+  if (!sameNumbers) return null;
+
+  if (normalisePostcode(a.postcode) === normalisePostcode(b.postcode) && streetSimilarity(streetA, streetB) >= SIMILAR_STREET) {
+    return 'Similar address in the same postcode';
+  }
+
+  const located = [a, b].every((house) => isValidCoordinate(house.latitude, house.longitude));
+  if (located && houseNumbers(streetA)
+    && milesToMeters(calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude)) <= SAME_LOCATION_METERS) {
+    return 'Same house number at the same location';
+  }
+  return null;
+}
+
+/**
+ * Group houses that are probably the same property. Only houses with the same house number in
+ * the same postcode district are compared (so a mistyped inward code is still caught), and
+ * matches are linked transitively.
+ * @param {Object[]} houses - Houses ({ _id, address, postcode, latitude, longitude, ... })
+ * @returns {Object[]} [{ houses: [house], reasons: [string] }], largest groups first
+ */
+function findDuplicateHouses(houses) {
+  const parent = houses.map((house, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasons = new Map();
+
+  const buckets = new Map();
+  houses.forEach((house, i) => {
+    const postcode = normalisePostcode(house.postcode);
+    const district = postcode.length > 3 ? postcode.slice(0, -3) : postcode;
+    const bucket = `${district}|${houseNumbers(normaliseStreet(house.address))}`;
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(i);
+  });
+
+  buckets.forEach((members) => {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const reason = duplicateReason(houses[members[x]], houses[members[y]]);
+        if (!reason) continue;
+        const rootX = find(members[x]);
+        const rootY = find(members[y]);
+        parent[rootY] = rootX;
+        reasons.set(members[x], [...(reasons.get(members[x]) || []), reason]);
+      }
+    }
+  });
+
+  const groups = new Map();
+  houses.forEach((house, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { houses: [], reasons: new Set() });
+    groups.get(root).houses.push(house);
+    (reasons.get(i) || []).forEach((reason) => groups.get(root).reasons.add(reason));
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.houses.length > 1)
+    .map((group) => ({ houses: group.houses, reasons: [...group.reasons] }))
+    .sort((a, b) => b.houses.length - a.houses.length);
+}
+
+module.exports = {
+  normalisePostcode,
+  formatPostcode,
+  normaliseStreet,
+  houseKey,
+  duplicateReason,
+  findDuplicateHouses,
+};
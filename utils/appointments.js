@@ -0,0 +1,399 @@
+/**
+ * Appointments
+ *
+ * Time windows agreed with customers (job.appointment). A booking is checked against the
+ * operative's other booked windows that day: windows may not overlap (unless the
+ * 'appointments' setting allows it) and each must be reachable from the one before at the
+ * 'routing' setting's speed, road factor and service time.
+ *
+ * While a job with a booked window is waiting to be visited, checkAtRisk() estimates when the
+ * operative will get there, from the job they are on or their last reported position, and
+ * tells the admin room once per booking when they are running late for it.
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/job.model');
+const House = require('../models/house.model');
+const User = require('../models/user.model');
+const settings = require('./settings');
+const routePlanner = require('./routePlanner');
+const businessTime = require('./businessTime');
+const { CLOSED_STATUSES } = require('./jobLifecycle');
+const { calculateDistance } = require('./businessLogic');
+
+const MINUTE = 60 * 1000;
+const CONTACT_METHODS = Job.schema.path('appointment.contactMethod').enumValues.filter(Boolean);
+
+let monitorTimer = null;
+
+/**
+ * Error raised when an appointment cannot be booked as requested
+ */
+class AppointmentError extends Error {
+  constructor(message, statusCode = 400, body = {}) {
+    super(message);
+    this.name = 'AppointmentError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+
+  toJSON() {
+    return { message: this.message, ...this.body };
+  }
+}
+
+const refId = (value) => (value && value._id ? value._id : value) || null;
+const plain = (job) => (job && typeof job.toObject === 'function' ? job.toObject() : job);
+const { startOfDay, addDays, clock } = businessTime;
+
+/**
+ * Read and check a requested window
+ * @param {Object} input - { start, end } (dates or ISO strings)
+ * @returns {Object} { start, end } as Dates
+ * @throws {AppointmentError} When a time is missing or invalid, the end is not after the
+ *   start, or the window runs past midnight
+ */
+function parseWindow({ start, end } = {}) {
+  const toDate = (value, label) => {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+      throw new AppointmentError(`A valid appointment ${label} time is required`);
+    }
+    return date;
+  };
+
+  const window = { start: toDate(start, 'start'), end: toDate(end, 'end') };
+  if (window.end <= window.start) {
+    throw new AppointmentError('Appointment end must be after its start');
+  }
+  if (startOfDay(window.start).getTime() !== startOfDay(new Date(window.end.getTime() - 1)).getTime()) {
+    throw new AppointmentError('An appointment must start and end on the same day');
+  }
+  return window;
+}
+
+/**
+ * Estimated driving time between two points with the routing setting
+ * @param {Object|null} from - { latitude, longitude }
+ * @param {Object|null} to - { latitude, longitude }
+ * @param {Object} routing - 'routing' setting
+ * @returns {number|null} Minutes, or null when either point is unknown
+ */
+function travelMinutes(from, to, routing) {
+  if (!from || !to) return null;
+  const miles = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) * routing.roadFactor;
+  return miles * (60 / routing.averageSpeedMph);
+}
+
+/**
+ * Short description of a booked job for conflict reports
+ */
+function summarise(job, window) {
+  return { _id: job._id, jobId: job.jobId || '', start: new Date(window.start), end: new Date(window.end) };
+}
+
+/**
+ * Find clashes between the booked windows of one operative's day
+ * @param {Object[]} jobs - The day's jobs (those without a complete window are ignored)
+ * @param {Object} options
+ * @param {Object} options.routing - 'routing' setting
+ * @param {boolean} options.allowOverlap - Accept overlapping windows
+ * @returns {Object[]} [{ type: 'overlap'|'unreachable', jobs: [earlier, later], message, ... }]
+ */
+function checkDay(jobs, { routing, allowOverlap = false }) {
+  const booked = jobs
+    .map((job) => ({ job, window: routePlanner.jobWindow(job) }))
+    .filter(({ window }) => window.start !== null && window.end !== null)
+    .sort((a, b) => a.window.start - b.window.start || a.window.end - b.window.end);
+  const label = ({ job, window }) => `job ${job.jobId || job._id} (${clock(new Date(window.start))}-${clock(new Date(window.end))})`;
+  const conflicts = [];
+
+  if (!allowOverlap) {
+    booked.forEach((first, i) => {
+      for (let j = i + 1; j < booked.length && booked[j].window.start < first.window.end; j++) {
+        conflicts.push({
+          type: 'overlap',
+          jobs: [summarise(first.job, first.window), summarise(booked[j].job, booked[j].window)],
+          message: `${label(first)} overlaps ${label(booked[j])}`,
+        });
+      }
+    });
+  }
+
+  // Follow the windows in order, leaving each stop as early as its window allows
+  const serviceTime = routing.serviceMinutes * MINUTE;
+  let previous = null;
+  booked.forEach((current) => {
+    const travel = previous
+      ? travelMinutes(routePlanner.jobPoint(previous.job), routePlanner.jobPoint(current.job), routing)
+      : null;
+    let arrival = current.window.start;
+    if (travel !== null) {
+      arrival = Math.max(previous.leaveAt + travel * MINUTE, current.window.start);
+      if (arrival > current.window.end) {
+        const lateMinutes = Math.round((arrival - current.window.end) / MINUTE);
+        conflicts.push({
+          type: 'unreachable',
+          jobs: [summarise(previous.job, previous.window), summarise(current.job, current.window)],
+          travelMinutes: Math.round(travel),
+          lateMinutes,
+          message: `${label(current)} cannot be reached in time from ${label(previous)}: ` +
+            `about ${Math.round(travel)} minutes' drive, arriving ${lateMinutes} minutes after the window closes`,
+        });
+      }
+    }
+    current.leaveAt = arrival + serviceTime;
+    previous = current;
+  });
+
+  return conflicts;
+}
+
+/**
+ * Clashes a window would cause with the operative's other booked jobs that day
+ * @param {Object} job - Job being booked (document or plain object)
+ * @param {Object} window - { start, end }
+ * @param {Object} options - { routing, config } ('routing' and 'appointments' settings)
+ * @returns {Promise<Object[]>} Conflicts involving the job (see checkDay)
+ */
+async function conflictsFor(job, window, { routing, config }) {
+  const day = startOfDay(window.start);
+  const id = job._id || new mongoose.Types.ObjectId();
+  const others = await Job.find({
+    _id: { $ne: id },
+    assignedTo: refId(job.assignedTo),
+    status: { $nin: CLOSED_STATUSES },
+    'appointment.start': { $gte: day, $lt: addDays(day, 1) },
+  }).populate('house', 'latitude longitude postcode').lean();
+
+  // Unpopulated house references carry no coordinates
+  const candidate = { ...plain(job), _id: id, appointment: window };
+  if (!routePlanner.jobPoint(candidate) && candidate.house) {
+    const house = await House.findById(refId(candidate.house)).select('latitude longitude').lean();
+    candidate.location = routePlanner.pointOf(house);
+  }
+
+  return checkDay([...others, candidate], { routing, allowOverlap: config.allowOverlap })
+    .filter((conflict) => conflict.jobs.some((entry) => entry._id.toString() === id.toString()));
+}
+
+/**
+ * Check a booking request and build the appointment to store on the job
+ * @param {Object} job - Job being booked (needs assignedTo; house or coordinates for travel checks)
+ * @param {Object} input - { start, end, contactMethod }
+ * @param {Object} user - Admin booking it
+ * @param {Object} options
+ * @param {boolean} options.confirmConflicts - Book even though it clashes with the operative's day
+ * @returns {Promise<Object>} { appointment, conflicts }
+ * @throws {AppointmentError} 400 for an invalid request, 409 with the conflicts when it clashes
+ */
+async function prepareBooking(job, input = {}, user, { confirmConflicts = false } = {}) {
+  const window = parseWindow(input);
+  if (window.end <= new Date()) {
+    throw new AppointmentError('The appointment window has already passed');
+  }
+  const contactMethod = input.contactMethod || null;
+  if (contactMethod && !CONTACT_METHODS.includes(contactMethod)) {
+    throw new AppointmentError(`Contact method must be one of: ${CONTACT_METHODS.join(', ')}`);
+  }
+
+  const [routing, config] = await Promise.all([settings.getSetting('routing'), settings.getSetting('appointments')]);
+  const conflicts = job.assignedTo ? await conflictsFor(job, window, { routing, config }) : [];
+  if (conflicts.length > 0 && !confirmConflicts) {
+    throw new AppointmentError('The appointment clashes with the operative\'s other appointments that day', 409, {
+      error: 'APPOINTMENT_CONFLICT',
+      conflicts,
+      acceptWith: ['confirmConflicts'],
+    });
+  }
+
+  return {
+    appointment: {
+      ...window,
+      bookedBy: user ? user._id : null,
+      bookedAt: new Date(),
+      contactMethod,
+    },
+    conflicts,
+  };
+}
+
+/**
+ * Clashes in an operative's booked windows for a day
+ * @param {string|Object} userId - Operative
+ * @param {Date} date - Any time on the day
+ * @returns {Promise<Object>} { appointments: [{ _id, jobId, start, end }], conflicts }
+ */
+async function checkOperativeDay(userId, date) {
+  const day = startOfDay(date);
+  const [routing, config] = await Promise.all([settings.getSetting('routing'), settings.getSetting('appointments')]);
+  const jobs = await Job.find({
+    assignedTo: userId,
+    status: { $nin: CLOSED_STATUSES },
+    'appointment.start': { $gte: day, $lt: addDays(day, 1) },
+  }).populate('house', 'latitude longitude postcode').sort({ 'appointment.start': 1 }).lean();
+
+  return {
+    appointments: jobs.map((job) => summarise(job, job.appointment)),
+    conflicts: checkDay(jobs, { routing, allowOverlap: config.allowOverlap }),
+  };
+}
+
+/**
+ * When the operative should reach a job, from the job they are on or where they last were
+ * @param {Object} params
+ * @param {Object} params.job - Booked job
+ * @param {Object} params.operative - User with currentLocation
+ * @param {Object|null} params.inProgressJob - Job the operative is working on
+ * @param {Date} params.now - Current time
+ * @param {Object} params.routing - 'routing' setting
+ * @param {Object} params.config - 'appointments' setting
+ * @returns {Date|null} Estimated arrival, or null when the operative's position is unknown
+ */
+function estimateArrival({ job, operative, inProgressJob, now, routing, config }) {
+  let from = null;
+  let readyAt = now.getTime();
+
+  if (inProgressJob) {
+    from = routePlanner.jobPoint(inProgressJob);
+    const started = [...(inProgressJob.statusHistory || [])].reverse().find((entry) => entry.event === 'start');
+    const finishAt = started ? new Date(started.at).getTime() + routing.serviceMinutes * MINUTE : readyAt + routing.serviceMinutes * MINUTE;
+    readyAt = Math.max(readyAt, finishAt);
+  }
+  const location = operative && operative.currentLocation;
+  if (!from && location && location.timestamp &&
+      now - new Date(location.timestamp) <= config.locationMaxAgeMinutes * MINUTE) {
+    from = routePlanner.pointOf(location);
+  }
+
+  const travel = travelMinutes(from, routePlanner.jobPoint(job), routing);
+  return travel === null ? null : new Date(readyAt + travel * MINUTE);
+}
+
+/**
+ * Decide whether an operative is running late for a booked window
+ * @param {Object} params
+ * @param {Object} params.job - Booked job
+ * @param {Date|null} params.eta - Estimated arrival (null when unknown)
+ * @param {Date} params.now - Current time
+ * @param {Object} params.config - 'appointments' setting
+ * @returns {Object} { atRisk, eta, lateMinutes }
+ */
+function assessRisk({ job, eta, now, config }) {
+  const end = new Date(job.appointment.end).getTime();
+  const deadline = end - config.atRiskMarginMinutes * MINUTE;
+  // Without a position, only the clock can tell
+  const expected = eta ? eta.getTime() : now.getTime();
+  return {
+    atRisk: expected > deadline,
+    eta: eta || null,
+    lateMinutes: Math.max(0, Math.round((expected - end) / MINUTE)),
+  };
+}
+
+/**
+ * Flag booked jobs the operative is running late for and alert the admin room, once per booking
+ * @param {Object} options
+ * @param {Date} options.now - Current time (default now)
+ * @returns {Promise<Object[]>} Flagged jobs [{ _id, jobId, assignedTo, eta, lateMinutes }]
+ */
+async function checkAtRisk({ now = new Date() } = {}) {
+  const [routing, config] = await Promise.all([settings.getSetting('routing'), settings.getSetting('appointments')]);
+  const today = startOfDay(now);
+  const jobs = await Job.find({
+    status: 'pending',
+    'appointment.end': { $gte: today, $lt: addDays(today, 1) },
+    'appointment.atRisk.flaggedAt': null,
+    // Preferred windows from reading cycles were never agreed with the customer
+    'appointment.bookedAt': { $ne: null },
+  }).populate('house', 'latitude longitude postcode').lean();
+  if (jobs.length === 0) return [];
+
+  const operativeIds = [...new Set(jobs.map((job) => refId(job.assignedTo).toString()))];
+  const [operatives, working] = await Promise.all([
+    User.find({ _id: { $in: operativeIds } }).select('firstName lastName employeeId currentLocation').lean(),
+    Job.find({ assignedTo: { $in: operativeIds }, status: 'in_progress' })
+      .populate('house', 'latitude longitude postcode').lean(),
+  ]);
+  const operativeById = new Map(operatives.map((user) => [user._id.toString(), user]));
+  const workingBy = new Map(working.map((job) => [refId(job.assignedTo).toString(), job]));
+
+  const flagged = [];
+  for (const job of jobs) {
+    const operativeId = refId(job.assignedTo).toString();
+    const operative = operativeById.get(operativeId);
+    const eta = estimateArrival({ job, operative, inProgressJob: workingBy.get(operativeId), now, routing, config });
+    const risk = assessRisk({ job, eta, now, config });
+    if (!risk.atRisk) continue;
+
+    const atRisk = { flaggedAt: now, eta: risk.eta, lateMinutes: risk.lateMinutes };
+    const result = await Job.updateOne(
+      { _id: job._id, status: 'pending', 'appointment.atRisk.flaggedAt': null },
+      { $set: { 'appointment.atRisk': atRisk } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    flagged.push({ _id: job._id, jobId: job.jobId, assignedTo: operativeId, eta: risk.eta, lateMinutes: risk.lateMinutes });
+    if (global.io) {
+      global.io.to('admin_room').emit('jobUpdate', {
+        type: 'appointment_at_risk',
+        jobId: job._id,
+        job: { _id: job._id, jobId: job.jobId, address: job.address, appointment: { ...job.appointment, atRisk } },
+        operative: operative
+          ? { _id: operative._id, firstName: operative.firstName, lastName: operative.lastName, employeeId: operative.employeeId }
+          : { _id: operativeId },
+        eta: risk.eta,
+        lateMinutes: risk.lateMinutes,
+        timestamp: now,
+      });
+    }
+  }
+  return flagged;
+}
+
+/**
+ * Run checkAtRisk every 'appointments.checkIntervalMinutes' until stopMonitor()
+ */
+function startMonitor() {
+  if (monitorTimer) return;
+
+  const schedule = (minutes) => {
+    monitorTimer = setTimeout(tick, minutes * MINUTE);
+    monitorTimer.unref();
+  };
+  const tick = async () => {
+    let minutes = settings.DEFAULT_SETTINGS.appointments.checkIntervalMinutes;
+    try {
+      minutes = (await settings.getSetting('appointments')).checkIntervalMinutes;
+      await checkAtRisk();
+    } catch (error) {
+      console.error('Appointment at-risk check error:', error);
+    }
+    if (monitorTimer) schedule(minutes);
+  };
+  schedule(settings.DEFAULT_SETTINGS.appointments.checkIntervalMinutes);
+}
+
+/**
+ * Stop the at-risk monitor
+ */
+function stopMonitor() {
+  clearTimeout(monitorTimer);
+  monitorTimer = null;
+}
+
+module.exports = {
+  CONTACT_METHODS,
+  AppointmentError,
+  parseWindow,
+  travelMinutes,
+  checkDay,
+  conflictsFor,
+  prepareBooking,
+  checkOperativeDay,
+  estimateArrival,
+  assessRisk,
+  checkAtRisk,
+  startMonitor,
+  stopMonitor,
+};
@@ -8,6 +8,59 @@
  * - Validation rules
  */
 
+/**
+ * Scoring and pay rates used when no admin-managed rule set applies
+ * (see utils/pointsRules.js and models/pointsRuleSet.model.js)
+ */
+const DEFAULT_POINTS_RULES = Object.freeze({
+  readingPoints: 1, // Reg1 filled
+  readingAward: 0.50, // £0.50 for successful reading
+  noAccessPoints: 0.5, // No Access status selected
+  noAccessAward: 0.15, // £0.15 for No Access
+  mileageRate: 0.35, // £0.35 per mile mileage payment
+  wageRatePerMile: 0.50, // £0.50 per mile wage
+  fuelAllowancePerJob: 1.00, // £1.00 per completed job
+});
+
+/**
+ * No-access reasons used until the admin-managed catalogue has been seeded
+ * (see utils/noAccessReasons.js and models/noAccessReason.model.js).
+ * points/award null = the rule set's noAccessPoints/noAccessAward.
+ */
+const catalogueEntry = (code, label, sortOrder, fields = {}) => Object.freeze({
+  code,
+  label,
+  validNoAccess: true,
+  points: null,
+  award: null,
+  photoRequired: false,
+  isActive: true,
+  sortOrder,
+  ...fields,
+});
+
+const DEFAULT_NO_ACCESS_REASONS = Object.freeze([
+  catalogueEntry('PROPERTY_LOCKED', 'Property locked - no key access', 10),
+  catalogueEntry('DOG_ON_PROPERTY', 'Dog on property - safety concern', 20),
+  catalogueEntry('OCCUPANT_NOT_HOME', 'Occupant not home - appointment required', 30),
+  catalogueEntry('METER_INACCESSIBLE', 'Meter location inaccessible', 40),
+  catalogueEntry('UNDER_CONSTRUCTION', 'Property under construction', 50),
+  catalogueEntry('HAZARDOUS_CONDITIONS', 'Hazardous conditions present', 60),
+  catalogueEntry('PERMISSION_DENIED', 'Permission denied by occupant', 70),
+  catalogueEntry('METER_DAMAGED', 'Meter damaged - requires repair first', 80),
+  // Statuses the meter reading form has always offered (MeterReading.customerRead)
+  catalogueEntry('NO_ACCESS', 'No access', 100),
+  catalogueEntry('REFUSED_ACCESS', 'Refuse access', 110),
+  catalogueEntry('FAILED_FIRST_VISIT', 'Failed first visit', 120),
+  catalogueEntry('METER_BLOCKED', 'Meter blocked', 130),
+  catalogueEntry('METER_NOT_FOUND', 'Unable to locate the meter', 140),
+  catalogueEntry('UNMANNED', 'Unmanned', 150),
+  catalogueEntry('DEMOLISHED', 'Demolished', 160),
+  catalogueEntry('UNSAFE_PREMISES', 'Unsafe premises', 170),
+  catalogueEntry('METER_INSPECTED', 'Meter inspected', 180),
+  catalogueEntry('RISK_ASSESSMENT', 'Risk assessment', 190),
+]);
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {number} lat1 - Latitude of first point
@@ -158,71 +211,63 @@ function hasNoAccessStatus(jobData) {
 }
 
 /**
- * Validate no access reason
- * @param {string} reason - No access reason
- * @returns {boolean} True if reason is valid
+ * Find a reason in a no-access reason catalogue by its code or its label
+ * @param {string} value - Code or label as sent by the app
+ * @param {Array<Object>} reasons - Catalogue (default: DEFAULT_NO_ACCESS_REASONS)
+ * @returns {Object|null} Matching reason, active or not
  */
-function isValidNoAccessReason(reason) {
-  if (!reason || typeof reason !== 'string') {
-    return false;
+function findNoAccessReason(value, reasons = DEFAULT_NO_ACCESS_REASONS) {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    return null;
   }
 
-  const validReasons = [
-    'Property locked - no key access',
-    'Dog on property - safety concern',
-    'Occupant not home - appointment required',
-    'Meter location inaccessible',
-    'Property under construction',
-    'Hazardous conditions present',
-    'Permission denied by occupant',
-    'Meter damaged - requires repair first',
-  ];
-
-  return validReasons.includes(reason.trim());
+  const text = value.trim();
+  return reasons.find((entry) => entry.code === text.toUpperCase()) ||
+    reasons.find((entry) => entry.label.toLowerCase() === text.toLowerCase()) ||
+    null;
+}
+
+/**
+ * Validate no access reason
+ * @param {string} reason - No access reason (code or label)
+ * @param {Array<Object>} reasons - Catalogue (default: DEFAULT_NO_ACCESS_REASONS)
+ * @returns {boolean} True if the reason is active and counts as a valid no access
+ */
+function isValidNoAccessReason(reason, reasons = DEFAULT_NO_ACCESS_REASONS) {
+  const entry = findNoAccessReason(reason, reasons);
+  return Boolean(entry && entry.isActive && entry.validNoAccess);
 }
 
 /**
  * Calculate points for job completion
  * @param {Object} jobData - Job data object
- * @returns {number} Points (0, 0.5, or 1)
+ * @param {Object} rules - Scoring rules (default: DEFAULT_POINTS_RULES)
+ * @returns {number} Points (0, 0.5, or 1 with the default rules)
  */
-function calculatePoints(jobData) {
-  if (hasReg1Filled(jobData)) {
-    // Reg1 is filled = 1 point
-    return 1;
-  } else if (hasNoAccessStatus(jobData)) {
-    // Reg1 is NOT filled AND any No Access Status option selected = 0.5 points
-    return 0.5;
-  } else {
-    // No Reg1 and no no access status = 0 points
-    return 0;
-  }
+function calculatePoints(jobData, rules = DEFAULT_POINTS_RULES) {
+  return calculatePointsAndAward(jobData, rules).points;
 }
 
 /**
  * Calculate award/bonus for job completion
  * @param {Object} jobData - Job data object
+ * @param {Object} rules - Scoring rules (default: DEFAULT_POINTS_RULES)
  * @returns {number} Award amount in pounds (£)
  */
-function calculateAward(jobData) {
-  if (hasReg1Filled(jobData)) {
-    // Reg1 is filled = £0.50 award
-    return 0.50;
-  } else if (hasNoAccessStatus(jobData)) {
-    // Reg1 is NOT filled AND any No Access Status option selected = £0.15 award
-    return 0.15;
-  } else {
-    // No Reg1 and no no access status = £0 award
-    return 0;
-  }
+function calculateAward(jobData, rules = DEFAULT_POINTS_RULES) {
+  return calculatePointsAndAward(jobData, rules).award;
 }
 
 /**
  * Calculate points and award together
  * @param {Object} jobData - Job data object
+ * @param {Object} rules - Scoring rules (default: DEFAULT_POINTS_RULES)
+ * @param {Object|null} noAccessReason - Catalogue entry for the no-access reason given, if known.
+ *   Its points/award replace the rule set's no-access rates; a reason that is not a valid
+ *   no access scores nothing.
  * @returns {Object} Object with points, award, and isValidNoAccess
  */
-function calculatePointsAndAward(jobData) {
+function calculatePointsAndAward(jobData, rules = DEFAULT_POINTS_RULES, noAccessReason = null) {
   const hasReg1 = hasReg1Filled(jobData);
   const hasNoAccess = hasNoAccessStatus(jobData);
 
@@ -231,14 +276,23 @@ function calculatePointsAndAward(jobData) {
   let isValidNoAccess = false;
 
   if (hasReg1) {
-    points = 1;
-    award = 0.50; // £0.50 for successful reading
+    // Reg1 is filled = successful reading
+    points = rules.readingPoints;
+    award = rules.readingAward;
+    isValidNoAccess = false;
+  } else if (hasNoAccess && noAccessReason && !noAccessReason.validNoAccess) {
+    // Reason the catalogue does not accept as a valid no access
+    points = 0;
+    award = 0;
     isValidNoAccess = false;
   } else if (hasNoAccess) {
-    points = 0.5;
-    award = 0.15; // £0.15 for No Access
+    // Reg1 is NOT filled AND any No Access Status option selected
+    const hasRate = (field) => noAccessReason && typeof noAccessReason[field] === 'number';
+    points = hasRate('points') ? noAccessReason.points : rules.noAccessPoints;
+    award = hasRate('award') ? noAccessReason.award : rules.noAccessAward;
     isValidNoAccess = true;
   } else {
+    // No Reg1 and no no access status = 0 points, £0 award
     points = 0;
     award = 0;
     isValidNoAccess = false;
@@ -256,11 +310,12 @@ function calculatePointsAndAward(jobData) {
 /**
  * Calculate total bonus from multiple jobs
  * @param {Array} jobs - Array of job objects
+ * @param {Object} rules - Scoring rules (default: DEFAULT_POINTS_RULES)
  * @returns {Object} Summary with totalBonus, totalPoints, breakdown
  */
-function calculateTotalBonus(jobs = []) {
-  const bonusPerSuccessfulReading = 0.50; // £0.50 per successful reading
-  const bonusPerNoAccess = 0.15; // £0.15 per No Access
+function calculateTotalBonus(jobs = [], rules = DEFAULT_POINTS_RULES) {
+  const bonusPerSuccessfulReading = rules.readingAward;
+  const bonusPerNoAccess = rules.noAccessAward;
 
   let totalPoints = 0;
   let totalBonus = 0;
@@ -269,13 +324,13 @@ function calculateTotalBonus(jobs = []) {
   let incompleteJobs = 0;
 
   jobs.forEach((job) => {
-    const { points, award, isValidNoAccess } = calculatePointsAndAward(job);
+    const { points, award, hasReg1, isValidNoAccess } = calculatePointsAndAward(job, rules);
     totalPoints += points;
     totalBonus += award;
 
-    if (points === 1) {
+    if (hasReg1) {
       successfulReadings++;
-    } else if (points === 0.5) {
+    } else if (isValidNoAccess) {
       noAccessJobs++;
     } else {
       incompleteJobs++;
@@ -305,7 +360,12 @@ function calculateTotalBonus(jobs = []) {
  * @param {number} fuelAllowancePerJob - Fuel allowance per job (default: 1.00)
  * @returns {Object} Wage calculation breakdown
  */
-function calculateWage(totalDistanceMiles = 0, completedJobs = 0, ratePerMile = 0.50, fuelAllowancePerJob = 1.00) {
+function calculateWage(
+  totalDistanceMiles = 0,
+  completedJobs = 0,
+  ratePerMile = DEFAULT_POINTS_RULES.wageRatePerMile,
+  fuelAllowancePerJob = DEFAULT_POINTS_RULES.fuelAllowancePerJob
+) {
   const baseWage = totalDistanceMiles * ratePerMile;
   const fuelAllowance = completedJobs * fuelAllowancePerJob;
   const totalWage = baseWage + fuelAllowance;
@@ -324,6 +384,8 @@ function calculateWage(totalDistanceMiles = 0, completedJobs = 0, ratePerMile =
 }
 
 module.exports = {
+  DEFAULT_POINTS_RULES,
+  DEFAULT_NO_ACCESS_REASONS,
   calculateDistance,
   milesToMeters,
   metersToMiles,
@@ -331,6 +393,7 @@ module.exports = {
   validateGeofence,
   hasReg1Filled,
   hasNoAccessStatus,
+  findNoAccessReason,
   isValidNoAccessReason,
   calculatePoints,
   calculateAward,
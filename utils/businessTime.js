@@ -0,0 +1,240 @@
+/**
+ * Business Time
+ *
+ * Calendar days, weeks and months in the business timezone (BUSINESS_TIMEZONE, Europe/London by
+ * default) rather than the server's, so a job completed at 00:30 BST counts for that day on a
+ * server running in UTC. Days are found from the zone's own clock, so the 23 and 25 hour days at
+ * the clock changes start and end where the business's day does.
+ */
+
+const { BUSINESS_TIMEZONE } = require('../config');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Throws a RangeError at startup if the configured zone is not a real IANA zone
+const formatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: BUSINESS_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  second: 'numeric',
+  weekday: 'short',
+});
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Wall clock in the business timezone at an instant
+ * @param {Date} date - Instant
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+function parts(date) {
+  const values = {};
+  for (const { type, value } of formatter.formatToParts(date)) values[type] = value;
+  return {
+    year: Number(values.year),
+    month: Number(values.month),
+    day: Number(values.day),
+    hour: Number(values.hour),
+    minute: Number(values.minute),
+    second: Number(values.second),
+    weekday: WEEKDAYS.indexOf(values.weekday),
+  };
+}
+
+// Minutes the business timezone is ahead of UTC at an instant
+const offsetMinutes = (time) => {
+  const clock = parts(new Date(time));
+  const asUtc = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second);
+  return Math.round((asUtc - Math.floor(time / 1000) * 1000) / 60000);
+};
+
+/**
+ * Instant a wall clock time in the business timezone happens. Out of range parts roll over like
+ * new Date(y, m, d) (day 0 is the last of the previous month); a time skipped when the clocks go
+ * forward comes out an hour later.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {number} hour - Hour (default 0)
+ * @param {number} minute - Minute (default 0)
+ * @returns {Date} Instant
+ */
+function zonedDate(year, month, day, hour = 0, minute = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - offsetMinutes(wall) * 60000;
+  // The offset either side of a clock change can differ from the one at the guess
+  return new Date(wall - offsetMinutes(guess) * 60000);
+}
+
+/**
+ * Start of the business day a date falls on
+ * @param {Date} date - Date (default now)
+ * @returns {Date} Midnight in the business timezone
+ */
+function startOfDay(date = new Date()) {
+  const { year, month, day } = parts(date);
+  return zonedDate(year, month, day);
+}
+
+/**
+ * Start of the business day a number of calendar days after a date's
+ * @param {Date} date - Date
+ * @param {number} days - Days to move (negative for earlier)
+ * @returns {Date} Midnight of that day
+ */
+function addDays(date, days) {
+  const { year, month, day } = parts(date);
+  return zonedDate(year, month, day + days);
+}
+
+/**
+ * A business day as a query range
+ * @param {Date} date - Any time on the day (default now)
+ * @returns {Object} { start, end } - midnight, and the following midnight (exclusive)
+ */
+function dayRange(date = new Date()) {
+  return { start: startOfDay(date), end: addDays(date, 1) };
+}
+
+/**
+ * Start of the business week (Sunday) a date falls in
+ * @param {Date} date - Date (default now)
+ * @returns {Date} Midnight on the Sunday
+ */
+function startOfWeek(date = new Date()) {
+  return addDays(date, -parts(date).weekday);
+}
+
+/**
+ * Start of the calendar month a date falls in
+ * @param {Date} date - Date (default now)
+ * @returns {Date} Midnight on the 1st
+ */
+function startOfMonth(date = new Date()) {
+  const { year, month } = parts(date);
+  return zonedDate(year, month, 1);
+}
+
+/**
+ * Business day of a date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Day
+ */
+function dayKey(date) {
+  const { year, month, day } = parts(date);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Start of a business day given as YYYY-MM-DD
+ * @param {string} key - Day
+ * @returns {Date} Midnight, or an invalid Date when the text is not a real day
+ */
+function fromDayKey(key) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(key));
+  if (!match) return new Date(NaN);
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = zonedDate(year, month, day);
+  return dayKey(date) === key ? date : new Date(NaN);
+}
+
+/**
+ * Read a day from a request: YYYY-MM-DD is that business day, anything else is read as a date
+ * @param {string|Date} value - Day or date
+ * @returns {Date} Date (midnight for a day), invalid when unreadable
+ */
+function parseDay(value) {
+  const text = String(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) ? fromDayKey(text) : new Date(value);
+}
+
+/**
+ * Query filter for the whole business days from one day to another (either may be left out)
+ * @param {string|Date} from - First day
+ * @param {string|Date} to - Last day (included)
+ * @returns {Object|null} { $gte, $lt } (only the ends given), or null when a day is unreadable
+ */
+function daysFilter(from, to) {
+  const start = from ? parseDay(from) : null;
+  const end = to ? parseDay(to) : null;
+  if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) return null;
+
+  const filter = {};
+  if (start) filter.$gte = startOfDay(start);
+  if (end) filter.$lt = addDays(end, 1);
+  return filter;
+}
+
+/**
+ * Business day of a date as DD/MM/YYYY
+ * @param {Date} date - Date
+ * @returns {string} Day
+ */
+function formatDate(date) {
+  const { year, month, day } = parts(date);
+  return `${pad(day)}/${pad(month)}/${year}`;
+}
+
+/**
+ * Business clock time of a date
+ * @param {Date} date - Date
+ * @returns {string} HH:MM
+ */
+function clock(date) {
+  const { hour, minute } = parts(date);
+  return `${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * A time of day on a date's business day
+ * @param {Date} date - Any time on the day
+ * @param {string} time - HH:MM
+ * @returns {Date} Instant
+ */
+function atTime(date, time) {
+  const { year, month, day } = parts(date);
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return zonedDate(year, month, day, hours || 0, minutes || 0);
+}
+
+/**
+ * Day of the week of a date's business day
+ * @param {Date} date - Date
+ * @returns {number} 0 = Sunday ... 6 = Saturday
+ */
+function weekday(date) {
+  return parts(date).weekday;
+}
+
+/**
+ * Whether two dates fall on the same business day
+ * @param {Date} a - Date
+ * @param {Date} b - Date
+ * @returns {boolean}
+ */
+function isSameDay(a, b) {
+  return dayKey(a) === dayKey(b);
+}
+
+module.exports = {
+  TIME_ZONE: BUSINESS_TIMEZONE,
+  parts,
+  zonedDate,
+  startOfDay,
+  addDays,
+  dayRange,
+  startOfWeek,
+  startOfMonth,
+  dayKey,
+  fromDayKey,
+  parseDay,
+  daysFilter,
+  formatDate,
+  clock,
+  atTime,
+  weekday,
+  isSameDay,
+};
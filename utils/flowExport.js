@@ -0,0 +1,353 @@
+/**
+ * Flow Export
+ *
+ * Writes successful meter readings to suppliers as D0010-style pipe-delimited flow files:
+ *
+ *   ZHV|<file ref>|D0010002|<sender role>|<sender MPID>|X|<supplier MPID>|<created>||||OPER|
+ *   026|<MPAN/MPRN>|V|                        one group per supply point (the reading's cust)
+ *   028|<meter serial>|R|                     one group per meter at the supply point
+ *   030|<register ID>|<read at>|<reading>|||T|P|   one record per register reading
+ *   ZPT|<file ref>|<group count>||1|<created>|
+ *
+ * Times are YYYYMMDDHHMMSS. Each reading is claimed by the file it is written to (exportedIn),
+ * so a reading is never sent twice unless its file is explicitly re-issued.
+ */
+
+const MeterReading = require('../models/meterReading.model');
+const FlowExport = require('../models/flowExport.model');
+const settings = require('./settings');
+const businessTime = require('./businessTime');
+
+const FLOW_VERSION = 'D0010002';
+const MAX_RANGE_DAYS = 92;
+const FILE_REF_ATTEMPTS = 3;
+
+/**
+ * Error raised for invalid export requests
+ */
+class FlowExportError extends Error {
+  constructor(message, statusCode = 400, body = {}) {
+    super(message);
+    this.name = 'FlowExportError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+
+  toJSON() {
+    return { message: this.message, ...this.body };
+  }
+}
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Flow file timestamp (YYYYMMDDHHMMSS, UTC)
+ * @param {Date} date - Date
+ * @returns {string} Timestamp
+ */
+function formatTimestamp(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+}
+
+// Field values cannot contain the delimiter or line breaks
+const field = (value) => (value === undefined || value === null ? '' : String(value)).replace(/[|\r\n]+/g, ' ').trim();
+
+const line = (...fields) => `${fields.map(field).join('|')}|`;
+
+/**
+ * Reading value as written to the file: whole units, or one decimal place
+ */
+function formatReading(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+/**
+ * The fields a reading is written with, or why it cannot be written
+ * @param {Object} reading - Meter reading (jobId and meter populated)
+ * @returns {Object} { supplyNumber, serialNumber, registerId, value, readAt } or { reason }
+ */
+function readingRecord(reading) {
+  const job = reading.jobId && typeof reading.jobId === 'object' ? reading.jobId : {};
+  const meter = reading.meter && typeof reading.meter === 'object' ? reading.meter : {};
+
+  const supplyNumber = field(reading.cust).replace(/\s+/g, '');
+  if (!supplyNumber) return { reason: 'No MPAN/MPRN (cust)' };
+
+  const serialNumber = field(meter.serialNumber || job.meterSerialNumber);
+  if (!serialNumber) return { reason: 'No meter serial number' };
+
+  const registerId = field(reading.regID1 || (job.registerIds || [])[0] || ((meter.registers || [])[0] || {}).registerId);
+  if (!registerId) return { reason: 'No register ID' };
+
+  const value = reading.reg1 === undefined || reading.reg1 === null || reading.reg1 === '' ? NaN : Number(reading.reg1);
+  if (!Number.isFinite(value) || value < 0) return { reason: 'No register reading' };
+
+  return { supplyNumber, serialNumber, registerId, value, readAt: new Date(reading.readingDate) };
+}
+
+/**
+ * Write a flow file
+ * @param {Object} params
+ * @param {string} params.fileRef - File reference
+ * @param {string} params.senderMpid - Our MPID
+ * @param {string} params.senderRole - Our role code
+ * @param {string} params.supplierMpid - Supplier MPID
+ * @param {Date} params.createdAt - File creation time
+ * @param {Object[]} params.readings - Meter readings (jobId and meter populated)
+ * @returns {Object} { content, included: [reading _id], skipped: [{ reading, reason }], counts }
+ */
+function buildFlowFile({ fileRef, senderMpid, senderRole, supplierMpid, createdAt = new Date(), readings = [] }) {
+  const skipped = [];
+  const supplies = new Map();
+  const included = [];
+
+  readings.forEach((reading) => {
+    const record = readingRecord(reading);
+    if (record.reason) {
+      skipped.push({ reading: reading._id, reason: record.reason });
+      return;
+    }
+    if (!supplies.has(record.supplyNumber)) supplies.set(record.supplyNumber, new Map());
+    const meters = supplies.get(record.supplyNumber);
+    if (!meters.has(record.serialNumber)) meters.set(record.serialNumber, []);
+    meters.get(record.serialNumber).push(record);
+    included.push(reading._id);
+  });
+
+  const created = formatTimestamp(createdAt);
+  const groups = [];
+  let meterCount = 0;
+  [...supplies.keys()].sort().forEach((supplyNumber) => {
+    groups.push(line('026', supplyNumber, 'V'));
+    const meters = supplies.get(supplyNumber);
+    [...meters.keys()].sort().forEach((serialNumber) => {
+      meterCount += 1;
+      groups.push(line('028', serialNumber, 'R'));
+      meters.get(serialNumber)
+        .sort((a, b) => a.readAt - b.readAt)
+        .forEach((record) => {
+          groups.push(line('030', record.registerId, formatTimestamp(record.readAt), formatReading(record.value), '', '', 'T', 'P'));
+        });
+    });
+  });
+
+  const lines = [
+    line('ZHV', fileRef, FLOW_VERSION, senderRole, senderMpid, 'X', supplierMpid, created, '', '', '', 'OPER'),
+    ...groups,
+    line('ZPT', fileRef, groups.length, '', 1, created),
+  ];
+
+  return {
+    content: `${lines.join('\r\n')}\r\n`,
+    included,
+    skipped,
+    counts: {
+      readings: included.length,
+      supplyPoints: supplies.size,
+      meters: meterCount,
+      groups: groups.length,
+      lines: lines.length,
+    },
+  };
+}
+
+/**
+ * Read and check a supplier and date range (dates without a time cover the whole business day)
+ * @returns {Object} { supplier, from, to }
+ * @throws {FlowExportError}
+ */
+function parseRequest({ supplier, from, to } = {}) {
+  const sup = field(supplier);
+  if (!sup) {
+    throw new FlowExportError('Supplier is required');
+  }
+  const start = from ? businessTime.parseDay(from) : null;
+  let end = to ? businessTime.parseDay(to) : null;
+  if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new FlowExportError('from and to must be valid dates');
+  }
+  if (typeof to === 'string' && !to.includes('T')) {
+    end = new Date(businessTime.addDays(end, 1).getTime() - 1);
+  }
+  if (start > end) {
+    throw new FlowExportError('from must be on or before to');
+  }
+  if ((end - start) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+    throw new FlowExportError(`A flow file can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+  return { supplier: sup, from: start, to: end };
+}
+
+/**
+ * Sender and supplier MPIDs from the flowExport setting
+ * @throws {FlowExportError} When the supplier has no MPID configured
+ */
+async function participants(supplier) {
+  const config = await settings.getSetting('flowExport');
+  const supplierMpid = (config.supplierMpids || {})[supplier];
+  if (!supplierMpid) {
+    throw new FlowExportError(`No MPID is configured for supplier "${supplier}"; set it in the flowExport setting (supplierMpids)`);
+  }
+  return { senderMpid: config.senderMpid, senderRole: config.senderRole, supplierMpid };
+}
+
+const loadReadings = (query) => MeterReading.find(query)
+  .populate('jobId', 'jobId meterSerialNumber registerIds')
+  .populate('meter', 'serialNumber registers')
+  .sort({ readingDate: 1 })
+  .lean();
+
+// Successful reads of a supplier in a date range that have not been sent yet
+const pendingQuery = ({ supplier, from, to }) => ({
+  sup: supplier,
+  readingDate: { $gte: from, $lte: to },
+  customerRead: 'Yes',
+  exportedIn: null,
+});
+
+/**
+ * Create a flow file record with the next reference for today (<sender MPID><YYMMDD><NNN>)
+ */
+async function createFileRecord(fields, senderMpid, createdAt) {
+  const prefix = `${senderMpid}${formatTimestamp(createdAt).slice(2, 8)}`;
+  for (let attempt = 1; ; attempt++) {
+    const sequence = await FlowExport.countDocuments({ fileRef: { $regex: `^${prefix}` } }) + attempt;
+    try {
+      return await FlowExport.create({ ...fields, fileRef: `${prefix}${pad(sequence, 3)}` });
+    } catch (error) {
+      // Another export took the reference first
+      if (error.code !== 11000 || attempt >= FILE_REF_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Claim readings for a file, then write the file from the readings it actually won
+ * @param {Object} file - FlowExport document (status 'building')
+ * @param {Object} claimFilter - Readings that may be claimed
+ * @param {Object} ids - Reading IDs to claim
+ * @param {Object} parties - { senderMpid, senderRole, supplierMpid }
+ * @returns {Promise<Object>} The issued file
+ */
+async function issueFile(file, claimFilter, ids, parties) {
+  await MeterReading.updateMany(
+    { ...claimFilter, _id: { $in: ids } },
+    { $set: { exportedIn: file._id }, $push: { exports: { file: file._id, fileRef: file.fileRef, at: file.createdAt } } }
+  );
+  const claimed = await loadReadings({ exportedIn: file._id });
+  if (claimed.length === 0) {
+    file.status = 'failed';
+    await file.save();
+    throw new FlowExportError('These readings were exported by another file at the same time', 409);
+  }
+
+  const result = buildFlowFile({ ...parties, fileRef: file.fileRef, createdAt: file.createdAt, readings: claimed });
+  file.set({
+    status: 'issued',
+    fileName: `${file.fileRef}.${file.flow}`,
+    content: result.content,
+    readings: result.included,
+    counts: result.counts,
+  });
+  await file.save();
+  return file;
+}
+
+/**
+ * Readings a new export would include, and those it would skip
+ * @param {Object} request - { supplier, from, to }
+ * @returns {Promise<Object>} { supplier, supplierMpid, from, to, readings, skipped }
+ */
+async function previewExport(request) {
+  const range = parseRequest(request);
+  const parties = await participants(range.supplier);
+  const readings = await loadReadings(pendingQuery(range));
+  const result = buildFlowFile({ ...parties, fileRef: 'PREVIEW', readings });
+  return { ...range, supplierMpid: parties.supplierMpid, readings: result.counts.readings, counts: result.counts, skipped: result.skipped };
+}
+
+/**
+ * Export a supplier's unsent successful readings in a date range to a new flow file
+ * @param {Object} request - { supplier, from, to }
+ * @param {Object} user - Admin exporting
+ * @returns {Promise<Object>} Issued FlowExport (with skipped readings)
+ * @throws {FlowExportError} 404 when there is nothing to export
+ */
+async function createExport(request, user) {
+  const range = parseRequest(request);
+  const parties = await participants(range.supplier);
+  const candidates = await loadReadings(pendingQuery(range));
+  const { included, skipped } = buildFlowFile({ ...parties, fileRef: 'CHECK', readings: candidates });
+  if (included.length === 0) {
+    throw new FlowExportError('No readings to export for this supplier and date range', 404, { skipped });
+  }
+
+  const createdAt = new Date();
+  const file = await createFileRecord({
+    ...range,
+    supplierMpid: parties.supplierMpid,
+    skipped,
+    createdBy: user ? user._id : undefined,
+    createdAt,
+  }, parties.senderMpid, createdAt);
+  return issueFile(file, { exportedIn: null }, included, parties);
+}
+
+/**
+ * Send a file's readings again in a new file (e.g. the supplier rejected or lost it). The
+ * readings move to the new file and the old one is marked re-issued.
+ * @param {string} fileId - File to re-issue
+ * @param {Object} options - { reason }
+ * @param {Object} user - Admin re-issuing
+ * @returns {Promise<Object>} The new FlowExport
+ * @throws {FlowExportError}
+ */
+async function reissueExport(fileId, { reason } = {}, user) {
+  const original = await FlowExport.findById(fileId);
+  if (!original) {
+    throw new FlowExportError('Flow file not found', 404);
+  }
+  if (original.status !== 'issued') {
+    throw new FlowExportError(`Only issued files can be re-issued (this one is ${original.status})`, 409);
+  }
+
+  const parties = await participants(original.supplier);
+  const readings = await loadReadings({ exportedIn: original._id });
+  const { included, skipped } = buildFlowFile({ ...parties, fileRef: 'CHECK', readings });
+  if (included.length === 0) {
+    throw new FlowExportError('None of this file\'s readings can be written any more', 409, { skipped });
+  }
+
+  const createdAt = new Date();
+  const file = await createFileRecord({
+    supplier: original.supplier,
+    from: original.from,
+    to: original.to,
+    supplierMpid: parties.supplierMpid,
+    skipped,
+    reissueOf: original._id,
+    reissueReason: reason,
+    createdBy: user ? user._id : undefined,
+    createdAt,
+  }, parties.senderMpid, createdAt);
+
+  const reissued = await issueFile(file, { exportedIn: original._id }, included, parties);
+  original.status = 'reissued';
+  original.reissuedAs = reissued._id;
+  await original.save();
+  return reissued;
+}
+
+module.exports = {
+  FLOW_VERSION,
+  FlowExportError,
+  formatTimestamp,
+  readingRecord,
+  buildFlowFile,
+  parseRequest,
+  previewExport,
+  createExport,
+  reissueExport,
+};
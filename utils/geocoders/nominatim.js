@@ -0,0 +1,93 @@
+/**
+ * Nominatim Geocoder
+ *
+ * Looks addresses up with Nominatim (OpenStreetMap): free, no API key required. The public
+ * service allows one request a second, so requests are spaced out here rather than by callers.
+ * Returns null when the address is not found and throws when the service cannot be reached,
+ * so a failed request is not remembered as "not found".
+ */
+
+const axios = require('axios');
+
+const BASE_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+const MIN_INTERVAL_MS = 1000; // Nominatim usage policy: at most one request per second
+const ATTEMPTS = 2;
+
+let nextRequestAt = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait until the next request is allowed
+ */
+async function waitTurn() {
+  const now = Date.now();
+  const wait = Math.max(0, nextRequestAt - now);
+  nextRequestAt = Math.max(now, nextRequestAt) + MIN_INTERVAL_MS;
+  if (wait > 0) await sleep(wait);
+}
+
+/**
+ * Geocode an address
+ * @param {Object} query - { address: string, postcode: string|null (compact, upper case) }
+ * @returns {Promise<Object|null>} { latitude, longitude, accuracy, displayName, type } or null when not found
+ * @throws {Error} When the service cannot be reached after retrying
+ */
+async function geocode({ address, postcode }) {
+  // Use UK-specific search for better accuracy, and prioritise the postcode when there is one
+  let searchUrl = `${BASE_URL}/search?format=json&q=${encodeURIComponent(address)}&limit=1&addressdetails=1&extratags=1&namedetails=1&countrycodes=gb`;
+  if (postcode) {
+    searchUrl += `&postalcode=${encodeURIComponent(postcode)}`;
+  }
+
+  let response;
+  for (let attempt = 1; !response; attempt++) {
+    await waitTurn();
+    try {
+      response = await axios.get(searchUrl, {
+        headers: {
+          'User-Agent': 'MeterMate-App/1.0',
+          'Accept-Language': 'en-GB,en'
+        },
+        timeout: 10000
+      });
+    } catch (error) {
+      if (attempt >= ATTEMPTS) throw error;
+      console.warn(`Nominatim request failed (${error.message}); retrying`);
+      await sleep(2000);
+    }
+  }
+
+  if (!response.data || response.data.length === 0) {
+    return null;
+  }
+
+  const result = response.data[0];
+  const lat = parseFloat(result.lat);
+  const lon = parseFloat(result.lon);
+  const importance = parseFloat(result.importance) || 0.5;
+
+  // Validate coordinates are reasonable
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    console.error('Invalid coordinates from geocoding:', lat, lon);
+    return null;
+  }
+
+  // Lower importance means less accurate (e.g., city-level instead of street-level)
+  if (importance < 0.3) {
+    console.warn(`⚠️ Low geocoding accuracy (importance: ${importance}) for: ${address}`);
+  }
+
+  return {
+    latitude: lat,
+    longitude: lon,
+    accuracy: importance,
+    displayName: result.display_name || address,
+    type: result.type || 'unknown'
+  };
+}
+
+module.exports = {
+  name: 'nominatim',
+  geocode,
+};
@@ -0,0 +1,137 @@
+/**
+ * Postcode Geocoder
+ *
+ * Offline geocoder that places an address at the centroid of its UK postcode, using a local
+ * postcode file (for example the ONS Postcode Directory or Code-Point Open converted to
+ * latitude/longitude). The file is read on first use from POSTCODE_DATA_FILE (default
+ * data/postcodes.csv); its columns are found by header: postcode (or pcd/pcds), latitude
+ * (or lat) and longitude (or long/lng). A postcode missing from the file falls back to the
+ * centroid of its sector and then its district, with a lower accuracy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'postcodes.csv');
+const POSTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/;
+// Accuracy on the same 0-1 scale as Nominatim importance (below 0.3 is flagged for checking)
+const ACCURACY = { postcode: 0.6, postcode_sector: 0.25, postcode_district: 0.1 };
+
+let index = null;
+let loading = null;
+
+const HEADERS = {
+  postcode: ['postcode', 'pcd', 'pcds', 'pcd2'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'long', 'lng', 'lon'],
+};
+
+/**
+ * Split a postcode into the keys it is indexed under
+ * @param {string} postcode - Postcode in any spacing or case
+ * @returns {Object|null} { postcode: 'SW1A1AA', sector: 'SW1A 1', district: 'SW1A', formatted: 'SW1A 1AA' }
+ */
+function postcodeKeys(postcode) {
+  const compact = (postcode || '').toString().toUpperCase().replace(/\s+/g, '');
+  if (!POSTCODE_PATTERN.test(compact)) return null;
+  const outward = compact.slice(0, -3);
+  const inward = compact.slice(-3);
+  return { postcode: compact, sector: `${outward} ${inward[0]}`, district: outward, formatted: `${outward} ${inward}` };
+}
+
+const splitCsvLine = (line) => line.split(',').map((value) => value.replace(/^"|"$/g, '').trim());
+
+/**
+ * Read a postcode file into an index of postcode, sector and district centroids
+ * @param {string} file - CSV path (defaults to POSTCODE_DATA_FILE or data/postcodes.csv)
+ * @returns {Promise<Object>} { postcodes, sectors, districts } counts
+ */
+async function loadPostcodes(file = process.env.POSTCODE_DATA_FILE || DEFAULT_FILE) {
+  const postcodes = new Map();
+  const areas = { sector: new Map(), district: new Map() };
+
+  if (!fs.existsSync(file)) {
+    console.warn(`Postcode file not found at ${file}; offline postcode geocoding is unavailable`);
+  } else {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let columns = null;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const values = splitCsvLine(line);
+      if (!columns) {
+        const header = values.map((value) => value.toLowerCase());
+        columns = Object.fromEntries(Object.entries(HEADERS).map(([field, names]) => [
+          field, header.findIndex((name) => names.includes(name)),
+        ]));
+        if (Object.values(columns).some((column) => column === -1)) {
+          throw new Error(`Postcode file ${file} needs postcode, latitude and longitude columns`);
+        }
+        continue;
+      }
+
+      const keys = postcodeKeys(values[columns.postcode]);
+      const latitude = parseFloat(values[columns.latitude]);
+      const longitude = parseFloat(values[columns.longitude]);
+      // ONS uses 99.999999 for postcodes without a location
+      if (!keys || !Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90) continue;
+
+      postcodes.set(keys.postcode, [latitude, longitude]);
+      ['sector', 'district'].forEach((level) => {
+        const total = areas[level].get(keys[level]) || [0, 0, 0];
+        areas[level].set(keys[level], [total[0] + latitude, total[1] + longitude, total[2] + 1]);
+      });
+    }
+  }
+
+  const centroids = (totals) => new Map([...totals].map(([key, [lat, lng, count]]) => [key, [lat / count, lng / count]]));
+  index = { postcodes, sectors: centroids(areas.sector), districts: centroids(areas.district) };
+  console.log(`Postcode geocoder loaded ${postcodes.size} postcodes`);
+  return { postcodes: postcodes.size, sectors: index.sectors.size, districts: index.districts.size };
+}
+
+/**
+ * Load the default postcode file once
+ */
+function ensureLoaded() {
+  if (index) return Promise.resolve();
+  if (!loading) {
+    loading = loadPostcodes().finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+/**
+ * Geocode an address by its postcode
+ * @param {Object} query - { address: string, postcode: string|null }
+ * @returns {Promise<Object|null>} { latitude, longitude, accuracy, displayName, type } or null
+ */
+async function geocode({ postcode }) {
+  const keys = postcodeKeys(postcode);
+  if (!keys) return null;
+  await ensureLoaded();
+
+  const levels = [
+    ['postcode', index.postcodes.get(keys.postcode), keys.formatted],
+    ['postcode_sector', index.sectors.get(keys.sector), keys.sector],
+    ['postcode_district', index.districts.get(keys.district), keys.district],
+  ];
+  const match = levels.find(([, point]) => point);
+  if (!match) return null;
+
+  const [type, [latitude, longitude], area] = match;
+  return {
+    latitude,
+    longitude,
+    accuracy: ACCURACY[type],
+    displayName: `${area} (${type.replace('_', ' ')} centroid)`,
+    type,
+  };
+}
+
+module.exports = {
+  name: 'postcode',
+  geocode,
+  loadPostcodes,
+  postcodeKeys,
+};
@@ -0,0 +1,170 @@
+/**
+ * Geocoding
+ *
+ * Resolves an address string to coordinates. Providers (utils/geocoders) are tried in the order
+ * set in the geocoding setting, or in GEOCODING_PROVIDERS (comma-separated) for rigs without
+ * internet access: Nominatim (OpenStreetMap) and an offline UK postcode centroid lookup.
+ * Results are cached in Mongo under the normalised address so repeat addresses need no lookup.
+ */
+
+const mongoose = require('mongoose');
+const GeocodeCache = require('../models/geocodeCache.model');
+const settings = require('./settings');
+const nominatim = require('./geocoders/nominatim');
+const postcode = require('./geocoders/postcode');
+
+const PROVIDERS = { nominatim, postcode };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const POSTCODE_PATTERN = /\b[A-Z]{1,2}\d{1,2}[A-Z]?\s?\d[A-Z]{2}\b/i;
+
+/**
+ * Find a UK postcode in an address
+ * @param {string} addressString - Address
+ * @returns {string|null} Compact upper-case postcode ('SW1A1AA')
+ */
+function extractPostcode(addressString) {
+  const match = (addressString || '').toString().match(POSTCODE_PATTERN);
+  return match ? match[0].replace(/\s+/g, '').toUpperCase() : null;
+}
+
+/**
+ * Cache key for an address: lower case words without punctuation, with the postcode compacted
+ * ('12 High St., London SW1A 1AA' -> '12 high st london|SW1A1AA')
+ * @param {string} addressString - Address
+ * @returns {string} Key ('' for an empty address)
+ */
+function normaliseAddress(addressString) {
+  const addressText = (addressString || '').toString();
+  const code = extractPostcode(addressText);
+  const words = addressText
+    .replace(POSTCODE_PATTERN, ' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return code ? `${words}|${code}` : words;
+}
+
+/**
+ * Provider names to try, in order
+ * @param {Object} config - geocoding setting
+ * @returns {string[]} Provider names
+ */
+function providerOrder(config) {
+  const fromEnvironment = (process.env.GEOCODING_PROVIDERS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+  return fromEnvironment.length > 0 ? fromEnvironment : config.providers;
+}
+
+/**
+ * Remember a lookup; failures to write the cache never fail the geocode
+ */
+async function remember(key, addressString, result, provider, ttlMs) {
+  try {
+    await GeocodeCache.findOneAndUpdate(
+      { key },
+      {
+        address: addressString,
+        found: Boolean(result),
+        result: result || {},
+        provider,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + ttlMs),
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    console.error('Geocode cache write error:', error.message);
+  }
+}
+
+/**
+ * Geocode an address
+ * @param {string} addressString - Address, ideally including the postcode
+ * @param {Object} options
+ * @param {string[]} options.providers - Provider names to try instead of the configured ones
+ * @param {boolean} options.useCache - Read the cache (default true); results are always stored
+ * @returns {Promise<Object|null>} { latitude, longitude, accuracy (0-1), displayName, type, provider, cached }
+ *   or null when no provider could place the address
+ */
+async function geocodeAddress(addressString, { providers, useCache = true } = {}) {
+  const key = normaliseAddress(addressString);
+  if (!key) return null;
+
+  // Without a database (offline rigs, tests) there is no cache and the default settings apply
+  const connected = mongoose.connection.readyState === 1;
+  const config = connected ? await settings.getSetting('geocoding') : settings.DEFAULT_SETTINGS.geocoding;
+
+  if (connected && useCache) {
+    const cached = await GeocodeCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, lastUsedAt: new Date() },
+      { new: true }
+    ).lean();
+    if (cached) {
+      return cached.found ? { ...cached.result, provider: cached.provider, cached: true } : null;
+    }
+  }
+
+  const query = { address: addressString.toString(), postcode: extractPostcode(addressString) };
+  let result = null;
+  let provider = null;
+  let unreachable = false;
+
+  for (const name of providers || providerOrder(config)) {
+    const adapter = PROVIDERS[name];
+    if (!adapter) {
+      console.warn(`Unknown geocoding provider "${name}" skipped`);
+      continue;
+    }
+    try {
+      result = await adapter.geocode(query);
+    } catch (error) {
+      console.error(`Geocoding error (${name}):`, error.message);
+      unreachable = true;
+      continue;
+    }
+    if (result) {
+      provider = name;
+      break;
+    }
+  }
+
+  if (result) {
+    console.log(`Geocoded "${addressString}" to: ${result.latitude}, ${result.longitude} (${provider}, accuracy: ${result.accuracy})`);
+  } else {
+    console.warn(`No geocoding results for: ${addressString}`);
+  }
+
+  if (connected) {
+    // A fallback answer, or "not found" while a provider was down, is only kept briefly so the
+    // better provider is asked again once it is back
+    const settled = result && !unreachable;
+    const ttlMs = settled ? config.cacheDays * DAY_MS : config.failedCacheHours * HOUR_MS;
+    if (ttlMs > 0 && (result || !unreachable)) {
+      await remember(key, addressString.toString(), result, provider, ttlMs);
+    }
+  }
+
+  return result ? { ...result, provider, cached: false } : null;
+}
+
+/**
+ * Forget cached results (all of them, or those for one address)
+ * @param {string} addressString - Address to forget (optional)
+ * @returns {Promise<number>} Entries removed
+ */
+async function clearCache(addressString) {
+  const result = await GeocodeCache.deleteMany(addressString ? { key: normaliseAddress(addressString) } : {});
+  return result.deletedCount;
+}
+
+module.exports = {
+  PROVIDERS,
+  extractPostcode,
+  normaliseAddress,
+  geocodeAddress,
+  clearCache,
+};
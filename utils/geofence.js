@@ -0,0 +1,221 @@
+/**
+ * Geofence
+ *
+ * Checks that an operative is at the property when starting or completing a job.
+ * The radius per job type and the policy (off / flag / block) come from the 'geofence'
+ * setting (utils/settings.js). Every check is recorded on the job (job.geofence.checks)
+ * with the measured distance, including blocked attempts and admin overrides.
+ */
+
+const Job = require('../models/job.model');
+const House = require('../models/house.model');
+const { validateGeofence, isValidCoordinate } = require('./businessLogic');
+const settings = require('./settings');
+
+/**
+ * Error raised when the 'block' policy rejects an out-of-fence start or completion
+ */
+class GeofenceError extends Error {
+  constructor(message, check) {
+    super(message);
+    this.name = 'GeofenceError';
+    this.statusCode = 403;
+    this.code = 'OUTSIDE_GEOFENCE';
+    this.check = check;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      error: this.code,
+      stage: this.check.stage,
+      distanceMeters: this.check.distanceMeters,
+      radiusMeters: this.check.radiusMeters,
+    };
+  }
+}
+
+/**
+ * Read a { latitude, longitude } pair as numbers, or null when unusable
+ * @param {Object} location - Location object
+ * @returns {Object|null} { latitude, longitude }
+ */
+function toCoordinates(location) {
+  if (!location || location.latitude === null || location.longitude === null) return null;
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  return isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+}
+
+/**
+ * Coordinates of the property: the job's own address, otherwise its house
+ * @param {Object} job - Job document
+ * @returns {Promise<Object|null>} { latitude, longitude }
+ */
+async function jobCoordinates(job) {
+  const fromAddress = toCoordinates(job.address);
+  if (fromAddress) return fromAddress;
+  if (!job.house) return null;
+
+  const house = job.house.latitude !== undefined
+    ? job.house
+    : await House.findById(job.house).select('latitude longitude').lean();
+  return toCoordinates(house);
+}
+
+/**
+ * Radius that applies to a job type
+ * @param {string} jobType - Job type
+ * @param {Object} config - Geofence setting
+ * @returns {number} Radius in meters
+ */
+function radiusForJobType(jobType, config) {
+  return (config.radiusMeters && config.radiusMeters[jobType]) || config.defaultRadiusMeters;
+}
+
+/**
+ * Check whether a pending admin override covers this stage
+ * @param {Object} override - job.geofence.override
+ * @param {string} stage - 'start' or 'complete'
+ * @returns {boolean} True when an unused override applies
+ */
+function hasUsableOverride(override, stage) {
+  return !!(override && override.grantedAt && !override.usedAt && ['any', stage].includes(override.stage));
+}
+
+/**
+ * Decide the outcome of a geofence check (pure; no database access)
+ * @param {Object} params
+ * @param {string} params.stage - 'start' or 'complete'
+ * @param {Object|null} params.jobLocation - Property coordinates
+ * @param {Object} params.userLocation - Location submitted by the operative
+ * @param {string} params.jobType - Job type
+ * @param {Object} params.config - Geofence setting
+ * @param {Object} params.override - { by, reason } when an admin override applies
+ * @returns {Object} Check: { stage, status, outcome, distanceMeters, radiusMeters, policy, latitude, longitude, ... }
+ *   status is inside / outside / unknown; outcome is accepted / flagged / blocked / overridden
+ */
+function evaluateCheck({ stage, jobLocation, userLocation, jobType, config, override }) {
+  const radiusMeters = radiusForJobType(jobType, config);
+  const position = toCoordinates(userLocation);
+  const check = {
+    stage,
+    status: 'unknown',
+    outcome: 'accepted',
+    distanceMeters: null,
+    radiusMeters,
+    policy: config.policy,
+    latitude: position ? position.latitude : null,
+    longitude: position ? position.longitude : null,
+    at: new Date(),
+  };
+
+  if (position && jobLocation) {
+    const result = validateGeofence(
+      position.latitude, position.longitude,
+      jobLocation.latitude, jobLocation.longitude,
+      radiusMeters
+    );
+    check.distanceMeters = Math.round(result.distanceMeters);
+    check.status = result.isValid ? 'inside' : 'outside';
+  }
+
+  // With the property located, a missing position counts against the operative; it is
+  // only blocked outright when the setting asks for it
+  const missingPosition = check.status === 'unknown' && !position && !!jobLocation;
+  const breached = check.status === 'outside' || missingPosition;
+  if (!breached || config.policy === 'off') {
+    return check;
+  }
+
+  if (override) {
+    check.outcome = 'overridden';
+    check.overriddenBy = override.by || null;
+    check.overrideReason = override.reason || '';
+  } else if (config.policy === 'block' && (!missingPosition || config.blockWithoutLocation)) {
+    check.outcome = 'blocked';
+  } else {
+    check.outcome = 'flagged';
+  }
+  return check;
+}
+
+/**
+ * Check an operative's location for a job and record the result.
+ * Blocked attempts are recorded straight away and raise a GeofenceError; otherwise the
+ * caller saves the returned fields and pushes the check with the rest of its update.
+ * @param {Object} params
+ * @param {Object} params.job - Job document (as read by the caller)
+ * @param {Object} params.user - Acting user
+ * @param {Object} params.location - Submitted { latitude, longitude }
+ * @param {string} params.stage - 'start' or 'complete'
+ * @param {string} params.overrideReason - Reason given when an admin performs the action themselves
+ * @returns {Promise<Object>} { check, set, push } - job fields to $set and the check to $push
+ * @throws {GeofenceError} When the policy blocks the action
+ */
+async function checkJobLocation({ job, user, location, stage, overrideReason }) {
+  const config = await settings.getSetting('geofence');
+  const existing = job.geofence || {};
+
+  // An admin acting on the job is an override in itself; otherwise use one granted in advance
+  let override = null;
+  if (user && user.role === 'admin') {
+    override = { by: user._id, reason: overrideReason || `${stage === 'start' ? 'Started' : 'Completed'} by admin` };
+  } else if (hasUsableOverride(existing.override, stage)) {
+    override = { by: existing.override.grantedBy, reason: existing.override.reason };
+  }
+
+  const check = {
+    ...evaluateCheck({
+      stage,
+      jobLocation: await jobCoordinates(job),
+      userLocation: location,
+      jobType: job.jobType,
+      config,
+      override,
+    }),
+    actor: user ? user._id : null,
+  };
+
+  if (check.outcome === 'blocked') {
+    await Job.updateOne({ _id: job._id }, { $push: { 'geofence.checks': check } });
+    const where = check.distanceMeters === null
+      ? 'Your location could not be confirmed'
+      : `You are ${check.distanceMeters}m from the property`;
+    throw new GeofenceError(
+      `${where}. Please move within ${check.radiusMeters}m to ${stage} this job, or ask an admin for an override.`,
+      check
+    );
+  }
+
+  const set = {
+    [`geofence.${stage}DistanceMeters`]: check.distanceMeters,
+  };
+  if (check.outcome === 'flagged' || check.outcome === 'overridden') {
+    set['geofence.flagged'] = true;
+  }
+  if (check.outcome === 'overridden' && user.role !== 'admin') {
+    set['geofence.override.usedAt'] = check.at;
+  }
+
+  return { check, set, push: { 'geofence.checks': check } };
+}
+
+/**
+ * Check whether an error was raised by the geofence
+ * @param {Error} error - Error
+ * @returns {boolean} True for GeofenceError
+ */
+function isGeofenceError(error) {
+  return error instanceof GeofenceError;
+}
+
+module.exports = {
+  GeofenceError,
+  isGeofenceError,
+  toCoordinates,
+  radiusForJobType,
+  hasUsableOverride,
+  evaluateCheck,
+  checkJobLocation,
+};
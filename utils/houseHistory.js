@@ -0,0 +1,304 @@
+/**
+ * House History
+ *
+ * What happened at a property over time: every job's status changes, readings, no access
+ * outcomes, photos and operative notes as one chronological timeline. Also keeps the house's
+ * lastReading and latest value per meter type up to date when a job is completed.
+ */
+
+const House = require('../models/house.model');
+const Job = require('../models/job.model');
+const MeterReading = require('../models/meterReading.model');
+const Meter = require('../models/meter.model');
+const { hasReg1Filled } = require('./businessLogic');
+const { COMPLETED_STATUSES } = require('./jobLifecycle');
+
+const TIMELINE_TYPES = ['status', 'reading', 'no_access', 'photo', 'note'];
+const METER_TYPES = { electricity: 'electric', gas: 'gas', water: 'water' };
+
+const USER_FIELDS = 'firstName lastName username employeeId';
+
+const refId = (value) => (value && value._id ? value._id : value) || null;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * The reading taken on a completed job, if any
+ * @param {Object} job - Job ({ status, jobType, completedDate, meterReadings, registerIds, registerValues, ... })
+ * @returns {Object|null} { meterType, value, registerIds, registerValues, serialNumber, readingDate, job }
+ */
+function readingFromJob(job) {
+  // Only a completed visit reads the meter; a no access outcome has nothing to record
+  if (!job || job.status !== 'completed' || !hasReg1Filled(job)) return null;
+  const meterType = METER_TYPES[job.jobType];
+  if (!meterType) return null;
+
+  const registerValues = (job.registerValues || []).map(toNumber).filter((value) => value !== null);
+  const fromMeterReadings = job.meterReadings ? toNumber(job.meterReadings[meterType]) : null;
+  const value = fromMeterReadings !== null ? fromMeterReadings : (registerValues[0] ?? null);
+  if (value === null) return null;
+
+  return {
+    meterType,
+    value,
+    registerIds: (job.registerIds || []).filter(Boolean),
+    registerValues,
+    serialNumber: job.meterSerialNumber || '',
+    readingDate: job.completedDate ? new Date(job.completedDate) : new Date(),
+    job: job._id,
+  };
+}
+
+/**
+ * Record a completed job's reading on its house: lastReading moves forward to the reading date
+ * and the meter type's latest value is replaced unless a newer reading is already held
+ * @param {Object} job - Completed job (house may be populated)
+ * @returns {Promise<Object|null>} The reading recorded, or null when there was none
+ */
+async function recordReading(job) {
+  const houseId = refId(job && job.house);
+  const reading = readingFromJob(job);
+  if (!houseId || !reading) return null;
+
+  const { meterType, ...fields } = reading;
+  const path = `lastReadings.${meterType}`;
+  await House.updateOne({ _id: houseId }, { $max: { lastReading: fields.readingDate } });
+  await House.updateOne(
+    {
+      _id: houseId,
+      $or: [{ [`${path}.readingDate`]: null }, { [`${path}.readingDate`]: { $lte: fields.readingDate } }],
+    },
+    { $set: { [path]: fields } }
+  );
+  return reading;
+}
+
+/**
+ * Latest reading date and per meter type values across several houses (used when merging)
+ * @param {Object[]} houses - Houses ({ lastReading, lastReadings })
+ * @returns {Object} { lastReading, lastReadings }
+ */
+function latestReadings(houses) {
+  const dates = houses.map((house) => house.lastReading).filter(Boolean).map((date) => new Date(date).getTime());
+  const lastReadings = {};
+  Object.values(METER_TYPES).forEach((meterType) => {
+    const newest = houses
+      .map((house) => house.lastReadings && house.lastReadings[meterType])
+      .filter((reading) => reading && reading.readingDate)
+      .sort((a, b) => new Date(b.readingDate) - new Date(a.readingDate))[0];
+    if (newest) {
+      lastReadings[meterType] = typeof newest.toObject === 'function' ? newest.toObject() : { ...newest };
+    }
+  });
+  return { lastReading: dates.length > 0 ? new Date(Math.max(...dates)) : null, lastReadings };
+}
+
+/**
+ * Status history of a job, with create/complete entries made up for jobs saved before
+ * transitions were recorded
+ */
+function statusEntries(job) {
+  if (Array.isArray(job.statusHistory) && job.statusHistory.length > 0) return job.statusHistory;
+
+  const entries = [{ event: 'create', from: null, to: 'pending', at: job.createdAt }];
+  if (job.completedDate && COMPLETED_STATUSES.includes(job.status)) {
+    entries.push({
+      event: job.status === 'no_access' ? 'no_access' : 'complete',
+      from: null,
+      to: job.status,
+      actor: job.assignedTo,
+      at: job.completedDate,
+    });
+  }
+  return entries;
+}
+
+/**
+ * Merge a property's jobs and meter readings into one timeline, oldest first. Readings come
+ * from the meter reading record where there is one and from the job otherwise; photos are
+ * listed once however many records carry them.
+ * @param {Object} params
+ * @param {Object[]} params.jobs - Jobs at the property
+ * @param {Object[]} params.readings - Meter readings at the property
+ * @param {string[]} params.types - Entry types to keep (default all of TIMELINE_TYPES)
+ * @returns {Object[]} [{ type, at, job, ... }]
+ */
+function buildTimeline({ jobs = [], readings = [], types = TIMELINE_TYPES }) {
+  const entries = [];
+  const jobRef = (job) => (job ? { _id: job._id, jobId: job.jobId, jobType: job.jobType } : null);
+  const jobsById = new Map(jobs.map((job) => [String(job._id), job]));
+  const jobsWithReadingRecord = new Set(readings.map((reading) => String(refId(reading.jobId))));
+
+  const photoUrls = new Set();
+  const addPhoto = (url, at, job, details = {}) => {
+    if (!url || photoUrls.has(url)) return;
+    photoUrls.add(url);
+    entries.push({ type: 'photo', at, job: jobRef(job), url, ...details });
+  };
+
+  jobs.forEach((job) => {
+    const history = statusEntries(job);
+    const finishedAt = job.completedDate || job.updatedAt;
+    const lastCompletion = history.map((entry) => entry.event).lastIndexOf('complete');
+
+    history.forEach((entry, index) => {
+      // The job's no access fields describe its latest completion only
+      const noAccess = entry.event === 'no_access' || (index === lastCompletion && job.validNoAccess);
+      if (noAccess) {
+        entries.push({
+          type: 'no_access',
+          at: entry.at,
+          job: jobRef(job),
+          reason: entry.reason || job.noAccessReason || job.customerRead || '',
+          customerRead: job.customerRead || '',
+          validNoAccess: Boolean(job.validNoAccess),
+          actor: entry.actor || null,
+        });
+        return;
+      }
+      entries.push({
+        type: 'status',
+        at: entry.at,
+        job: jobRef(job),
+        event: entry.event,
+        from: entry.from || null,
+        to: entry.to,
+        actor: entry.actor || null,
+        reason: entry.reason || '',
+      });
+    });
+
+    const reading = jobsWithReadingRecord.has(String(job._id)) ? null : readingFromJob(job);
+    if (reading) {
+      entries.push({
+        type: 'reading',
+        at: reading.readingDate,
+        job: jobRef(job),
+        source: 'job',
+        meterType: reading.meterType,
+        value: reading.value,
+        registerIds: reading.registerIds,
+        registerValues: reading.registerValues,
+        serialNumber: reading.serialNumber,
+        meterMake: job.meterMake || '',
+        meterModel: job.meterModel || '',
+        operative: job.assignedTo || null,
+      });
+    }
+
+    (job.meterPhotos || []).forEach((photo) => addPhoto(photo.photoUrl, photo.timestamp || finishedAt, job, {
+      meterType: photo.meterType,
+      serialNumber: photo.serialNumber || '',
+      reading: photo.reading ?? null,
+    }));
+    (job.photos || []).forEach((url) => addPhoto(url, finishedAt, job));
+
+    if (job.notes) {
+      entries.push({ type: 'note', at: job.completedDate || job.createdAt, job: jobRef(job), text: job.notes, author: job.assignedTo || null });
+    }
+  });
+
+  readings.forEach((reading) => {
+    const job = jobsById.get(String(refId(reading.jobId)));
+    const value = toNumber(reading.reg1);
+    if (value !== null) {
+      entries.push({
+        type: 'reading',
+        at: reading.readingDate,
+        job: jobRef(job) || { _id: refId(reading.jobId) },
+        source: 'meter_reading',
+        readingId: reading._id,
+        meterType: job ? METER_TYPES[job.jobType] : null,
+        value,
+        registerIds: reading.regID1 ? [reading.regID1] : [],
+        registerValues: [value],
+        serialNumber: '',
+        meterMake: reading.makeOfMeter || '',
+        meterModel: reading.model || '',
+        customerRead: reading.customerRead,
+        operative: reading.meterReader || null,
+      });
+    }
+    (reading.photos || []).forEach((url) => addPhoto(url, reading.readingDate, job));
+    if (reading.notes && (!job || reading.notes !== job.notes)) {
+      entries.push({ type: 'note', at: reading.readingDate, job: jobRef(job), text: reading.notes, author: reading.meterReader || null });
+    }
+  });
+
+  const time = (entry) => (entry.at ? new Date(entry.at).getTime() : 0);
+  return entries
+    .filter((entry) => types.includes(entry.type))
+    .map((entry) => ({ ...entry, at: entry.at ? new Date(entry.at) : null }))
+    .sort((a, b) => time(a) - time(b));
+}
+
+/**
+ * History of a house. A house that was merged into another answers with the survivor's history.
+ * @param {string} houseId - House ID
+ * @param {Object} options - { types } entry types to include
+ * @returns {Promise<Object|null>} { house, mergedFrom, lastReading, lastReadings, meters, summary, timeline },
+ *   or null when the house does not exist
+ */
+async function getHouseHistory(houseId, { types = TIMELINE_TYPES } = {}) {
+  let house = await House.findById(houseId).lean();
+  if (!house) return null;
+
+  let mergedFrom = null;
+  if (house.mergedInto) {
+    const survivor = await House.findById(house.mergedInto).lean();
+    if (survivor) {
+      mergedFrom = house._id;
+      house = survivor;
+    }
+  }
+
+  const jobs = await Job.find({ house: house._id })
+    .select('-locationHistory -geofence')
+    .populate('assignedTo', USER_FIELDS)
+    .populate('statusHistory.actor', `${USER_FIELDS} role`)
+    .sort({ createdAt: 1 })
+    .lean();
+  const readings = await MeterReading.find({ $or: [{ house: house._id }, { jobId: { $in: jobs.map((job) => job._id) } }] })
+    .populate('meterReader', USER_FIELDS)
+    .sort({ readingDate: 1 })
+    .lean();
+
+  const meters = await Meter.find({ house: house._id })
+    .select('meterType serialNumber make model registers installedAt removedAt removalReason isActive replaces replacedBy')
+    .sort({ installedAt: 1, createdAt: 1 })
+    .lean();
+
+  const timeline = buildTimeline({ jobs, readings, types });
+  const count = (type) => timeline.filter((entry) => entry.type === type).length;
+
+  return {
+    house,
+    mergedFrom,
+    lastReading: house.lastReading || null,
+    lastReadings: house.lastReadings || {},
+    meters,
+    summary: {
+      jobs: jobs.length,
+      readings: count('reading'),
+      noAccess: count('no_access'),
+      photos: count('photo'),
+      notes: count('note'),
+      firstActivity: timeline.length > 0 ? timeline[0].at : null,
+      lastActivity: timeline.length > 0 ? timeline[timeline.length - 1].at : null,
+    },
+    timeline,
+  };
+}
+
+module.exports = {
+  TIMELINE_TYPES,
+  readingFromJob,
+  recordReading,
+  latestReadings,
+  buildTimeline,
+  getHouseHistory,
+};
@@ -0,0 +1,315 @@
+/**
+ * House Linking
+ *
+ * Links jobs to the House record of their property, creating the house the first time an
+ * address is seen, reports houses that look like the same property and merges them. Matching
+ * uses the normalised address key from utils/addressMatching.js.
+ */
+
+const mongoose = require('mongoose');
+const House = require('../models/house.model');
+const Job = require('../models/job.model');
+const MeterReading = require('../models/meterReading.model');
+const Meter = require('../models/meter.model');
+const ReadingCycle = require('../models/readingCycle.model');
+const addressMatching = require('./addressMatching');
+const houseHistory = require('./houseHistory');
+const { isValidCoordinate } = require('./businessLogic');
+
+const METER_TYPES = { electricity: 'electric', gas: 'gas', water: 'water' };
+
+/**
+ * Error raised for invalid merge requests
+ */
+class HouseError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'HouseError';
+    this.statusCode = statusCode;
+  }
+
+  toJSON() {
+    return { message: this.message };
+  }
+}
+
+const text = (value) => (value === undefined || value === null ? '' : value.toString().trim());
+
+/**
+ * House fields for a job address
+ * @param {Object} address - Job address { street, city, state, postcode, latitude, longitude }
+ * @param {string} jobType - Job type, used as the house's meter type
+ * @returns {Object} House fields
+ */
+function houseFromAddress(address, jobType) {
+  const house = {
+    address: text(address.street),
+    postcode: addressMatching.formatPostcode(address.postcode),
+    city: text(address.city),
+    county: text(address.state) || text(address.city),
+    meterType: METER_TYPES[jobType] || 'all',
+    addressKey: addressMatching.houseKey(address),
+  };
+  if (isValidCoordinate(address.latitude, address.longitude)) {
+    house.latitude = address.latitude;
+    house.longitude = address.longitude;
+  }
+  return house;
+}
+
+/**
+ * Set `house` on jobs that have none, finding the house by address or creating it. Houses
+ * found without coordinates take them from the job.
+ * @param {Object[]} jobs - Plain job data ({ address, jobType, house }), updated in place
+ * @returns {Promise<Object>} { linked, created } counts
+ */
+async function linkJobsToHouses(jobs) {
+  const unlinked = jobs.filter((job) => !job.house && job.address && addressMatching.houseKey(job.address));
+  if (unlinked.length === 0) return { linked: 0, created: 0 };
+
+  const firstByKey = new Map();
+  unlinked.forEach((job) => {
+    const key = addressMatching.houseKey(job.address);
+    if (!firstByKey.has(key)) firstByKey.set(key, job);
+  });
+
+  const houses = await House.find({ addressKey: { $in: [...firstByKey.keys()] }, mergedInto: null })
+    .select('_id addressKey latitude longitude')
+    .sort({ createdAt: 1 })
+    .lean();
+  const houseByKey = new Map();
+  houses.forEach((house) => {
+    if (!houseByKey.has(house.addressKey)) houseByKey.set(house.addressKey, house);
+  });
+
+  const missing = [...firstByKey.entries()].filter(([key]) => !houseByKey.has(key));
+  if (missing.length > 0) {
+    const created = await House.insertMany(missing.map(([, job]) => houseFromAddress(job.address, job.jobType)));
+    created.forEach((house) => houseByKey.set(house.addressKey, house));
+  }
+
+  // Houses created before coordinates were known pick them up from the first located job
+  const placed = [...houseByKey.values()]
+    .filter((house) => !isValidCoordinate(house.latitude, house.longitude))
+    .map((house) => [house, firstByKey.get(house.addressKey).address])
+    .filter(([, address]) => isValidCoordinate(address.latitude, address.longitude));
+  if (placed.length > 0) {
+    await House.bulkWrite(placed.map(([house, address]) => ({
+      updateOne: {
+        filter: { _id: house._id },
+        update: { $set: { latitude: address.latitude, longitude: address.longitude } },
+      },
+    })));
+  }
+
+  unlinked.forEach((job) => {
+    job.house = houseByKey.get(addressMatching.houseKey(job.address))._id;
+  });
+  return { linked: unlinked.length, created: missing.length };
+}
+
+/**
+ * Link existing jobs that have no house, and their readings, oldest first. Completed jobs'
+ * readings are recorded on the house.
+ * @param {Object} options - { limit } jobs per call
+ * @returns {Promise<Object>} { linked, created, readings, remaining }
+ */
+async function linkUnlinkedJobs({ limit = 500 } = {}) {
+  const jobs = await Job.find({ house: null })
+    .select('_id jobType address house status completedDate meterReadings registerIds registerValues meterSerialNumber')
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const result = await linkJobsToHouses(jobs);
+  const linkedJobs = jobs.filter((job) => job.house);
+  let readings = 0;
+  if (linkedJobs.length > 0) {
+    await Job.bulkWrite(linkedJobs.map((job) => ({
+      updateOne: { filter: { _id: job._id, house: null }, update: { $set: { house: job.house } } },
+    })));
+    const readingResult = await MeterReading.bulkWrite(linkedJobs.map((job) => ({
+      updateMany: { filter: { jobId: job._id, house: null }, update: { $set: { house: job.house } } },
+    })));
+    readings = readingResult.modifiedCount || 0;
+
+    // Readings taken before the job had a house count towards its latest readings
+    for (const job of linkedJobs) {
+      await houseHistory.recordReading(job);
+    }
+  }
+
+  const remaining = await Job.countDocuments({ house: null });
+  return { ...result, readings, remaining };
+}
+
+/**
+ * Groups of houses that look like the same property, with how many jobs each has
+ * @param {Object} filters - { postcode } to limit the report to postcodes starting with it
+ * @returns {Promise<Object[]>} [{ houses: [house + jobCount], reasons, suggestedSurvivor }]
+ */
+async function duplicateReport({ postcode } = {}) {
+  const query = { mergedInto: null };
+  if (postcode) {
+    const prefix = addressMatching.normalisePostcode(postcode);
+    query.postcode = { $regex: `^${prefix.split('').join('\\s*')}`, $options: 'i' };
+  }
+  const houses = await House.find(query).lean();
+  const groups = addressMatching.findDuplicateHouses(houses);
+  if (groups.length === 0) return [];
+
+  const ids = groups.flatMap((group) => group.houses.map((house) => house._id));
+  const counts = await Job.aggregate([
+    { $match: { house: { $in: ids } } },
+    { $group: { _id: '$house', count: { $sum: 1 } } },
+  ]);
+  const jobCount = new Map(counts.map((count) => [count._id.toString(), count.count]));
+
+  return groups.map((group) => {
+    const withCounts = group.houses.map((house) => ({ ...house, jobCount: jobCount.get(house._id.toString()) || 0 }));
+    // Keep the house with the most history; the oldest when tied
+    const survivor = [...withCounts].sort((a, b) => b.jobCount - a.jobCount || a.createdAt - b.createdAt)[0];
+    return { houses: withCounts, reasons: group.reasons, suggestedSurvivor: survivor._id };
+  });
+}
+
+/**
+ * Retire the duplicates' copies of meters already installed at the survivor (or at another
+ * duplicate), so moving the meters cannot install one serial twice at the survivor. Jobs,
+ * readings, cycles and exchange links on a retired copy move to the meter that is kept.
+ * @param {string} survivorId - House to keep
+ * @param {string[]} ids - Houses being merged into it
+ * @returns {Promise<number>} Number of meters retired
+ */
+async function retireCollidingMeters(survivorId, ids) {
+  const installed = await Meter.find({ house: { $in: [survivorId, ...ids] }, isActive: true })
+    .select('house meterType serialNumber createdAt')
+    .lean();
+
+  // The survivor's meter is kept; between duplicates, the oldest
+  const atSurvivor = (meter) => (meter.house.toString() === String(survivorId) ? 1 : 0);
+  const ordered = [...installed].sort((a, b) => atSurvivor(b) - atSurvivor(a) || a.createdAt - b.createdAt);
+  const kept = new Map();
+  const retired = [];
+  ordered.forEach((meter) => {
+    const key = `${meter.meterType}|${meter.serialNumber}`;
+    if (kept.has(key)) {
+      retired.push({ from: meter._id, to: kept.get(key) });
+    } else {
+      kept.set(key, meter._id);
+    }
+  });
+
+  const now = new Date();
+  for (const { from, to } of retired) {
+    await Meter.updateOne(
+      { _id: from },
+      { $set: { isActive: false, removedAt: now, removalReason: `Duplicate of meter ${to} (houses merged)` } }
+    );
+    await Job.updateMany({ meter: from }, { $set: { meter: to } });
+    await MeterReading.updateMany({ meter: from }, { $set: { meter: to } });
+    await ReadingCycle.updateMany({ meter: from }, { $set: { meter: to } });
+    await Meter.updateMany({ replaces: from }, { $set: { replaces: to } });
+    await Meter.updateMany({ replacedBy: from }, { $set: { replacedBy: to } });
+  }
+  return retired.length;
+}
+
+/**
+ * Merge duplicate houses into one: jobs, readings, meters (installed and removed) and reading
+ * cycles are repointed to the survivor, which keeps its own details and takes coordinates and the latest
+ * readings from the others. A serial installed at more than one of the houses is kept once. Merged houses are kept (inactive, with mergedInto set) so old
+ * references can be followed.
+ * @param {string} survivorId - House to keep
+ * @param {string[]} duplicateIds - Houses to merge into it
+ * @param {Object} user - Admin merging
+ * @returns {Promise<Object>} { survivor, merged, jobsMoved, readingsMoved, metersMoved, metersRetired, cyclesMoved }
+ * @throws {HouseError} When a house is missing, already merged or listed twice
+ */
+async function mergeHouses(survivorId, duplicateIds, user) {
+  const ids = [...new Set((duplicateIds || []).map(String))];
+  if (ids.length === 0) {
+    throw new HouseError('At least one house to merge is required');
+  }
+  if ([survivorId, ...ids].some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new HouseError('Invalid house ID');
+  }
+  if (ids.includes(String(survivorId))) {
+    throw new HouseError('A house cannot be merged into itself');
+  }
+
+  const houses = await House.find({ _id: { $in: [survivorId, ...ids] } });
+  const survivor = houses.find((house) => house._id.toString() === String(survivorId));
+  const duplicates = houses.filter((house) => ids.includes(house._id.toString()));
+  if (!survivor || duplicates.length !== ids.length) {
+    throw new HouseError('House not found', 404);
+  }
+  const alreadyMerged = [survivor, ...duplicates].find((house) => house.mergedInto);
+  if (alreadyMerged) {
+    throw new HouseError(`House ${alreadyMerged._id} has already been merged into another house`, 409);
+  }
+
+  const metersRetired = await retireCollidingMeters(survivor._id, ids);
+
+  // Readings saved before houses were linked have no house, so they are also found by job
+  const movedJobIds = await Job.find({ house: { $in: ids } }).distinct('_id');
+  const jobs = await Job.updateMany({ house: { $in: ids } }, { $set: { house: survivor._id } });
+  const readings = await MeterReading.updateMany(
+    { $or: [{ house: { $in: ids } }, { jobId: { $in: movedJobIds } }] },
+    { $set: { house: survivor._id } }
+  );
+  // Otherwise the survivor has no meters and its serials stay "installed" at the retired house
+  const meters = await Meter.updateMany({ house: { $in: ids } }, { $set: { house: survivor._id } });
+  // Cycles left on a retired house would be skipped by the scheduler from now on
+  const cycles = await ReadingCycle.updateMany({ house: { $in: ids } }, { $set: { house: survivor._id } });
+  await House.updateMany({ mergedInto: { $in: ids } }, { $set: { mergedInto: survivor._id } });
+
+  if (!isValidCoordinate(survivor.latitude, survivor.longitude)) {
+    const located = duplicates.find((house) => isValidCoordinate(house.latitude, house.longitude));
+    if (located) {
+      survivor.latitude = located.latitude;
+      survivor.longitude = located.longitude;
+    }
+  }
+  const { lastReading, lastReadings } = houseHistory.latestReadings([survivor, ...duplicates]);
+  if (lastReading) {
+    survivor.lastReading = lastReading;
+  }
+  Object.entries(lastReadings).forEach(([meterType, reading]) => {
+    survivor.set(`lastReadings.${meterType}`, reading);
+  });
+  if (duplicates.some((house) => house.meterType !== survivor.meterType)) {
+    survivor.meterType = 'all';
+  }
+  const extraNotes = duplicates.map((house) => text(house.notes)).filter((note) => note && !text(survivor.notes).includes(note));
+  if (extraNotes.length > 0) {
+    survivor.notes = [text(survivor.notes), ...extraNotes].filter(Boolean).join('\n');
+  }
+  survivor.isActive = true;
+  await survivor.save();
+
+  const now = new Date();
+  await House.updateMany(
+    { _id: { $in: ids } },
+    { $set: { mergedInto: survivor._id, mergedAt: now, mergedBy: user ? user._id : undefined, isActive: false } }
+  );
+
+  return {
+    survivor,
+    merged: ids.length,
+    jobsMoved: jobs.modifiedCount || 0,
+    readingsMoved: readings.modifiedCount || 0,
+    metersMoved: meters.modifiedCount || 0,
+    metersRetired,
+    cyclesMoved: cycles.modifiedCount || 0,
+  };
+}
+
+module.exports = {
+  HouseError,
+  houseFromAddress,
+  linkJobsToHouses,
+  linkUnlinkedJobs,
+  duplicateReport,
+  mergeHouses,
+};
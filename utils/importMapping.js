@@ -0,0 +1,296 @@
+/**
+ * Import Mapping
+ *
+ * Turns spreadsheet rows into job fields using a column-mapping template: each column of the
+ * template names a source header, the job field it fills and an optional transform. Several
+ * columns may fill the same field; the first one with a value wins. Headers are matched
+ * ignoring case, spaces and punctuation. Templates are stored in ImportTemplate; the built-in
+ * DEFAULT_TEMPLATE covers the layout the importer has always accepted.
+ */
+
+const XLSX = require('xlsx');
+const businessTime = require('./businessTime');
+
+const TARGET_FIELDS = [
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.postcode',
+  'jobType',
+  'priority',
+  'scheduledDate',
+  'sup',
+  'jt',
+  'cust',
+  'meterMake',
+  'meterModel',
+  'meterSerialNumber',
+  'notes',
+];
+const REQUIRED_FIELDS = ['address.street', 'address.city', 'address.state'];
+const TRANSFORMS = ['none', 'uppercase', 'lowercase', 'postcode', 'date'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'DD/MM/YY', 'YYYYMMDD'];
+const DETECTION_THRESHOLD = 0.5; // Share of a template's fields the headers must cover to be auto-selected
+
+const column = (source, field, transform = 'none') => ({ source, field, transform });
+
+const DEFAULT_TEMPLATE = Object.freeze({
+  name: 'default',
+  description: 'Built-in layout: street, city, state, postcode, jobType, sup, jt, cust, meter details, notes',
+  columns: [
+    ...['street', 'address'].map((source) => column(source, 'address.street')),
+    column('city', 'address.city'),
+    column('state', 'address.state'),
+    ...['postcode', 'zipCode', 'Zip Code'].map((source) => column(source, 'address.postcode')),
+    ...['jobType', 'type'].map((source) => column(source, 'jobType', 'lowercase')),
+    column('priority', 'priority', 'lowercase'),
+    column('scheduledDate', 'scheduledDate', 'date'),
+    ...['sup', 'supplier'].map((source) => column(source, 'sup')),
+    ...['jt', 'Job Title'].map((source) => column(source, 'jt')),
+    ...['cust', 'customer'].map((source) => column(source, 'cust')),
+    ...['meterMake', 'make'].map((source) => column(source, 'meterMake')),
+    ...['meterModel', 'model'].map((source) => column(source, 'meterModel')),
+    ...['meterSerialNumber', 'serialNumber'].map((source) => column(source, 'meterSerialNumber')),
+    column('notes', 'notes'),
+  ],
+  defaults: { jobType: 'electricity', priority: 'medium' },
+});
+
+/**
+ * Error raised for an invalid template
+ */
+class MappingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MappingError';
+    this.statusCode = statusCode;
+  }
+}
+
+const text = (value) => (value === undefined || value === null ? '' : value.toString().trim());
+
+/**
+ * Header key used for matching: lower case letters and digits only ('Zip Code' -> 'zipcode')
+ * @param {string} header - Column header
+ * @returns {string} Key
+ */
+function normaliseHeader(header) {
+  return text(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Format a UK postcode: upper case with one space before the inward code ('sw1a1aa' -> 'SW1A 1AA')
+ * @param {string} value - Postcode
+ * @returns {string} Formatted postcode
+ */
+function formatPostcode(value) {
+  const compact = text(value).toUpperCase().replace(/\s+/g, '');
+  return compact.length > 4 ? `${compact.slice(0, -3)} ${compact.slice(-3)}` : compact;
+}
+
+/**
+ * Read a date: a Date, an Excel serial number, or text in the given format
+ * (without a format, YYYY-MM-DD or ISO text). Days without a time are the start of the business day.
+ * @param {*} value - Cell value
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {Date|null} Date, or null when empty; an invalid Date when unreadable
+ */
+function parseDate(value, format) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'number' && !(format === 'YYYYMMDD' && value > 19000000)) {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? businessTime.zonedDate(parsed.y, parsed.m, parsed.d) : new Date(NaN);
+  }
+
+  const dateText = text(value);
+  if (!format || format === 'YYYY-MM-DD') {
+    return dateText.includes('T') ? new Date(dateText) : businessTime.fromDayKey(dateText);
+  }
+
+  // Build a pattern from the format, e.g. DD/MM/YYYY -> (\d{1,2})/(\d{1,2})/(\d{4})
+  const tokens = [];
+  const pattern = format.replace(/YYYY|YY|MM|DD|[.*+?^${}()|[\]\\/]/g, (token) => {
+    if (['YYYY', 'YY', 'MM', 'DD'].includes(token)) {
+      tokens.push(token);
+      if (token === 'YYYY') return '(\\d{4})';
+      return format.includes('/') || format.includes('-') || format.includes('.') ? '(\\d{1,2})' : '(\\d{2})';
+    }
+    return `\\${token}`;
+  });
+  const match = dateText.match(new RegExp(`^${pattern}$`));
+  if (!match) return new Date(NaN);
+
+  const parts = {};
+  tokens.forEach((token, index) => { parts[token] = Number(match[index + 1]); });
+  const year = parts.YYYY || (parts.YY !== undefined ? 2000 + parts.YY : NaN);
+  const date = businessTime.zonedDate(year, parts.MM, parts.DD);
+  if (isNaN(date.getTime())) return date;
+  // Reject dates that rolled over (e.g. 31/02)
+  const day = businessTime.parts(date);
+  if (day.month !== parts.MM || day.day !== parts.DD) return new Date(NaN);
+  return date;
+}
+
+/**
+ * Apply a column transform to a cell
+ * @param {*} value - Cell value
+ * @param {Object} mapping - Template column ({ transform, dateFormat })
+ * @returns {*} Transformed value
+ */
+function transformValue(value, mapping) {
+  switch (mapping.transform) {
+    case 'uppercase':
+      return text(value).toUpperCase();
+    case 'lowercase':
+      return text(value).toLowerCase();
+    case 'postcode':
+      return formatPostcode(value);
+    case 'date':
+      return parseDate(value, mapping.dateFormat);
+    default:
+      return mapping.field === 'scheduledDate' ? parseDate(value) : text(value);
+  }
+}
+
+/**
+ * Build job fields from a spreadsheet row with a template
+ * @param {Object} row - Row keyed by header
+ * @param {Object} template - { columns, defaults }
+ * @param {Object} uploadDefaults - { priority, scheduledDate } chosen at upload (used when the row is blank)
+ * @returns {Object} Job fields: { jobType, address: { street, city, state, postcode, country }, priority, ... }
+ */
+function applyTemplate(row, template = DEFAULT_TEMPLATE, uploadDefaults = {}) {
+  const cells = new Map(Object.entries(row).map(([header, value]) => [normaliseHeader(header), value]));
+  const values = {};
+
+  (template.columns || []).forEach((mapping) => {
+    if (values[mapping.field] !== undefined) return;
+    const value = cells.get(normaliseHeader(mapping.source));
+    if (text(value) === '') return;
+    values[mapping.field] = transformValue(value, mapping);
+  });
+
+  const templateDefaults = template.defaults || {};
+  const pick = (field) => (values[field] === undefined ? '' : values[field]);
+
+  return {
+    jobType: text(values.jobType || templateDefaults.jobType || 'electricity').toLowerCase(),
+    address: {
+      street: pick('address.street'),
+      city: pick('address.city'),
+      state: pick('address.state'),
+      postcode: pick('address.postcode'),
+      country: 'USA',
+    },
+    priority: text(values.priority || uploadDefaults.priority || templateDefaults.priority || 'medium').toLowerCase(),
+    scheduledDate: values.scheduledDate || uploadDefaults.scheduledDate || null,
+    sup: pick('sup'),
+    jt: pick('jt'),
+    cust: pick('cust'),
+    meterMake: pick('meterMake'),
+    meterModel: pick('meterModel'),
+    meterSerialNumber: pick('meterSerialNumber'),
+    notes: pick('notes'),
+  };
+}
+
+/**
+ * Score how well a header row fits a template
+ * @param {string[]} headers - Header row
+ * @param {Object} template - Template
+ * @returns {Object} { score (0-1), matchedColumns, missingRequired: [field] }
+ */
+function scoreTemplate(headers, template) {
+  const available = new Set(headers.map(normaliseHeader));
+  const fields = new Set(template.columns.map((mapping) => mapping.field));
+  const covered = new Set();
+  let matchedColumns = 0;
+
+  template.columns.forEach((mapping) => {
+    if (available.has(normaliseHeader(mapping.source))) {
+      covered.add(mapping.field);
+      matchedColumns++;
+    }
+  });
+
+  const missingRequired = REQUIRED_FIELDS.filter((field) => !covered.has(field));
+  return {
+    score: fields.size === 0 || missingRequired.length > 0 ? 0 : covered.size / fields.size,
+    matchedColumns,
+    missingRequired,
+  };
+}
+
+/**
+ * Pick the template that fits a header row best. The built-in default is used when no
+ * stored template covers enough of its fields.
+ * @param {string[]} headers - Header row
+ * @param {Object[]} templates - Stored templates
+ * @returns {Object} { template, score, detected (false when falling back to the default), candidates }
+ */
+function detectTemplate(headers, templates = []) {
+  const candidates = templates
+    .map((template) => ({ template, ...scoreTemplate(headers, template) }))
+    .sort((a, b) => b.score - a.score || b.matchedColumns - a.matchedColumns);
+  const best = candidates[0];
+
+  if (best && best.score >= DETECTION_THRESHOLD) {
+    return { template: best.template, score: best.score, detected: true, candidates };
+  }
+  return { template: DEFAULT_TEMPLATE, score: scoreTemplate(headers, DEFAULT_TEMPLATE).score, detected: false, candidates };
+}
+
+/**
+ * Check a template's columns and defaults
+ * @param {Object} template - { columns, defaults }
+ * @throws {MappingError} When a column or default is invalid
+ */
+function validateTemplate(template) {
+  const columns = template.columns || [];
+  if (columns.length === 0) {
+    throw new MappingError('A template needs at least one column');
+  }
+  columns.forEach((mapping, index) => {
+    const where = `Column ${index + 1}`;
+    if (!text(mapping.source)) throw new MappingError(`${where}: source column name is required`);
+    if (!TARGET_FIELDS.includes(mapping.field)) {
+      throw new MappingError(`${where}: unknown job field "${mapping.field}"`);
+    }
+    if (mapping.transform && !TRANSFORMS.includes(mapping.transform)) {
+      throw new MappingError(`${where}: unknown transform "${mapping.transform}"`);
+    }
+    if (mapping.dateFormat && !DATE_FORMATS.includes(mapping.dateFormat)) {
+      throw new MappingError(`${where}: unsupported date format "${mapping.dateFormat}"`);
+    }
+  });
+
+  const mapped = new Set(columns.map((mapping) => mapping.field));
+  const missing = REQUIRED_FIELDS.filter((field) => !mapped.has(field));
+  if (missing.length > 0) {
+    throw new MappingError(`Template must map ${missing.join(', ')}`);
+  }
+
+  const defaults = template.defaults || {};
+  if (defaults.jobType && !['electricity', 'gas', 'water'].includes(defaults.jobType)) {
+    throw new MappingError('Default job type must be electricity, gas or water');
+  }
+  if (defaults.priority && !['low', 'medium', 'high'].includes(defaults.priority)) {
+    throw new MappingError('Default priority must be low, medium or high');
+  }
+}
+
+module.exports = {
+  TARGET_FIELDS,
+  TRANSFORMS,
+  DATE_FORMATS,
+  DEFAULT_TEMPLATE,
+  MappingError,
+  normaliseHeader,
+  formatPostcode,
+  parseDate,
+  applyTemplate,
+  scoreTemplate,
+  detectTemplate,
+  validateTemplate,
+};
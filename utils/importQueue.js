@@ -0,0 +1,191 @@
+/**
+ * Import Queue
+ *
+ * Runs spreadsheet imports in the background so uploads return straight away. Imports are
+ * processed one at a time (they share the geocoder's rate limit) and their state lives in
+ * ImportBatch, so imports that were queued or part-way through when the server stopped are
+ * picked up again on start. Progress, per-row results and failures are sent to the uploading
+ * admin's socket room as 'importUpdate' events.
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/job.model');
+const User = require('../models/user.model');
+const ImportBatch = require('../models/importBatch.model');
+const jobImport = require('./jobImport');
+
+const queue = [];
+let current = null;
+let draining = null;
+
+/**
+ * Progress numbers for a batch
+ * @param {Object} batch - ImportBatch
+ * @returns {Object} { processed, total, percent }
+ */
+function progressOf(batch) {
+  const { processed = 0, total = 0 } = batch.progress || {};
+  return { processed, total, percent: total > 0 ? Math.round((processed / total) * 100) : 100 };
+}
+
+/**
+ * Send an import event to the admin who uploaded it
+ * @param {Object} batch - ImportBatch
+ * @param {string} type - 'progress' | 'completed' | 'committed' | 'failed'
+ * @param {Object} extra - Additional payload
+ */
+function emitImportUpdate(batch, type, extra = {}) {
+  if (!global.io) return;
+  global.io.to(`user_${batch.uploadedBy}`).emit('importUpdate', {
+    type,
+    importId: batch._id,
+    status: batch.status,
+    progress: progressOf(batch),
+    summary: batch.summary,
+    timestamp: new Date(),
+    ...extra,
+  });
+}
+
+/**
+ * Create the jobs of an import uploaded with autoCommit, leaving out rows with errors
+ * @param {Object} batch - ImportBatch (pending review)
+ */
+async function autoCommit(batch) {
+  const skippedRows = batch.rows
+    .filter((row) => row.status === 'error')
+    .map((row) => ({ rowNumber: row.rowNumber, issues: row.issues }));
+  batch.rows.forEach((row) => {
+    if (row.status === 'error') row.status = 'dropped';
+  });
+
+  try {
+    const uploader = await User.findById(batch.uploadedBy);
+    const result = await jobImport.commitBatch(batch, uploader || { _id: batch.uploadedBy });
+    const jobs = await Job.find({ _id: { $in: result.jobs.map((job) => job._id) } })
+      .populate('assignedTo', 'firstName lastName username employeeId department');
+    jobImport.notifyJobsCreated(jobs);
+    emitImportUpdate(batch, 'committed', { count: jobs.length, allocation: result.allocation, skippedRows });
+  } catch (error) {
+    // The import stays ready for review so the admin can sort it out and commit by hand
+    const known = error instanceof jobImport.ImportError;
+    if (!known) console.error(`Import ${batch._id} auto-commit error:`, error);
+    emitImportUpdate(batch, 'completed', { commitError: known ? error.toJSON() : { message: error.message }, skippedRows });
+  }
+}
+
+/**
+ * Process one import, recording a failure on the batch instead of throwing
+ * @param {string} batchId - ImportBatch ID
+ * @param {Object} options - Passed to jobImport.processBatch (geocode)
+ */
+async function runImport(batchId, options = {}) {
+  const batch = await ImportBatch.findById(batchId);
+  if (!batch || !['queued', 'processing'].includes(batch.status)) return;
+
+  try {
+    await jobImport.processBatch(batch, {
+      ...options,
+      onProgress: (updated, row) => emitImportUpdate(updated, 'progress', {
+        row: { rowNumber: row.rowNumber, status: row.status, geocode: row.geocode.status, issues: row.issues },
+      }),
+    });
+
+    if (batch.options.autoCommit) {
+      await autoCommit(batch);
+    } else {
+      emitImportUpdate(batch, 'completed');
+    }
+  } catch (error) {
+    console.error(`Import ${batchId} processing error:`, error);
+    await ImportBatch.updateOne(
+      { _id: batchId, status: { $in: ['queued', 'processing'] } },
+      { status: 'failed', 'progress.error': error.message, 'progress.finishedAt': new Date() }
+    );
+    emitImportUpdate({ ...batch.toObject(), status: 'failed' }, 'failed', { error: error.message });
+  }
+}
+
+/**
+ * Work through the queue until it is empty
+ * @param {Object} options - Passed to runImport
+ */
+async function drain(options) {
+  while (queue.length > 0) {
+    current = queue.shift();
+    try {
+      await runImport(current, options);
+    } catch (error) {
+      // runImport records its own failures; this is the database failing underneath it. The
+      // import is left as it is (picked up again on restart) and the queue carries on.
+      console.error(`Import ${current} queue error:`, error);
+    }
+  }
+  current = null;
+}
+
+/**
+ * Add an import to the queue and start processing if idle
+ * @param {string} batchId - ImportBatch ID
+ * @param {Object} options - Passed to jobImport.processBatch (geocode)
+ * @returns {Promise} Resolves when the queue is empty
+ */
+function enqueue(batchId, options = {}) {
+  const id = String(batchId);
+  if (id !== current && !queue.includes(id)) {
+    queue.push(id);
+  }
+  if (!draining) {
+    draining = drain(options)
+      .catch((error) => console.error('Import queue error:', error))
+      .finally(() => { draining = null; });
+  }
+  return draining;
+}
+
+/**
+ * Position of an import in the queue
+ * @param {string} batchId - ImportBatch ID
+ * @returns {number|null} 0 while processing, 1.. while waiting, null when not queued
+ */
+function queuePosition(batchId) {
+  const id = String(batchId);
+  if (id === current) return 0;
+  const index = queue.indexOf(id);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Queue every import that was waiting or part-way through, oldest first
+ * @returns {Promise<number>} Number of imports queued
+ */
+async function resumePending() {
+  const batches = await ImportBatch.find({ status: { $in: ['queued', 'processing'] } })
+    .select('_id')
+    .sort({ createdAt: 1 });
+  batches.forEach((batch) => enqueue(batch._id));
+  if (batches.length > 0) {
+    console.log(`Resuming ${batches.length} spreadsheet import(s)`);
+  }
+  return batches.length;
+}
+
+/**
+ * Resume pending imports once the database is connected
+ */
+function start() {
+  const resume = () => resumePending().catch((error) => console.error('Resume imports error:', error));
+  if (mongoose.connection.readyState === 1) {
+    resume();
+  } else {
+    mongoose.connection.once('connected', resume);
+  }
+}
+
+module.exports = {
+  enqueue,
+  queuePosition,
+  resumePending,
+  runImport,
+  start,
+};
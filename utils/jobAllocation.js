@@ -0,0 +1,249 @@
+/**
+ * Job Allocation
+ *
+ * Splits a batch of jobs across several operatives. Jobs are clustered geographically with a
+ * capacity-limited k-means (seeded at the operatives' homes where known), each cluster is given
+ * to an operative, and jobs are then moved between operatives to even out the estimated working
+ * day (travel plus time on site, from utils/routePlanner.js) while keeping job counts close.
+ * Jobs without coordinates are shared out by count at the end.
+ */
+
+const { calculateDistance } = require('./businessLogic');
+const routePlanner = require('./routePlanner');
+
+const ALLOCATION_DEFAULTS = Object.freeze({
+  maxIterations: 20, // k-means passes
+  maxMoves: 100, // Rebalancing moves between operatives
+  countTolerance: 0.15, // An operative may take this fraction more than an even share of jobs
+  candidateMoves: 5, // Jobs tried per rebalancing step (the heaviest operative's nearest to the lightest)
+  estimateEvaluations: 5000, // Route-planner budget for each workload estimate
+});
+
+const distanceBetween = (a, b) => calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+
+/**
+ * Average point of a set of points
+ * @param {Object[]} points - { latitude, longitude }
+ * @returns {Object|null} { latitude, longitude }
+ */
+function centroid(points) {
+  if (points.length === 0) return null;
+  return {
+    latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+    longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length,
+  };
+}
+
+/**
+ * Pick k spread-out seed points: the first job, then repeatedly the job farthest from every seed
+ * @param {Object[]} points - Job points
+ * @param {number} k - Number of seeds
+ * @returns {Object[]} Seeds
+ */
+function farthestPointSeeds(points, k) {
+  const seeds = [points[0]];
+  while (seeds.length < k) {
+    let farthest = null;
+    let farthestDistance = -1;
+    points.forEach((point) => {
+      const nearestSeed = Math.min(...seeds.map((seed) => distanceBetween(seed, point)));
+      if (nearestSeed > farthestDistance) {
+        farthest = point;
+        farthestDistance = nearestSeed;
+      }
+    });
+    seeds.push(farthest);
+  }
+  return seeds;
+}
+
+/**
+ * Assign points to the nearest centre without exceeding a capacity per centre.
+ * Closest point/centre pairs are settled first.
+ * @param {Object[]} points - Job points
+ * @param {Object[]} centres - Cluster centres
+ * @param {number} capacity - Most points per centre
+ * @returns {number[]} Cluster index for each point
+ */
+function assignWithCapacity(points, centres, capacity) {
+  const pairs = [];
+  points.forEach((point, pointIndex) => {
+    centres.forEach((centre, centreIndex) => {
+      pairs.push({ pointIndex, centreIndex, distance: distanceBetween(point, centre) });
+    });
+  });
+  pairs.sort((a, b) => a.distance - b.distance || a.pointIndex - b.pointIndex || a.centreIndex - b.centreIndex);
+
+  const assignment = new Array(points.length).fill(-1);
+  const sizes = new Array(centres.length).fill(0);
+  pairs.forEach(({ pointIndex, centreIndex }) => {
+    if (assignment[pointIndex] === -1 && sizes[centreIndex] < capacity) {
+      assignment[pointIndex] = centreIndex;
+      sizes[centreIndex]++;
+    }
+  });
+  return assignment;
+}
+
+/**
+ * Cluster points into k groups of similar size
+ * @param {Object[]} points - Job points
+ * @param {Object[]} seeds - Initial centres (k of them)
+ * @param {Object} options - { maxIterations }
+ * @returns {number[]} Cluster index for each point
+ */
+function balancedClusters(points, seeds, options) {
+  const capacity = Math.ceil(points.length / seeds.length);
+  let centres = seeds;
+  let assignment = assignWithCapacity(points, centres, capacity);
+
+  for (let iteration = 1; iteration < options.maxIterations; iteration++) {
+    centres = centres.map((centre, index) => (
+      centroid(points.filter((point, pointIndex) => assignment[pointIndex] === index)) || centre
+    ));
+    const next = assignWithCapacity(points, centres, capacity);
+    const changed = next.some((cluster, index) => cluster !== assignment[index]);
+    assignment = next;
+    if (!changed) break;
+  }
+  return assignment;
+}
+
+/**
+ * Estimate an operative's day for a set of jobs
+ * @param {Object[]} jobs - Jobs
+ * @param {Object} operative - User (homeLocation is the route start)
+ * @param {Object} options - Routing options
+ * @returns {Object} { miles, minutes }
+ */
+function estimateWorkload(jobs, operative, options) {
+  if (jobs.length === 0) return { miles: 0, minutes: 0 };
+  const plan = routePlanner.planRoute(jobs, {
+    ...options.routing,
+    start: operative.homeLocation,
+    departAt: options.departAt,
+    maxEvaluations: options.estimateEvaluations,
+  });
+  return { miles: plan.totalMiles, minutes: plan.totalMinutes };
+}
+
+/**
+ * Allocate jobs across operatives
+ * @param {Object[]} jobs - Jobs to allocate (documents, plain objects or import rows)
+ * @param {Object[]} operatives - Users with _id and optional homeLocation
+ * @param {Object} options - ALLOCATION_DEFAULTS overrides, plus routing (the 'routing' setting) and departAt
+ * @returns {Object[]} One entry per operative, in the order given: { operative, jobs, estimatedMiles, estimatedMinutes }
+ */
+function allocateJobs(jobs, operatives, options = {}) {
+  const config = { ...ALLOCATION_DEFAULTS, ...options };
+  const serviceMinutes = (config.routing && config.routing.serviceMinutes) || 0;
+  const groups = operatives.map((operative) => ({ operative, jobs: [] }));
+
+  const located = [];
+  const unlocated = [];
+  jobs.forEach((job) => {
+    const point = routePlanner.jobPoint(job);
+    if (point) located.push({ job, point });
+    else unlocated.push(job);
+  });
+
+  if (located.length > 0 && groups.length > 0) {
+    // Seed clusters at the operatives' homes when everyone has one, so each cluster already
+    // belongs to the operative who lives nearest it
+    const homes = operatives.map((operative) => routePlanner.pointOf(operative.homeLocation));
+    const seededAtHomes = homes.every(Boolean);
+    const points = located.map((item) => item.point);
+    const k = Math.min(groups.length, located.length);
+    const seeds = seededAtHomes ? homes : farthestPointSeeds(points, k);
+    const assignment = balancedClusters(points, seeds, config);
+
+    if (seededAtHomes) {
+      located.forEach((item, index) => groups[assignment[index]].jobs.push(item.job));
+    } else {
+      // Give each cluster to the free operative whose home is nearest (those without a home last)
+      const clusters = seeds.map((seed, index) => located.filter((item, itemIndex) => assignment[itemIndex] === index));
+      const free = new Set(groups.map((group, index) => index));
+      clusters.forEach((cluster) => {
+        const centre = centroid(cluster.map((item) => item.point));
+        const ranked = [...free].sort((a, b) => {
+          const distanceA = homes[a] && centre ? distanceBetween(homes[a], centre) : Infinity;
+          const distanceB = homes[b] && centre ? distanceBetween(homes[b], centre) : Infinity;
+          return distanceA - distanceB || a - b;
+        });
+        free.delete(ranked[0]);
+        groups[ranked[0]].jobs.push(...cluster.map((item) => item.job));
+      });
+    }
+
+    rebalance(groups, located.length, config);
+  }
+
+  // Jobs without coordinates go to whoever has the fewest jobs
+  unlocated.forEach((job) => {
+    const lightest = groups.reduce((best, group) => (group.jobs.length < best.jobs.length ? group : best), groups[0]);
+    lightest.jobs.push(job);
+  });
+
+  return groups.map((group) => {
+    const locatedJobs = group.jobs.filter((job) => routePlanner.jobPoint(job));
+    const workload = estimateWorkload(locatedJobs, group.operative, config);
+    return {
+      operative: group.operative,
+      jobs: group.jobs,
+      estimatedMiles: workload.miles,
+      estimatedMinutes: workload.minutes + (group.jobs.length - locatedJobs.length) * serviceMinutes,
+    };
+  });
+}
+
+/**
+ * Move jobs from the operative with the longest estimated day to the one with the shortest
+ * while that shortens the longer day and keeps counts within the tolerance
+ * @param {Object[]} groups - { operative, jobs } (updated in place)
+ * @param {number} total - Number of located jobs
+ * @param {Object} config - Allocation options
+ */
+function rebalance(groups, total, config) {
+  if (groups.length < 2) return;
+  const maxCount = Math.max(1, Math.ceil((total / groups.length) * (1 + config.countTolerance)));
+  const workloads = groups.map((group) => estimateWorkload(group.jobs, group.operative, config).minutes);
+
+  for (let move = 0; move < config.maxMoves; move++) {
+    const order = workloads.map((minutes, index) => index).sort((a, b) => workloads[b] - workloads[a]);
+    const heaviest = order[0];
+    const lightest = order[order.length - 1];
+    const from = groups[heaviest];
+    const to = groups[lightest];
+    if (from.jobs.length <= 1 || to.jobs.length >= maxCount) break;
+
+    // Try the jobs on the heavy side nearest to the light side's area
+    const target = centroid(to.jobs.map(routePlanner.jobPoint))
+      || routePlanner.pointOf(to.operative.homeLocation)
+      || centroid(from.jobs.map(routePlanner.jobPoint));
+    const candidates = [...from.jobs]
+      .sort((a, b) => distanceBetween(routePlanner.jobPoint(a), target) - distanceBetween(routePlanner.jobPoint(b), target))
+      .slice(0, config.candidateMoves);
+
+    let best = null;
+    candidates.forEach((job) => {
+      const fromMinutes = estimateWorkload(from.jobs.filter((other) => other !== job), from.operative, config).minutes;
+      const toMinutes = estimateWorkload([...to.jobs, job], to.operative, config).minutes;
+      const longest = Math.max(fromMinutes, toMinutes);
+      if (longest < workloads[heaviest] && (!best || longest < best.longest)) {
+        best = { job, fromMinutes, toMinutes, longest };
+      }
+    });
+    if (!best) break;
+
+    from.jobs = from.jobs.filter((job) => job !== best.job);
+    to.jobs.push(best.job);
+    workloads[heaviest] = best.fromMinutes;
+    workloads[lightest] = best.toMinutes;
+  }
+}
+
+module.exports = {
+  ALLOCATION_DEFAULTS,
+  balancedClusters,
+  allocateJobs,
+};
@@ -0,0 +1,527 @@
+/**
+ * Job Completion Service
+ *
+ * The one place a job is completed. PUT /api/jobs/:id/complete, POST /api/jobs/:id/complete
+ * and POST /api/meter-readings all call completeJob() so scoring, photo handling,
+ * counters, socket events and the end-of-day report are identical for every entry point.
+ */
+
+const Job = require('../models/job.model');
+const User = require('../models/user.model');
+const Message = require('../models/message.model');
+const jobLifecycle = require('./jobLifecycle');
+const pointsRules = require('./pointsRules');
+const mileage = require('./mileage');
+const geofence = require('./geofence');
+const houseHistory = require('./houseHistory');
+const meterRegistry = require('./meterRegistry');
+const readingChecks = require('./readingChecks');
+const noAccessRevisits = require('./noAccessRevisits');
+const noAccessReasons = require('./noAccessReasons');
+const businessTime = require('./businessTime');
+
+/**
+ * Error raised when a job cannot be completed (e.g. out of sequence)
+ */
+class JobCompletionError extends Error {
+  constructor(message, statusCode = 400, body = {}) {
+    super(message);
+    this.name = 'JobCompletionError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+
+  toJSON() {
+    return { message: this.message, ...this.body };
+  }
+}
+
+/**
+ * Check whether an error thrown by completeJob should be sent to the client as-is
+ * @param {Error} error - Error thrown by completeJob
+ * @returns {boolean} True for lifecycle, geofence, meter reading, reading check, no-access reason and completion errors
+ */
+function isCompletionError(error) {
+  return error instanceof JobCompletionError ||
+    error instanceof jobLifecycle.JobTransitionError ||
+    error instanceof meterRegistry.MeterError ||
+    error instanceof readingChecks.ReadingCheckError ||
+    error instanceof noAccessReasons.NoAccessReasonError ||
+    geofence.isGeofenceError(error);
+}
+
+/**
+ * Gather photo URLs from every field the mobile app has used over time:
+ * photos, photoUrls and meterReadings.photos (string or array)
+ * @param {Object} payload - Completion payload
+ * @returns {Array<string>} Non-empty photo URLs
+ */
+function collectPhotoUrls(payload = {}) {
+  const { photos, photoUrls, meterReadings } = payload;
+  const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+  let fromMeterReadings = [];
+  if (meterReadings && typeof meterReadings === 'object' && !Array.isArray(meterReadings)) {
+    fromMeterReadings = toList(meterReadings.photos);
+  } else if (Array.isArray(meterReadings)) {
+    const withPhotos = meterReadings.find((mr) => mr && mr.photos);
+    fromMeterReadings = withPhotos ? toList(withPhotos.photos) : [];
+  }
+
+  return [...toList(photos), ...toList(photoUrls), ...fromMeterReadings]
+    .filter((p) => p !== null && p !== undefined)
+    .map((p) => String(p).trim())
+    .filter((p) => p !== '' && p !== 'null' && p !== 'undefined');
+}
+
+/**
+ * Build meterPhotos entries for new photo URLs and merge them with the job's existing ones
+ * @param {Object} job - Job document before completion
+ * @param {Array<string>} photoUrls - Photo URLs submitted with the completion
+ * @param {Object} payload - Completion payload (registerIds, registerValues, meterReadings)
+ * @returns {Object} { photos, meterPhotos } - either may be undefined when there is nothing to save
+ */
+function mergePhotos(job, photoUrls, payload = {}) {
+  const { registerIds, registerValues, meterReadings } = payload;
+  const existingMeterPhotos = Array.isArray(job.meterPhotos) ? job.meterPhotos : [];
+
+  if (photoUrls.length === 0) {
+    if (existingMeterPhotos.length > 0) {
+      return {
+        photos: existingMeterPhotos.map((mp) => mp.photoUrl).filter((url) => url),
+        meterPhotos: existingMeterPhotos,
+      };
+    }
+    // Nothing new: leave existing photos untouched
+    return {};
+  }
+
+  const newMeterPhotos = photoUrls.map((photoUrl, index) => {
+    let serialNumber = '';
+    if (registerIds && registerIds[index]) {
+      serialNumber = registerIds[index];
+    } else if (meterReadings?.meterSerialNumber) {
+      serialNumber = meterReadings.meterSerialNumber;
+    } else if (job.meterSerialNumber) {
+      serialNumber = job.meterSerialNumber;
+    }
+
+    let reading = null;
+    if (registerValues && registerValues[index] != null) {
+      reading = registerValues[index];
+    } else if (meterReadings && !Array.isArray(meterReadings)) {
+      reading = meterReadings.electric || meterReadings.gas || meterReadings.water || null;
+      if (!reading && meterReadings.registerValues && meterReadings.registerValues[index]) {
+        reading = meterReadings.registerValues[index];
+      }
+    }
+
+    return {
+      meterType: job.jobType || 'meter',
+      photoUrl,
+      serialNumber,
+      reading,
+      timestamp: new Date(),
+    };
+  });
+
+  // Merge with existing meterPhotos without duplicating URLs
+  const existingUrls = existingMeterPhotos.map((mp) => mp.photoUrl);
+  const meterPhotos = [
+    ...existingMeterPhotos,
+    ...newMeterPhotos.filter((mp) => !existingUrls.includes(mp.photoUrl)),
+  ];
+
+  return { photos: photoUrls, meterPhotos };
+}
+
+/**
+ * Reject completion when an earlier job in the operative's sequence for that day is still open
+ * @param {Object} job - Job being completed
+ * @param {Object} user - Acting user
+ */
+async function assertSequence(job, user) {
+  if (user.role !== 'meter_reader' || job.sequenceNumber === null || job.sequenceNumber === undefined) {
+    return;
+  }
+
+  const scheduledDate = job.scheduledDate ? new Date(job.scheduledDate) : new Date();
+  const { start: startOfDay, end: endOfDay } = businessTime.dayRange(scheduledDate);
+
+  const earlierPendingJob = await Job.findOne({
+    assignedTo: user._id,
+    status: { $in: ['pending', 'in_progress'] },
+    scheduledDate: { $gte: startOfDay, $lt: endOfDay },
+    sequenceNumber: { $lt: job.sequenceNumber, $ne: null },
+    _id: { $ne: job._id },
+  }).sort({ sequenceNumber: 1 });
+
+  if (earlierPendingJob) {
+    const nextJobDisplayId = earlierPendingJob.jobId || `#${earlierPendingJob.sequenceNumber}`;
+    const currentJobDisplayId = job.jobId || `#${job.sequenceNumber}`;
+    throw new JobCompletionError(
+      `You cannot skip jobs in the sequence. Please complete job ${nextJobDisplayId} first before completing job ${currentJobDisplayId}.`,
+      400,
+      {
+        nextJobId: earlierPendingJob._id,
+        nextJobDisplayId,
+        nextSequenceNumber: earlierPendingJob.sequenceNumber,
+        currentJobDisplayId,
+      }
+    );
+  }
+}
+
+/**
+ * Update the assigned operative's completed count and 7-day completion rate
+ * @param {Object} job - Completed job
+ */
+async function updateOperativeCounters(job) {
+  const assignedUser = await User.findById(job.assignedTo);
+  if (!assignedUser) return;
+
+  assignedUser.jobsCompleted = (assignedUser.jobsCompleted || 0) + 1;
+
+  const weekAgo = businessTime.addDays(new Date(), -7);
+  const weekJobs = await Job.find({
+    assignedTo: assignedUser._id,
+    scheduledDate: { $gte: weekAgo },
+  }).select('status');
+  const weekCompleted = weekJobs.filter((j) => jobLifecycle.COMPLETED_STATUSES.includes(j.status)).length;
+  assignedUser.weeklyPerformance = weekJobs.length > 0 ? Math.round((weekCompleted / weekJobs.length) * 100) : 0;
+
+  await assignedUser.save();
+}
+
+/**
+ * When the operative has no open jobs left, send them the daily mileage & performance report
+ * (once per day)
+ * @param {Object} user - Operative who completed the job
+ * @param {Object} completedJob - Job that was just completed
+ */
+async function sendDailyReportIfLastJob(user, completedJob) {
+  const today = new Date();
+  const { start: startOfDay, end: endOfDay } = businessTime.dayRange(today);
+
+  // Count ALL open jobs assigned to the user, regardless of scheduledDate
+  const remaining = await Job.countDocuments({
+    assignedTo: user._id,
+    status: { $nin: jobLifecycle.CLOSED_STATUSES },
+    _id: { $ne: completedJob._id },
+  });
+  if (remaining > 0) return;
+
+  const completedToday = await Job.find({
+    assignedTo: user._id,
+    completedDate: { $gte: startOfDay, $lt: endOfDay },
+    status: { $in: jobLifecycle.COMPLETED_STATUSES },
+  }).select('points award validNoAccess meterReadings registerValues registerIds customerRead distanceTraveled pointsRule');
+  if (completedToday.length === 0) return;
+
+  // Each job is counted at the rates that applied when it was completed
+  const {
+    totalMiles,
+    jobsWithReading,
+    validNoAccessJobs,
+    pointsFromJobs,
+    pointsFromNoAccess,
+    totalPoints,
+    bonusFromJobs: totalBonusFromJobs,
+    bonusFromNoAccess: totalBonusFromNoAccess,
+    totalBonus: totalBonusEarned,
+    mileagePayment,
+    rates,
+  } = pointsRules.summariseJobs(completedToday);
+  const totalKm = totalMiles * 1.60934;
+  const mileageRate = rates.mileageRate;
+
+  // Show "count × rate" when every job used the same rate
+  const rateNote = (count, rate, unit = '') => (
+    rate === null ? `${count}${unit} at varying rates` : `${count}${unit} × £${rate.toFixed(2)}`
+  );
+
+  const dateStr = businessTime.formatDate(today);
+  const operativeName = `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username;
+  const operativeId = user.employeeId || 'N/A';
+
+  // Prevent duplicate reports for the same day
+  const existingMessage = await Message.findOne({
+    recipient: user._id,
+    'meta.reportType': 'daily_mileage_performance',
+    'meta.date': dateStr,
+    createdAt: { $gte: startOfDay, $lt: endOfDay },
+  });
+  if (existingMessage) {
+    console.log('ℹ️ Daily mileage report message already exists for today, skipping duplicate');
+    return;
+  }
+
+  const title = 'Daily Mileage & Performance Report';
+  const body = `Daily Report for ${dateStr}:\n\n` +
+    `📊 Total Mileage: ${totalMiles.toFixed(2)} miles\n` +
+    `✅ Jobs Completed: ${jobsWithReading} (with meter reading)\n` +
+    `🚫 Valid No Access: ${validNoAccessJobs}\n` +
+    `⭐ Points from Completed Jobs: ${pointsFromJobs}\n` +
+    `⭐ Points from Valid No Access: ${pointsFromNoAccess}\n` +
+    `🎯 Total Points Earned: ${totalPoints}\n\n` +
+    `💰 Bonus from Successful Readings: £${totalBonusFromJobs.toFixed(2)} (${rateNote(jobsWithReading, rates.readingAward)})\n` +
+    `💰 Bonus from No Access: £${totalBonusFromNoAccess.toFixed(2)} (${rateNote(validNoAccessJobs, rates.noAccessAward)})\n` +
+    `💵 Total Bonus Earned: £${totalBonusEarned.toFixed(2)}\n\n` +
+    `💰 Mileage Payment: £${mileagePayment.toFixed(2)} (${rateNote(totalMiles.toFixed(2), mileageRate, ' miles')})`;
+
+  // Sent ONLY to the operative (admin does NOT receive copies)
+  const msg = await Message.create({
+    recipient: user._id,
+    title,
+    body,
+    meta: {
+      date: dateStr,
+      totalKm,
+      totalMiles,
+      jobCount: completedToday.length,
+      jobsWithReading,
+      validNoAccessJobs,
+      pointsFromJobs,
+      pointsFromNoAccess,
+      totalPoints,
+      bonusFromJobs: totalBonusFromJobs,
+      bonusFromNoAccess: totalBonusFromNoAccess,
+      totalBonusEarned,
+      mileagePayment,
+      mileageRate,
+      reportType: 'daily_mileage_performance',
+      operativeName,
+      operativeId,
+    },
+  });
+
+  if (global.io) {
+    global.io.to(`user_${user._id}`).emit('message', { type: 'new_message', message: msg });
+  }
+  console.log('✅ Daily mileage report message sent to operative');
+}
+
+/**
+ * Complete a job
+ * @param {Object} params
+ * @param {Object} params.job - Job document (as read by the caller)
+ * @param {Object} params.user - Acting user (req.user)
+ * @param {Object} params.payload - Completion data: status, meterReadings, photos, photoUrls,
+ *   location, distanceTraveled, startLocation, endLocation, locationHistory, notes, risk, mInspec,
+ *   numRegisters, registerIds, registerValues, noAccessReason, customerRead, geofenceOverrideReason (admins),
+ *   confirmReading (accept a read flagged by utils/readingChecks.js)
+ * @param {Array<string>} params.allowedEvents - Lifecycle events the entry point may apply
+ *   (default allows completing a job that was never started)
+ * @param {string} params.source - Entry point, for logging
+ * @returns {Promise<Object>} Updated, populated job document
+ * @throws {JobCompletionError|JobTransitionError|GeofenceError|MeterError|ReadingCheckError|NoAccessReasonError}
+ */
+async function completeJob({ job, user, payload = {}, allowedEvents = ['start', 'complete', 'no_access'], source = 'api' }) {
+  if (job.assignedTo.toString() !== user._id.toString() && user.role !== 'admin') {
+    throw new JobCompletionError('Not authorized to complete this job', 403);
+  }
+
+  const status = payload.status || 'completed';
+  if (!jobLifecycle.COMPLETED_STATUSES.includes(status)) {
+    throw new JobCompletionError('Completion status must be completed or no_access', 400);
+  }
+
+  // Older app builds complete jobs without starting them first, and may resubmit a
+  // completion; both are allowed, anything else must go through the lifecycle
+  const events = jobLifecycle.findPath(job.status, status, { allowedEvents });
+  if (!events) {
+    throw new jobLifecycle.JobTransitionError(
+      `Cannot complete a job that is ${job.status.replace('_', ' ')} with status ${status}`,
+      { from: job.status, event: 'complete', allowedEvents: jobLifecycle.getAvailableEvents(job.status, user.role) }
+    );
+  }
+
+  await assertSequence(job, user);
+
+  // Where the operative finished; blocks here under the 'block' geofence policy
+  const { set: geofenceFields, push: geofencePush } = await geofence.checkJobLocation({
+    job,
+    user,
+    location: payload.endLocation || payload.location,
+    stage: 'complete',
+    overrideReason: payload.geofenceOverrideReason,
+  });
+
+  // Register values must fit the job's meter and are saved in its register order
+  const checkedReading = status === 'completed' ? await meterRegistry.checkJobReading(job, payload) : null;
+
+  // Values that look wrong against earlier reads need a photo or the operative's confirmation
+  const photoUrls = collectPhotoUrls(payload);
+  const readingCheck = status === 'completed' ? await readingChecks.checkJobReading({
+    job,
+    user,
+    registerIds: checkedReading ? checkedReading.registerIds : payload.registerIds,
+    registerValues: checkedReading ? checkedReading.registerValues : payload.registerValues,
+    hasPhoto: photoUrls.length > 0,
+    confirmed: payload.confirmReading === true || payload.confirmReading === 'true',
+  }) : null;
+
+  const {
+    meterReadings,
+    location,
+    distanceTraveled,
+    startLocation,
+    endLocation,
+    locationHistory,
+    notes,
+    risk,
+    mInspec,
+    numRegisters,
+    registerIds,
+    registerValues,
+    customerRead,
+  } = payload;
+
+  // Mileage comes from the GPS trace the server holds for the job; the phone's
+  // distanceTraveled is only kept for comparison (see utils/mileage.js)
+  const trail = mileage.mergeLocationHistory(job.locationHistory, locationHistory);
+  const { distanceMiles, ...mileageBreakdown } = mileage.computeJobMileage({
+    startLocation: startLocation || job.startLocation,
+    locationHistory: trail,
+    endLocation: endLocation || job.endLocation,
+    clientDistance: distanceTraveled,
+  });
+  const hasMileage = mileageBreakdown.source !== 'none';
+
+  // Reg1 filled = reading; otherwise any No Access status selected = no access, scored as its
+  // reason in the catalogue says (rule set rates for reasons the catalogue does not know).
+  // Scored with the rule set in force when the job was first completed; a resubmission keeps
+  // that date and those rates. The rates are kept on the job for reporting.
+  const reasonEntry = await noAccessReasons.resolveReason(payload);
+  const resubmitted = events.length === 0 && !!job.completedDate;
+  const completedDate = resubmitted ? job.completedDate : new Date();
+  const rules = resubmitted && job.pointsRule && typeof job.pointsRule.readingAward === 'number'
+    ? { ...job.pointsRule, ...pointsRules.rulesForJob(job) }
+    : await pointsRules.resolveRules({ jobType: job.jobType, sup: job.sup, at: completedDate });
+  const { points, award, isValidNoAccess, hasReg1 } = pointsRules.evaluate(payload, rules, reasonEntry);
+  const noAccessEntry = hasReg1 ? null : reasonEntry;
+  if (noAccessEntry) {
+    const savedPhotos = (job.photos || []).length + (job.meterPhotos || []).length;
+    noAccessReasons.assertUsable(noAccessEntry, { hasPhoto: photoUrls.length > 0 || savedPhotos > 0 });
+  }
+
+  let noAccessReason = payload.noAccessReason;
+  if (noAccessEntry && (!noAccessReason || noAccessReasons.matches(noAccessEntry, noAccessReason))) {
+    noAccessReason = noAccessEntry.label;
+  } else if (isValidNoAccess && !noAccessReason && customerRead) {
+    noAccessReason = customerRead;
+  }
+
+  const { photos, meterPhotos } = mergePhotos(job, photoUrls, payload);
+
+  const updateData = {
+    completedDate,
+    employeeId: user.employeeId || '',
+    points,
+    award,
+    pointsRule: rules,
+    validNoAccess: isValidNoAccess,
+    ...(noAccessReason && { noAccessReason }),
+    noAccessReasonCode: noAccessEntry ? noAccessEntry.code : '',
+    ...(meterReadings && !Array.isArray(meterReadings) && { meterReadings }),
+    ...(location && { location }),
+    ...(hasMileage && { distanceTraveled: distanceMiles, mileage: mileageBreakdown }),
+    ...(startLocation && { startLocation }),
+    ...(endLocation && {
+      endLocation: {
+        latitude: endLocation.latitude,
+        longitude: endLocation.longitude,
+        timestamp: endLocation.timestamp ? new Date(endLocation.timestamp) : new Date(),
+        ...(endLocation.accuracy != null && { accuracy: endLocation.accuracy }),
+      },
+    }),
+    ...(Array.isArray(locationHistory) && locationHistory.length > 0 && { locationHistory: trail }),
+    ...(notes && { notes }),
+    ...(typeof risk === 'boolean' && { risk }),
+    ...(typeof mInspec === 'boolean' && { mInspec }),
+    ...(typeof numRegisters === 'number' && { numRegisters }),
+    ...(Array.isArray(registerIds) && registerIds.length > 0 && { registerIds }),
+    ...(Array.isArray(registerValues) && registerValues.length > 0 && { registerValues }),
+    ...(checkedReading && { registerIds: checkedReading.registerIds, registerValues: checkedReading.registerValues }),
+    ...(readingCheck && { readingCheck }),
+    ...(customerRead && { customerRead }),
+    ...(photos && { photos }),
+    ...(meterPhotos && { meterPhotos }),
+    ...geofenceFields,
+  };
+
+  console.log(`📝 Completing job ${job._id} via ${source}:`, {
+    events,
+    points,
+    award,
+    rules: rules.name,
+    mileage: `${distanceMiles.toFixed(2)} mi (${mileageBreakdown.source}${mileageBreakdown.flagged ? ', flagged' : ''})`,
+    validNoAccess: isValidNoAccess,
+    photosCount: updateData.photos?.length || 0,
+    meterPhotosCount: updateData.meterPhotos?.length || 0,
+  });
+
+  const updatedJob = await jobLifecycle.transitionJob(
+    job,
+    events,
+    jobLifecycle.actorFromUser(user, noAccessReason || ''),
+    updateData,
+    geofencePush
+  );
+  await updatedJob.populate([
+    { path: 'assignedTo', select: 'firstName lastName username employeeId department' },
+    { path: 'house', select: 'address postcode city county latitude longitude meterType' },
+  ]);
+
+  // Only count the job once, however many times the completion is resubmitted
+  if (events.length > 0) {
+    await updateOperativeCounters(job);
+  }
+
+  // A resubmitted completion corrects the reading, so it is recorded every time
+  try {
+    await houseHistory.recordReading(updatedJob);
+  } catch (error) {
+    console.error('Record house reading error:', error.message);
+  }
+
+  // Book the revisit (or escalate) after a valid no access; only the first completion counts
+  if (events.length > 0) {
+    try {
+      await noAccessRevisits.afterCompletion(updatedJob);
+    } catch (error) {
+      console.error('No-access revisit error:', error.message);
+    }
+  }
+
+  if (global.io) {
+    global.io.to('admin_room').emit('jobUpdate', {
+      type: 'job_completed',
+      job: updatedJob,
+      userId: user._id.toString(),
+    });
+
+    global.io.to('admin_room').emit('mileageUpdate', {
+      type: 'mileage_updated',
+      job: updatedJob,
+      userId: user._id.toString(),
+    });
+  }
+
+  try {
+    await sendDailyReportIfLastJob(user, updatedJob);
+  } catch (error) {
+    console.error('Auto mileage message error:', error.message);
+  }
+
+  return updatedJob;
+}
+
+module.exports = {
+  JobCompletionError,
+  isCompletionError,
+  collectPhotoUrls,
+  mergePhotos,
+  sendDailyReportIfLastJob,
+  completeJob,
+};
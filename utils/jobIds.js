@@ -0,0 +1,249 @@
+/**
+ * Job IDs
+ *
+ * Sequential job IDs (000001, 000002, ...) for manually created, imported and generated jobs.
+ * Numbers come from a Counter document per prefix: a block is reserved with one atomic $inc,
+ * so concurrent uploads never hand out the same number. The 'jobIds' setting chooses the
+ * prefix and digits, optionally per supplier (sup code) or job type. A prefix's counter starts
+ * after the highest ID already issued with it the first time it is used.
+ *
+ * repairJobIds() is the one-off check of IDs issued before the counters (or by hand): it
+ * reports duplicates, jobs without an ID, gaps and counters behind the highest ID, and with
+ * apply it renumbers the duplicates (the oldest job keeps the ID), numbers the jobs without one
+ * and moves the counters up. Gaps are reported but not closed up, because IDs already issued
+ * are on run sheets, flow files and customer letters.
+ */
+
+const Job = require('../models/job.model');
+const Counter = require('../models/counter.model');
+const settings = require('./settings');
+
+const COUNTER_PREFIX = 'jobId:';
+// Longest list of gaps a repair report lists per prefix (the count covers them all)
+const MAX_GAPS_REPORTED = 100;
+
+const counterName = (prefix) => `${COUNTER_PREFIX}${prefix}`;
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Up to 15 digits, so every number fits the database's 64-bit integers
+const idPattern = (prefix) => new RegExp(`^${escapeRegex(prefix)}\\d{1,15}$`);
+
+/**
+ * Prefix and digits for a job's ID: the first 'jobIds' rule matching its supplier and job type
+ * (a rule's missing field matches anything), else the default
+ * @param {Object} job - Job fields ({ sup, jobType })
+ * @param {Object} config - 'jobIds' setting
+ * @returns {Object} { prefix, digits }
+ */
+function formatFor(job = {}, config = settings.DEFAULT_SETTINGS.jobIds) {
+  const sup = String(job.sup || '').trim().toUpperCase();
+  const rule = (config.rules || []).find((candidate) => (
+    (!candidate.sup || candidate.sup.trim().toUpperCase() === sup)
+    && (!candidate.jobType || candidate.jobType === job.jobType)
+  ));
+  const { prefix, digits } = rule || config;
+  return { prefix, digits };
+}
+
+/**
+ * Write a number as a job ID
+ * @param {number} number - Sequence number
+ * @param {Object} format - { prefix, digits }
+ * @returns {string} Job ID
+ */
+function formatJobId(number, { prefix, digits }) {
+  return `${prefix}${String(number).padStart(digits, '0')}`;
+}
+
+// Number part of every ID with a prefix, in order, oldest job first where an ID repeats.
+// Read through a cursor so large job collections are not held in memory.
+const numberedJobs = (prefix) => Job.aggregate([
+  { $match: { jobId: { $regex: idPattern(prefix) } } },
+  {
+    $project: {
+      jobId: 1,
+      jobType: 1,
+      sup: 1,
+      createdAt: 1,
+      number: { $toLong: { $substrCP: ['$jobId', prefix.length, { $strLenCP: '$jobId' }] } },
+    },
+  },
+  { $sort: { number: 1, jobId: 1, createdAt: 1, _id: 1 } },
+]).allowDiskUse(true).cursor();
+
+/**
+ * Highest number issued with a prefix, found by the database
+ * @param {string} prefix - ID prefix
+ * @returns {Promise<number>} Highest number (0 when none)
+ */
+async function highestIssued(prefix) {
+  const [result] = await Job.aggregate([
+    { $match: { jobId: { $regex: idPattern(prefix) } } },
+    { $group: { _id: null, highest: { $max: { $toLong: { $substrCP: ['$jobId', prefix.length, { $strLenCP: '$jobId' }] } } } } },
+  ]);
+  return result ? Number(result.highest) : 0;
+}
+
+/**
+ * Reserve a block of numbers on a prefix's counter
+ * @param {string} prefix - ID prefix
+ * @param {number} count - Numbers wanted
+ * @returns {Promise<number>} First number of the block
+ */
+async function reserve(prefix, count) {
+  const name = counterName(prefix);
+  if (!(await Counter.exists({ _id: name }))) {
+    // $max keeps this safe when two first uses race, or one has already reserved numbers
+    await Counter.updateOne({ _id: name }, { $max: { seq: await highestIssued(prefix) } }, { upsert: true });
+  }
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: count } },
+    { new: true, upsert: true }
+  ).lean();
+  return counter.seq - count + 1;
+}
+
+/**
+ * Give each job that has no jobId the next ID for its format, reserving one block per prefix
+ * @param {Object[]} jobs - Job fields, in the order IDs should be given
+ * @returns {Promise<Object[]>} The same jobs, with jobId set
+ */
+async function assignJobIds(jobs) {
+  const config = await settings.getSetting('jobIds');
+  const byPrefix = new Map();
+  jobs.filter((job) => !job.jobId).forEach((job) => {
+    const format = formatFor(job, config);
+    if (!byPrefix.has(format.prefix)) byPrefix.set(format.prefix, []);
+    byPrefix.get(format.prefix).push({ job, format });
+  });
+
+  for (const [prefix, entries] of byPrefix) {
+    const first = await reserve(prefix, entries.length);
+    entries.forEach(({ job, format }, index) => {
+      job.jobId = formatJobId(first + index, format);
+    });
+  }
+  return jobs;
+}
+
+/**
+ * Next job ID for a job
+ * @param {Object} job - Job fields ({ sup, jobType }) choosing the format (default format without)
+ * @returns {Promise<string>} Job ID
+ */
+async function generateNextJobId(job = {}) {
+  const [jobId] = await generateJobIds(1, job);
+  return jobId;
+}
+
+/**
+ * A block of consecutive job IDs in one job's format (for bulk operations)
+ * @param {number} count - IDs wanted
+ * @param {Object} job - Job fields ({ sup, jobType }) choosing the format (default format without)
+ * @returns {Promise<string[]>} Job IDs
+ */
+async function generateJobIds(count, job = {}) {
+  if (!count || count <= 0) {
+    throw new Error('Count must be greater than 0');
+  }
+  const format = formatFor(job, await settings.getSetting('jobIds'));
+  const first = await reserve(format.prefix, count);
+  return Array.from({ length: count }, (_, index) => formatJobId(first + index, format));
+}
+
+/**
+ * Check one prefix's IDs in number order
+ * @param {string} prefix - ID prefix
+ * @returns {Promise<Object>} { prefix, issued, highest, missingNumbers, gaps, duplicates }
+ */
+async function scanPrefix(prefix) {
+  const sequence = { prefix, issued: 0, highest: 0, missingNumbers: 0, gaps: [], duplicates: [] };
+  let previous = null;
+  for await (const job of numberedJobs(prefix)) {
+    const number = Number(job.number);
+    if (previous && job.jobId === previous.jobId) {
+      const last = sequence.duplicates[sequence.duplicates.length - 1];
+      if (last && last.jobId === job.jobId) {
+        last.jobs.push(job);
+      } else {
+        sequence.duplicates.push({ jobId: job.jobId, kept: previous._id, jobs: [job] });
+      }
+    } else {
+      sequence.issued += 1;
+      const from = previous ? Number(previous.number) + 1 : 1;
+      if (number > from) {
+        sequence.missingNumbers += number - from;
+        if (sequence.gaps.length < MAX_GAPS_REPORTED) sequence.gaps.push({ from, to: number - 1 });
+      }
+    }
+    sequence.highest = Math.max(sequence.highest, number);
+    previous = job;
+  }
+  return sequence;
+}
+
+/**
+ * Report, and with apply fix, problems with the job IDs already issued
+ * @param {Object} options
+ * @param {boolean} options.apply - Fix what can be fixed (default: report only)
+ * @returns {Promise<Object>} { applied, sequences, duplicates, missing } - per prefix the IDs
+ *   issued, highest number, counter, gaps and numbers missing; each duplicated ID with the job
+ *   that keeps it and the new IDs of the others; and the jobs without an ID
+ */
+async function repairJobIds({ apply = false } = {}) {
+  const config = await settings.getSetting('jobIds');
+  const counters = await Counter.find({ _id: { $regex: `^${COUNTER_PREFIX}` } }).lean();
+  const counterOf = new Map(counters.map((counter) => [counter._id.slice(COUNTER_PREFIX.length), counter.seq]));
+  const prefixes = [...new Set([config.prefix, ...config.rules.map((rule) => rule.prefix), ...counterOf.keys()])].sort();
+
+  const sequences = [];
+  const duplicates = [];
+  for (const prefix of prefixes) {
+    const { duplicates: repeated, ...sequence } = await scanPrefix(prefix);
+    sequence.counter = counterOf.has(prefix) ? counterOf.get(prefix) : null;
+    sequence.counterBehind = sequence.counter !== null && sequence.counter < sequence.highest;
+    sequences.push(sequence);
+
+    repeated.forEach(({ jobId, kept, jobs }) => {
+      duplicates.push({ jobId, kept, reassigned: jobs.map((job) => ({ job: job._id, jobId: null, fields: job })) });
+    });
+  }
+
+  const missing = await Job.find({ $or: [{ jobId: { $exists: false } }, { jobId: null }, { jobId: '' }] })
+    .select('jobType sup createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  const missingReport = missing.map((job) => ({ job: job._id, jobId: null, fields: job }));
+
+  if (apply) {
+    // Counters first, so the new numbers below come after every ID already issued
+    for (const sequence of sequences) {
+      await Counter.updateOne({ _id: counterName(sequence.prefix) }, { $max: { seq: sequence.highest } }, { upsert: true });
+    }
+
+    const renumbered = [...duplicates.flatMap((duplicate) => duplicate.reassigned), ...missingReport];
+    const fields = renumbered.map((entry) => ({ jobType: entry.fields.jobType, sup: entry.fields.sup }));
+    await assignJobIds(fields);
+    for (const [index, entry] of renumbered.entries()) {
+      entry.jobId = fields[index].jobId;
+      await Job.updateOne({ _id: entry.job }, { $set: { jobId: entry.jobId } });
+    }
+  }
+
+  const strip = ({ fields, ...entry }) => entry;
+  return {
+    applied: apply,
+    sequences,
+    duplicates: duplicates.map((duplicate) => ({ ...duplicate, reassigned: duplicate.reassigned.map(strip) })),
+    missing: missingReport.map(strip),
+  };
+}
+
+module.exports = {
+  formatFor,
+  formatJobId,
+  assignJobIds,
+  generateNextJobId,
+  generateJobIds,
+  repairJobIds,
+};
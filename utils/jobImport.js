@@ -0,0 +1,867 @@
+/**
+ * Job Import
+ *
+ * Two-phase spreadsheet import. Uploading builds an ImportBatch with a per-row report
+ * (validation issues, geocode result, suspected duplicates) and creates nothing; geocoding
+ * runs in the background (utils/importQueue.js), then the admin edits or drops rows and
+ * commits the batch, which allocates and sequences the jobs and creates them. A committed
+ * batch can be rolled back while its jobs are untouched.
+ */
+
+const XLSX = require('xlsx');
+const mongoose = require('mongoose');
+const Job = require('../models/job.model');
+const User = require('../models/user.model');
+const ImportBatch = require('../models/importBatch.model');
+const ImportTemplate = require('../models/importTemplate.model');
+const jobLifecycle = require('./jobLifecycle');
+const routePlanner = require('./routePlanner');
+const jobAllocation = require('./jobAllocation');
+const settings = require('./settings');
+const schedulingPolicy = require('./schedulingPolicy');
+const importMapping = require('./importMapping');
+const houseLinking = require('./houseLinking');
+const meterRegistry = require('./meterRegistry');
+const { assignJobIds } = require('./jobIds');
+const { geocodeAddress } = require('./geocoding');
+
+const JOB_TYPES = ['electricity', 'gas', 'water'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const OPEN_STATUSES = ['pending', 'in_progress'];
+const PROCESSING_STATUSES = ['queued', 'processing'];
+const LOW_GEOCODE_CONFIDENCE = 0.3; // Below this the place is usually city-level or a postcode sector
+const EDITABLE_FIELDS = ['jobType', 'priority', 'scheduledDate', 'sup', 'jt', 'cust', 'meterMake', 'meterModel', 'meterSerialNumber', 'notes'];
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postcode'];
+
+/**
+ * Error raised for invalid import requests (bad state, invalid rows or assignees)
+ */
+class ImportError extends Error {
+  constructor(message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { message: this.message, ...(this.details ? { details: this.details } : {}) };
+  }
+}
+
+const text = (value) => (value === undefined || value === null ? '' : value.toString().trim());
+
+/**
+ * Read a list sent as a JSON array, a comma-separated string or repeated form fields
+ * @param {*} value - Request value
+ * @returns {string[]} Items
+ */
+function parseIdList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map((item) => text(item)).filter(Boolean);
+  const listText = text(value);
+  if (listText.startsWith('[')) {
+    try {
+      return parseIdList(JSON.parse(listText));
+    } catch (error) {
+      return [listText];
+    }
+  }
+  return listText.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read the first sheet of a workbook
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Object} { headers: [string], rows: [Object keyed by header] }
+ */
+function parseWorkbook(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [headers = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+  return {
+    headers: headers.map((header) => text(header)).filter(Boolean),
+    rows: XLSX.utils.sheet_to_json(worksheet),
+  };
+}
+
+/**
+ * Read a date from a cell: a Date, an Excel serial number, or YYYY-MM-DD / ISO text
+ * @param {*} value - Cell or request value
+ * @returns {Date|null} Date, or null when empty; an invalid Date when unreadable
+ */
+function parseDate(value) {
+  return importMapping.parseDate(value);
+}
+
+/**
+ * Build job fields from a spreadsheet row
+ * @param {Object} row - Row keyed by header
+ * @param {Object} defaults - { priority, scheduledDate } chosen at upload
+ * @param {Object} template - Column mapping (defaults to the built-in layout: street, city, state,
+ *   postcode, jobType, sup, jt, cust, meterMake, meterModel, meterSerialNumber, notes, priority, scheduledDate)
+ * @returns {Object} Job fields
+ */
+function mapRow(row, defaults = {}, template = importMapping.DEFAULT_TEMPLATE) {
+  return importMapping.applyTemplate(row, template, defaults);
+}
+
+/**
+ * Choose the column mapping for an upload: the named template, or the active template that
+ * best fits the header row (the built-in default when none fits)
+ * @param {string} name - Template name from the upload ('default' for the built-in layout)
+ * @param {string[]} headers - Header row of the sheet
+ * @returns {Promise<Object>} { template, detected }
+ * @throws {ImportError} When the named template does not exist or is inactive
+ */
+async function resolveTemplate(name, headers) {
+  if (name === importMapping.DEFAULT_TEMPLATE.name) {
+    return { template: importMapping.DEFAULT_TEMPLATE, detected: false };
+  }
+  if (name) {
+    const template = await ImportTemplate.findOne({ name, isActive: true }).lean();
+    if (!template) {
+      throw new ImportError(`Import template "${name}" not found`);
+    }
+    return { template, detected: false };
+  }
+
+  const templates = await ImportTemplate.find({ isActive: true }).lean();
+  const { template, detected } = importMapping.detectTemplate(headers, templates);
+  return { template, detected };
+}
+
+/**
+ * Check a scheduled date against the scheduling policy. Imports are admin-only, so past dates
+ * are accepted when the policy allows admins to back-date.
+ * @param {Date|null} date - Scheduled date (null = today)
+ * @param {Date} now - Current time
+ * @param {Object} policy - 'scheduling' setting
+ * @returns {string|null} Problem, or null when acceptable
+ */
+function scheduledDateProblem(date, now = new Date(), policy = settings.DEFAULT_SETTINGS.scheduling) {
+  return schedulingPolicy.dateProblem(date, policy, { now, isAdmin: true });
+}
+
+/**
+ * Validate the job fields of a row
+ * @param {Object} data - Job fields from mapRow
+ * @param {Date} now - Current time
+ * @param {Object} policy - 'scheduling' setting
+ * @returns {Object[]} Issues: { level: 'error'|'warning', field, message }
+ */
+function validateRow(data, now = new Date(), policy = settings.DEFAULT_SETTINGS.scheduling) {
+  const issues = [];
+  const error = (field, message) => issues.push({ level: 'error', field, message });
+  const warning = (field, message) => issues.push({ level: 'warning', field, message });
+  const address = data.address || {};
+
+  ['street', 'city', 'state'].forEach((field) => {
+    if (!text(address[field])) error(`address.${field}`, `Missing ${field}`);
+  });
+  if (!text(address.postcode)) warning('address.postcode', 'Missing postcode');
+  if (!JOB_TYPES.includes(data.jobType)) error('jobType', `Job type must be one of ${JOB_TYPES.join(', ')}`);
+  if (!PRIORITIES.includes(data.priority)) error('priority', `Priority must be one of ${PRIORITIES.join(', ')}`);
+
+  const dateProblem = scheduledDateProblem(data.scheduledDate, now, policy);
+  if (dateProblem) error('scheduledDate', dateProblem);
+
+  return issues;
+}
+
+/**
+ * Address key used to spot duplicates: street and postcode, case and spacing ignored
+ * @param {Object} address - Address
+ * @returns {string} Key ('' when there is no street)
+ */
+function addressKey(address = {}) {
+  const street = text(address.street).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  const postcode = text(address.postcode).toUpperCase().replace(/\s+/g, '');
+  return street ? `${street}|${postcode}` : '';
+}
+
+/**
+ * Spellings of a postcode to look up existing jobs with (with and without the space)
+ * @param {string} postcode - Postcode
+ * @returns {string[]} Variants
+ */
+function postcodeVariants(postcode) {
+  const compact = text(postcode).toUpperCase().replace(/\s+/g, '');
+  if (!compact) return [];
+  const spaced = compact.length > 3 ? `${compact.slice(0, -3)} ${compact.slice(-3)}` : compact;
+  return [...new Set([text(postcode), compact, spaced])];
+}
+
+/**
+ * Rows of the same upload with the same address and job type, or the same meter serial
+ * @param {Object[]} rows - { rowNumber, data, status }
+ * @returns {Map<number, Object[]>} rowNumber -> [{ rowNumber, reason }]
+ */
+function findDuplicateRows(rows) {
+  const duplicates = new Map();
+  const firstByAddress = new Map();
+  const firstBySerial = new Map();
+  const add = (row, other, reason) => {
+    if (!duplicates.has(row.rowNumber)) duplicates.set(row.rowNumber, []);
+    duplicates.get(row.rowNumber).push({ rowNumber: other.rowNumber, reason });
+  };
+
+  rows.filter((row) => row.status !== 'dropped').forEach((row) => {
+    const key = addressKey(row.data.address);
+    const serial = text(row.data.meterSerialNumber).toUpperCase();
+
+    if (key) {
+      const addressKeyWithType = `${key}|${row.data.jobType}`;
+      if (firstByAddress.has(addressKeyWithType)) {
+        add(row, firstByAddress.get(addressKeyWithType), 'Same address and job type as another row');
+      } else {
+        firstByAddress.set(addressKeyWithType, row);
+      }
+    }
+    if (serial) {
+      if (firstBySerial.has(serial)) {
+        add(row, firstBySerial.get(serial), 'Same meter serial number as another row');
+      } else {
+        firstBySerial.set(serial, row);
+      }
+    }
+  });
+  return duplicates;
+}
+
+/**
+ * Open jobs already in the system for the same address and job type, or the same meter serial
+ * @param {Object[]} rows - { rowNumber, data }
+ * @returns {Promise<Map<number, Object[]>>} rowNumber -> [{ job, jobId, reason }]
+ */
+async function findExistingDuplicates(rows) {
+  const postcodes = [...new Set(rows.flatMap((row) => postcodeVariants(row.data.address && row.data.address.postcode)))];
+  const serials = [...new Set(rows.map((row) => text(row.data.meterSerialNumber)).filter(Boolean))];
+  const duplicates = new Map();
+  if (postcodes.length === 0 && serials.length === 0) return duplicates;
+
+  const openJobs = await Job.find({
+    status: { $in: OPEN_STATUSES },
+    $or: [
+      ...(postcodes.length > 0 ? [{ 'address.postcode': { $in: postcodes } }] : []),
+      ...(serials.length > 0 ? [{ meterSerialNumber: { $in: serials } }] : []),
+    ],
+  }).select('jobId jobType address meterSerialNumber').lean();
+
+  rows.forEach((row) => {
+    const key = addressKey(row.data.address);
+    const serial = text(row.data.meterSerialNumber).toUpperCase();
+    const matches = [];
+    openJobs.forEach((job) => {
+      if (key && addressKey(job.address) === key && job.jobType === row.data.jobType) {
+        matches.push({ job: job._id, jobId: job.jobId, reason: 'Open job at the same address' });
+      } else if (serial && text(job.meterSerialNumber).toUpperCase() === serial) {
+        matches.push({ job: job._id, jobId: job.jobId, reason: 'Open job for the same meter serial number' });
+      }
+    });
+    if (matches.length > 0) duplicates.set(row.rowNumber, matches);
+  });
+  return duplicates;
+}
+
+/**
+ * Geocode the address of a row
+ * @param {Object} data - Job fields
+ * @param {Function} geocode - Geocoder (address string -> { latitude, longitude, accuracy, displayName, provider } | null)
+ * @returns {Promise<Object>} { status, latitude, longitude, accuracy, displayName, provider }
+ */
+async function geocodeRow(data, geocode = geocodeAddress) {
+  const address = data.address || {};
+  const addressString = ADDRESS_FIELDS.map((field) => text(address[field])).filter(Boolean).join(', ');
+
+  const coords = await geocode(addressString);
+  if (!coords) return { status: 'failed' };
+  return {
+    status: coords.accuracy !== undefined && coords.accuracy < LOW_GEOCODE_CONFIDENCE ? 'low_confidence' : 'ok',
+    latitude: coords.latitude,
+    longitude: coords.longitude,
+    accuracy: coords.accuracy,
+    displayName: coords.displayName,
+    provider: coords.provider,
+  };
+}
+
+/**
+ * Work out a row's status and issues from its validation, geocode and duplicate results
+ * @param {Object} row - Import row (updated in place)
+ * @param {Object[]} validationIssues - From validateRow
+ */
+function classifyRow(row, validationIssues) {
+  const issues = [...validationIssues];
+  if (row.geocode && row.geocode.status === 'failed') {
+    issues.push({ level: 'warning', field: 'address', message: 'Address could not be geocoded; the job will be sequenced last' });
+  } else if (row.geocode && row.geocode.status === 'low_confidence') {
+    issues.push({ level: 'warning', field: 'address', message: 'Address was only roughly located; check the coordinates' });
+  }
+  (row.duplicates || []).forEach((duplicate) => {
+    const where = duplicate.jobId ? `job ${duplicate.jobId}` : `row ${duplicate.rowNumber}`;
+    issues.push({ level: 'warning', field: 'duplicate', message: `${duplicate.reason} (${where})` });
+  });
+
+  row.issues = issues;
+  if (row.status !== 'dropped') {
+    if (issues.some((issue) => issue.level === 'error')) row.status = 'error';
+    else if (issues.length > 0) row.status = 'warning';
+    else row.status = 'valid';
+  }
+}
+
+/**
+ * Refresh duplicate findings and statuses across a batch's rows
+ * @param {Object[]} rows - Import rows (updated in place)
+ * @param {Date} now - Current time
+ */
+async function refreshDuplicates(rows, now = new Date()) {
+  const policy = await schedulingPolicy.loadPolicy();
+  const live = rows.filter((row) => row.status !== 'dropped');
+  const inBatch = findDuplicateRows(live);
+  const existing = await findExistingDuplicates(live);
+  rows.forEach((row) => {
+    row.duplicates = [...(existing.get(row.rowNumber) || []), ...(inBatch.get(row.rowNumber) || [])];
+    classifyRow(row, validateRow(row.data, now, policy));
+  });
+}
+
+/**
+ * Count rows by status
+ * @param {Object[]} rows - Import rows
+ * @returns {Object} { total, valid, warning, error, dropped }
+ */
+function summarise(rows) {
+  const summary = { total: rows.length, valid: 0, warning: 0, error: 0, dropped: 0 };
+  rows.forEach((row) => { summary[row.status]++; });
+  return summary;
+}
+
+/**
+ * Store fresh row counts (plus any extra totals) on a batch
+ * @param {Object} batch - ImportBatch document
+ * @param {Object} extra - Other summary fields to set
+ */
+function applySummary(batch, extra = {}) {
+  Object.entries({ ...summarise(batch.rows), ...extra }).forEach(([field, value]) => {
+    batch.set(`summary.${field}`, value);
+  });
+}
+
+/**
+ * Phase one: read a spreadsheet, validate every row and store the batch queued for geocoding
+ * (see processBatch, run in the background by utils/importQueue.js)
+ * @param {Object} params
+ * @param {Buffer} params.buffer - Uploaded file
+ * @param {string} params.fileName - Original file name
+ * @param {Object} params.user - Uploading admin
+ * @param {Object} params.options - { assignees, scheduledDate, priority, template (name; detected when omitted),
+ *   autoCommit (create the jobs once processed, leaving out rows with errors) }
+ * @returns {Promise<Object>} Saved ImportBatch (status queued)
+ * @throws {ImportError} When the file has no rows
+ */
+async function createBatch({ buffer, fileName, user, options = {} }) {
+  const { headers, rows: sheetRows } = parseWorkbook(buffer);
+  console.log(`Excel file parsed: ${sheetRows.length} rows found`);
+  if (sheetRows.length === 0) {
+    throw new ImportError('Excel file is empty');
+  }
+
+  const { template, detected } = await resolveTemplate(options.template, headers);
+  console.log(`Import template: ${template.name}${detected ? ' (detected from headers)' : ''}`);
+
+  const now = new Date();
+  const policy = await schedulingPolicy.loadPolicy();
+  const defaults = { priority: options.priority, scheduledDate: options.scheduledDate };
+  const rows = sheetRows.map((sheetRow, i) => {
+    const data = mapRow(sheetRow, defaults, template);
+    const validationIssues = validateRow(data, now, policy);
+    // Rows without a usable address are reported rather than geocoded
+    const addressUsable = !validationIssues.some((issue) => issue.field.startsWith('address.') && issue.level === 'error');
+    const row = {
+      rowNumber: i + 1,
+      raw: sheetRow,
+      data,
+      status: 'valid',
+      duplicates: [],
+      geocode: { status: addressUsable ? 'pending' : 'skipped' },
+    };
+    classifyRow(row, validationIssues);
+    return row;
+  });
+
+  const batch = await ImportBatch.create({
+    fileName: fileName || '',
+    status: 'queued',
+    uploadedBy: user._id,
+    options: {
+      assignees: options.assignees || [],
+      scheduledDate: options.scheduledDate || undefined,
+      priority: options.priority || 'medium',
+      autoCommit: Boolean(options.autoCommit),
+    },
+    template: {
+      name: template.name,
+      templateId: template._id || null,
+      detected,
+    },
+    rows,
+    summary: summarise(rows),
+    progress: {
+      total: rows.length,
+      processed: rows.filter((row) => row.geocode.status !== 'pending').length,
+    },
+  });
+  console.log(`Import ${batch._id} queued: ${rows.length} rows`);
+  return batch;
+}
+
+/**
+ * Geocode the rows of a queued batch, check for duplicates and make it ready for review.
+ * The batch is saved after every row, so a batch interrupted by a restart carries on from
+ * the first row still pending.
+ * @param {Object} batch - ImportBatch document (status queued or processing)
+ * @param {Object} options
+ * @param {Function} options.geocode - Geocoder (defaults to utils/geocoding.js, which paces its own requests)
+ * @param {Function} options.onProgress - Called with (batch, row) after each geocoded row
+ * @returns {Promise<Object>} Batch, now pending review
+ * @throws {ImportError} 409 when the batch is not waiting to be processed
+ */
+async function processBatch(batch, { geocode = geocodeAddress, onProgress = () => {} } = {}) {
+  if (!PROCESSING_STATUSES.includes(batch.status)) {
+    throw new ImportError(`Import is ${batch.status.replace('_', ' ')} and cannot be processed`, 409);
+  }
+
+  const now = new Date();
+  const policy = await schedulingPolicy.loadPolicy();
+  batch.status = 'processing';
+  batch.set('progress.startedAt', batch.progress.startedAt || now);
+  batch.set('progress.attempts', (batch.progress.attempts || 0) + 1);
+  batch.set('progress.error', undefined);
+  await batch.save();
+
+  for (const row of batch.rows) {
+    if (row.geocode.status !== 'pending') continue;
+    try {
+      row.geocode = await geocodeRow(row.data, geocode);
+    } catch (error) {
+      console.error(`Import ${batch._id} row ${row.rowNumber} geocoding error:`, error.message);
+      row.geocode = { status: 'failed' };
+    }
+    classifyRow(row, validateRow(row.data, now, policy));
+
+    batch.set('progress.processed', batch.rows.filter((candidate) => candidate.geocode.status !== 'pending').length);
+    applySummary(batch);
+    await batch.save();
+    onProgress(batch, row);
+  }
+
+  await refreshDuplicates(batch.rows, now);
+  applySummary(batch);
+  batch.markModified('rows');
+  batch.status = 'pending_review';
+  batch.set('progress.processed', batch.rows.length);
+  batch.set('progress.finishedAt', new Date());
+  await batch.save();
+  console.log(`Import ${batch._id}: ${JSON.stringify(batch.summary)}`);
+  return batch;
+}
+
+/**
+ * Check a batch can still be changed
+ * @param {Object} batch - ImportBatch
+ * @throws {ImportError} 409 when the batch is no longer pending review
+ */
+function assertPendingReview(batch) {
+  if (PROCESSING_STATUSES.includes(batch.status)) {
+    throw new ImportError('Import is still being processed', 409);
+  }
+  if (batch.status !== 'pending_review') {
+    throw new ImportError(`Import is ${batch.status.replace('_', ' ')} and can no longer be changed`, 409);
+  }
+}
+
+/**
+ * Edit, drop or restore one row of a batch under review
+ * @param {Object} batch - ImportBatch document
+ * @param {number} rowNumber - Row to change
+ * @param {Object} changes - { drop: true } | { restore: true } | job fields
+ *   (jobType, priority, scheduledDate, sup, jt, cust, meter fields, notes, address: { street, city, state, postcode },
+ *   latitude/longitude to place the row by hand)
+ * @param {Object} options - { geocode }
+ * @returns {Promise<Object>} Updated row
+ * @throws {ImportError} When the batch is closed or the row does not exist
+ */
+async function updateRow(batch, rowNumber, changes = {}, { geocode = geocodeAddress } = {}) {
+  assertPendingReview(batch);
+  const row = batch.rows.find((candidate) => candidate.rowNumber === Number(rowNumber));
+  if (!row) {
+    throw new ImportError(`Row ${rowNumber} not found in this import`, 404);
+  }
+
+  if (changes.drop) {
+    row.status = 'dropped';
+  } else {
+    if (changes.restore || row.status === 'dropped') {
+      row.status = 'valid';
+    }
+
+    const data = { ...row.data, address: { ...(row.data.address || {}) } };
+    EDITABLE_FIELDS.forEach((field) => {
+      if (changes[field] === undefined) return;
+      if (field === 'scheduledDate') data[field] = parseDate(changes[field]);
+      else data[field] = ['jobType', 'priority'].includes(field) ? text(changes[field]).toLowerCase() : text(changes[field]);
+    });
+    const addressChanged = ADDRESS_FIELDS.some((field) => (
+      changes.address && changes.address[field] !== undefined && text(changes.address[field]) !== text(data.address[field])
+    ));
+    ADDRESS_FIELDS.forEach((field) => {
+      if (changes.address && changes.address[field] !== undefined) data.address[field] = text(changes.address[field]);
+    });
+    row.data = data;
+
+    const manualPoint = routePlanner.pointOf({ latitude: changes.latitude, longitude: changes.longitude });
+    const addressUsable = !validateRow(data).some((issue) => issue.field.startsWith('address.') && issue.level === 'error');
+    if (manualPoint) {
+      row.geocode = { status: 'ok', ...manualPoint, displayName: 'Entered manually' };
+    } else if (addressUsable && (addressChanged || row.geocode.status === 'skipped')) {
+      row.geocode = await geocodeRow(data, geocode);
+    } else if (!addressUsable) {
+      row.geocode = { status: 'skipped' };
+    }
+  }
+
+  await refreshDuplicates(batch.rows);
+  applySummary(batch);
+  batch.markModified('rows');
+  await batch.save();
+  return batch.rows.find((candidate) => candidate.rowNumber === Number(rowNumber));
+}
+
+/**
+ * Load and check the operatives to assign to
+ * @param {string[]} ids - User IDs, in the order given
+ * @returns {Promise<Object[]>} Users
+ * @throws {ImportError} When a user is missing or not in the meter department
+ */
+async function loadOperatives(ids) {
+  const uniqueIds = [...new Set(ids.map(String))];
+  if (uniqueIds.length === 0) {
+    throw new ImportError('Assigned user is required');
+  }
+  if (uniqueIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ImportError('Invalid assigned user ID');
+  }
+  const users = await User.find({ _id: { $in: uniqueIds } });
+  if (users.length !== uniqueIds.length || users.some((user) => user.department !== 'meter')) {
+    throw new ImportError('Assigned user must be from meter department');
+  }
+  return uniqueIds.map((id) => users.find((user) => user._id.toString() === id));
+}
+
+/**
+ * Phase two: create the jobs of a reviewed batch. Rows are shared between the operatives
+ * (pinned rows stay with the operative chosen) and each operative's jobs are sequenced along
+ * a planned route from their home/depot.
+ * @param {Object} batch - ImportBatch document
+ * @param {Object} user - Admin committing the batch
+ * @param {Object} options
+ * @param {string[]} options.assignees - User IDs (defaults to those chosen at upload)
+ * @param {Object} options.allocation - { rowNumber: userId } pins from a reviewed preview
+ * @param {boolean} options.preview - Only work out the allocation; create nothing
+ * @returns {Promise<Object>} { preview, allocation: [{ userId, name, count, estimatedMiles, ... }], jobs, operatives }
+ * @throws {ImportError} When rows still have errors or the assignees are invalid
+ */
+async function commitBatch(batch, user, { assignees, allocation = {}, preview = false } = {}) {
+  assertPendingReview(batch);
+
+  // Dates may have passed and jobs may have been created since the upload, so check again
+  await refreshDuplicates(batch.rows);
+  applySummary(batch);
+  batch.markModified('rows');
+
+  const unresolved = batch.rows.filter((row) => row.status === 'error');
+  if (unresolved.length > 0) {
+    await batch.save();
+    throw new ImportError(
+      `${unresolved.length} row(s) have errors; fix or drop them before committing`,
+      400,
+      unresolved.map((row) => ({ rowNumber: row.rowNumber, issues: row.issues.filter((issue) => issue.level === 'error') }))
+    );
+  }
+
+  const operativeIds = assignees && assignees.length > 0 ? assignees : batch.options.assignees.map(String);
+  const operatives = await loadOperatives(operativeIds);
+  const operativeKeys = operatives.map((operative) => operative._id.toString());
+  if (Object.values(allocation).some((userId) => !operativeKeys.includes(String(userId)))) {
+    throw new ImportError('Allocation can only use the selected assignees');
+  }
+
+  const actor = jobLifecycle.actorFromUser(user, 'Imported from spreadsheet');
+  const importable = batch.rows.filter((row) => row.status === 'valid' || row.status === 'warning');
+  const candidates = importable.map((row) => {
+    const job = {
+      ...row.data,
+      address: { ...row.data.address },
+      scheduledDate: row.data.scheduledDate || new Date(),
+      status: 'pending',
+      statusHistory: [jobLifecycle.createdEntry(actor)],
+      importBatch: batch._id,
+      rowNumber: row.rowNumber,
+    };
+    // Store coordinates in multiple places for reliability
+    if (row.geocode && row.geocode.latitude != null && row.geocode.longitude != null) {
+      job.address.latitude = row.geocode.latitude;
+      job.address.longitude = row.geocode.longitude;
+      job.location = { latitude: row.geocode.latitude, longitude: row.geocode.longitude };
+    }
+    return job;
+  });
+  const routeDate = candidates.length > 0 ? candidates[0].scheduledDate : new Date();
+
+  // Share the rows between the operatives: pinned rows stay put and the rest are clustered
+  // and balanced by estimated working day
+  let groups;
+  if (operatives.length === 1) {
+    groups = [{ operative: operatives[0], jobs: candidates }];
+  } else {
+    const routing = await settings.getSetting('routing');
+    groups = jobAllocation.allocateJobs(
+      candidates.filter((job) => !allocation[job.rowNumber]),
+      operatives,
+      { routing, departAt: routePlanner.dayStart(routeDate, routing.dayStartTime) }
+    );
+    candidates
+      .filter((job) => allocation[job.rowNumber])
+      .forEach((job) => {
+        groups.find((group) => group.operative._id.toString() === String(allocation[job.rowNumber])).jobs.push(job);
+      });
+  }
+
+  // Plan each operative's route from their home/depot, leaving at the start of the scheduled day
+  for (const group of groups) {
+    group.plan = await routePlanner.planJobs(group.jobs, {
+      start: group.operative.homeLocation,
+      date: routeDate,
+      departAt: new Date(),
+    });
+    group.entries = [...group.plan.stops, ...group.plan.unlocated.map((job) => ({ job }))];
+  }
+
+  const summary = groups.map((group) => ({
+    userId: group.operative._id,
+    name: `${group.operative.firstName || ''} ${group.operative.lastName || ''}`.trim() || group.operative.username,
+    employeeId: group.operative.employeeId || '',
+    count: group.jobs.length,
+    estimatedMiles: group.plan.totalMiles,
+    estimatedMinutes: group.plan.totalMinutes,
+    lateStops: group.plan.lateStops,
+    startsFromHome: !!group.plan.start,
+  }));
+
+  if (preview) {
+    return {
+      preview: true,
+      operatives,
+      allocation: groups.map((group, index) => ({
+        ...summary[index],
+        rows: group.entries.map((stop, position) => ({
+          rowNumber: stop.job.rowNumber,
+          sequenceNumber: position + 1,
+          street: stop.job.address.street,
+          city: stop.job.address.city,
+          postcode: stop.job.address.postcode,
+          located: stop.job.location !== undefined,
+          eta: stop.eta || null,
+        })),
+      })),
+      jobs: [],
+    };
+  }
+
+  if (candidates.length === 0) {
+    throw new ImportError('No valid jobs to import. Fix or restore rows before committing.');
+  }
+
+  // Claim the batch before creating anything, so a second commit (or an auto-commit racing a
+  // manual one) is refused instead of creating the jobs again
+  const claimed = await ImportBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'pending_review' },
+    { $set: { status: 'committing' } }
+  );
+  if (!claimed) {
+    throw new ImportError('Import is already being committed or can no longer be changed', 409);
+  }
+
+  try {
+    return await createBatchJobs(batch, user, { operatives, groups, summary });
+  } catch (error) {
+    // Remove anything created before the failure and hand the batch back for review
+    await Job.deleteMany({ importBatch: batch._id });
+    await ImportBatch.updateOne({ _id: batch._id, status: 'committing' }, { $set: { status: 'pending_review' } });
+    throw error;
+  }
+}
+
+/**
+ * Create the jobs of a claimed batch, in each operative's route order, and mark it committed
+ * @param {Object} batch - ImportBatch document (status 'committing' in the database)
+ * @param {Object} user - Admin committing the batch
+ * @param {Object} plan - { operatives, groups, summary } worked out by commitBatch
+ * @returns {Promise<Object>} { preview: false, operatives, allocation, jobs }
+ */
+async function createBatchJobs(batch, user, { operatives, groups, summary }) {
+  const plannedAt = new Date();
+  const jobsToCreate = [];
+  const rowNumbers = [];
+
+  // Each operative's jobs are numbered in route order, jobs without coordinates last
+  groups.forEach((group) => {
+    group.entries.forEach((stop, index) => {
+      const { rowNumber, ...jobData } = stop.job;
+      jobData.assignedTo = group.operative._id;
+      jobData.employeeId = group.operative.employeeId || '';
+      jobData.sequenceNumber = index + 1;
+      if (stop.eta) {
+        jobData.route = { eta: stop.eta, legMiles: stop.legMiles, windowStatus: stop.windowStatus, plannedAt };
+      }
+      jobsToCreate.push(jobData);
+      rowNumbers.push(rowNumber);
+    });
+  });
+
+  // Reserve all JobIDs at once, in route order
+  await assignJobIds(jobsToCreate);
+
+  // Link every job to the house record of its property (created the first time it is seen)
+  // and to the meter it reads there
+  await houseLinking.linkJobsToHouses(jobsToCreate);
+  await meterRegistry.linkJobsToMeters(jobsToCreate);
+
+  console.log(`Creating ${jobsToCreate.length} jobs from import ${batch._id}...`);
+  const createdJobs = await Job.insertMany(jobsToCreate);
+
+  const jobByRow = new Map(rowNumbers.map((rowNumber, index) => [rowNumber, createdJobs[index]._id]));
+  batch.rows.forEach((row) => {
+    if (jobByRow.has(row.rowNumber)) row.job = jobByRow.get(row.rowNumber);
+  });
+  batch.status = 'committed';
+  batch.committedAt = new Date();
+  batch.committedBy = user._id;
+  batch.options.assignees = operatives.map((operative) => operative._id);
+  applySummary(batch, { created: createdJobs.length });
+  batch.markModified('rows');
+  await batch.save();
+
+  return { preview: false, operatives, allocation: summary, jobs: createdJobs };
+}
+
+/**
+ * Remove the jobs a committed batch created. Jobs that have been started or finished are kept
+ * and reported.
+ * @param {Object} batch - ImportBatch document
+ * @param {Object} user - Admin rolling back
+ * @param {string} reason - Why
+ * @returns {Promise<Object>} { removed, kept: [{ _id, jobId, status }] }
+ * @throws {ImportError} 409 when the batch is not committed
+ */
+async function rollbackBatch(batch, user, reason = '') {
+  if (batch.status !== 'committed') {
+    throw new ImportError('Only a committed import can be rolled back', 409);
+  }
+
+  const jobs = await Job.find({ importBatch: batch._id }).select('jobId status assignedTo').lean();
+  const removable = jobs.filter((job) => job.status === 'pending').map((job) => job._id);
+  // Re-check the status in the delete so a job started meanwhile is kept
+  const result = await Job.deleteMany({ _id: { $in: removable }, status: 'pending' });
+  const remaining = await Job.find({ importBatch: batch._id }).select('jobId status').lean();
+  const remainingIds = new Set(remaining.map((job) => job._id.toString()));
+
+  batch.rows.forEach((row) => {
+    if (row.job && !remainingIds.has(row.job.toString())) row.job = undefined;
+  });
+  batch.status = 'rolled_back';
+  batch.rolledBackAt = new Date();
+  batch.rolledBackBy = user._id;
+  batch.rollbackReason = reason;
+  batch.set('summary.rolledBack', result.deletedCount);
+  batch.markModified('rows');
+  await batch.save();
+
+  return {
+    removed: result.deletedCount,
+    assignees: [...new Set(jobs.map((job) => String(job.assignedTo)))],
+    kept: remaining.map((job) => ({ _id: job._id, jobId: job.jobId, status: job.status })),
+  };
+}
+
+/**
+ * Cancel a batch under review without creating any jobs
+ * @param {Object} batch - ImportBatch document
+ * @returns {Promise<Object>} Batch
+ */
+async function cancelBatch(batch) {
+  assertPendingReview(batch);
+  // Checked again in the update so a commit that has just claimed the batch is not cancelled
+  const cancelled = await ImportBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'pending_review' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw new ImportError('Import is being committed and can no longer be changed', 409);
+  }
+  return cancelled;
+}
+
+/**
+ * Tell the admin room and each operative about jobs created by an import
+ * @param {Object[]} jobs - Created jobs (assignedTo populated)
+ */
+function notifyJobsCreated(jobs) {
+  if (!global.io) return;
+
+  global.io.to('admin_room').emit('jobUpdate', {
+    type: 'jobsBulkCreated',
+    count: jobs.length,
+    jobs,
+    timestamp: new Date(),
+  });
+
+  const byOperative = new Map();
+  jobs.forEach((job) => {
+    const userId = job.assignedTo && (job.assignedTo._id || job.assignedTo).toString();
+    if (!byOperative.has(userId)) byOperative.set(userId, []);
+    byOperative.get(userId).push(job);
+  });
+  byOperative.forEach((userJobs, userId) => {
+    global.io.to(`user_${userId}`).emit('jobUpdate', {
+      type: 'newJobsAssigned',
+      count: userJobs.length,
+      jobs: userJobs,
+      timestamp: new Date(),
+      message: `You have been assigned ${userJobs.length} new job(s)`,
+    });
+  });
+}
+
+module.exports = {
+  ImportError,
+  parseIdList,
+  parseDate,
+  mapRow,
+  resolveTemplate,
+  validateRow,
+  scheduledDateProblem,
+  addressKey,
+  findDuplicateRows,
+  classifyRow,
+  createBatch,
+  processBatch,
+  updateRow,
+  commitBatch,
+  rollbackBatch,
+  cancelBatch,
+  notifyJobsCreated,
+};
@@ -0,0 +1,269 @@
+/**
+ * Job Lifecycle
+ *
+ * Single source of truth for job statuses and the transitions between them.
+ * Every status change goes through here so that illegal moves are rejected
+ * consistently and each move is appended to the job's statusHistory.
+ *
+ *   pending ──start──▶ in_progress ──complete──▶ completed
+ *      │                    ├──────no_access──▶ no_access
+ *      └──────cancel────────┴──────cancel─────▶ cancelled
+ *
+ *   completed / no_access / cancelled ──reopen──▶ pending
+ *   no_access ──revisit──▶ pending
+ */
+
+const JOB_STATUSES = ['pending', 'in_progress', 'completed', 'no_access', 'cancelled'];
+
+// Statuses from which no further work is expected without reopening the job
+const CLOSED_STATUSES = ['completed', 'no_access', 'cancelled'];
+
+// Closed statuses where the visit was made: both count as completed work in reports and pay
+const COMPLETED_STATUSES = ['completed', 'no_access'];
+
+const TRANSITIONS = {
+  start: { from: ['pending'], to: 'in_progress' },
+  complete: { from: ['in_progress'], to: 'completed' },
+  no_access: { from: ['in_progress'], to: 'no_access' },
+  cancel: { from: ['pending', 'in_progress'], to: 'cancelled', roles: ['admin'] },
+  reopen: { from: ['completed', 'no_access', 'cancelled'], to: 'pending', roles: ['admin'] },
+  revisit: { from: ['no_access'], to: 'pending', roles: ['admin'] },
+};
+
+/**
+ * Error raised when a requested transition is not allowed
+ */
+class JobTransitionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'JobTransitionError';
+    this.statusCode = details.statusCode || 400;
+    this.code = details.code || 'INVALID_TRANSITION';
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      error: this.code,
+      from: this.details.from,
+      event: this.details.event,
+      allowedEvents: this.details.allowedEvents,
+    };
+  }
+}
+
+/**
+ * Get the events that can be applied to a job in the given status
+ * @param {string} status - Current job status
+ * @param {string} role - Role of the acting user (optional)
+ * @returns {Array<string>} Event names
+ */
+function getAvailableEvents(status, role) {
+  return Object.keys(TRANSITIONS).filter((event) => {
+    const transition = TRANSITIONS[event];
+    if (!transition.from.includes(status)) return false;
+    return !role || !transition.roles || transition.roles.includes(role);
+  });
+}
+
+/**
+ * Find the event that moves a job from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string|null} Event name, or null when no event matches
+ */
+function findEventForStatus(from, to) {
+  const event = Object.keys(TRANSITIONS).find((name) => (
+    TRANSITIONS[name].from.includes(from) && TRANSITIONS[name].to === to
+  ));
+  return event || null;
+}
+
+/**
+ * Find the shortest chain of events that moves a job from one status to another.
+ * Used by endpoints that accept a target status rather than an event, e.g. the
+ * legacy completion endpoint which may be called on a job that was never started.
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @param {Object} options - { allowedEvents, role }
+ * @returns {Array<string>|null} Events to apply ([] when already there), or null when unreachable
+ */
+function findPath(from, to, options = {}) {
+  if (from === to) return [];
+
+  const allowed = options.allowedEvents || Object.keys(TRANSITIONS);
+  const queue = [{ status: from, events: [] }];
+  const visited = new Set([from]);
+
+  while (queue.length > 0) {
+    const { status, events } = queue.shift();
+    const candidates = getAvailableEvents(status, options.role).filter((event) => allowed.includes(event));
+
+    for (const event of candidates) {
+      const next = TRANSITIONS[event].to;
+      if (next === to) return [...events, event];
+      if (!visited.has(next)) {
+        visited.add(next);
+        queue.push({ status: next, events: [...events, event] });
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a single transition and build its history entry
+ * @param {string} from - Current status
+ * @param {string} event - Event name
+ * @param {Object} options - { actor, role, reason, at }
+ * @returns {Object} History entry { event, from, to, actor, actorRole, reason, at }
+ * @throws {JobTransitionError} When the event is unknown, not allowed from this status or not allowed for this role
+ */
+function buildTransition(from, event, options = {}) {
+  const transition = TRANSITIONS[event];
+  if (!transition) {
+    throw new JobTransitionError(`Unknown job event "${event}"`, { from, event, code: 'UNKNOWN_EVENT' });
+  }
+
+  if (!transition.from.includes(from)) {
+    throw new JobTransitionError(
+      `Cannot ${event.replace('_', ' ')} a job that is ${from.replace('_', ' ')}`,
+      { from, event, allowedEvents: getAvailableEvents(from, options.role) }
+    );
+  }
+
+  if (options.role && transition.roles && !transition.roles.includes(options.role)) {
+    throw new JobTransitionError(
+      `Only ${transition.roles.join(', ')} users can ${event.replace('_', ' ')} a job`,
+      { from, event, statusCode: 403, code: 'TRANSITION_FORBIDDEN' }
+    );
+  }
+
+  return {
+    event,
+    from,
+    to: transition.to,
+    actor: options.actor || null,
+    actorRole: options.role || '',
+    reason: options.reason || '',
+    at: options.at || new Date(),
+  };
+}
+
+/**
+ * Validate a chain of events (e.g. ['start', 'complete']) starting from a status
+ * @param {string} from - Current status
+ * @param {string|Array<string>} events - Event name or list of event names applied in order
+ * @param {Object} options - { actor, role, reason, at }
+ * @returns {Array<Object>} History entries, one per event
+ */
+function planTransitions(from, events, options = {}) {
+  const list = Array.isArray(events) ? events : [events];
+  const entries = [];
+  let status = from;
+
+  list.forEach((event) => {
+    const entry = buildTransition(status, event, options);
+    entries.push(entry);
+    status = entry.to;
+  });
+
+  return entries;
+}
+
+/**
+ * History entry recorded when a job is first created
+ * @param {Object} options - { actor, role, reason, at }
+ * @returns {Object} History entry
+ */
+function createdEntry(options = {}) {
+  return {
+    event: 'create',
+    from: null,
+    to: 'pending',
+    actor: options.actor || null,
+    actorRole: options.role || '',
+    reason: options.reason || '',
+    at: options.at || new Date(),
+  };
+}
+
+/**
+ * Apply one or more events to a job document atomically.
+ *
+ * The update only matches while the job is still in the status it was read in,
+ * so two concurrent requests cannot both move the same job. An empty event list
+ * updates the job in place while still guarding against a concurrent status change.
+ *
+ * @param {Object} job - Mongoose Job document (as read before the change)
+ * @param {string|Array<string>} events - Event name or chain of event names
+ * @param {Object} options - { actor, role, reason, at }
+ * @param {Object} set - Additional fields to $set in the same update
+ * @param {Object} push - Additional array entries to $push in the same update
+ * @returns {Promise<Object>} Updated job document
+ */
+async function transitionJob(job, events, options = {}, set = {}, push = {}) {
+  const entries = planTransitions(job.status, events, options);
+  const Job = job.constructor;
+
+  const { status, statusHistory, ...fields } = set;
+  const pushes = { ...push };
+  delete pushes.statusHistory;
+  const update = { $set: fields };
+  if (entries.length > 0) {
+    update.$set.status = entries[entries.length - 1].to;
+    pushes.statusHistory = { $each: entries };
+  }
+  if (Object.keys(pushes).length > 0) {
+    update.$push = pushes;
+  }
+
+  const updatedJob = await Job.findOneAndUpdate(
+    { _id: job._id, status: job.status },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!updatedJob) {
+    throw new JobTransitionError('Job status was changed by another request. Please refresh and try again.', {
+      from: job.status,
+      event: entries[0]?.event,
+      statusCode: 409,
+      code: 'STATUS_CONFLICT',
+    });
+  }
+
+  return updatedJob;
+}
+
+/**
+ * Options object for transitions performed by an authenticated request
+ * @param {Object} user - req.user
+ * @param {string} reason - Reason for the change
+ * @returns {Object} { actor, role, reason }
+ */
+function actorFromUser(user, reason) {
+  return {
+    actor: user?._id || null,
+    role: user?.role || '',
+    reason: reason || '',
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  CLOSED_STATUSES,
+  COMPLETED_STATUSES,
+  TRANSITIONS,
+  JobTransitionError,
+  getAvailableEvents,
+  findEventForStatus,
+  findPath,
+  buildTransition,
+  planTransitions,
+  createdEntry,
+  transitionJob,
+  actorFromUser,
+};
@@ -0,0 +1,359 @@
+/**
+ * Job Sheets
+ *
+ * Printable PDFs drawn with pdfkit: a visit report for one job (address, meter, readings,
+ * outcome, timestamps and photo thumbnails) and an operative's run sheet (their jobs in
+ * route order, as /api/jobs/today-geo returns them). The content is put together as plain
+ * sections first (jobSheetSections, runSheetRows) and then laid out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+const { formatDate } = require('./tableExport');
+const businessTime = require('./businessTime');
+const { cloudinary } = require('./cloudinary');
+
+const MAX_PHOTOS = 6;
+const PHOTO_TIMEOUT_MS = 5000;
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+const THUMBNAIL = { width: 160, height: 120 };
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const MARGIN = 40;
+const LABEL_WIDTH = 150;
+const FONT = 'Helvetica';
+const BOLD = 'Helvetica-Bold';
+
+const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+const when = (date) => (date ? formatDate(date).slice(0, 16) : '');
+// Days are the business day (a job scheduled for midnight BST is 23:00 UTC the day before)
+const day = (date) => (date ? businessTime.dayKey(new Date(date)) : '');
+const personName = (user) => (user && typeof user === 'object'
+  ? [user.firstName, user.lastName].filter(Boolean).join(' ') + (user.employeeId ? ` (${user.employeeId})` : '')
+  : '');
+const addressLine = (job) => {
+  const address = job.address || {};
+  return [address.street, address.city, address.postcode].map(text).filter(Boolean).join(', ');
+};
+
+/**
+ * Photo URLs of a job, meter photos included, without repeats
+ * @param {Object} job - Job
+ * @returns {string[]} Photo URLs
+ */
+function jobPhotoUrls(job) {
+  const urls = [...(job.photos || []), ...(job.meterPhotos || []).map((photo) => photo && photo.photoUrl)];
+  return [...new Set(urls.map(text).filter(Boolean))];
+}
+
+/**
+ * Small JPEG version of a Cloudinary photo; other URLs are fetched as they are
+ * @param {string} url - Photo URL
+ * @returns {string} URL to fetch
+ */
+function thumbnailUrl(url) {
+  if (!/res\.cloudinary\.com\/.+\/image\/upload\//.test(url)) return url;
+  return url.replace('/image/upload/', `/image/upload/c_fill,w_${THUMBNAIL.width * 2},h_${THUMBNAIL.height * 2},f_jpg,q_70/`);
+}
+
+/**
+ * Whether a photo URL is an upload on the configured Cloudinary account. Photo URLs come from
+ * operatives, so nothing else is fetched by the server.
+ * @param {string} url - Photo URL
+ * @returns {boolean}
+ */
+function isCloudinaryPhoto(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  return ['https:', 'http:'].includes(parsed.protocol)
+    && parsed.hostname === 'res.cloudinary.com'
+    && !parsed.username && !parsed.password && !parsed.port
+    && parsed.pathname.startsWith(`/${cloudinary.config().cloud_name}/image/upload/`);
+}
+
+/**
+ * Fetch photo thumbnails from Cloudinary or the local uploads folder. Photos that cannot be
+ * fetched (or are stored anywhere else) are returned without data and shown as unavailable
+ * rather than failing the sheet.
+ * @param {string[]} urls - Photo URLs
+ * @returns {Promise<Object[]>} [{ url, data: Buffer|null }]
+ */
+async function loadPhotos(urls) {
+  const photos = [];
+  for (const url of urls.slice(0, MAX_PHOTOS)) {
+    let data = null;
+    try {
+      if (url.startsWith('/uploads/')) {
+        const filePath = path.resolve(UPLOADS_DIR, url.slice('/uploads/'.length));
+        if (!filePath.startsWith(UPLOADS_DIR + path.sep)) throw new Error('outside the uploads folder');
+        data = await fs.promises.readFile(filePath);
+      } else if (isCloudinaryPhoto(url)) {
+        const response = await axios.get(thumbnailUrl(url), {
+          responseType: 'arraybuffer',
+          timeout: PHOTO_TIMEOUT_MS,
+          maxContentLength: PHOTO_MAX_BYTES,
+          maxRedirects: 0,
+        });
+        data = Buffer.from(response.data);
+      } else {
+        throw new Error('not a Cloudinary or uploaded photo');
+      }
+    } catch (error) {
+      console.error(`Job sheet photo error (${url}):`, error.message);
+    }
+    photos.push({ url, data });
+  }
+  return photos;
+}
+
+/**
+ * The content of a job's visit report
+ * @param {Object} job - Job (assignedTo and house populated)
+ * @returns {Object[]} [{ title, rows: [[label, value]] }]
+ */
+function jobSheetSections(job) {
+  const history = job.statusHistory || [];
+  const firstEvent = (event) => (history.find((entry) => entry.event === event) || {}).at;
+  const registers = (job.registerValues || []).map((value, index) => [
+    `Register ${text((job.registerIds || [])[index]) || `#${index + 1}`}`,
+    text(value),
+  ]);
+  const meterReadings = job.meterReadings || {};
+  ['electric', 'gas', 'water'].forEach((type) => {
+    if (text(meterReadings[type])) registers.push([`${type[0].toUpperCase()}${type.slice(1)} reading`, text(meterReadings[type])]);
+  });
+
+  const sections = [
+    {
+      title: 'Visit',
+      rows: [
+        ['Job ID', text(job.jobId)],
+        ['Job type', text(job.jobType)],
+        ['Status', text(job.status).replace(/_/g, ' ')],
+        ['Address', addressLine(job)],
+        ['Supplier', text(job.sup)],
+        ['MPAN/MPRN', text(job.cust)],
+        ['Operative', personName(job.assignedTo)],
+      ],
+    },
+    {
+      title: 'Meter',
+      rows: [
+        ['Serial number', text(job.meterSerialNumber)],
+        ['Make', text(job.meterMake)],
+        ['Model', text(job.meterModel)],
+      ],
+    },
+    {
+      title: 'Readings',
+      rows: registers.length > 0 ? registers : [['Reading', 'No reading taken']],
+    },
+  ];
+
+  if (job.status === 'no_access' || text(job.noAccessReason)) {
+    sections.push({
+      title: 'No access',
+      rows: [
+        ['Reason', text(job.noAccessReason) || 'Not given'],
+        ['Valid no access', job.validNoAccess ? 'Yes' : 'No'],
+      ],
+    });
+  }
+
+  sections.push({
+    title: 'Timestamps',
+    rows: [
+      ['Scheduled', when(job.scheduledDate)],
+      ['Started', when(firstEvent('start'))],
+      ['Completed', when(job.completedDate)],
+    ],
+  });
+  if (text(job.notes)) {
+    sections.push({ title: 'Notes', rows: [['', text(job.notes)]] });
+  }
+
+  return sections.map((section) => ({ ...section, rows: section.rows.filter(([, value]) => value !== '') }))
+    .filter((section) => section.rows.length > 0);
+}
+
+/**
+ * One run sheet row per job, in the order given
+ * @param {Object[]} jobs - Jobs in route order
+ * @returns {Object[]} [{ stop, jobId, scheduled, appointment, address, jobType, priority, status, notes }]
+ */
+function runSheetRows(jobs) {
+  return jobs.map((job, index) => {
+    const appointment = job.appointment || {};
+    return {
+      stop: index + 1,
+      jobId: text(job.jobId),
+      scheduled: day(job.scheduledDate),
+      appointment: appointment.start ? `${when(appointment.start).slice(11)}-${when(appointment.end).slice(11)}` : '',
+      address: addressLine(job),
+      jobType: text(job.jobType),
+      priority: text(job.priority),
+      status: text(job.status).replace(/_/g, ' '),
+      notes: text(job.notes),
+    };
+  });
+}
+
+function createDocument(title) {
+  return new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: title, Producer: 'MeterMate' } });
+}
+
+function heading(doc, title, subtitle) {
+  doc.font(BOLD).fontSize(18).text(title);
+  if (subtitle) doc.font(FONT).fontSize(10).fillColor('#555555').text(subtitle).fillColor('black');
+  doc.moveDown();
+}
+
+function footer(doc) {
+  doc.moveDown().font(FONT).fontSize(8).fillColor('#777777')
+    .text(`Generated ${when(new Date())} (${businessTime.TIME_ZONE})`)
+    .fillColor('black');
+}
+
+function drawSection(doc, { title, rows }) {
+  doc.font(BOLD).fontSize(12).text(title);
+  doc.moveDown(0.3);
+  const valueWidth = doc.page.width - MARGIN * 2 - LABEL_WIDTH;
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    const height = doc.font(FONT).fontSize(10).heightOfString(value, { width: label ? valueWidth : valueWidth + LABEL_WIDTH });
+    if (y + height > doc.page.height - MARGIN) doc.addPage();
+    const top = doc.y;
+    if (label) {
+      doc.font(BOLD).fontSize(10).text(label, MARGIN, top, { width: LABEL_WIDTH });
+      doc.font(FONT).fontSize(10).text(value, MARGIN + LABEL_WIDTH, top, { width: valueWidth });
+    } else {
+      doc.font(FONT).fontSize(10).text(value, MARGIN, top, { width: valueWidth + LABEL_WIDTH });
+    }
+    doc.moveDown(0.2);
+  });
+  doc.x = MARGIN;
+  doc.moveDown();
+}
+
+function drawPhotos(doc, photos) {
+  if (photos.length === 0) return;
+  doc.font(BOLD).fontSize(12).text('Photos');
+  doc.moveDown(0.3);
+  const perRow = Math.floor((doc.page.width - MARGIN * 2) / (THUMBNAIL.width + 10));
+  photos.forEach((photo, index) => {
+    const column = index % perRow;
+    if (column === 0 && index > 0) doc.y += THUMBNAIL.height + 10;
+    if (doc.y + THUMBNAIL.height > doc.page.height - MARGIN) doc.addPage();
+    const x = MARGIN + column * (THUMBNAIL.width + 10);
+    const { y } = doc;
+    try {
+      if (!photo.data) throw new Error('not loaded');
+      doc.image(photo.data, x, y, { fit: [THUMBNAIL.width, THUMBNAIL.height], align: 'center', valign: 'center' });
+    } catch (error) {
+      doc.rect(x, y, THUMBNAIL.width, THUMBNAIL.height).stroke('#999999');
+      doc.font(FONT).fontSize(8).text('Photo unavailable', x, y + THUMBNAIL.height / 2 - 4, { width: THUMBNAIL.width, align: 'center' });
+    }
+    doc.y = y;
+  });
+  doc.x = MARGIN;
+  doc.y += THUMBNAIL.height + 10;
+}
+
+/**
+ * Visit report for a job
+ * @param {Object} job - Job (assignedTo populated)
+ * @param {Object[]} photos - Thumbnails from loadPhotos
+ * @returns {PDFDocument} Document to pipe; end() is called by sendPdf
+ */
+function buildJobSheet(job, photos = []) {
+  const doc = createDocument(`Visit report ${text(job.jobId)}`);
+  heading(doc, 'Visit report', [text(job.jobId), addressLine(job)].filter(Boolean).join(' - '));
+  jobSheetSections(job).forEach((section) => drawSection(doc, section));
+  drawPhotos(doc, photos);
+  footer(doc);
+  return doc;
+}
+
+const RUN_SHEET_COLUMNS = [
+  { key: 'stop', header: '#', width: 22 },
+  { key: 'jobId', header: 'Job ID', width: 70 },
+  { key: 'scheduled', header: 'Date', width: 62 },
+  { key: 'appointment', header: 'Appt', width: 58 },
+  { key: 'address', header: 'Address', width: 170 },
+  { key: 'priority', header: 'Priority', width: 46 },
+  { key: 'notes', header: 'Notes', width: 87 },
+];
+
+const RUN_SHEET_HEADER = RUN_SHEET_COLUMNS.reduce((cells, column) => ({ ...cells, [column.key]: column.header }), {});
+
+function drawRunSheetRow(doc, cells, font = FONT) {
+  doc.font(font).fontSize(9);
+  const height = Math.max(...RUN_SHEET_COLUMNS.map((column) => doc.heightOfString(text(cells[column.key]) || ' ', { width: column.width - 4 })));
+  if (doc.y + height > doc.page.height - MARGIN) {
+    // Repeat the column headings on each page
+    doc.addPage();
+    drawRunSheetRow(doc, RUN_SHEET_HEADER, BOLD);
+    doc.font(font).fontSize(9);
+  }
+  const top = doc.y;
+  let x = MARGIN;
+  RUN_SHEET_COLUMNS.forEach((column) => {
+    doc.text(text(cells[column.key]), x, top, { width: column.width - 4 });
+    x += column.width;
+  });
+  doc.y = top + height + 4;
+  doc.moveTo(MARGIN, doc.y - 2).lineTo(x, doc.y - 2).stroke('#cccccc');
+}
+
+/**
+ * Run sheet for an operative's jobs
+ * @param {Object} params
+ * @param {Object} params.user - Operative
+ * @param {Object[]} params.jobs - Jobs in route order
+ * @param {Date} params.date - Day the sheet is for
+ * @returns {PDFDocument} Document to pipe; end() is called by sendPdf
+ */
+function buildRunSheet({ user, jobs, date = new Date() }) {
+  const doc = createDocument(`Run sheet ${personName(user)}`);
+  heading(doc, 'Run sheet', `${personName(user)} - ${day(date)} - ${jobs.length} job(s)`);
+  drawRunSheetRow(doc, RUN_SHEET_HEADER, BOLD);
+  runSheetRows(jobs).forEach((row) => drawRunSheetRow(doc, {
+    ...row,
+    address: [row.address, row.jobType].filter(Boolean).join('\n'),
+  }));
+  doc.x = MARGIN;
+  footer(doc);
+  return doc;
+}
+
+/**
+ * Send a document as a PDF download
+ * @param {Object} res - Express response
+ * @param {PDFDocument} doc - Document
+ * @param {string} fileName - File name
+ */
+function sendPdf(res, doc, fileName) {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${fileName.replace(/[^\w.-]+/g, '-')}"`);
+  doc.pipe(res);
+  doc.end();
+}
+
+module.exports = {
+  MAX_PHOTOS,
+  jobPhotoUrls,
+  thumbnailUrl,
+  isCloudinaryPhoto,
+  loadPhotos,
+  jobSheetSections,
+  runSheetRows,
+  buildJobSheet,
+  buildRunSheet,
+  sendPdf,
+};
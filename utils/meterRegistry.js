@@ -0,0 +1,477 @@
+/**
+ * Meter Registry
+ *
+ * Meters installed at houses, kept apart from the jobs that read them. Jobs are linked to a
+ * meter when they are created (the meter is registered from the job's make/model/serial the
+ * first time it is seen), readings are checked against the meter's register layout, and a
+ * meter exchange removes one meter and installs another in a single step.
+ */
+
+const mongoose = require('mongoose');
+const Meter = require('../models/meter.model');
+const Job = require('../models/job.model');
+const MeterReading = require('../models/meterReading.model');
+const { CLOSED_STATUSES } = require('./jobLifecycle');
+
+const METER_TYPES = { electricity: 'electric', gas: 'gas', water: 'water' };
+
+/**
+ * Error raised for invalid meters, readings and exchanges
+ */
+class MeterError extends Error {
+  constructor(message, statusCode = 400, body = {}) {
+    super(message);
+    this.name = 'MeterError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+
+  toJSON() {
+    return { message: this.message, ...this.body };
+  }
+}
+
+const refId = (value) => (value && value._id ? value._id : value) || null;
+
+/**
+ * Serial numbers and register IDs are compared without case or spaces
+ * @param {string} value - Serial number or register ID
+ * @returns {string} Normalised value
+ */
+function normaliseId(value) {
+  return (value === undefined || value === null ? '' : value.toString()).toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Meter type read by a job type ('electricity' -> 'electric')
+ * @param {string} jobType - Job type
+ * @returns {string|null} Meter type
+ */
+function meterTypeForJob(jobType) {
+  return METER_TYPES[jobType] || null;
+}
+
+/**
+ * Register layout from a job's register IDs and count
+ * @param {Object} job - { registerIds, numRegisters }
+ * @returns {Object[]} [{ registerId }]
+ */
+function registersFromJob(job) {
+  const ids = (job.registerIds || []).map(normaliseId).filter(Boolean);
+  const count = Math.max(ids.length, parseInt(job.numRegisters, 10) || 1);
+  return Array.from({ length: count }, (value, index) => ({ registerId: ids[index] || '' }));
+}
+
+/**
+ * Check a register layout given for a new or edited meter
+ * @param {Object[]} registers - [{ registerId, description, digits }]
+ * @returns {Object[]} Normalised registers
+ * @throws {MeterError} When the layout is empty or repeats a register ID
+ */
+function normaliseRegisters(registers) {
+  if (!Array.isArray(registers) || registers.length === 0) {
+    throw new MeterError('A meter must have at least one register');
+  }
+  const seen = new Set();
+  return registers.map((register, index) => {
+    const registerId = normaliseId(register && register.registerId);
+    if (registerId && seen.has(registerId)) {
+      throw new MeterError(`Register ${registerId} is listed more than once`);
+    }
+    seen.add(registerId);
+    const digits = register && register.digits !== undefined && register.digits !== null && register.digits !== ''
+      ? Number(register.digits)
+      : undefined;
+    if (digits !== undefined && (!Number.isInteger(digits) || digits < 1 || digits > 12)) {
+      throw new MeterError(`Register ${registerId || index + 1} must have between 1 and 12 digits`);
+    }
+    return {
+      registerId,
+      ...(register && register.description && { description: String(register.description).trim() }),
+      ...(digits !== undefined && { digits }),
+    };
+  });
+}
+
+/**
+ * Check register values against a meter's register layout. Values are matched to registers by
+ * register ID where one is given and by position otherwise; registers whose ID is not known yet
+ * take the first ID read from them.
+ * @param {Object} meter - Meter ({ serialNumber, registers })
+ * @param {Object} reading - { registerIds, registerValues }
+ * @returns {Object} { registerIds, registerValues } in the meter's register order,
+ *   missingRegisters (register IDs or positions not read) and registerLayout (register IDs by
+ *   position, including IDs learned from this reading)
+ * @throws {MeterError} With problems: [string] when a value does not fit the layout
+ */
+function checkReading(meter, { registerIds = [], registerValues = [] } = {}) {
+  const registers = meter.registers || [];
+  const problems = [];
+  const values = new Array(registers.length).fill(null);
+  const ids = registers.map((register) => register.registerId || '');
+
+  registerValues.forEach((raw, index) => {
+    if (raw === null || raw === undefined || raw === '') return;
+    const givenId = normaliseId(registerIds[index]);
+    let position = givenId ? ids.indexOf(givenId) : index;
+    if (position === -1 && givenId && registers[index] && !ids[index]) position = index;
+    const label = givenId || `#${index + 1}`;
+
+    if (position === -1 || position >= registers.length) {
+      problems.push(givenId
+        ? `Register ${givenId} is not on meter ${meter.serialNumber}`
+        : `Meter ${meter.serialNumber} has ${registers.length} register(s); value ${label} has no register`);
+      return;
+    }
+    if (values[position] !== null) {
+      problems.push(`Register ${ids[position] || `#${position + 1}`} has more than one value`);
+      return;
+    }
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      problems.push(`Register ${label} value must be a number of 0 or more`);
+      return;
+    }
+    const { digits } = registers[position];
+    if (digits && Math.floor(value) >= 10 ** digits) {
+      problems.push(`Register ${label} value ${value} has more than ${digits} digits`);
+      return;
+    }
+    values[position] = value;
+    if (givenId && !ids[position]) ids[position] = givenId;
+  });
+
+  if (problems.length > 0) {
+    throw new MeterError(`Reading does not match meter ${meter.serialNumber}`, 400, { problems });
+  }
+
+  const read = values.map((value, position) => position).filter((position) => values[position] !== null);
+  return {
+    registerIds: read.map((position) => ids[position]),
+    registerValues: read.map((position) => values[position]),
+    missingRegisters: values
+      .map((value, position) => (value === null ? ids[position] || `#${position + 1}` : null))
+      .filter(Boolean),
+    registerLayout: ids,
+  };
+}
+
+/**
+ * Check a completion's register values against the job's meter. Register IDs read from
+ * registers that had none are saved on the meter.
+ * @param {Object} job - Job being completed
+ * @param {Object} payload - Completion payload ({ registerIds, registerValues })
+ * @returns {Promise<Object|null>} checkReading() result, or null when there is no meter or no values
+ * @throws {MeterError} When the reading does not fit the meter
+ */
+async function checkJobReading(job, payload = {}) {
+  const meterId = refId(job.meter);
+  const { registerValues, registerIds } = payload;
+  if (!meterId || !Array.isArray(registerValues) || registerValues.length === 0) return null;
+
+  const meter = await Meter.findById(meterId);
+  if (!meter) return null;
+
+  const result = checkReading(meter, { registerIds: registerIds || [], registerValues });
+  const learned = result.registerLayout
+    .map((registerId, position) => [registerId, position])
+    .filter(([registerId, position]) => registerId && !meter.registers[position].registerId);
+  if (learned.length > 0) {
+    learned.forEach(([registerId, position]) => {
+      meter.registers[position].registerId = registerId;
+    });
+    await meter.save();
+  }
+  return result;
+}
+
+/**
+ * Register new meters. A serial registered by another request in the meantime trips the
+ * unique index; the meters are then read back instead.
+ * @param {Object[]} docs - New meters
+ * @returns {Promise<Object>} { meters, created } - meters created or already installed, and how many were created
+ */
+async function insertMeters(docs) {
+  try {
+    const meters = await Meter.insertMany(docs, { ordered: false, throwOnValidationError: true });
+    return { meters, created: meters.length };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const meters = await Meter.find({
+      isActive: true,
+      $or: docs.map(({ house, meterType, serialNumber }) => ({ house, meterType, serialNumber })),
+    }).lean();
+    return { meters, created: (error.insertedDocs || []).length };
+  }
+}
+
+/**
+ * Set `meter` on jobs that have a house but no meter. A job is linked to the installed meter
+ * with its serial number, or to the only installed meter of its type when it has no serial;
+ * serials not seen at the house before are registered as new meters.
+ * @param {Object[]} jobs - Plain job data ({ house, jobType, meterSerialNumber, meterMake, ... }),
+ *   updated in place (meter, and blank make/model/serial/register count copied from the meter)
+ * @returns {Promise<Object>} { linked, created } counts
+ */
+async function linkJobsToMeters(jobs) {
+  const candidates = jobs.filter((job) => !job.meter && job.house && meterTypeForJob(job.jobType));
+  if (candidates.length === 0) return { linked: 0, created: 0 };
+
+  const houseIds = [...new Set(candidates.map((job) => String(refId(job.house))))];
+  const installed = await Meter.find({ house: { $in: houseIds }, isActive: true }).lean();
+  const metersAt = new Map();
+  installed.forEach((meter) => {
+    const key = `${meter.house}|${meter.meterType}`;
+    if (!metersAt.has(key)) metersAt.set(key, []);
+    metersAt.get(key).push(meter);
+  });
+
+  const matches = new Map();
+  const toCreate = new Map();
+  candidates.forEach((job) => {
+    const key = `${refId(job.house)}|${meterTypeForJob(job.jobType)}`;
+    const serial = normaliseId(job.meterSerialNumber);
+    const meters = metersAt.get(key) || [];
+    const meter = serial ? meters.find((m) => m.serialNumber === serial) : (meters.length === 1 ? meters[0] : null);
+    if (meter) {
+      matches.set(job, meter);
+    } else if (serial && !toCreate.has(`${key}|${serial}`)) {
+      toCreate.set(`${key}|${serial}`, {
+        house: refId(job.house),
+        meterType: meterTypeForJob(job.jobType),
+        serialNumber: serial,
+        make: job.meterMake || '',
+        model: job.meterModel || '',
+        registers: registersFromJob(job),
+      });
+    }
+  });
+
+  let created = 0;
+  if (toCreate.size > 0) {
+    const inserted = await insertMeters([...toCreate.values()]);
+    created = inserted.created;
+    inserted.meters.forEach((meter) => {
+      const key = `${meter.house}|${meter.meterType}`;
+      if (!metersAt.has(key)) metersAt.set(key, []);
+      metersAt.get(key).push(meter);
+    });
+    candidates.filter((job) => !matches.has(job)).forEach((job) => {
+      const serial = normaliseId(job.meterSerialNumber);
+      const meter = (metersAt.get(`${refId(job.house)}|${meterTypeForJob(job.jobType)}`) || [])
+        .find((m) => serial && m.serialNumber === serial);
+      if (meter) matches.set(job, meter);
+    });
+  }
+
+  matches.forEach((meter, job) => {
+    job.meter = meter._id;
+    if (!job.meterSerialNumber) job.meterSerialNumber = meter.serialNumber;
+    if (!job.meterMake) job.meterMake = meter.make;
+    if (!job.meterModel) job.meterModel = meter.model;
+    job.numRegisters = meter.registers.length;
+  });
+  return { linked: matches.size, created };
+}
+
+/**
+ * Link existing jobs that have a house but no meter, oldest first
+ * @param {Object} options - { limit } jobs per call
+ * @returns {Promise<Object>} { linked, created, readings, remaining }
+ */
+async function linkUnlinkedJobs({ limit = 500 } = {}) {
+  const query = { house: { $ne: null }, meter: null };
+  const jobs = await Job.find(query)
+    .select('_id house jobType meter meterSerialNumber meterMake meterModel registerIds numRegisters')
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const result = await linkJobsToMeters(jobs);
+  const linkedJobs = jobs.filter((job) => job.meter);
+  let readings = 0;
+  if (linkedJobs.length > 0) {
+    await Job.bulkWrite(linkedJobs.map((job) => ({
+      updateOne: {
+        filter: { _id: job._id, meter: null },
+        update: {
+          $set: {
+            meter: job.meter,
+            meterSerialNumber: job.meterSerialNumber,
+            meterMake: job.meterMake,
+            meterModel: job.meterModel,
+            numRegisters: job.numRegisters,
+          },
+        },
+      },
+    })));
+    const readingResult = await MeterReading.bulkWrite(linkedJobs.map((job) => ({
+      updateMany: { filter: { jobId: job._id, meter: null }, update: { $set: { meter: job.meter } } },
+    })));
+    readings = readingResult.modifiedCount || 0;
+  }
+
+  const remaining = await Job.countDocuments(query);
+  return { ...result, readings, remaining };
+}
+
+/**
+ * Register a meter at a house
+ * @param {Object} data - { house, meterType, serialNumber, make, model, registers, installedAt, notes }
+ * @param {Object} user - Admin registering it
+ * @returns {Promise<Object>} Created meter
+ * @throws {MeterError} When the layout is invalid or the serial is already installed there
+ */
+async function createMeter(data, user) {
+  const serialNumber = normaliseId(data.serialNumber);
+  if (!serialNumber) {
+    throw new MeterError('Serial number is required');
+  }
+  const registers = normaliseRegisters(data.registers || [{ registerId: '' }]);
+
+  const existing = await Meter.findOne({ meterType: data.meterType, serialNumber, isActive: true }).select('house');
+  if (existing) {
+    throw new MeterError(`Meter ${serialNumber} is already installed`, 409, { meterId: existing._id, house: existing.house });
+  }
+
+  return Meter.create({
+    house: data.house,
+    meterType: data.meterType,
+    serialNumber,
+    make: data.make,
+    model: data.model,
+    registers,
+    installedAt: data.installedAt || null,
+    notes: data.notes,
+    createdBy: user ? user._id : undefined,
+  });
+}
+
+/**
+ * Record a meter exchange: the old meter is removed (with its final reading) and the new one
+ * installed at the same house (with its opening reading). Open jobs for the old meter move to
+ * the new one.
+ * @param {string} meterId - Meter being removed
+ * @param {Object} exchange - { serialNumber, make, model, registers, removalReason, exchangedAt,
+ *   finalReading: { registerIds, registerValues }, initialReading: { registerIds, registerValues }, jobId }
+ * @param {Object} user - Acting user; operatives must give the job they are on
+ * @returns {Promise<Object>} { removed, installed, jobsMoved }
+ * @throws {MeterError}
+ */
+async function exchangeMeter(meterId, exchange = {}, user) {
+  const oldMeter = await Meter.findById(meterId);
+  if (!oldMeter) {
+    throw new MeterError('Meter not found', 404);
+  }
+  if (!oldMeter.isActive) {
+    throw new MeterError(`Meter ${oldMeter.serialNumber} has already been removed`, 409);
+  }
+
+  const serialNumber = normaliseId(exchange.serialNumber);
+  if (!serialNumber) {
+    throw new MeterError('Serial number of the new meter is required');
+  }
+  if (serialNumber === oldMeter.serialNumber) {
+    throw new MeterError('The new meter must have a different serial number');
+  }
+
+  let job = null;
+  if (exchange.jobId) {
+    if (!mongoose.Types.ObjectId.isValid(exchange.jobId)) {
+      throw new MeterError('Invalid job ID');
+    }
+    job = await Job.findById(exchange.jobId).select('house assignedTo status');
+    if (!job) {
+      throw new MeterError('Job not found', 404);
+    }
+    if (String(refId(job.house)) !== String(oldMeter.house)) {
+      throw new MeterError('The job is not at the house this meter is installed in');
+    }
+  }
+  if (user && user.role !== 'admin' && (!job || String(job.assignedTo) !== String(user._id))) {
+    throw new MeterError('Not authorized to exchange this meter', 403);
+  }
+
+  const exchangedAt = exchange.exchangedAt ? new Date(exchange.exchangedAt) : new Date();
+  if (isNaN(exchangedAt.getTime())) {
+    throw new MeterError('Invalid exchange date');
+  }
+  const registers = normaliseRegisters(exchange.registers || oldMeter.registers.map(() => ({ registerId: '' })));
+  const readingAt = (reading, meter) => {
+    if (!reading || !Array.isArray(reading.registerValues) || reading.registerValues.length === 0) return undefined;
+    const { registerValues } = checkReading(meter, reading);
+    return { registerValues, readingDate: exchangedAt };
+  };
+  const finalReading = readingAt(exchange.finalReading, oldMeter);
+  const initialReading = readingAt(exchange.initialReading, { serialNumber, registers });
+
+  const elsewhere = await Meter.findOne({ meterType: oldMeter.meterType, serialNumber, isActive: true }).select('house');
+  if (elsewhere) {
+    throw new MeterError(`Meter ${serialNumber} is already installed`, 409, { meterId: elsewhere._id, house: elsewhere.house });
+  }
+
+  const installed = await Meter.create({
+    house: oldMeter.house,
+    meterType: oldMeter.meterType,
+    serialNumber,
+    make: exchange.make,
+    model: exchange.model,
+    registers,
+    installedAt: exchangedAt,
+    replaces: oldMeter._id,
+    exchangeJob: job ? job._id : null,
+    initialReading,
+    createdBy: user ? user._id : undefined,
+  });
+
+  // Only one exchange of a meter can win; the loser's new meter is taken back out
+  const removed = await Meter.findOneAndUpdate(
+    { _id: oldMeter._id, isActive: true },
+    {
+      $set: {
+        isActive: false,
+        removedAt: exchangedAt,
+        removalReason: exchange.removalReason || 'Meter exchange',
+        replacedBy: installed._id,
+        exchangeJob: job ? job._id : null,
+        ...(finalReading && { finalReading }),
+      },
+    },
+    { new: true }
+  );
+  if (!removed) {
+    await Meter.deleteOne({ _id: installed._id });
+    throw new MeterError(`Meter ${oldMeter.serialNumber} has already been removed`, 409);
+  }
+
+  const jobFilter = {
+    status: { $nin: CLOSED_STATUSES },
+    $or: [{ meter: oldMeter._id }, ...(job ? [{ _id: job._id }] : [])],
+  };
+  const moved = await Job.updateMany(jobFilter, {
+    $set: {
+      meter: installed._id,
+      meterSerialNumber: installed.serialNumber,
+      meterMake: installed.make,
+      meterModel: installed.model,
+      numRegisters: installed.registers.length,
+    },
+  });
+
+  return { removed, installed, jobsMoved: moved.modifiedCount || 0 };
+}
+
+module.exports = {
+  MeterError,
+  normaliseId,
+  meterTypeForJob,
+  registersFromJob,
+  normaliseRegisters,
+  checkReading,
+  checkJobReading,
+  linkJobsToMeters,
+  linkUnlinkedJobs,
+  createMeter,
+  exchangeMeter,
+};
@@ -0,0 +1,228 @@
+/**
+ * Mileage
+ *
+ * Computes the distance an operative travelled for a job from the GPS trace the server
+ * holds (startLocation, locationHistory, endLocation) rather than trusting the figure the
+ * phone reports. The client figure is kept for comparison and large differences are flagged
+ * so the wage and mileage reports pay on a number that can be defended.
+ */
+
+const { calculateDistance, isValidCoordinate, metersToMiles } = require('./businessLogic');
+
+const MILEAGE_DEFAULTS = Object.freeze({
+  maxAccuracyMeters: 50, // Fixes reported with a worse accuracy radius are dropped
+  minSegmentMeters: 15, // Moves shorter than this are treated as GPS jitter
+  maxSpeedMph: 90, // Fixes implying a faster speed than this are treated as outliers
+  minSpeedIntervalSeconds: 5, // Fixes closer together in time than this are too noisy to judge speed
+  discrepancyMiles: 1, // Flag when the client figure differs by more than this...
+  discrepancyPercent: 25, // ...and by more than this percentage of the server figure
+});
+
+/**
+ * Normalise a location fix; returns null for fixes without usable coordinates
+ * @param {Object} fix - { latitude, longitude, timestamp, accuracy }
+ * @returns {Object|null} { latitude, longitude, timestamp (Date|null), accuracy (number|null) }
+ */
+function normaliseFix(fix) {
+  if (!fix || [fix.latitude, fix.longitude].some((value) => value === null || value === undefined || value === '')) {
+    return null;
+  }
+  const latitude = Number(fix.latitude);
+  const longitude = Number(fix.longitude);
+  if (!isValidCoordinate(latitude, longitude)) return null;
+
+  const timestamp = fix.timestamp ? new Date(fix.timestamp) : null;
+  const accuracy = fix.accuracy === undefined || fix.accuracy === null ? null : Number(fix.accuracy);
+
+  return {
+    latitude,
+    longitude,
+    timestamp: timestamp && !Number.isNaN(timestamp.getTime()) ? timestamp : null,
+    accuracy: Number.isFinite(accuracy) ? accuracy : null,
+  };
+}
+
+/**
+ * Build the ordered trace for a job: start, recorded history, end
+ * @param {Object} params - { startLocation, locationHistory, endLocation }
+ * @returns {Array<Object>} Raw fixes in travel order
+ */
+function buildTrace({ startLocation, locationHistory = [], endLocation } = {}) {
+  const history = (Array.isArray(locationHistory) ? locationHistory : [])
+    .filter((fix) => fix)
+    .slice()
+    .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+  // Locations that were never recorded (e.g. an empty startLocation) are not part of the trace
+  return [startLocation, ...history, endLocation].filter((fix) => fix && fix.latitude !== undefined);
+}
+
+/**
+ * Merge two location histories, dropping fixes recorded twice (same time and place)
+ * @param {Array<Object>} existing - History already stored on the job
+ * @param {Array<Object>} incoming - History sent with the completion
+ * @returns {Array<Object>} Merged history ordered by timestamp, as plain { latitude, longitude, timestamp, accuracy }
+ */
+function mergeLocationHistory(existing = [], incoming = []) {
+  const seen = new Set();
+  return [...(existing || []), ...(incoming || [])]
+    .filter((fix) => {
+      if (!fix) return false;
+      const key = `${new Date(fix.timestamp || 0).getTime()}|${fix.latitude}|${fix.longitude}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((fix) => ({
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      timestamp: fix.timestamp ? new Date(fix.timestamp) : undefined,
+      ...(fix.accuracy !== undefined && fix.accuracy !== null && { accuracy: fix.accuracy }),
+    }))
+    .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+}
+
+/**
+ * Drop fixes that would inflate the distance: invalid coordinates, poor accuracy,
+ * jitter around a stationary point and jumps faster than a vehicle can travel
+ * @param {Array<Object>} trace - Fixes in travel order
+ * @param {Object} options - Overrides for MILEAGE_DEFAULTS
+ * @returns {Object} { points, rejected: { invalid, inaccurate, jitter, speed } }
+ */
+function cleanTrace(trace = [], options = {}) {
+  const settings = { ...MILEAGE_DEFAULTS, ...options };
+  const rejected = { invalid: 0, inaccurate: 0, jitter: 0, speed: 0 };
+  const points = [];
+
+  trace.forEach((raw, index) => {
+    const fix = normaliseFix(raw);
+    if (!fix) {
+      rejected.invalid++;
+      return;
+    }
+    if (fix.accuracy !== null && fix.accuracy > settings.maxAccuracyMeters) {
+      rejected.inaccurate++;
+      return;
+    }
+
+    const previous = points[points.length - 1];
+    if (!previous) {
+      points.push(fix);
+      return;
+    }
+
+    const miles = calculateDistance(previous.latitude, previous.longitude, fix.latitude, fix.longitude);
+    const isLast = index === trace.length - 1;
+
+    if (previous.timestamp && fix.timestamp) {
+      const seconds = (fix.timestamp - previous.timestamp) / 1000;
+      if (seconds >= settings.minSpeedIntervalSeconds && miles / (seconds / 3600) > settings.maxSpeedMph) {
+        rejected.speed++;
+        return;
+      }
+    }
+
+    // Keep the end point even when it is close, so the trace always finishes at the job
+    if (miles < metersToMiles(settings.minSegmentMeters) && !isLast) {
+      rejected.jitter++;
+      return;
+    }
+
+    points.push(fix);
+  });
+
+  return { points, rejected };
+}
+
+/**
+ * Sum the distance along a cleaned trace
+ * @param {Array<Object>} points - Cleaned fixes
+ * @returns {number} Distance in miles
+ */
+function traceDistance(points = []) {
+  let miles = 0;
+  for (let i = 1; i < points.length; i++) {
+    miles += calculateDistance(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+  return miles;
+}
+
+/**
+ * Read the client-reported distance, ignoring values that are not a usable mileage
+ * @param {*} value - distanceTraveled from the client
+ * @returns {number|null} Miles, or null
+ */
+function parseClientMiles(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const miles = Number(value);
+  return Number.isFinite(miles) && miles >= 0 ? miles : null;
+}
+
+/**
+ * Work out the mileage to pay for a job and how it compares with the client's figure
+ * @param {Object} params - { startLocation, locationHistory, endLocation, clientDistance }
+ * @param {Object} options - Overrides for MILEAGE_DEFAULTS
+ * @returns {Object} Mileage breakdown: { distanceMiles, source, traceMiles, clientMiles,
+ *   discrepancyMiles, discrepancyPercent, flagged, flagReason, pointsUsed, pointsRejected, computedAt }
+ *   source is 'trace' (GPS history), 'straight_line' (start and end only), 'client'
+ *   (no usable GPS, client figure paid but flagged) or 'none'
+ */
+function computeJobMileage({ startLocation, locationHistory, endLocation, clientDistance } = {}, options = {}) {
+  const settings = { ...MILEAGE_DEFAULTS, ...options };
+  const clientMiles = parseClientMiles(clientDistance);
+  const { points, rejected } = cleanTrace(buildTrace({ startLocation, locationHistory, endLocation }), settings);
+
+  const breakdown = {
+    distanceMiles: 0,
+    source: 'none',
+    traceMiles: null,
+    clientMiles,
+    discrepancyMiles: null,
+    discrepancyPercent: null,
+    flagged: false,
+    flagReason: '',
+    pointsUsed: points.length,
+    pointsRejected: rejected,
+    computedAt: new Date(),
+  };
+
+  if (points.length < 2) {
+    if (clientMiles !== null && clientMiles > 0) {
+      breakdown.distanceMiles = clientMiles;
+      breakdown.source = 'client';
+      breakdown.flagged = true;
+      breakdown.flagReason = 'No usable GPS trace; client distance not verified';
+    }
+    return breakdown;
+  }
+
+  const traceMiles = traceDistance(points);
+  breakdown.traceMiles = traceMiles;
+  breakdown.distanceMiles = traceMiles;
+  breakdown.source = points.length > 2 ? 'trace' : 'straight_line';
+
+  if (clientMiles !== null) {
+    const difference = Math.abs(clientMiles - traceMiles);
+    breakdown.discrepancyMiles = difference;
+    breakdown.discrepancyPercent = traceMiles > 0 ? (difference / traceMiles) * 100 : null;
+
+    const overPercent = breakdown.discrepancyPercent === null || breakdown.discrepancyPercent > settings.discrepancyPercent;
+    if (difference > settings.discrepancyMiles && overPercent) {
+      breakdown.flagged = true;
+      breakdown.flagReason = `Client reported ${clientMiles.toFixed(2)} miles, GPS trace shows ${traceMiles.toFixed(2)} miles`;
+    }
+  }
+
+  return breakdown;
+}
+
+module.exports = {
+  MILEAGE_DEFAULTS,
+  normaliseFix,
+  buildTrace,
+  mergeLocationHistory,
+  cleanTrace,
+  traceDistance,
+  parseClientMiles,
+  computeJobMileage,
+};
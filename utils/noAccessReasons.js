@@ -0,0 +1,156 @@
+/**
+ * No-Access Reasons
+ *
+ * The admin-managed reason catalogue (models/noAccessReason.model.js). The mobile app reads it
+ * to offer reasons; completion looks the given reason up to decide whether the visit is a valid
+ * no access, what it scores and whether a photo must come with it. Until an admin first edits
+ * the catalogue it is empty and the built-in DEFAULT_NO_ACCESS_REASONS from
+ * utils/businessLogic.js apply; the first edit stores them so nothing disappears.
+ *
+ * Reasons the catalogue does not know (free text from older app builds) are still accepted
+ * and scored at the rule set's no-access rates.
+ */
+
+const NoAccessReason = require('../models/noAccessReason.model');
+const { DEFAULT_NO_ACCESS_REASONS, findNoAccessReason } = require('./businessLogic');
+
+// customerRead answers on the meter reading form that are not no-access reasons
+const READ_ANSWERS = ['Yes', 'No'];
+
+// Fields the app and the admin screens see
+const PUBLIC_FIELDS = ['code', 'label', 'validNoAccess', 'points', 'award', 'photoRequired', 'isActive', 'sortOrder'];
+
+/**
+ * Error raised when a completion gives a reason it may not use as given
+ */
+class NoAccessReasonError extends Error {
+  constructor(message, code, reason) {
+    super(message);
+    this.name = 'NoAccessReasonError';
+    this.statusCode = code === 'NO_ACCESS_PHOTO_REQUIRED' ? 422 : 400;
+    this.code = code;
+    this.reason = reason;
+  }
+
+  toJSON() {
+    return { message: this.message, error: this.code, reason: this.reason };
+  }
+}
+
+/**
+ * Catalogue entry as sent to the app
+ * @param {Object} entry - Stored or built-in reason
+ * @returns {Object} Public fields
+ */
+function toPublic(entry) {
+  return PUBLIC_FIELDS.reduce((fields, field) => {
+    fields[field] = entry[field] === undefined ? null : entry[field];
+    return fields;
+  }, {});
+}
+
+/**
+ * Load the catalogue, in display order
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Leave out retired reasons
+ * @returns {Promise<Array<Object>>} Reasons (the built-in defaults while none are stored)
+ */
+async function loadCatalogue({ activeOnly = false } = {}) {
+  let reasons = await NoAccessReason.find().sort({ sortOrder: 1, label: 1 }).lean();
+  if (reasons.length === 0) {
+    reasons = DEFAULT_NO_ACCESS_REASONS.map((entry) => ({ ...entry }));
+  }
+  return activeOnly ? reasons.filter((entry) => entry.isActive) : reasons;
+}
+
+/**
+ * Store the built-in reasons before the first admin edit, so that editing or adding one
+ * reason does not hide the others
+ * @param {Object} user - Acting admin
+ * @returns {Promise<number>} Reasons stored
+ */
+async function ensureSeeded(user) {
+  if (await NoAccessReason.countDocuments() > 0) return 0;
+
+  const userId = user ? user._id : undefined;
+  try {
+    const stored = await NoAccessReason.insertMany(
+      DEFAULT_NO_ACCESS_REASONS.map((entry) => ({ ...entry, createdBy: userId, updatedBy: userId })),
+      { ordered: false }
+    );
+    return stored.length;
+  } catch (error) {
+    // Another request seeded at the same time
+    if (error.code === 11000) return 0;
+    throw error;
+  }
+}
+
+/**
+ * Catalogue entry for the reason a completion gives: noAccessReason first, then customerRead
+ * @param {Object} payload - Completion data
+ * @param {Array<Object>} catalogue - Reasons (default: loaded from the database)
+ * @returns {Promise<Object|null>} Entry, or null when no reason is given or it is not catalogued
+ */
+async function resolveReason(payload = {}, catalogue = null) {
+  const given = [payload.noAccessReason, payload.customerRead]
+    .filter((value) => typeof value === 'string' && value.trim() && !READ_ANSWERS.includes(value.trim()));
+  if (given.length === 0) return null;
+
+  const reasons = catalogue || await loadCatalogue();
+  for (const value of given) {
+    const entry = findNoAccessReason(value, reasons);
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Check whether a value given by the app names a catalogue entry
+ * @param {Object} entry - Catalogue entry
+ * @param {string} value - Code or label
+ * @returns {boolean} True when the value is the entry's code or label
+ */
+function matches(entry, value) {
+  return Boolean(entry && findNoAccessReason(value, [entry]));
+}
+
+/**
+ * Check a no-access reason may be used for a completion
+ * @param {Object} entry - Catalogue entry
+ * @param {Object} options
+ * @param {boolean} options.hasPhoto - A photo is saved with the job
+ * @throws {NoAccessReasonError} When the reason is retired or needs a photo that is missing
+ */
+function assertUsable(entry, { hasPhoto = false } = {}) {
+  if (!entry.isActive) {
+    throw new NoAccessReasonError(`"${entry.label}" is no longer a no-access reason`, 'NO_ACCESS_REASON_RETIRED', toPublic(entry));
+  }
+  if (entry.photoRequired && !hasPhoto) {
+    throw new NoAccessReasonError(`A photo is required for "${entry.label}"`, 'NO_ACCESS_PHOTO_REQUIRED', toPublic(entry));
+  }
+}
+
+/**
+ * Check a customerRead value from the meter reading form
+ * @param {string} value - customerRead
+ * @returns {Promise<boolean>} True for a read answer or a catalogued reason (active or retired)
+ */
+async function isKnownCustomerRead(value) {
+  if (typeof value !== 'string') return false;
+  if (READ_ANSWERS.includes(value.trim())) return true;
+  return Boolean(findNoAccessReason(value, await loadCatalogue()));
+}
+
+module.exports = {
+  READ_ANSWERS,
+  PUBLIC_FIELDS,
+  NoAccessReasonError,
+  toPublic,
+  loadCatalogue,
+  ensureSeeded,
+  resolveReason,
+  matches,
+  assertUsable,
+  isKnownCustomerRead,
+};
@@ -0,0 +1,248 @@
+/**
+ * No-Access Revisits
+ *
+ * What happens after a valid no access, by the revisit rules in the noAccessRevisits setting:
+ * a linked follow-up job a few days later ('revisit'), nothing ('none'), or no revisit and a
+ * defect raised with the admins ('defect'). Failed visits in a row are counted on the house;
+ * once they reach maxAttempts no more revisits are booked and the admins are asked to step in
+ * ('escalated'). A reading at the house resets the count.
+ */
+
+const Job = require('../models/job.model');
+const House = require('../models/house.model');
+const User = require('../models/user.model');
+const Message = require('../models/message.model');
+const jobLifecycle = require('./jobLifecycle');
+const settings = require('./settings');
+const schedulingPolicy = require('./schedulingPolicy');
+const businessTime = require('./businessTime');
+const houseHistory = require('./houseHistory');
+const { generateNextJobId } = require('./jobIds');
+
+// Copied from the job that could not be done to its follow-up
+const FOLLOW_UP_FIELDS = [
+  'jobType', 'address', 'house', 'meter', 'assignedTo', 'employeeId', 'priority',
+  'sup', 'jt', 'cust', 'meterMake', 'meterModel', 'meterSerialNumber', 'numRegisters', 'registerIds',
+];
+
+const refId = (value) => (value && value._id ? value._id : value) || null;
+
+/**
+ * Revisit rule for a no-access reason
+ * @param {string} reason - The job's no-access reason
+ * @param {Object} config - noAccessRevisits setting
+ * @returns {Object} { rule: matched rule reason ('' for the default), action, delayDays, note }
+ */
+function matchRule(reason, config) {
+  const text = (reason || '').toLowerCase();
+  const rule = (config.rules || []).find((candidate) => text && text.includes(candidate.reason.trim().toLowerCase()));
+  if (!rule) {
+    return { rule: '', action: config.defaultAction, delayDays: config.defaultDelayDays, note: '' };
+  }
+  return {
+    rule: rule.reason,
+    action: rule.action,
+    delayDays: rule.delayDays !== undefined ? rule.delayDays : config.defaultDelayDays,
+    note: rule.note || '',
+  };
+}
+
+/**
+ * Decide what follows a valid no access
+ * @param {Object} params
+ * @param {string} params.reason - No-access reason
+ * @param {number} params.failedAttempts - Failed visits in a row, this one included
+ * @param {Object} params.config - noAccessRevisits setting
+ * @returns {Object} { action: 'revisit'|'none'|'defect'|'escalated', rule, delayDays, note, failedAttempts }
+ */
+function planOutcome({ reason, failedAttempts, config }) {
+  const matched = matchRule(reason, config);
+  const action = matched.action === 'revisit' && failedAttempts >= config.maxAttempts ? 'escalated' : matched.action;
+  return { ...matched, action, failedAttempts };
+}
+
+/**
+ * Day a follow-up is scheduled for: the start of the day delayDays after the visit
+ * @param {Date} from - Visit time
+ * @param {number} delayDays - Days to wait
+ * @returns {Date} Scheduled date
+ */
+function revisitDate(from, delayDays) {
+  return businessTime.addDays(new Date(from), Math.ceil(delayDays));
+}
+
+/**
+ * Fields of the follow-up job for a no-access job
+ * @param {Object} job - Job that ended in no access
+ * @param {Object} outcome - From planOutcome
+ * @param {Date} at - Visit time
+ * @param {Object} policy - 'scheduling' setting (the revisit moves off days jobs can't be scheduled on)
+ * @returns {Object} New job fields (without jobId)
+ */
+function followUpFields(job, outcome, at, policy = settings.DEFAULT_SETTINGS.scheduling) {
+  const fields = FOLLOW_UP_FIELDS.reduce((copy, field) => {
+    if (job[field] !== undefined && job[field] !== null) copy[field] = field === 'address' ? { ...job[field] } : job[field];
+    return copy;
+  }, {});
+  ['house', 'meter', 'assignedTo'].forEach((field) => {
+    if (fields[field]) fields[field] = refId(fields[field]);
+  });
+
+  const attempt = (job.visitAttempt || 1) + 1;
+  const notes = [
+    `Revisit ${attempt} after no access (${job.noAccessReason || 'no reason given'}) on job ${job.jobId || job._id}`,
+    outcome.note,
+  ].filter(Boolean).join('. ');
+
+  return {
+    ...fields,
+    status: 'pending',
+    scheduledDate: schedulingPolicy.nextSchedulingDay(revisitDate(at, outcome.delayDays), policy),
+    sequenceNumber: null,
+    notes,
+    revisitOf: job._id,
+    visitAttempt: attempt,
+    statusHistory: [jobLifecycle.createdEntry({ reason: `Revisit after no access on job ${job.jobId || job._id}` })],
+  };
+}
+
+/**
+ * Tell the admins about a defect or a property that keeps failing
+ */
+async function notifyAdmins(job, outcome) {
+  const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+  if (admins.length === 0) return;
+
+  const address = job.address ? [job.address.street, job.address.postcode].filter(Boolean).join(', ') : '';
+  const title = outcome.action === 'defect' ? 'Meter defect reported' : 'Repeated no access';
+  const body = outcome.action === 'defect'
+    ? `Job ${job.jobId || job._id} at ${address} could not be read: ${job.noAccessReason}. No revisit has been booked; the meter needs fixing first.`
+    : `Job ${job.jobId || job._id} at ${address} has had ${outcome.failedAttempts} failed visits in a row (last: ${job.noAccessReason}). No more revisits will be booked automatically.`;
+  const meta = {
+    type: 'no_access_escalation',
+    action: outcome.action,
+    jobId: job._id,
+    house: refId(job.house),
+    failedAttempts: outcome.failedAttempts,
+  };
+
+  await Message.insertMany(admins.map((admin) => ({ recipient: admin._id, title, body, meta })));
+  if (global.io) {
+    global.io.to('admin_room').emit('jobUpdate', { type: 'no_access_escalated', jobId: job._id, title, body, meta });
+  }
+}
+
+/**
+ * Record a valid no access and act on the revisit rules: count the failed visit on the house,
+ * book the follow-up job or raise the escalation, and keep the outcome on the job. Each job
+ * is only handled once, however many times its completion is resubmitted.
+ * @param {Object} job - Completed job (validNoAccess)
+ * @returns {Promise<Object|null>} Outcome, or null when switched off or already handled
+ */
+async function handleNoAccess(job) {
+  const config = await settings.getSetting('noAccessRevisits');
+  if (!config.enabled) return null;
+
+  const decidedAt = new Date();
+  const claimed = await Job.findOneAndUpdate(
+    { _id: job._id, 'noAccessOutcome.decidedAt': null },
+    { $set: { 'noAccessOutcome.decidedAt': decidedAt } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let failedAttempts = job.visitAttempt || 1;
+  let houseCounted = false;
+  let outcome;
+  let followUp = null;
+  try {
+    if (job.house) {
+      const house = await House.findByIdAndUpdate(
+        refId(job.house),
+        {
+          $inc: { 'accessAttempts.failed': 1, 'accessAttempts.total': 1 },
+          $set: { 'accessAttempts.lastFailedAt': decidedAt, 'accessAttempts.lastReason': job.noAccessReason || '' },
+        },
+        { new: true }
+      ).select('accessAttempts');
+      if (house) {
+        houseCounted = true;
+        failedAttempts = house.accessAttempts.failed;
+      }
+    }
+
+    outcome = planOutcome({ reason: job.noAccessReason, failedAttempts, config });
+    if (outcome.action === 'revisit') {
+      const policy = await schedulingPolicy.loadPolicy();
+      const fields = followUpFields(job, outcome, decidedAt, policy);
+      followUp = await Job.create({ ...fields, jobId: await generateNextJobId(fields) });
+    }
+  } catch (error) {
+    // Take the failed visit back off the house and release the job rather than leave it claimed with no outcome
+    if (houseCounted) {
+      await House.updateOne(
+        { _id: refId(job.house) },
+        { $inc: { 'accessAttempts.failed': -1, 'accessAttempts.total': -1 } }
+      );
+    }
+    await Job.updateOne(
+      { _id: job._id, 'noAccessOutcome.decidedAt': decidedAt },
+      { $unset: { 'noAccessOutcome.decidedAt': 1 } }
+    );
+    throw error;
+  }
+
+  await Job.updateOne({ _id: job._id }, {
+    $set: {
+      noAccessOutcome: {
+        action: outcome.action,
+        rule: outcome.rule,
+        failedAttempts,
+        followUpJob: followUp ? followUp._id : null,
+        note: outcome.note,
+        decidedAt,
+      },
+    },
+  });
+
+  if (outcome.action === 'defect' || outcome.action === 'escalated') {
+    await notifyAdmins(job, outcome);
+  }
+  if (followUp && global.io) {
+    global.io.to('admin_room').emit('jobUpdate', { type: 'jobCreated', job: followUp, timestamp: decidedAt });
+    global.io.to(`user_${followUp.assignedTo}`).emit('jobUpdate', {
+      type: 'newJobAssigned',
+      job: followUp,
+      timestamp: decidedAt,
+      message: 'A revisit has been booked for a job you could not access',
+    });
+  }
+
+  return { ...outcome, followUpJob: followUp };
+}
+
+/**
+ * Called for every completion: handles valid no access, and resets the house's failed
+ * visit count when a reading was taken
+ * @param {Object} completedJob - Completed job (document or plain object)
+ * @returns {Promise<Object|null>} No-access outcome, if any
+ */
+async function afterCompletion(completedJob) {
+  const job = typeof completedJob.toObject === 'function' ? completedJob.toObject({ depopulate: true }) : completedJob;
+  if (job.validNoAccess) {
+    return handleNoAccess(job);
+  }
+  if (job.house && houseHistory.readingFromJob(job)) {
+    await House.updateOne({ _id: refId(job.house), 'accessAttempts.failed': { $gt: 0 } }, { $set: { 'accessAttempts.failed': 0 } });
+  }
+  return null;
+}
+
+module.exports = {
+  matchRule,
+  planOutcome,
+  revisitDate,
+  followUpFields,
+  handleNoAccess,
+  afterCompletion,
+};
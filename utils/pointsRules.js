@@ -0,0 +1,226 @@
+/**
+ * Points Rules
+ *
+ * Resolves which admin-managed rule set (models/pointsRuleSet.model.js) applies to a job
+ * and evaluates scoring and pay against it. The most specific active rule set wins:
+ *
+ *   job type + supplier  >  supplier only  >  job type only  >  generic
+ *
+ * with the latest effectiveFrom breaking ties. When nothing matches, the built-in
+ * DEFAULT_POINTS_RULES from utils/businessLogic.js apply.
+ *
+ * The resolved rates are copied onto the job at completion (job.pointsRule) and reports
+ * read them back with rulesForJob(), so a rate change only affects jobs completed after it.
+ */
+
+const PointsRuleSet = require('../models/pointsRuleSet.model');
+const { DEFAULT_POINTS_RULES, calculatePointsAndAward, hasReg1Filled } = require('./businessLogic');
+
+const RATE_FIELDS = Object.keys(DEFAULT_POINTS_RULES);
+
+/**
+ * Check whether a rule set is in force at a given time
+ * @param {Object} ruleSet - Rule set
+ * @param {Date} at - Point in time
+ * @returns {boolean} True when active and within its effective dates
+ */
+function isInEffect(ruleSet, at) {
+  if (!ruleSet.isActive) return false;
+  if (new Date(ruleSet.effectiveFrom) > at) return false;
+  return !ruleSet.effectiveTo || new Date(ruleSet.effectiveTo) > at;
+}
+
+/**
+ * Check whether a rule set's scope covers a job
+ * @param {Object} ruleSet - Rule set
+ * @param {Object} scope - { jobType, sup }
+ * @returns {boolean} True when the job type and supplier match (or are left open)
+ */
+function matchesScope(ruleSet, { jobType, sup } = {}) {
+  if (ruleSet.jobType && ruleSet.jobType !== jobType) return false;
+  if (ruleSet.sup && ruleSet.sup !== (sup || '').trim()) return false;
+  return true;
+}
+
+/**
+ * Rank a rule set by how narrowly it is scoped
+ * @param {Object} ruleSet - Rule set
+ * @returns {number} 3 = job type + supplier, 2 = supplier, 1 = job type, 0 = generic
+ */
+function specificity(ruleSet) {
+  return (ruleSet.sup ? 2 : 0) + (ruleSet.jobType ? 1 : 0);
+}
+
+/**
+ * Pick the rule set that applies to a job from a list of candidates
+ * @param {Array<Object>} ruleSets - Candidate rule sets
+ * @param {Object} scope - { jobType, sup, at }
+ * @returns {Object|null} Winning rule set, or null when none apply
+ */
+function selectRuleSet(ruleSets = [], { jobType, sup, at = new Date() } = {}) {
+  const when = new Date(at);
+  const candidates = ruleSets.filter((ruleSet) => (
+    isInEffect(ruleSet, when) && matchesScope(ruleSet, { jobType, sup })
+  ));
+
+  candidates.sort((a, b) => (
+    specificity(b) - specificity(a) ||
+    new Date(b.effectiveFrom) - new Date(a.effectiveFrom) ||
+    new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+  ));
+
+  return candidates[0] || null;
+}
+
+/**
+ * Build the rates snapshot stored on a job (job.pointsRule)
+ * @param {Object|null} ruleSet - Applied rule set, or null for the defaults
+ * @param {Date} at - When the rules were applied
+ * @returns {Object} { ruleSet, name, ...rates, appliedAt }
+ */
+function toSnapshot(ruleSet, at = new Date()) {
+  const rates = {};
+  RATE_FIELDS.forEach((field) => {
+    const value = ruleSet ? ruleSet[field] : undefined;
+    rates[field] = typeof value === 'number' ? value : DEFAULT_POINTS_RULES[field];
+  });
+
+  return {
+    ruleSet: ruleSet ? ruleSet._id : null,
+    name: ruleSet ? ruleSet.name : 'Default',
+    ...rates,
+    appliedAt: new Date(at),
+  };
+}
+
+/**
+ * Load the rule set that applies to a job and return its rates
+ * @param {Object} scope - { jobType, sup, at }
+ * @returns {Promise<Object>} Rates snapshot (see toSnapshot)
+ */
+async function resolveRules({ jobType, sup, at = new Date() } = {}) {
+  const when = new Date(at);
+  const ruleSets = await PointsRuleSet.find({
+    isActive: true,
+    effectiveFrom: { $lte: when },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: when } }],
+    jobType: { $in: [jobType || null, null] },
+    sup: { $in: [(sup || '').trim(), ''] },
+  }).lean();
+
+  return toSnapshot(selectRuleSet(ruleSets, { jobType, sup, at: when }), when);
+}
+
+/**
+ * Rates that apply to an already completed job.
+ * Jobs completed before rule sets existed have no snapshot and use the defaults.
+ * @param {Object} job - Job document or plain object
+ * @returns {Object} Rates
+ */
+function rulesForJob(job) {
+  const snapshot = job && job.pointsRule;
+  if (!snapshot || typeof snapshot.readingAward !== 'number') {
+    return { ...DEFAULT_POINTS_RULES };
+  }
+
+  const rates = {};
+  RATE_FIELDS.forEach((field) => {
+    rates[field] = typeof snapshot[field] === 'number' ? snapshot[field] : DEFAULT_POINTS_RULES[field];
+  });
+  return rates;
+}
+
+/**
+ * Score a completion against a set of rates
+ * @param {Object} jobData - Completion data (registerValues, registerIds, meterReadings, customerRead, noAccessReason)
+ * @param {Object} rules - Rates (e.g. from resolveRules)
+ * @param {Object|null} noAccessReason - Catalogue entry for the reason given (utils/noAccessReasons.js)
+ * @returns {Object} { points, award, isValidNoAccess, hasReg1, hasNoAccess }
+ */
+function evaluate(jobData, rules = DEFAULT_POINTS_RULES, noAccessReason = null) {
+  return calculatePointsAndAward(jobData, rules, noAccessReason);
+}
+
+/**
+ * Return the single rate used across jobs, or null when the jobs were paid at different rates
+ * @param {Array<Object>} rateList - Rates per job
+ * @param {string} field - Rate field
+ * @returns {number|null} Shared rate
+ */
+function sharedRate(rateList, field) {
+  const values = [...new Set(rateList.map((rates) => rates[field]))];
+  if (values.length === 0) return DEFAULT_POINTS_RULES[field];
+  return values.length === 1 ? values[0] : null;
+}
+
+/**
+ * Total up mileage, points and bonus for completed jobs: mileage at the rates each job was
+ * completed under, points and awards as stored on the job
+ * @param {Array<Object>} jobs - Completed jobs
+ * @returns {Object} Totals and the shared rates (null where rates or awards differ between jobs)
+ */
+function summariseJobs(jobs = []) {
+  const summary = {
+    totalMiles: 0,
+    jobsWithReading: 0,
+    validNoAccessJobs: 0,
+    pointsFromJobs: 0,
+    pointsFromNoAccess: 0,
+    totalPoints: 0,
+    bonusFromJobs: 0,
+    bonusFromNoAccess: 0,
+    totalBonus: 0,
+    mileagePayment: 0,
+  };
+  const readingRates = [];
+  const noAccessRates = [];
+  const mileageRates = [];
+
+  jobs.forEach((job) => {
+    const rules = rulesForJob(job);
+    const miles = job.distanceTraveled || 0;
+
+    summary.totalMiles += miles;
+    summary.mileagePayment += miles * rules.mileageRate;
+    mileageRates.push(rules);
+
+    // Points and awards were calculated when each job was completed (a no access award depends
+    // on the reason given), so they are added up as stored
+    const award = job.award || 0;
+    if (job.validNoAccess === true) {
+      summary.pointsFromNoAccess += job.points || 0;
+      summary.validNoAccessJobs += 1;
+      summary.bonusFromNoAccess += award;
+      noAccessRates.push({ noAccessAward: award });
+    } else {
+      summary.pointsFromJobs += job.points || 0;
+      summary.bonusFromJobs += award;
+      if (hasReg1Filled(job)) {
+        summary.jobsWithReading += 1;
+        readingRates.push({ readingAward: award });
+      }
+    }
+  });
+
+  summary.totalPoints = summary.pointsFromJobs + summary.pointsFromNoAccess;
+  summary.totalBonus = summary.bonusFromJobs + summary.bonusFromNoAccess;
+  summary.rates = {
+    readingAward: sharedRate(readingRates, 'readingAward'),
+    noAccessAward: sharedRate(noAccessRates, 'noAccessAward'),
+    mileageRate: sharedRate(mileageRates, 'mileageRate'),
+  };
+
+  return summary;
+}
+
+module.exports = {
+  RATE_FIELDS,
+  isInEffect,
+  matchesScope,
+  selectRuleSet,
+  toSnapshot,
+  resolveRules,
+  rulesForJob,
+  evaluate,
+  summariseJobs,
+};
@@ -0,0 +1,227 @@
+/**
+ * Reading Checks
+ *
+ * Plausibility checks for submitted register values. Each value is compared with the meter's
+ * previous reads: a read that goes backwards, advances by more than the expected consumption
+ * allows (readingChecks setting) or looks like the register wrapping round past zero is
+ * flagged, and a flagged read is only accepted with a photo or an explicit confirmation.
+ */
+
+const Job = require('../models/job.model');
+const Meter = require('../models/meter.model');
+const settings = require('./settings');
+
+const METER_TYPES = { electricity: 'electric', gas: 'gas', water: 'water' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_SIZE = 10;
+
+/**
+ * Error raised when a flagged read is submitted without a photo or confirmation
+ */
+class ReadingCheckError extends Error {
+  constructor(message, check) {
+    super(message);
+    this.name = 'ReadingCheckError';
+    this.statusCode = 422;
+    this.code = 'READING_NEEDS_CONFIRMATION';
+    this.check = check;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      error: this.code,
+      flags: this.check.flags,
+      // Either lets the read through: a photo of the meter, or confirmReading: true
+      acceptWith: ['photo', 'confirmReading'],
+    };
+  }
+}
+
+const refId = (value) => (value && value._id ? value._id : value) || null;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const normaliseId = (value) => (value === undefined || value === null ? '' : value.toString()).toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Previous values of one register, newest first
+ * @param {Object[]} previous - Earlier reads [{ registerIds, registerValues, completedDate }], newest first
+ * @param {string} registerId - Register ID ('' when not known)
+ * @param {number} position - Register position in the submitted read
+ * @returns {Object[]} [{ value, date }]
+ */
+function registerSeries(previous, registerId, position) {
+  return previous.map((read) => {
+    const ids = (read.registerIds || []).map(normaliseId);
+    const index = registerId && ids.includes(registerId) ? ids.indexOf(registerId) : position;
+    // A read that names its registers but not this one is of a different register
+    if (registerId && ids.some(Boolean) && ids[index] && ids[index] !== registerId) return null;
+    const value = toNumber((read.registerValues || [])[index]);
+    return value === null || !read.completedDate ? null : { value, date: new Date(read.completedDate) };
+  }).filter(Boolean);
+}
+
+/**
+ * Compare a read with previous reads of the same meter
+ * @param {Object} params
+ * @param {string[]} params.registerIds - Submitted register IDs
+ * @param {number[]} params.registerValues - Submitted register values
+ * @param {Date} params.readAt - When the read was taken
+ * @param {Object[]} params.previous - Earlier reads, newest first
+ * @param {Object[]} params.registers - Meter register layout ([{ registerId, digits }]), when known
+ * @param {string} params.meterType - 'electric', 'gas' or 'water'
+ * @param {Object} params.config - readingChecks setting
+ * @returns {Object} { status: 'passed'|'flagged'|'no_history', flags, registers }
+ */
+function assessReading({ registerIds = [], registerValues = [], readAt = new Date(), previous = [], registers = [], meterType, config }) {
+  const defaultUsage = (config.defaultDailyUsage || {})[meterType] || 0;
+  const results = [];
+  const flags = [];
+
+  registerValues.forEach((raw, position) => {
+    const value = toNumber(raw);
+    if (value === null) return;
+    const registerId = normaliseId(registerIds[position]);
+    const series = registerSeries(previous, registerId, position);
+    if (series.length === 0) return;
+
+    const [latest] = series;
+    const oldest = series[series.length - 1];
+    const historyDays = (latest.date - oldest.date) / DAY_MS;
+    const dailyUsage = historyDays >= 1 && latest.value >= oldest.value
+      ? (latest.value - oldest.value) / historyDays
+      : defaultUsage;
+    const days = Math.max((new Date(readAt) - latest.date) / DAY_MS, 0);
+    const expectedAdvance = dailyUsage * days;
+    const maxAdvance = Math.max(expectedAdvance * config.toleranceFactor, config.minimumAllowance);
+    const advance = value - latest.value;
+
+    const result = {
+      registerId,
+      position,
+      value,
+      previousValue: latest.value,
+      previousDate: latest.date,
+      advance,
+      expectedAdvance: Math.round(expectedAdvance * 100) / 100,
+      maxAdvance: Math.round(maxAdvance * 100) / 100,
+    };
+    results.push(result);
+
+    const label = registerId || `#${position + 1}`;
+    let flag = null;
+    if (advance < 0) {
+      const layout = registers.find((register) => registerId && normaliseId(register.registerId) === registerId) || registers[position];
+      const digits = (layout && layout.digits) || String(Math.floor(latest.value)).length;
+      const wrappedAdvance = 10 ** digits - latest.value + value;
+      flag = wrappedAdvance <= maxAdvance
+        ? { code: 'rollover', message: `Register ${label} reads ${value}, below the previous ${latest.value}; the meter may have gone round past zero` }
+        : { code: 'backwards', message: `Register ${label} reads ${value}, below the previous read of ${latest.value}` };
+    } else if (advance > maxAdvance) {
+      flag = {
+        code: 'high',
+        message: `Register ${label} has advanced by ${advance} since the last read; no more than ${result.maxAdvance} was expected`,
+      };
+    }
+    if (flag) flags.push({ ...result, ...flag });
+  });
+
+  let status = 'passed';
+  if (flags.length > 0) status = 'flagged';
+  else if (results.length === 0) status = 'no_history';
+  return { status, flags, registers: results };
+}
+
+/**
+ * Earlier completed reads of the job's meter (or, for jobs without one, the same meter type
+ * and serial at the house), newest first
+ * @param {Object} job - Job being completed
+ * @returns {Promise<Object[]>} [{ registerIds, registerValues, completedDate }]
+ */
+async function previousReads(job) {
+  const filter = {
+    _id: { $ne: job._id },
+    status: 'completed',
+    completedDate: { $ne: null },
+    'registerValues.0': { $exists: true },
+  };
+  if (job.meter) {
+    filter.meter = refId(job.meter);
+  } else if (job.house) {
+    filter.house = refId(job.house);
+    filter.jobType = job.jobType;
+    if (job.meterSerialNumber) filter.meterSerialNumber = job.meterSerialNumber;
+  } else {
+    return [];
+  }
+
+  return Job.find(filter)
+    .select('registerIds registerValues completedDate')
+    .sort({ completedDate: -1 })
+    .limit(HISTORY_SIZE)
+    .lean();
+}
+
+/**
+ * Check a completion's read. A flagged read needs a photo with the submission or
+ * confirmReading: true, and is recorded with what it was accepted on.
+ * @param {Object} params
+ * @param {Object} params.job - Job being completed
+ * @param {Object} params.user - Acting user
+ * @param {string[]} params.registerIds - Register IDs being saved
+ * @param {number[]} params.registerValues - Register values being saved
+ * @param {boolean} params.hasPhoto - A photo was submitted with the read
+ * @param {boolean} params.confirmed - The operative confirmed the read
+ * @returns {Promise<Object|null>} Job readingCheck fields, or null when checks are off or there is no read
+ * @throws {ReadingCheckError} When the read is flagged and neither a photo nor a confirmation was given
+ */
+async function checkJobReading({ job, user, registerIds = [], registerValues = [], hasPhoto = false, confirmed = false }) {
+  if (!Array.isArray(registerValues) || registerValues.length === 0) return null;
+  const config = await settings.getSetting('readingChecks');
+  if (!config.enabled) return null;
+
+  const previous = await previousReads(job);
+  const meter = job.meter ? await Meter.findById(refId(job.meter)).select('registers').lean() : null;
+  const check = assessReading({
+    registerIds,
+    registerValues,
+    readAt: new Date(),
+    previous,
+    registers: meter ? meter.registers : [],
+    meterType: METER_TYPES[job.jobType],
+    config,
+  });
+
+  let acceptedWith = null;
+  if (check.status === 'flagged') {
+    if (hasPhoto) {
+      acceptedWith = 'photo';
+    } else if (confirmed) {
+      acceptedWith = 'confirmation';
+    } else {
+      throw new ReadingCheckError('This reading looks wrong compared with previous reads. Add a photo of the meter or confirm the reading.', check);
+    }
+  }
+
+  return {
+    status: check.status,
+    flags: check.flags.map(({ registerId, value, previousValue, previousDate, advance, maxAdvance, code, message }) => ({
+      registerId, value, previousValue, previousDate, advance, maxAdvance, code, message,
+    })),
+    acceptedWith,
+    confirmedBy: acceptedWith === 'confirmation' && user ? user._id : null,
+    checkedAt: new Date(),
+  };
+}
+
+module.exports = {
+  ReadingCheckError,
+  assessReading,
+  previousReads,
+  checkJobReading,
+};
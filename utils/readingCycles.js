@@ -0,0 +1,446 @@
+/**
+ * Reading Cycles
+ *
+ * Recurring reads on monthly, quarterly, ... contracts (models/readingCycle.model.js).
+ * runCycles() creates the job of every cycle falling due within the readingCycles setting's
+ * leadDays: scheduled on the due date (or the next day the scheduling policy allows), in the
+ * cycle's preferred window, for its operative or shared among the active operatives of its
+ * patch. A property that still has an open job of the same type is skipped and tried again on
+ * the next run, so it never gets two visits at once. behindSchedule() lists the cycles whose
+ * due date passed without a job and those whose last job is still open well after it.
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/job.model');
+const House = require('../models/house.model');
+const Meter = require('../models/meter.model');
+const User = require('../models/user.model');
+const ReadingCycle = require('../models/readingCycle.model');
+const settings = require('./settings');
+const schedulingPolicy = require('./schedulingPolicy');
+const businessTime = require('./businessTime');
+const jobLifecycle = require('./jobLifecycle');
+const jobAllocation = require('./jobAllocation');
+const routePlanner = require('./routePlanner');
+const meterRegistry = require('./meterRegistry');
+const jobImport = require('./jobImport');
+const { assignJobIds } = require('./jobIds');
+
+const MINUTE = 60 * 1000;
+const FREQUENCIES = ReadingCycle.schema.path('frequency').enumValues;
+const FREQUENCY_MONTHS = { monthly: 1, bimonthly: 2, quarterly: 3, half_yearly: 6, yearly: 12 };
+const JOB_TYPE_FOR_METER = { electric: 'electricity', gas: 'gas', water: 'water' };
+const OPERATIVE_FIELDS = 'firstName lastName username employeeId homeLocation patch isActive';
+
+let schedulerTimer = null;
+
+/**
+ * Error raised when a reading cycle cannot be saved as given
+ */
+class ReadingCycleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReadingCycleError';
+    this.statusCode = statusCode;
+  }
+
+  toJSON() {
+    return { message: this.message };
+  }
+}
+
+const refId = (value) => (value && value._id ? value._id : value) || null;
+const { startOfDay, addDays } = businessTime;
+
+/**
+ * Due date of one cycle: the start date moved on by whole periods, on the start date's day of
+ * the month (or the last day of shorter months)
+ * @param {Date} startDate - Due date of the first cycle
+ * @param {string} frequency - One of FREQUENCIES
+ * @param {number} cycleNumber - 0 for the first cycle
+ * @returns {Date} Start of the due day
+ */
+function dueDate(startDate, frequency, cycleNumber) {
+  const start = businessTime.parts(new Date(startDate));
+  const month = start.month + cycleNumber * FREQUENCY_MONTHS[frequency];
+  // Day 0 of the following month is the last day of this one
+  const lastDay = businessTime.parts(businessTime.zonedDate(start.year, month + 1, 0)).day;
+  return businessTime.zonedDate(start.year, month, Math.min(start.day, lastDay));
+}
+
+/**
+ * Check a cycle's house, meter and operative and set its derived fields: the job type of its
+ * meter, and the next due date when the schedule is new or has changed (counting restarts)
+ * @param {Object} cycle - ReadingCycle document, before it is saved
+ * @throws {ReadingCycleError}
+ */
+async function prepareCycle(cycle) {
+  const house = await House.findById(cycle.house).select('isActive mergedInto').lean();
+  if (!house) {
+    throw new ReadingCycleError('House not found');
+  }
+  if (house.mergedInto) {
+    throw new ReadingCycleError('This house has been merged into another; set the cycle up on that one');
+  }
+
+  if (cycle.meter) {
+    const meter = await Meter.findById(cycle.meter).select('house meterType isActive').lean();
+    if (!meter || String(meter.house) !== String(cycle.house)) {
+      throw new ReadingCycleError('Meter not found at this house');
+    }
+    if (!meter.isActive && cycle.isModified('meter')) {
+      throw new ReadingCycleError('This meter has been removed from the house');
+    }
+    cycle.jobType = JOB_TYPE_FOR_METER[meter.meterType];
+  }
+
+  if (cycle.assignedTo && cycle.isModified('assignedTo')) {
+    const operative = await User.findById(cycle.assignedTo).select('isActive').lean();
+    if (!operative || !operative.isActive) {
+      throw new ReadingCycleError('Operative not found or inactive');
+    }
+  }
+
+  if (cycle.isNew || cycle.isModified('startDate') || cycle.isModified('frequency')) {
+    // A new frequency without a new start date carries on from the next due date
+    const start = cycle.isNew || cycle.isModified('startDate') ? cycle.startDate : cycle.nextDueDate;
+    cycle.startDate = startOfDay(start);
+    cycle.cyclesDone = 0;
+    cycle.nextDueDate = cycle.startDate;
+    cycle.lastSkip = undefined;
+  }
+}
+
+/**
+ * Fields of a cycle's job, without its job ID and operative
+ * @param {Object} cycle - Cycle with house and meter populated
+ * @param {Date} scheduledDate - Day of the visit
+ * @returns {Object} Job fields
+ */
+function jobFields(cycle, scheduledDate) {
+  const { house } = cycle;
+  const job = {
+    jobType: cycle.jobType,
+    address: { street: house.address, city: house.city, state: house.county, postcode: house.postcode },
+    house: house._id,
+    priority: cycle.priority,
+    scheduledDate,
+    status: 'pending',
+    statusHistory: [jobLifecycle.createdEntry({ reason: `Reading cycle (${cycle.frequency.replace('_', '-')})` })],
+    notes: cycle.notes || '',
+    readingCycle: cycle._id,
+  };
+  const point = routePlanner.pointOf(house);
+  if (point) {
+    Object.assign(job.address, point);
+    job.location = { ...point };
+  }
+  // A meter exchanged since the cycle was set up is left for meterRegistry to replace
+  if (cycle.meter && cycle.meter.isActive) {
+    Object.assign(job, {
+      meter: cycle.meter._id,
+      meterSerialNumber: cycle.meter.serialNumber,
+      meterMake: cycle.meter.make,
+      meterModel: cycle.meter.model,
+      numRegisters: cycle.meter.registers.length,
+    });
+  }
+  const window = cycle.preferredWindow || {};
+  if (window.start && window.end) {
+    job.appointment = {
+      start: routePlanner.dayStart(scheduledDate, window.start),
+      end: routePlanner.dayStart(scheduledDate, window.end),
+    };
+  }
+  return job;
+}
+
+/**
+ * Decide what each due cycle gets this run
+ * @param {Object[]} cycles - Due cycles (house, meter and assignedTo populated), earliest first
+ * @param {Object} params
+ * @param {Object[]} params.openJobs - Open jobs at the cycles' houses { house, jobType, jobId }
+ * @param {Object[]} params.operatives - Active operatives of the cycles' patches
+ * @param {Date} params.today - Start of today
+ * @param {Object} params.policy - 'scheduling' setting
+ * @returns {Object} { planned: [{ cycle, job, operative, team }], skipped: [{ cycle, reason }] }
+ *   operative is set for the cycle's own operative, team (the patch's operatives) otherwise
+ */
+function planRun(cycles, { openJobs, operatives, today, policy = settings.DEFAULT_SETTINGS.scheduling }) {
+  const open = new Map(openJobs.map((job) => [`${refId(job.house)}|${job.jobType}`, job]));
+  const planned = [];
+  const skipped = [];
+
+  for (const cycle of cycles) {
+    const { house } = cycle;
+    const key = house ? `${house._id}|${cycle.jobType}` : '';
+    const operative = cycle.assignedTo && cycle.assignedTo.isActive ? cycle.assignedTo : null;
+    const team = operative || !cycle.patch ? [] : operatives.filter((user) => user.patch === cycle.patch);
+
+    if (!house || !house.isActive || house.mergedInto) {
+      skipped.push({ cycle, reason: 'The house is no longer active' });
+    } else if (open.has(key)) {
+      const { jobId } = open.get(key);
+      skipped.push({ cycle, reason: jobId ? `Job ${jobId} is still open at the property` : 'A job is already open at the property' });
+    } else if (!operative && team.length === 0) {
+      skipped.push({ cycle, reason: cycle.patch ? `No active operative works patch ${cycle.patch}` : 'The cycle\'s operative is no longer active' });
+    } else {
+      // A cycle that fell behind is visited from today; days jobs can't be scheduled on are skipped
+      const scheduledDate = schedulingPolicy.nextSchedulingDay(cycle.nextDueDate < today ? today : cycle.nextDueDate, policy);
+      const job = jobFields(cycle, scheduledDate);
+      open.set(key, job);
+      planned.push({ cycle, job, operative, team: operative ? null : team });
+    }
+  }
+
+  return { planned, skipped };
+}
+
+/**
+ * Give patch jobs to the patch's operatives, sharing each patch's jobs for a day between them
+ * by area and workload (utils/jobAllocation.js)
+ * @param {Object[]} planned - From planRun, updated in place (operative set)
+ * @param {Object} routing - 'routing' setting
+ */
+function allocatePatches(planned, routing) {
+  const batches = new Map();
+  planned.filter((item) => !item.operative).forEach((item) => {
+    const key = `${item.cycle.patch}|${item.job.scheduledDate.getTime()}`;
+    if (!batches.has(key)) batches.set(key, []);
+    batches.get(key).push(item);
+  });
+
+  batches.forEach((items) => {
+    const { team } = items[0];
+    const groups = jobAllocation.allocateJobs(items.map((item) => item.job), team, {
+      routing,
+      departAt: routePlanner.dayStart(items[0].job.scheduledDate, routing.dayStartTime),
+    });
+    groups.forEach((group) => {
+      group.jobs.forEach((job) => {
+        items.find((item) => item.job === job).operative = group.operative;
+      });
+    });
+  });
+}
+
+/**
+ * Claim a planned cycle by moving it on to the cycle after the job's visit, so two runs can
+ * never create the same cycle's job. Due dates the visit falls after are written off.
+ * @param {Object} item - Planned cycle (job._id already set)
+ * @param {Date} now - Run time
+ * @returns {Promise<boolean>} Whether this run claimed the cycle
+ */
+async function claimCycle(item, now) {
+  const { cycle, job } = item;
+  let cyclesDone = cycle.cyclesDone + 1;
+  while (dueDate(cycle.startDate, cycle.frequency, cyclesDone) <= job.scheduledDate) {
+    cyclesDone += 1;
+  }
+  item.missedCycles = cyclesDone - cycle.cyclesDone - 1;
+
+  const result = await ReadingCycle.updateOne(
+    { _id: cycle._id, cyclesDone: cycle.cyclesDone, isActive: true },
+    {
+      $set: {
+        cyclesDone,
+        nextDueDate: dueDate(cycle.startDate, cycle.frequency, cyclesDone),
+        lastGeneratedJob: job._id,
+        lastGeneratedAt: now,
+      },
+      $unset: { lastSkip: '' },
+    }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Create the jobs of every cycle due within the lead time and record why the others were skipped
+ * @param {Object} options
+ * @param {Date} options.now - Run time (default now)
+ * @returns {Promise<Object>} { created: [{ cycle, job, missedCycles }], skipped: [{ cycle, reason }] }
+ */
+async function runCycles({ now = new Date() } = {}) {
+  const [config, routing, policy] = await Promise.all([
+    settings.getSetting('readingCycles'),
+    settings.getSetting('routing'),
+    schedulingPolicy.loadPolicy(),
+  ]);
+  const today = startOfDay(now);
+  const cycles = await ReadingCycle.find({ isActive: true, nextDueDate: { $lte: addDays(today, config.leadDays) } })
+    .populate('house')
+    .populate('meter')
+    .populate('assignedTo', OPERATIVE_FIELDS)
+    .sort({ nextDueDate: 1 })
+    .lean();
+  if (cycles.length === 0) return { created: [], skipped: [] };
+
+  const houseIds = cycles.filter((cycle) => cycle.house).map((cycle) => cycle.house._id);
+  const patches = [...new Set(cycles.map((cycle) => cycle.patch).filter(Boolean))];
+  const [openJobs, operatives] = await Promise.all([
+    Job.find({ house: { $in: houseIds }, status: { $nin: jobLifecycle.CLOSED_STATUSES } }).select('house jobType jobId').lean(),
+    patches.length > 0
+      ? User.find({ role: 'meter_reader', isActive: true, patch: { $in: patches } }).select(OPERATIVE_FIELDS).lean()
+      : [],
+  ]);
+
+  const { planned, skipped } = planRun(cycles, { openJobs, operatives, today, policy });
+  allocatePatches(planned, routing);
+
+  if (skipped.length > 0) {
+    await ReadingCycle.bulkWrite(skipped.map(({ cycle, reason }) => ({
+      updateOne: {
+        filter: { _id: cycle._id },
+        update: { $set: { lastSkip: { at: now, dueDate: cycle.nextDueDate, reason } } },
+      },
+    })));
+  }
+
+  const claimed = [];
+  for (const item of planned) {
+    item.job._id = new mongoose.Types.ObjectId();
+    if (await claimCycle(item, now)) claimed.push(item);
+  }
+  if (claimed.length === 0) return { created: [], skipped };
+
+  let createdJobs;
+  try {
+    const jobsToCreate = await assignJobIds(claimed.map((item) => ({
+      ...item.job,
+      assignedTo: item.operative._id,
+      employeeId: item.operative.employeeId || '',
+    })));
+    await meterRegistry.linkJobsToMeters(jobsToCreate);
+    createdJobs = await Job.insertMany(jobsToCreate);
+  } catch (error) {
+    // Remove any jobs inserted before the failure and hand the cycles back so the next run tries again
+    await Job.deleteMany({ _id: { $in: claimed.map(({ job }) => job._id) } });
+    await ReadingCycle.bulkWrite(claimed.map(({ cycle, job }) => ({
+      updateOne: {
+        filter: { _id: cycle._id, lastGeneratedJob: job._id },
+        update: {
+          $set: {
+            cyclesDone: cycle.cyclesDone,
+            nextDueDate: cycle.nextDueDate,
+            lastGeneratedJob: cycle.lastGeneratedJob ? refId(cycle.lastGeneratedJob) : null,
+            lastGeneratedAt: cycle.lastGeneratedAt || null,
+          },
+        },
+      },
+    })));
+    throw error;
+  }
+
+  const populatedJobs = await Job.find({ _id: { $in: createdJobs.map((job) => job._id) } })
+    .populate('assignedTo', 'firstName lastName username employeeId department');
+  jobImport.notifyJobsCreated(populatedJobs);
+
+  return {
+    created: claimed.map((item, index) => ({ cycle: item.cycle, job: createdJobs[index], missedCycles: item.missedCycles })),
+    skipped,
+  };
+}
+
+/**
+ * Cycles that have fallen behind: due dates that passed without a job ('not_generated', with
+ * the reason the last run gave), and jobs still open overdueGraceDays after their due date
+ * ('job_overdue')
+ * @param {Object} options
+ * @param {Date} options.now - Current time (default now)
+ * @returns {Promise<Object[]>} [{ cycle, reason, dueDate, daysBehind, job, skipReason }], most behind first
+ */
+async function behindSchedule({ now = new Date() } = {}) {
+  const config = await settings.getSetting('readingCycles');
+  const today = startOfDay(now);
+  const populateCycle = (query) => query
+    .populate('house', 'address postcode city')
+    .populate('assignedTo', 'firstName lastName username employeeId');
+
+  const [missed, overdueJobs] = await Promise.all([
+    populateCycle(ReadingCycle.find({ isActive: true, nextDueDate: { $lt: today } })).lean(),
+    Job.find({
+      readingCycle: { $ne: null },
+      status: { $nin: jobLifecycle.CLOSED_STATUSES },
+      scheduledDate: { $lt: addDays(today, -config.overdueGraceDays) },
+    }).select('jobId status scheduledDate assignedTo readingCycle').lean(),
+  ]);
+
+  const overdueCycles = overdueJobs.length > 0
+    ? await populateCycle(ReadingCycle.find({ _id: { $in: overdueJobs.map((job) => job.readingCycle) }, isActive: true })).lean()
+    : [];
+  const daysSince = (date) => Math.round((today - startOfDay(new Date(date))) / (24 * 60 * MINUTE));
+
+  const behind = missed.map((cycle) => ({
+    cycle,
+    reason: 'not_generated',
+    dueDate: cycle.nextDueDate,
+    daysBehind: daysSince(cycle.nextDueDate),
+    job: null,
+    skipReason: cycle.lastSkip && cycle.lastSkip.reason ? cycle.lastSkip.reason : '',
+  }));
+  overdueJobs.forEach((job) => {
+    const cycle = overdueCycles.find((candidate) => String(candidate._id) === String(job.readingCycle));
+    if (!cycle) return;
+    behind.push({
+      cycle,
+      reason: 'job_overdue',
+      dueDate: job.scheduledDate,
+      daysBehind: daysSince(job.scheduledDate),
+      job,
+      skipReason: '',
+    });
+  });
+
+  return behind.sort((a, b) => b.daysBehind - a.daysBehind);
+}
+
+/**
+ * Run the cycles every runIntervalMinutes (readingCycles setting) while the setting is enabled
+ */
+function startScheduler() {
+  if (schedulerTimer) return;
+
+  const schedule = (minutes) => {
+    schedulerTimer = setTimeout(tick, minutes * MINUTE);
+    schedulerTimer.unref();
+  };
+  const tick = async () => {
+    let minutes = settings.DEFAULT_SETTINGS.readingCycles.runIntervalMinutes;
+    try {
+      const config = await settings.getSetting('readingCycles');
+      minutes = config.runIntervalMinutes;
+      if (config.enabled) {
+        const result = await runCycles();
+        if (result.created.length > 0 || result.skipped.length > 0) {
+          console.log(`Reading cycles: ${result.created.length} job(s) created, ${result.skipped.length} cycle(s) skipped`);
+        }
+      }
+    } catch (error) {
+      console.error('Reading cycle run error:', error);
+    }
+    if (schedulerTimer) schedule(minutes);
+  };
+  schedule(1);
+}
+
+/**
+ * Stop the reading cycle scheduler
+ */
+function stopScheduler() {
+  clearTimeout(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  FREQUENCIES,
+  ReadingCycleError,
+  dueDate,
+  prepareCycle,
+  jobFields,
+  planRun,
+  allocatePatches,
+  runCycles,
+  behindSchedule,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,339 @@
+/**
+ * Route Planner
+ *
+ * Orders an operative's jobs into a day's route. The route starts from a known point (home or
+ * depot, current location, or the job in progress), is built with nearest-neighbour and then
+ * improved with 2-opt and Or-opt moves. Every move is scored on the whole schedule, so
+ * appointment windows and priority count as well as distance. Road miles are estimated as
+ * straight-line miles times a road factor and times from an average speed ('routing' setting).
+ */
+
+const { calculateDistance, isValidCoordinate } = require('./businessLogic');
+const settings = require('./settings');
+const businessTime = require('./businessTime');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const MAX_SEGMENT = 3; // Longest run of consecutive stops an Or-opt move relocates
+const DEFAULT_MAX_EVALUATIONS = 50000; // Schedule evaluations allowed for the improvement phase
+const EPSILON = 1e-9;
+
+/**
+ * Read a { latitude, longitude } pair as numbers, or null when unusable
+ * @param {Object} location - Object with latitude/longitude
+ * @returns {Object|null} { latitude, longitude }
+ */
+function pointOf(location) {
+  if (!location || location.latitude == null || location.longitude == null) return null;
+  const latitude = Number(location.latitude);
+  const longitude = Number(location.longitude);
+  return isValidCoordinate(latitude, longitude) ? { latitude, longitude } : null;
+}
+
+/**
+ * Coordinates of a job: its house, then its address, then its location
+ * (top-level latitude/longitude are used for rows that are not saved yet)
+ * @param {Object} job - Job document or plain object
+ * @returns {Object|null} { latitude, longitude }
+ */
+function jobPoint(job) {
+  return pointOf(job.house) || pointOf(job.address) || pointOf(job.location) || pointOf(job);
+}
+
+/**
+ * Appointment window of a job as timestamps
+ * @param {Object} job - Job
+ * @returns {Object} { start, end } in milliseconds, null when open
+ */
+function jobWindow(job) {
+  const appointment = job.appointment || {};
+  const toTime = (value) => {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+  };
+  return { start: toTime(appointment.start), end: toTime(appointment.end) };
+}
+
+/**
+ * Time the day's route leaves, from a date and the configured day start (HH:MM, business time)
+ * @param {Date|string} date - Day of the route (a YYYY-MM-DD string is a business day)
+ * @param {string} dayStartTime - e.g. '08:00'
+ * @returns {Date} Departure time
+ */
+function dayStart(date, dayStartTime) {
+  const day = typeof date === 'string' && !date.includes('T') ? businessTime.fromDayKey(date) : new Date(date);
+  return businessTime.atTime(day, dayStartTime || '00:00');
+}
+
+const postcodeOf = (job) => (job.house?.postcode || job.address?.postcode || job.address?.zipCode || '').toString();
+
+/**
+ * Work out arrival times and the cost of visiting stops in the given order
+ * @param {number[]} order - Indexes into ctx.stops
+ * @param {Object} ctx - Planning context from planRoute
+ * @param {boolean} detailed - Also return the per-stop schedule
+ * @returns {Object} { cost, miles, minutes, lateStops, schedule }
+ */
+function simulate(order, ctx, detailed = false) {
+  const { matrix, stops, config, departAt } = ctx;
+  const minutesPerMile = 60 / config.averageSpeedMph;
+  const schedule = detailed ? [] : null;
+  let clock = departAt;
+  let previous = 0;
+  let miles = 0;
+  let cost = 0;
+  let lateStops = 0;
+
+  for (const index of order) {
+    const stop = stops[index];
+    const legMiles = matrix[previous][index + 1];
+    const arrival = clock + legMiles * minutesPerMile * MINUTE;
+    const eta = stop.window.start !== null && arrival < stop.window.start ? stop.window.start : arrival;
+    const lateMinutes = stop.window.end !== null && eta > stop.window.end ? (eta - stop.window.end) / MINUTE : 0;
+
+    miles += legMiles;
+    cost += legMiles + lateMinutes * config.lateMinuteCost + stop.weight * ((eta - departAt) / HOUR);
+    if (lateMinutes > 0) lateStops++;
+
+    if (detailed) {
+      let windowStatus = 'none';
+      if (lateMinutes > 0) windowStatus = 'late';
+      else if (eta > arrival) windowStatus = 'wait';
+      else if (stop.window.start !== null || stop.window.end !== null) windowStatus = 'on_time';
+
+      schedule.push({
+        job: stop.job,
+        legMiles,
+        eta: new Date(eta),
+        waitMinutes: Math.round((eta - arrival) / MINUTE),
+        lateMinutes: Math.round(lateMinutes),
+        windowStatus,
+      });
+    }
+
+    clock = eta + config.serviceMinutes * MINUTE;
+    previous = index + 1;
+  }
+
+  return { cost, miles, minutes: (clock - departAt) / MINUTE, lateStops, schedule };
+}
+
+/**
+ * Greedy nearest-neighbour order from the start point
+ * @param {Object} ctx - Planning context
+ * @returns {number[]} Order of stop indexes
+ */
+function nearestNeighbour(ctx) {
+  const remaining = ctx.stops.map((stop, index) => index);
+  const order = [];
+  let previous = 0;
+
+  while (remaining.length > 0) {
+    let nearest = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (ctx.matrix[previous][remaining[i] + 1] < ctx.matrix[previous][remaining[nearest] + 1]) {
+        nearest = i;
+      }
+    }
+    const [next] = remaining.splice(nearest, 1);
+    order.push(next);
+    previous = next + 1;
+  }
+  return order;
+}
+
+/**
+ * Improve an order with 2-opt (reverse a run of stops) and Or-opt (move a run of up to
+ * three stops elsewhere) until no move lowers the schedule cost or the budget runs out
+ * @param {number[]} initial - Starting order
+ * @param {Object} ctx - Planning context
+ * @returns {number[]} Improved order
+ */
+function improve(initial, ctx) {
+  const n = initial.length;
+  let best = initial;
+  let bestCost = simulate(best, ctx).cost;
+  let evaluations = 0;
+
+  const tryOrder = (candidate) => {
+    evaluations++;
+    const cost = simulate(candidate, ctx).cost;
+    if (cost < bestCost - EPSILON) {
+      best = candidate;
+      bestCost = cost;
+      return true;
+    }
+    return false;
+  };
+  const withinBudget = () => evaluations < ctx.maxEvaluations;
+
+  let improved = true;
+  while (improved && withinBudget()) {
+    improved = false;
+
+    for (let i = 0; i < n - 1 && withinBudget(); i++) {
+      for (let j = i + 1; j < n && withinBudget(); j++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+        if (tryOrder(candidate)) improved = true;
+      }
+    }
+
+    for (let length = 1; length <= MAX_SEGMENT && length < n; length++) {
+      for (let i = 0; i + length <= n && withinBudget(); i++) {
+        for (let k = 0; k <= n - length && withinBudget(); k++) {
+          if (k === i) continue;
+          const segment = best.slice(i, i + length);
+          const rest = [...best.slice(0, i), ...best.slice(i + length)];
+          if (tryOrder([...rest.slice(0, k), ...segment, ...rest.slice(k)])) improved = true;
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Plan a route through a set of jobs
+ * @param {Object[]} jobs - Jobs (documents or plain objects)
+ * @param {Object} options - 'routing' setting fields, plus:
+ * @param {Object} options.start - { latitude, longitude } the route leaves from; without it the
+ *   route may begin at any job
+ * @param {Date} options.departAt - When the route leaves (defaults to now)
+ * @param {number} options.maxEvaluations - Budget for the improvement phase
+ * @returns {Object} { stops: [{ job, sequence, legMiles, eta, waitMinutes, lateMinutes, windowStatus }],
+ *   unlocated, totalMiles, totalMinutes, lateStops, nearestNeighbourMiles, start, departAt }
+ */
+function planRoute(jobs, options = {}) {
+  const defaults = settings.DEFAULT_SETTINGS.routing;
+  const config = {
+    ...defaults,
+    ...options,
+    priorityWeights: { ...defaults.priorityWeights, ...(options.priorityWeights || {}) },
+  };
+  const start = pointOf(options.start);
+  const departAt = options.departAt ? new Date(options.departAt) : new Date();
+
+  const located = [];
+  const unlocated = [];
+  jobs.forEach((job) => {
+    const point = jobPoint(job);
+    if (point) {
+      located.push({ job, point, window: jobWindow(job) });
+    } else {
+      unlocated.push(job);
+    }
+  });
+  unlocated.sort((a, b) => postcodeOf(a).localeCompare(postcodeOf(b)));
+
+  // Priority only matters relative to the other jobs, so a day of equal priorities is
+  // planned on distance and appointments alone
+  const weightOf = (job) => config.priorityWeights[job.priority] || 0;
+  const baseWeight = Math.min(...located.map((stop) => weightOf(stop.job)));
+  located.forEach((stop) => { stop.weight = weightOf(stop.job) - baseWeight; });
+
+  // Row/column 0 is the start point; without one it is zero miles from every job
+  const points = [start, ...located.map((stop) => stop.point)];
+  const matrix = points.map((from, i) => points.map((to, j) => {
+    if (i === j || !from || !to) return 0;
+    return calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) * config.roadFactor;
+  }));
+
+  const ctx = {
+    matrix,
+    stops: located,
+    config,
+    departAt: departAt.getTime(),
+    maxEvaluations: options.maxEvaluations || DEFAULT_MAX_EVALUATIONS,
+  };
+  const initial = nearestNeighbour(ctx);
+  const result = simulate(improve(initial, ctx), ctx, true);
+
+  return {
+    stops: result.schedule.map((stop, index) => ({
+      ...stop,
+      sequence: index + 1,
+      legMiles: Math.round(stop.legMiles * 100) / 100,
+    })),
+    unlocated,
+    totalMiles: Math.round(result.miles * 100) / 100,
+    totalMinutes: Math.round(result.minutes),
+    lateStops: result.lateStops,
+    nearestNeighbourMiles: Math.round(simulate(initial, ctx).miles * 100) / 100,
+    start,
+    departAt,
+  };
+}
+
+/**
+ * Plan a route using the stored 'routing' setting
+ * @param {Object[]} jobs - Jobs
+ * @param {Object} options - { start, departAt, maxEvaluations }, plus:
+ * @param {Date|string} options.date - Day of the route; the route leaves at the configured
+ *   day start, or at departAt if that is later
+ * @returns {Promise<Object>} Plan (see planRoute)
+ */
+async function planJobs(jobs, options = {}) {
+  const config = await settings.getSetting('routing');
+  const { date, ...planOptions } = options;
+  if (date) {
+    const start = dayStart(date, config.dayStartTime);
+    planOptions.departAt = planOptions.departAt && new Date(planOptions.departAt) > start
+      ? new Date(planOptions.departAt)
+      : start;
+  }
+  return planRoute(jobs, { ...config, ...planOptions });
+}
+
+/**
+ * Order jobs spread over several days: day by day, each planned on its own so appointment
+ * windows are kept on the day they are booked for. Today's route leaves from start now;
+ * later days leave from laterStart at the configured day start.
+ * @param {Object[]} jobs - Jobs (grouped by appointment day, else scheduled day)
+ * @param {Object} options
+ * @param {Object} options.start - { latitude, longitude } for today's route
+ * @param {Object} options.laterStart - { latitude, longitude } for later days (default: start)
+ * @param {Date} options.departAt - Current time (default now)
+ * @returns {Promise<Object[]>} Jobs in route order
+ */
+async function planDays(jobs, { start = null, laterStart = start, departAt = new Date() } = {}) {
+  const now = new Date(departAt);
+  const today = businessTime.startOfDay(now).getTime();
+  const byDay = new Map();
+  jobs.forEach((job) => {
+    const when = new Date((job.appointment && job.appointment.start) || job.scheduledDate || now);
+    const day = Math.max(businessTime.startOfDay(when).getTime(), today);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(job);
+  });
+
+  const ordered = [];
+  for (const day of [...byDay.keys()].sort((a, b) => a - b)) {
+    const plan = day === today
+      ? await planJobs(byDay.get(day), { start, departAt: now })
+      : await planJobs(byDay.get(day), { start: laterStart, date: new Date(day) });
+    ordered.push(...orderedJobs(plan));
+  }
+  return ordered;
+}
+
+/**
+ * Jobs in planned order, with jobs that have no coordinates last (by postcode)
+ * @param {Object} plan - Result of planRoute
+ * @returns {Object[]} Jobs
+ */
+function orderedJobs(plan) {
+  return [...plan.stops.map((stop) => stop.job), ...plan.unlocated];
+}
+
+module.exports = {
+  pointOf,
+  jobPoint,
+  jobWindow,
+  dayStart,
+  planRoute,
+  planJobs,
+  planDays,
+  orderedJobs,
+};
@@ -0,0 +1,139 @@
+/**
+ * Scheduling Policy
+ *
+ * Which days jobs may be scheduled on, from the 'scheduling' setting: today up to maxDaysAhead
+ * days ahead, days already passed only for admins when allowBackdating is on, never on a bank
+ * holiday, and not at weekends when workingDaysOnly is on. Days ahead are counted in days jobs
+ * can be scheduled on, so with workingDaysOnly "2 days ahead" from a Friday runs to Tuesday.
+ * Operatives' today lists cover the days from today to viewDaysAhead, counted the same way.
+ * Days are business days (see businessTime), whatever timezone the server runs in.
+ */
+
+const settings = require('./settings');
+const businessTime = require('./businessTime');
+
+// Stops the day count running away if every day were closed
+const MAX_SEARCH_DAYS = 366;
+
+const { startOfDay, addDays, dayKey } = businessTime;
+
+/**
+ * Why jobs cannot be scheduled on a day
+ * @param {Date} date - Day
+ * @param {Object} policy - 'scheduling' setting
+ * @returns {string|null} Reason, or null when jobs can be scheduled on it
+ */
+function closedReason(date, policy) {
+  if ((policy.bankHolidays || []).includes(dayKey(date))) return 'is a bank holiday';
+  if (policy.workingDaysOnly && [0, 6].includes(businessTime.weekday(date))) return 'is not a working day';
+  return null;
+}
+
+/**
+ * Whether jobs can be scheduled on a day
+ * @param {Date} date - Day
+ * @param {Object} policy - 'scheduling' setting
+ * @returns {boolean}
+ */
+function isSchedulingDay(date, policy) {
+  return closedReason(date, policy) === null;
+}
+
+/**
+ * First day on or after a date that jobs can be scheduled on
+ * @param {Date} date - Date
+ * @param {Object} policy - 'scheduling' setting
+ * @returns {Date} Start of that day
+ */
+function nextSchedulingDay(date, policy) {
+  let day = startOfDay(new Date(date));
+  for (let step = 0; step < MAX_SEARCH_DAYS && !isSchedulingDay(day, policy); step++) {
+    day = addDays(day, 1);
+  }
+  return day;
+}
+
+/**
+ * The day a number of scheduling days after another
+ * @param {Date} from - Starting day (today)
+ * @param {number} days - Scheduling days to count
+ * @param {Object} policy - 'scheduling' setting
+ * @returns {Date} Start of the last day
+ */
+function daysAhead(from, days, policy) {
+  let day = startOfDay(from);
+  let counted = 0;
+  for (let step = 0; counted < days && step < days + MAX_SEARCH_DAYS; step++) {
+    day = addDays(day, 1);
+    if (isSchedulingDay(day, policy)) counted += 1;
+  }
+  return day;
+}
+
+/**
+ * Last day jobs may be scheduled on
+ * @param {Object} policy - 'scheduling' setting
+ * @param {Date} now - Current time
+ * @returns {Date} Start of that day
+ */
+function horizon(policy, now = new Date()) {
+  return daysAhead(now, policy.maxDaysAhead, policy);
+}
+
+/**
+ * Scheduled dates an operative's today list covers
+ * @param {Object} policy - 'scheduling' setting
+ * @param {Date} now - Current time
+ * @returns {Object} { start, end } - start of today, and the start of the day after the last day
+ */
+function viewWindow(policy, now = new Date()) {
+  return {
+    start: startOfDay(now),
+    end: addDays(daysAhead(now, policy.viewDaysAhead, policy), 1),
+  };
+}
+
+/**
+ * Check a job can be scheduled on a date
+ * @param {Date|string|null} date - Scheduled date (null = none given, left to the caller)
+ * @param {Object} policy - 'scheduling' setting
+ * @param {Object} options
+ * @param {Date} options.now - Current time (default now)
+ * @param {boolean} options.isAdmin - Whether an admin is scheduling (back-dating)
+ * @returns {string|null} Problem, or null when acceptable
+ */
+function dateProblem(date, policy, { now = new Date(), isAdmin = false } = {}) {
+  if (!date) return null;
+  const scheduled = new Date(date);
+  if (isNaN(scheduled.getTime())) return 'Scheduled date could not be read';
+
+  const day = startOfDay(scheduled);
+  if (day < startOfDay(now) && !(isAdmin && policy.allowBackdating)) {
+    return 'Scheduled date is in the past';
+  }
+  if (day > horizon(policy, now)) {
+    const unit = `${policy.workingDaysOnly ? 'working ' : ''}${policy.maxDaysAhead === 1 ? 'day' : 'days'}`;
+    return `Scheduled date is more than ${policy.maxDaysAhead} ${unit} in the future`;
+  }
+  const closed = closedReason(day, policy);
+  return closed ? `Scheduled date ${closed}` : null;
+}
+
+/**
+ * Current scheduling policy
+ * @returns {Promise<Object>} 'scheduling' setting
+ */
+function loadPolicy() {
+  return settings.getSetting('scheduling');
+}
+
+module.exports = {
+  dayKey,
+  isSchedulingDay,
+  nextSchedulingDay,
+  daysAhead,
+  horizon,
+  viewWindow,
+  dateProblem,
+  loadPolicy,
+};
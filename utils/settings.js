@@ -0,0 +1,456 @@
+/**
+ * Settings
+ *
+ * Admin-managed settings stored in Mongo (models/setting.model.js). Each key has built-in
+ * defaults and a validator; stored values are merged over the defaults so a key can be
+ * partially configured and new options pick up their default without a migration.
+ */
+
+const Setting = require('../models/setting.model');
+
+const JOB_TYPES = ['electricity', 'gas', 'water'];
+
+const DEFAULT_SETTINGS = {
+  geofence: {
+    // 'off' = measure only, 'flag' = accept and flag out-of-fence jobs, 'block' = reject them
+    policy: 'flag',
+    defaultRadiusMeters: 50,
+    radiusMeters: { electricity: 50, gas: 50, water: 50 },
+    // With the 'block' policy, also reject a start/completion that sends no usable location
+    blockWithoutLocation: false,
+  },
+  routing: {
+    averageSpeedMph: 20,
+    // Straight-line miles are multiplied by this to estimate road miles
+    roadFactor: 1.3,
+    serviceMinutes: 10, // Time spent at each property
+    dayStartTime: '08:00',
+    // Cost, in miles, of each hour a job of this priority waits to be visited
+    priorityWeights: { high: 2, medium: 0.5, low: 0 },
+    // Cost, in miles, of each minute an appointment is missed by
+    lateMinuteCost: 1,
+  },
+  geocoding: {
+    // Tried in order until one finds the address (GEOCODING_PROVIDERS in the environment overrides this)
+    providers: ['nominatim', 'postcode'],
+    cacheDays: 90,
+    // Addresses no provider could find are remembered for this long; 0 = always try again
+    failedCacheHours: 24,
+  },
+  readingChecks: {
+    enabled: true,
+    // A read may advance by up to this many times the consumption expected since the last read
+    toleranceFactor: 3,
+    // ...and always by at least this many units, so reads soon after the last one aren't flagged
+    minimumAllowance: 100,
+    // Units per day expected when a meter has too few previous reads to work it out
+    defaultDailyUsage: { electric: 10, gas: 3, water: 0.4 },
+  },
+  flowExport: {
+    // Market participant ID and role code we send flow files as
+    senderMpid: 'MMTR',
+    senderRole: 'D',
+    // Market participant ID of each supplier, by the sup code on jobs and readings
+    supplierMpids: {},
+  },
+  noAccessRevisits: {
+    enabled: true,
+    // Failed visits in a row to a property before revisits stop and admins are asked to step in
+    maxAttempts: 3,
+    // Used when no rule matches the no-access reason
+    defaultAction: 'revisit',
+    defaultDelayDays: 3,
+    // The first rule whose reason appears in the job's no-access reason (ignoring case) applies.
+    // action: 'revisit' (follow-up job after delayDays, carrying the note), 'none' (no revisit)
+    // or 'defect' (no revisit; admins are told the meter needs fixing)
+    rules: [
+      { reason: 'Occupant not home', action: 'revisit', delayDays: 3, note: '' },
+      { reason: 'Dog on property', action: 'revisit', delayDays: 3, note: 'Dog on property at the last visit - ask the occupant to secure it' },
+      { reason: 'Meter damaged', action: 'defect', delayDays: 0, note: '' },
+    ],
+  },
+  appointments: {
+    // Whether one operative may hold booked windows that overlap in time
+    allowOverlap: false,
+    // Admins are alerted once an operative's estimated arrival is this close to the end of a
+    // booked window (or past it)
+    atRiskMarginMinutes: 15,
+    // How often open appointments are checked for operatives running late
+    checkIntervalMinutes: 5,
+    // Operative locations older than this are not used to estimate arrival
+    locationMaxAgeMinutes: 30,
+  },
+  readingCycles: {
+    // Whether the scheduler runs on its own (POST /api/reading-cycles/run works either way)
+    enabled: true,
+    // Jobs are created this many days before the cycle is due
+    leadDays: 14,
+    runIntervalMinutes: 60,
+    // A generated job still open this many days after its due date counts as behind
+    overdueGraceDays: 7,
+  },
+  scheduling: {
+    // Jobs may be scheduled from today up to this many days ahead, counting only the days jobs
+    // can be scheduled on (see utils/schedulingPolicy.js)
+    maxDaysAhead: 2,
+    // Admins may schedule jobs on days that have already passed
+    allowBackdating: false,
+    // Keep jobs off Saturdays and Sundays
+    workingDaysOnly: false,
+    // Days no jobs are scheduled on (YYYY-MM-DD)
+    bankHolidays: [],
+    // Operatives' today lists (/today, /today-geo, run sheets) show jobs this many days ahead
+    viewDaysAhead: 2,
+  },
+  jobIds: {
+    // Job IDs are the prefix then the next number padded to this many digits (000001, ...)
+    prefix: '',
+    digits: 6,
+    // The first rule matching a job's supplier (sup code) and/or job type sets its prefix and
+    // digits instead, e.g. { sup: 'BGAS', prefix: 'BG', digits: 6 }. Each prefix is numbered
+    // on its own sequence (see utils/jobIds.js).
+    rules: [],
+  },
+};
+
+/**
+ * Error raised when a setting value is invalid or the key is unknown
+ */
+class SettingsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SettingsError';
+    this.statusCode = statusCode;
+  }
+}
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const METER_TYPES = ['electric', 'gas', 'water'];
+const MPID_PATTERN = /^[A-Z0-9]{4}$/;
+const GEOCODING_PROVIDERS = ['nominatim', 'postcode'];
+const REVISIT_ACTIONS = ['revisit', 'none', 'defect'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Letters, optionally ending in a hyphen, so the number after the prefix is unambiguous
+const JOB_ID_PREFIX_PATTERN = /^([A-Z]{1,8}-?)?$/;
+const MAX_JOB_ID_DIGITS = 12;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const VALIDATORS = {
+  geofence(value) {
+    if (!['off', 'flag', 'block'].includes(value.policy)) {
+      throw new SettingsError('Geofence policy must be off, flag or block');
+    }
+    if (!isPositiveNumber(value.defaultRadiusMeters)) {
+      throw new SettingsError('Default geofence radius must be a positive number of meters');
+    }
+    Object.entries(value.radiusMeters || {}).forEach(([jobType, radius]) => {
+      if (!JOB_TYPES.includes(jobType)) {
+        throw new SettingsError(`Unknown job type "${jobType}" in geofence radius`);
+      }
+      if (!isPositiveNumber(radius)) {
+        throw new SettingsError(`Geofence radius for ${jobType} must be a positive number of meters`);
+      }
+    });
+    if (typeof value.blockWithoutLocation !== 'boolean') {
+      throw new SettingsError('blockWithoutLocation must be true or false');
+    }
+  },
+
+  routing(value) {
+    if (!isPositiveNumber(value.averageSpeedMph)) {
+      throw new SettingsError('Average speed must be a positive number of miles per hour');
+    }
+    if (!isNonNegativeNumber(value.roadFactor) || value.roadFactor < 1) {
+      throw new SettingsError('Road factor must be a number of at least 1');
+    }
+    if (!isNonNegativeNumber(value.serviceMinutes)) {
+      throw new SettingsError('Service time must be zero or a positive number of minutes');
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value.dayStartTime)) {
+      throw new SettingsError('Day start time must be in HH:MM format');
+    }
+    Object.entries(value.priorityWeights || {}).forEach(([priority, weight]) => {
+      if (!PRIORITIES.includes(priority)) {
+        throw new SettingsError(`Unknown priority "${priority}" in routing weights`);
+      }
+      if (!isNonNegativeNumber(weight)) {
+        throw new SettingsError(`Routing weight for ${priority} priority must be zero or a positive number`);
+      }
+    });
+    if (!isNonNegativeNumber(value.lateMinuteCost)) {
+      throw new SettingsError('Late minute cost must be zero or a positive number');
+    }
+  },
+
+  geocoding(value) {
+    if (!Array.isArray(value.providers) || value.providers.length === 0) {
+      throw new SettingsError('At least one geocoding provider is required');
+    }
+    value.providers.forEach((provider) => {
+      if (!GEOCODING_PROVIDERS.includes(provider)) {
+        throw new SettingsError(`Unknown geocoding provider "${provider}" (use ${GEOCODING_PROVIDERS.join(', ')})`);
+      }
+    });
+    if (new Set(value.providers).size !== value.providers.length) {
+      throw new SettingsError('Each geocoding provider can only be listed once');
+    }
+    if (!isPositiveNumber(value.cacheDays)) {
+      throw new SettingsError('Geocode cache days must be a positive number');
+    }
+    if (!isNonNegativeNumber(value.failedCacheHours)) {
+      throw new SettingsError('Failed geocode cache hours must be zero or a positive number');
+    }
+  },
+
+  flowExport(value) {
+    if (!MPID_PATTERN.test(value.senderMpid || '')) {
+      throw new SettingsError('Sender MPID must be 4 letters or digits');
+    }
+    if (!/^[A-Z]$/.test(value.senderRole || '')) {
+      throw new SettingsError('Sender role must be a single capital letter');
+    }
+    if (!value.supplierMpids || typeof value.supplierMpids !== 'object' || Array.isArray(value.supplierMpids)) {
+      throw new SettingsError('Supplier MPIDs must be an object of supplier code to MPID');
+    }
+    Object.entries(value.supplierMpids).forEach(([supplier, mpid]) => {
+      if (!MPID_PATTERN.test(mpid || '')) {
+        throw new SettingsError(`MPID for supplier "${supplier}" must be 4 letters or digits`);
+      }
+    });
+  },
+
+  noAccessRevisits(value) {
+    if (typeof value.enabled !== 'boolean') {
+      throw new SettingsError('enabled must be true or false');
+    }
+    if (!Number.isInteger(value.maxAttempts) || value.maxAttempts < 1) {
+      throw new SettingsError('Maximum attempts must be a whole number of at least 1');
+    }
+    if (!REVISIT_ACTIONS.includes(value.defaultAction)) {
+      throw new SettingsError(`Default action must be one of: ${REVISIT_ACTIONS.join(', ')}`);
+    }
+    if (!isNonNegativeNumber(value.defaultDelayDays)) {
+      throw new SettingsError('Default revisit delay must be zero or a positive number of days');
+    }
+    if (!Array.isArray(value.rules)) {
+      throw new SettingsError('Revisit rules must be a list');
+    }
+    value.rules.forEach((rule, index) => {
+      if (!rule || typeof rule.reason !== 'string' || !rule.reason.trim()) {
+        throw new SettingsError(`Revisit rule ${index + 1} needs a reason`);
+      }
+      if (!REVISIT_ACTIONS.includes(rule.action)) {
+        throw new SettingsError(`Revisit rule "${rule.reason}" action must be one of: ${REVISIT_ACTIONS.join(', ')}`);
+      }
+      if (rule.delayDays !== undefined && !isNonNegativeNumber(rule.delayDays)) {
+        throw new SettingsError(`Revisit rule "${rule.reason}" delay must be zero or a positive number of days`);
+      }
+      if (rule.note !== undefined && typeof rule.note !== 'string') {
+        throw new SettingsError(`Revisit rule "${rule.reason}" note must be text`);
+      }
+    });
+  },
+
+  appointments(value) {
+    if (typeof value.allowOverlap !== 'boolean') {
+      throw new SettingsError('allowOverlap must be true or false');
+    }
+    if (!isNonNegativeNumber(value.atRiskMarginMinutes)) {
+      throw new SettingsError('At-risk margin must be zero or a positive number of minutes');
+    }
+    if (!isPositiveNumber(value.checkIntervalMinutes)) {
+      throw new SettingsError('Check interval must be a positive number of minutes');
+    }
+    if (!isPositiveNumber(value.locationMaxAgeMinutes)) {
+      throw new SettingsError('Location age limit must be a positive number of minutes');
+    }
+  },
+
+  readingCycles(value) {
+    if (typeof value.enabled !== 'boolean') {
+      throw new SettingsError('enabled must be true or false');
+    }
+    if (!Number.isInteger(value.leadDays) || value.leadDays < 0) {
+      throw new SettingsError('Lead days must be a whole number of days, zero or more');
+    }
+    if (!isPositiveNumber(value.runIntervalMinutes)) {
+      throw new SettingsError('Run interval must be a positive number of minutes');
+    }
+    if (!isNonNegativeNumber(value.overdueGraceDays)) {
+      throw new SettingsError('Overdue grace must be zero or a positive number of days');
+    }
+  },
+
+  scheduling(value) {
+    ['maxDaysAhead', 'viewDaysAhead'].forEach((field) => {
+      if (!Number.isInteger(value[field]) || value[field] < 0) {
+        throw new SettingsError(`${field} must be a whole number of days, zero or more`);
+      }
+    });
+    ['allowBackdating', 'workingDaysOnly'].forEach((field) => {
+      if (typeof value[field] !== 'boolean') {
+        throw new SettingsError(`${field} must be true or false`);
+      }
+    });
+    if (!Array.isArray(value.bankHolidays)) {
+      throw new SettingsError('Bank holidays must be a list of dates (YYYY-MM-DD)');
+    }
+    value.bankHolidays.forEach((day) => {
+      const date = DAY_PATTERN.test(day) ? new Date(`${day}T00:00:00Z`) : null;
+      if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== day) {
+        throw new SettingsError(`Bank holiday "${day}" must be a date (YYYY-MM-DD)`);
+      }
+    });
+  },
+
+  jobIds(value) {
+    const checkFormat = (format, label) => {
+      if (typeof format.prefix !== 'string' || !JOB_ID_PREFIX_PATTERN.test(format.prefix)) {
+        throw new SettingsError(`${label} prefix must be up to 8 capital letters, optionally followed by a hyphen`);
+      }
+      if (!Number.isInteger(format.digits) || format.digits < 1 || format.digits > MAX_JOB_ID_DIGITS) {
+        throw new SettingsError(`${label} digits must be a whole number from 1 to ${MAX_JOB_ID_DIGITS}`);
+      }
+    };
+    checkFormat(value, 'Job ID');
+    if (!Array.isArray(value.rules)) {
+      throw new SettingsError('Job ID rules must be a list');
+    }
+    value.rules.forEach((rule, index) => {
+      const label = `Job ID rule ${index + 1}`;
+      if (!rule || typeof rule !== 'object') {
+        throw new SettingsError(`${label} must be an object`);
+      }
+      if (!rule.sup && !rule.jobType) {
+        throw new SettingsError(`${label} needs a supplier (sup) or a job type`);
+      }
+      if (rule.sup !== undefined && typeof rule.sup !== 'string') {
+        throw new SettingsError(`${label} supplier must be text`);
+      }
+      if (rule.jobType !== undefined && !JOB_TYPES.includes(rule.jobType)) {
+        throw new SettingsError(`${label} has unknown job type "${rule.jobType}"`);
+      }
+      checkFormat(rule, label);
+    });
+  },
+
+  readingChecks(value) {
+    if (typeof value.enabled !== 'boolean') {
+      throw new SettingsError('enabled must be true or false');
+    }
+    if (!isNonNegativeNumber(value.toleranceFactor) || value.toleranceFactor < 1) {
+      throw new SettingsError('Tolerance factor must be a number of at least 1');
+    }
+    if (!isNonNegativeNumber(value.minimumAllowance)) {
+      throw new SettingsError('Minimum allowance must be zero or a positive number of units');
+    }
+    Object.entries(value.defaultDailyUsage || {}).forEach(([meterType, usage]) => {
+      if (!METER_TYPES.includes(meterType)) {
+        throw new SettingsError(`Unknown meter type "${meterType}" in default daily usage`);
+      }
+      if (!isNonNegativeNumber(usage)) {
+        throw new SettingsError(`Default daily usage for ${meterType} must be zero or a positive number`);
+      }
+    });
+  },
+};
+
+/**
+ * Merge a stored value over the defaults (nested plain objects are merged one level deep)
+ * @param {Object} defaults - Default value
+ * @param {Object} value - Stored or submitted value
+ * @returns {Object} Merged value
+ */
+function mergeSetting(defaults, value = {}) {
+  const merged = { ...defaults };
+  Object.entries(value || {}).forEach(([field, fieldValue]) => {
+    const base = defaults[field];
+    const isObject = base && typeof base === 'object' && !Array.isArray(base);
+    merged[field] = isObject && fieldValue && typeof fieldValue === 'object'
+      ? { ...base, ...fieldValue }
+      : fieldValue;
+  });
+  return merged;
+}
+
+/**
+ * Check a key is known
+ * @param {string} key - Setting key
+ * @throws {SettingsError} 404 for unknown keys
+ */
+function assertKnownKey(key) {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULT_SETTINGS, key)) {
+    throw new SettingsError(`Unknown setting "${key}"`, 404);
+  }
+}
+
+/**
+ * Get a setting, merged over its defaults
+ * @param {string} key - Setting key
+ * @returns {Promise<Object>} Setting value
+ */
+async function getSetting(key) {
+  assertKnownKey(key);
+  const stored = await Setting.findOne({ key }).lean();
+  return mergeSetting(DEFAULT_SETTINGS[key], stored ? stored.value : {});
+}
+
+/**
+ * Get every setting, merged over the defaults
+ * @returns {Promise<Object>} { [key]: value }
+ */
+async function getAllSettings() {
+  const stored = await Setting.find({ key: { $in: Object.keys(DEFAULT_SETTINGS) } }).lean();
+  const byKey = new Map(stored.map((setting) => [setting.key, setting.value]));
+
+  return Object.keys(DEFAULT_SETTINGS).reduce((all, key) => {
+    all[key] = mergeSetting(DEFAULT_SETTINGS[key], byKey.get(key));
+    return all;
+  }, {});
+}
+
+/**
+ * Update a setting. The submitted value is merged over the current value and validated as a whole.
+ * @param {string} key - Setting key
+ * @param {Object} value - Fields to change
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<Object>} New setting value
+ * @throws {SettingsError} When the key is unknown or the value is invalid
+ */
+async function updateSetting(key, value, user) {
+  assertKnownKey(key);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new SettingsError('Setting value must be an object');
+  }
+
+  const current = await getSetting(key);
+  const next = mergeSetting(current, value);
+  const unknownField = Object.keys(next).find((field) => !(field in DEFAULT_SETTINGS[key]));
+  if (unknownField) {
+    throw new SettingsError(`Unknown field "${unknownField}" for setting "${key}"`);
+  }
+  if (VALIDATORS[key]) {
+    VALIDATORS[key](next);
+  }
+
+  await Setting.findOneAndUpdate(
+    { key },
+    { value: next, updatedBy: user ? user._id : undefined },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return next;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  GEOCODING_PROVIDERS,
+  REVISIT_ACTIONS,
+  SettingsError,
+  mergeSetting,
+  getSetting,
+  getAllSettings,
+  updateSetting,
+  validators: VALIDATORS,
+};
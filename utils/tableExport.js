@@ -0,0 +1,275 @@
+/**
+ * Table Export
+ *
+ * Shared CSV / XLSX output for list and report endpoints (?format=csv|xlsx). Each table is a
+ * list of columns ({ header, path } or { header, value(row) }); the same concept uses the same
+ * header everywhere ('Job ID', 'Operative', 'MPAN/MPRN', ...). Rows may be an array or an async
+ * iterable such as a Mongoose query cursor. CSV is streamed row by row; XLSX has to be built as
+ * a whole workbook, so it holds plain cell values only and is capped at MAX_XLSX_ROWS.
+ */
+
+const XLSX = require('xlsx');
+const businessTime = require('./businessTime');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const MAX_XLSX_ROWS = 50000;
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Error raised for export requests that cannot be served
+ */
+class TableExportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TableExportError';
+    this.statusCode = statusCode;
+  }
+
+  toJSON() {
+    return { message: this.message };
+  }
+}
+
+/**
+ * Requested export format
+ * @param {Object} query - Request query
+ * @returns {string|null} 'csv', 'xlsx', or null for the normal JSON response
+ * @throws {TableExportError} For an unknown format
+ */
+function exportFormat(query = {}) {
+  if (query.format === undefined || query.format === '' || query.format === 'json') return null;
+  const format = String(query.format).toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new TableExportError(`format must be one of: json, ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+const getPath = (row, path) => path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), row);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Date and time as written to CSV files (YYYY-MM-DD HH:MM:SS, business timezone)
+ */
+function formatDate(date) {
+  const d = new Date(date);
+  if (isNaN(d.getTime())) return '';
+  const { year, month, day, hour, minute, second } = businessTime.parts(d);
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+// XLSX dates have no timezone and are written from the server's local clock, so give them a
+// Date whose local clock reads the business time
+const xlsxDate = (date) => {
+  const { year, month, day, hour, minute, second } = businessTime.parts(date);
+  return new Date(year, month - 1, day, hour, minute, second);
+};
+
+/**
+ * Plain cell value for a column: dates stay dates, booleans become Yes/No and lists are joined
+ */
+function cellValue(row, column) {
+  const value = column.value ? column.value(row) : getPath(row, column.path);
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.filter((item) => item !== null && item !== undefined && item !== '').join('; ');
+  if (typeof value === 'number') return Number.isFinite(value) ? value : '';
+  return String(value);
+}
+
+/**
+ * One CSV field. Text that a spreadsheet would run as a formula is prefixed with a quote.
+ */
+function csvField(value) {
+  if (value instanceof Date) return formatDate(value);
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = (cells) => `${cells.map(csvField).join(',')}\r\n`;
+
+const fileName = (name, format) => `${name}-${formatDate(new Date()).slice(0, 10)}.${format}`;
+
+async function sendCsv(res, { name, columns, rows }) {
+  res.set('Content-Type', CONTENT_TYPES.csv);
+  res.set('Content-Disposition', `attachment; filename="${fileName(name, 'csv')}"`);
+
+  // Wait for the client to take what has been written, or to go away
+  const drained = () => new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  // Byte order mark so Excel reads the file as UTF-8
+  res.write(`\ufeff${csvLine(columns.map((column) => column.header))}`);
+  try {
+    for await (const row of rows) {
+      if (res.destroyed) break;
+      if (!res.write(csvLine(columns.map((column) => cellValue(row, column))))) {
+        await drained();
+      }
+    }
+    res.end();
+  } catch (error) {
+    // Headers have gone; all that can be done is to cut the download short
+    console.error('CSV export error:', error);
+    res.destroy(error);
+  }
+}
+
+async function sendXlsx(res, { name, columns, rows, sheetName }) {
+  const cells = [columns.map((column) => column.header)];
+  for await (const row of rows) {
+    if (cells.length > MAX_XLSX_ROWS) {
+      throw new TableExportError(`XLSX exports are limited to ${MAX_XLSX_ROWS} rows; narrow the filters or use format=csv`, 413);
+    }
+    cells.push(columns.map((column) => {
+      const value = cellValue(row, column);
+      return value instanceof Date && !isNaN(value.getTime()) ? xlsxDate(value) : value;
+    }));
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(cells, { cellDates: true }), (sheetName || name).slice(0, 31));
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true });
+
+  res.set('Content-Type', CONTENT_TYPES.xlsx);
+  res.set('Content-Disposition', `attachment; filename="${fileName(name, 'xlsx')}"`);
+  res.send(buffer);
+}
+
+/**
+ * Send rows as a CSV or XLSX download
+ * @param {Object} res - Express response
+ * @param {Object} params
+ * @param {string} params.format - 'csv' or 'xlsx'
+ * @param {string} params.name - File name stem (the date and extension are added)
+ * @param {Object[]} params.columns - Column definitions
+ * @param {Iterable|AsyncIterable} params.rows - Rows (array or query cursor)
+ * @returns {Promise<void>}
+ * @throws {TableExportError} When an XLSX export has too many rows (before anything is sent)
+ */
+function sendTable(res, { format, ...table }) {
+  return format === 'xlsx' ? sendXlsx(res, table) : sendCsv(res, table);
+}
+
+const personName = (user) => (user && typeof user === 'object' ? [user.firstName, user.lastName].filter(Boolean).join(' ') : '');
+const money = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+const miles = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : value);
+
+// Who did the work, wherever the row keeps them
+const operativeColumns = (path) => [
+  { header: 'Operative', value: (row) => personName(getPath(row, path)) },
+  { header: 'Employee ID', path: `${path}.employeeId` },
+];
+
+const COLUMNS = {
+  jobs: [
+    { header: 'Job ID', path: 'jobId' },
+    { header: 'Job Type', path: 'jobType' },
+    { header: 'Status', path: 'status' },
+    { header: 'Priority', path: 'priority' },
+    { header: 'Scheduled Date', path: 'scheduledDate' },
+    { header: 'Completed Date', path: 'completedDate' },
+    { header: 'Supplier', path: 'sup' },
+    { header: 'Job Type Code', path: 'jt' },
+    { header: 'MPAN/MPRN', path: 'cust' },
+    { header: 'Address', path: 'address.street' },
+    { header: 'City', path: 'address.city' },
+    { header: 'Postcode', path: 'address.postcode' },
+    ...operativeColumns('assignedTo'),
+    { header: 'Meter Serial', path: 'meterSerialNumber' },
+    { header: 'Meter Make', path: 'meterMake' },
+    { header: 'Meter Model', path: 'meterModel' },
+    { header: 'Register IDs', path: 'registerIds' },
+    { header: 'Register Values', path: 'registerValues' },
+    { header: 'Customer Read', path: 'customerRead' },
+    { header: 'Valid No Access', path: 'validNoAccess' },
+    { header: 'No Access Reason', path: 'noAccessReason' },
+    { header: 'Reading Check', path: 'readingCheck.status' },
+    { header: 'Distance (miles)', value: (row) => miles(row.distanceTraveled) },
+    { header: 'Points', path: 'points' },
+    { header: 'Award', value: (row) => money(row.award) },
+  ],
+  meterReadings: [
+    { header: 'Job ID', path: 'jobId.jobId' },
+    { header: 'Reading Date', path: 'readingDate' },
+    { header: 'Supplier', path: 'sup' },
+    { header: 'Job Type Code', path: 'jt' },
+    { header: 'MPAN/MPRN', path: 'cust' },
+    { header: 'Address', value: (row) => [row.address1, row.address2, row.address3].filter(Boolean).join(', ') },
+    { header: 'Customer Read', path: 'customerRead' },
+    { header: 'Meter Serial', path: 'jobId.meterSerialNumber' },
+    { header: 'Meter Make', path: 'makeOfMeter' },
+    { header: 'Meter Model', path: 'model' },
+    { header: 'Register ID', path: 'regID1' },
+    { header: 'Reading', path: 'reg1' },
+    ...operativeColumns('meterReader'),
+    { header: 'Flow Files', value: (row) => (row.exports || []).map((entry) => entry.fileRef) },
+    { header: 'Notes', path: 'notes' },
+  ],
+  vehicleChecks: [
+    { header: 'Check Date', path: 'checkDate' },
+    ...operativeColumns('operative'),
+    { header: 'Tyres', path: 'tyres' },
+    { header: 'Hazard Lights', path: 'hazardLights' },
+    { header: 'Brake Lights', path: 'brakeLights' },
+    { header: 'Body Condition', path: 'bodyCondition' },
+    { header: 'Engine Oil', path: 'engineOil' },
+    { header: 'Dashboard Lights', path: 'dashboardLights' },
+    { header: 'Shift Start', path: 'shiftStartTime' },
+    { header: 'Shift End', path: 'shiftEndTime' },
+    { header: 'Comments', path: 'comments' },
+  ],
+  // One row per operative
+  wageReport: [
+    ...operativeColumns('user'),
+    { header: 'Department', path: 'user.department' },
+    { header: 'Total Jobs', path: 'totalJobs' },
+    { header: 'Completed Jobs', path: 'completedJobs' },
+    { header: 'Distance (miles)', value: (row) => miles(row.totalDistance) },
+    { header: 'Average Distance Per Job (miles)', value: (row) => miles(row.averageDistancePerJob) },
+    { header: 'Flagged Mileage Jobs', path: 'flaggedMileageJobs' },
+    { header: 'Base Wage', value: (row) => money(row.baseWage) },
+    { header: 'Fuel Allowance', value: (row) => money(row.fuelAllowance) },
+    { header: 'Total Wage', value: (row) => money(row.totalWage) },
+  ],
+  mileageReport: [
+    ...operativeColumns('user'),
+    { header: 'Department', path: 'user.department' },
+    { header: 'Total Jobs', path: 'totalJobs' },
+    { header: 'Completed Jobs', path: 'completedJobs' },
+    { header: 'Jobs With Reading', path: 'jobsWithReading' },
+    { header: 'Valid No Access Jobs', path: 'validNoAccessJobs' },
+    { header: 'Distance (miles)', value: (row) => miles(row.totalDistanceMiles) },
+    { header: 'Average Distance Per Job (miles)', value: (row) => miles(row.averageDistancePerJob) },
+    { header: 'Flagged Mileage Jobs', path: 'flaggedMileageJobs' },
+    { header: 'Mileage Payment', value: (row) => money(row.mileagePayment) },
+    { header: 'Total Bonus', value: (row) => money(row.totalBonus) },
+  ],
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_XLSX_ROWS,
+  COLUMNS,
+  TableExportError,
+  exportFormat,
+  formatDate,
+  cellValue,
+  csvField,
+  sendTable,
+};